@@ -0,0 +1,26 @@
+/**
+ * External calendar configuration
+ *
+ * Calendar URLs are entered by doctors, so the fetcher refuses hosts that
+ * resolve to loopback, link-local or private addresses; otherwise the
+ * server could be made to read its own network. CALENDAR_ALLOWED_HOSTS
+ * lists host names that may resolve to such addresses anyway, e.g. an
+ * on-premises CalDAV server or "localhost" for the calendar stand-in
+ * (scripts/calendarStandIn.js).
+ *
+ * CalDAV passwords are stored encrypted with a key derived from
+ * CALENDAR_SECRET_KEY; it must be set before a calendar with a password
+ * can be connected, and changing it makes stored passwords unreadable.
+ */
+
+const calendarConfig = {
+  allowedHosts: (process.env.CALENDAR_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean),
+  secretKey: process.env.CALENDAR_SECRET_KEY || null
+};
+
+module.exports = {
+  calendarConfig
+};
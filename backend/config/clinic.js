@@ -0,0 +1,36 @@
+/**
+ * Clinic configuration
+ *
+ * The clinic timezone is the IANA zone in which schedules, time off and
+ * appointment days are interpreted. Appointments store a UTC instant plus
+ * the zone they were booked in, so changing this only affects new bookings.
+ */
+
+/**
+ * Check if a value is an IANA timezone known to the runtime
+ * @param {string} timeZone - Timezone name, e.g. "Europe/Berlin"
+ * @returns {boolean} - True if valid
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const CLINIC_TIMEZONE = isValidTimeZone(process.env.CLINIC_TIMEZONE) ? process.env.CLINIC_TIMEZONE : 'UTC';
+
+// Public address of the web app, used for links in outgoing messages
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+module.exports = {
+  CLINIC_TIMEZONE,
+  APP_URL,
+  isValidTimeZone
+};
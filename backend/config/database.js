@@ -193,6 +193,9 @@ class Database {
       // Appointment indexes
       await mongoose.model('Appointment').createIndexes();
       
+      // Slot lock indexes (one live lock per doctor and day)
+      await mongoose.model('SlotLock').createIndexes();
+      
       console.log('✅ Database indexes created successfully');
       
     } catch (error) {
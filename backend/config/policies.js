@@ -0,0 +1,87 @@
+/**
+ * Booking policy configuration
+ *
+ * Values come from the environment so a clinic can tune them without a
+ * code change. The booking policy below is only the starting point: admins
+ * can change it in ClinicSettings and doctors can override it per schedule.
+ */
+
+const NO_SHOW_ACTIONS = ['none', 'approval', 'block'];
+const STAFF_ROLES = ['doctor', 'admin'];
+const BOOKING_POLICY_FIELDS = [
+  'minNoticeMinutes',
+  'maxDaysAhead',
+  'cancellationCutoffMinutes',
+  'staffExempt',
+  'maxOverbooksPerDay'
+];
+
+/**
+ * Read a non-negative integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @param {number} min - Smallest accepted value
+ * @returns {number} - Parsed value
+ */
+const readInt = (name, fallback, min = 0) => {
+  const value = parseInt(process.env[name]);
+  return value >= min ? value : fallback;
+};
+
+/**
+ * No-show policy: once a patient misses `threshold` appointments within the
+ * last `windowDays`, new bookings need admin approval or are refused
+ */
+const noShowPolicy = {
+  threshold: readInt('NO_SHOW_THRESHOLD', 3, 1),
+  windowDays: readInt('NO_SHOW_WINDOW_DAYS', 90, 1),
+  action: NO_SHOW_ACTIONS.includes(process.env.NO_SHOW_ACTION) ? process.env.NO_SHOW_ACTION : 'approval'
+};
+
+/**
+ * Default booking policy, used until an admin saves clinic settings
+ */
+const DEFAULT_BOOKING_POLICY = {
+  minNoticeMinutes: readInt('BOOKING_MIN_NOTICE_MINUTES', 0),
+  maxDaysAhead: readInt('BOOKING_MAX_DAYS_AHEAD', 365, 1),
+  cancellationCutoffMinutes: readInt('CANCELLATION_CUTOFF_MINUTES', 120),
+  staffExempt: process.env.BOOKING_STAFF_EXEMPT === 'true',
+  // Urgent cases a doctor may squeeze in on top of full slots each day (0 disables overbooking)
+  maxOverbooksPerDay: readInt('BOOKING_MAX_OVERBOOKS_PER_DAY', 2)
+};
+
+/**
+ * Apply a doctor's overrides on top of the clinic policy
+ * @param {Object} clinicPolicy - Clinic-level policy
+ * @param {Object} override - Doctor override; unset fields inherit
+ * @returns {Object} - Effective policy
+ */
+const mergeBookingPolicy = (clinicPolicy, override = {}) => {
+  const policy = {};
+
+  BOOKING_POLICY_FIELDS.forEach(field => {
+    const value = override && override[field];
+    policy[field] = value !== undefined && value !== null ? value : clinicPolicy[field];
+  });
+
+  return policy;
+};
+
+/**
+ * Check if a role skips the booking and cancellation limits under a policy
+ * @param {Object} policy - Booking policy
+ * @param {string} role - User role
+ * @returns {boolean} - True if the role is exempt
+ */
+const isStaffExempt = (policy, role) => {
+  return Boolean(policy.staffExempt) && STAFF_ROLES.includes(role);
+};
+
+module.exports = {
+  NO_SHOW_ACTIONS,
+  BOOKING_POLICY_FIELDS,
+  noShowPolicy,
+  DEFAULT_BOOKING_POLICY,
+  mergeBookingPolicy,
+  isStaffExempt
+};
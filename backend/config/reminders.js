@@ -0,0 +1,77 @@
+/**
+ * Reminder configuration
+ *
+ * REMINDER_OFFSETS_MINUTES lists how long before an appointment reminders
+ * go out, REMINDER_CHANNELS which channels they go out on. Each channel is
+ * delivered by the transport named in EMAIL_TRANSPORT / SMS_TRANSPORT, so
+ * local development can use the console or file transport instead of
+ * sending real messages. The same transports carry appointment emails; for
+ * a local catch-all SMTP server such as MailHog use EMAIL_TRANSPORT=smtp,
+ * SMTP_HOST=localhost and SMTP_PORT=1025.
+ */
+
+const REMINDER_CHANNELS = ['email', 'sms'];
+const EMAIL_TRANSPORTS = ['smtp', 'console', 'file'];
+const SMS_TRANSPORTS = ['sms', 'console', 'file'];
+
+/**
+ * Read a comma-separated list from the environment
+ * @param {string} name - Variable name
+ * @param {Array} fallback - Value when unset or empty
+ * @returns {Array<string>} - Trimmed, non-empty items
+ */
+const readList = (name, fallback) => {
+  const items = (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : fallback;
+};
+
+/**
+ * Pick a value from the environment if it is one of the allowed values
+ * @param {string} name - Variable name
+ * @param {Array<string>} allowed - Accepted values
+ * @param {string} fallback - Value when unset or not allowed
+ * @returns {string} - Selected value
+ */
+const readChoice = (name, allowed, fallback) => {
+  return allowed.includes(process.env[name]) ? process.env[name] : fallback;
+};
+
+const reminderConfig = {
+  // Set REMINDERS_ENABLED=false to keep a server from delivering reminders
+  enabled: process.env.REMINDERS_ENABLED !== 'false',
+  // Minutes before the start, largest first (default: 24 hours and 1 hour)
+  offsetsMinutes: readList('REMINDER_OFFSETS_MINUTES', ['1440', '60'])
+    .map(value => parseInt(value))
+    .filter(value => value > 0)
+    .sort((a, b) => b - a),
+  channels: readList('REMINDER_CHANNELS', ['email']).filter(channel => REMINDER_CHANNELS.includes(channel)),
+  pollSeconds: parseInt(process.env.REMINDER_POLL_SECONDS) || 60,
+  maxAttempts: parseInt(process.env.REMINDER_MAX_ATTEMPTS) || 3
+};
+
+const transportConfig = {
+  emailTransport: readChoice('EMAIL_TRANSPORT', EMAIL_TRANSPORTS, 'console'),
+  smsTransport: readChoice('SMS_TRANSPORT', SMS_TRANSPORTS, 'console'),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.EMAIL_FROM || 'no-reply@appointments.local'
+  },
+  // Twilio-compatible REST gateway
+  smsGateway: {
+    accountSid: process.env.SMS_ACCOUNT_SID,
+    authToken: process.env.SMS_AUTH_TOKEN,
+    from: process.env.SMS_FROM,
+    apiUrl: process.env.SMS_API_URL || 'https://api.twilio.com/2010-04-01'
+  },
+  outboxDir: process.env.OUTBOX_DIR
+};
+
+module.exports = {
+  REMINDER_CHANNELS,
+  reminderConfig,
+  transportConfig
+};
@@ -0,0 +1,96 @@
+const {
+    resolveRange,
+    buildScope,
+    getStatusSummary,
+    getDoctorUtilization,
+    getBookingVolume
+} = require('../utils/analytics');
+
+/**
+ * Send the response for an analytics error
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, error, message) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        status: 'error',
+        message
+    });
+};
+
+/**
+ * Get appointment totals for a day range
+ * Status counts, cancellation and no-show rates, and for staff the
+ * utilization of each doctor. Patients only see their own appointments,
+ * doctors theirs and admins everyone's.
+ * Query: from, to (YYYY-MM-DD, default the last 30 days), doctorId (admins)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSummary = async (req, res) => {
+    try {
+        const range = resolveRange(req.query);
+        const scope = buildScope(req.user, req.query);
+
+        const [summary, utilization] = await Promise.all([
+            getStatusSummary(scope, range),
+            getDoctorUtilization(req.user, scope, range)
+        ]);
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                from: range.fromKey,
+                to: range.toKey,
+                ...summary,
+                utilization
+            }
+        });
+
+    } catch (error) {
+        console.error('Get analytics summary error:', error);
+        sendError(res, error, 'Failed to fetch analytics summary');
+    }
+};
+
+/**
+ * Get booking volume per day or week for a day range
+ * Query: from, to (YYYY-MM-DD, default the last 30 days), interval=day|week, doctorId (admins)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTimeseries = async (req, res) => {
+    try {
+        const interval = req.query.interval || 'day';
+        const range = resolveRange(req.query);
+        const scope = buildScope(req.user, req.query);
+        const series = await getBookingVolume(scope, range, interval);
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                from: range.fromKey,
+                to: range.toKey,
+                interval,
+                series
+            }
+        });
+
+    } catch (error) {
+        console.error('Get analytics timeseries error:', error);
+        sendError(res, error, 'Failed to fetch analytics timeseries');
+    }
+};
+
+module.exports = {
+    getSummary,
+    getTimeseries
+};
@@ -1,5 +1,36 @@
 const Appointment = require('../models/Appointment');
+const AppointmentType = require('../models/AppointmentType');
 const User = require('../models/User');
+const Waitlist = require('../models/Waitlist');
+const { checkAvailability } = require('../utils/availability');
+const { buildAppointmentFilter } = require('../utils/appointmentFilters');
+const {
+    isValidTime,
+    combineDateAndTime
+} = require('../utils/timeUtils');
+const { APPOINTMENT_STATUSES } = require('../utils/appointmentStatus');
+const {
+    getBookingPolicy,
+    getPolicyLookup,
+    checkBookingWindow,
+    getCutoffMessage,
+    checkNoShowPolicy
+} = require('../utils/bookingPolicy');
+
+/**
+ * Offer a slot that was just freed to the waitlist without delaying the response
+ * A group session seat frees no time: the session still holds the doctor
+ * @param {Object} slot - Appointment or { doctorId, date, time, duration }
+ */
+const offerFreedSlot = (slot) => {
+    if (slot.groupSessionId) {
+        return;
+    }
+
+    Waitlist.offerFreedSlot(slot).catch(error => {
+        console.error('Waitlist offer error:', error);
+    });
+};
 
 /**
  * Create a new appointment
@@ -8,7 +39,7 @@ const User = require('../models/User');
  */
 const createAppointment = async (req, res) => {
     try {
-        const { doctorId, date, time, notes, symptoms, duration, isUrgent } = req.body;
+        const { doctorId, date, time, notes, symptoms, duration, typeId, isUrgent, roomId } = req.body;
         const patientId = req.user._id;
         
         // Validate required fields
@@ -29,25 +60,73 @@ const createAppointment = async (req, res) => {
             });
         }
         
-        // Validate appointment date is not in the past
+        if (!isValidTime(time)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Please enter a valid time in HH:MM format'
+            });
+        }
+
+        // Validate appointment start is not in the past (the time is read in the clinic's timezone)
         const appointmentDate = new Date(date);
-        if (appointmentDate <= new Date()) {
+        const startsAt = isNaN(appointmentDate) ? null : combineDateAndTime(appointmentDate, time);
+        if (!startsAt || startsAt <= new Date()) {
             return res.status(400).json({
                 status: 'error',
                 message: 'Appointment date cannot be in the past'
             });
         }
+
+        // Enforce the doctor's minimum notice and booking horizon
+        const policy = await getBookingPolicy(doctorId);
+        const windowError = checkBookingWindow(policy, startsAt, req.user.role);
         
+        if (windowError) {
+            return res.status(400).json({
+                status: 'error',
+                message: windowError
+            });
+        }
+
+        // Patients with repeated no-shows may be blocked or need approval
+        const noShowCheck = await checkNoShowPolicy(patientId);
+        
+        if (noShowCheck.action === 'block') {
+            return res.status(403).json({
+                status: 'error',
+                message: noShowCheck.message
+            });
+        }
+
+        // The appointment type sets the duration, price and buffer
+        const booking = await AppointmentType.resolveBooking({ typeId, duration }, doctor, req.user.role);
+
+        // Check the requested time against the doctor's schedule and bookings
+        // Staff may pick the room; otherwise one is assigned at the doctor's location
+        const availability = await checkAvailability(doctorId, appointmentDate, time, booking.duration, {
+            roomId: req.user.role !== 'patient' ? roomId : undefined,
+            bufferMinutes: booking.bufferMinutes
+        });
+
+        if (!availability.available) {
+            return res.status(400).json({
+                status: 'error',
+                message: availability.reason
+            });
+        }
+
         // Create appointment
         const appointment = new Appointment({
             patientId,
             doctorId,
-            date: appointmentDate,
-            time,
+            startsAt,
             notes,
             symptoms,
-            duration: duration || 30,
-            isUrgent: isUrgent || false
+            ...booking,
+            isUrgent: isUrgent || false,
+            requiresApproval: noShowCheck.action === 'approval',
+            locationId: availability.locationId,
+            roomId: availability.roomId
         });
         
         await appointment.save();
@@ -55,12 +134,17 @@ const createAppointment = async (req, res) => {
         // Populate user data for response
         await appointment.populate('patientId', 'name email phone');
         await appointment.populate('doctorId', 'name email phone specialization');
+        await appointment.populate('locationId');
+        await appointment.populate('roomId', 'name');
+        await appointment.populate('typeId', 'name');
         
         res.status(201).json({
             status: 'success',
-            message: 'Appointment created successfully',
+            message: appointment.requiresApproval
+                ? `Appointment created and awaiting admin approval. ${noShowCheck.message}`
+                : 'Appointment created successfully',
             data: {
-                appointment: appointment.getDisplayDetails(),
+                appointment: appointment.getDisplayDetails({ role: req.user.role, policy }),
                 patient: appointment.patientId,
                 doctor: appointment.doctorId
             }
@@ -75,6 +159,13 @@ const createAppointment = async (req, res) => {
                 message: error.message
             });
         }
+
+        if (error.status === 400 || error.status === 409) {
+            return res.status(error.status).json({
+                status: 'error',
+                message: error.message
+            });
+        }
         
         if (error.name === 'ValidationError') {
             const errors = Object.values(error.errors).map(err => err.message);
@@ -99,36 +190,10 @@ const createAppointment = async (req, res) => {
  */
 const getAppointments = async (req, res) => {
     try {
-        const { status, date, limit = 20, page = 1 } = req.query;
-        const userId = req.user._id;
-        const userRole = req.user.role;
+        const { limit = 20, page = 1 } = req.query;
         
-        // Build filter based on user role
-        let filter = {};
-        
-        if (userRole === 'patient') {
-            filter.patientId = userId;
-        } else if (userRole === 'doctor') {
-            filter.doctorId = userId;
-        }
-        // Admin can see all appointments
-        
-        // Add status filter
-        if (status && ['pending', 'confirmed', 'cancelled', 'completed'].includes(status)) {
-            filter.status = status;
-        }
-        
-        // Add date filter
-        if (date) {
-            const startDate = new Date(date);
-            const endDate = new Date(date);
-            endDate.setDate(endDate.getDate() + 1);
-            
-            filter.date = {
-                $gte: startDate,
-                $lt: endDate
-            };
-        }
+        // Patients and doctors only see their own appointments; admins see all
+        const filter = buildAppointmentFilter(req.user, req.query);
         
         // Calculate pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -141,12 +206,13 @@ const getAppointments = async (req, res) => {
         
         // Get total count for pagination
         const totalAppointments = await Appointment.countDocuments(filter);
+        const policyFor = await getPolicyLookup(appointments.map(apt => apt.doctorId));
         
         res.status(200).json({
             status: 'success',
             data: {
                 appointments: appointments.map(apt => ({
-                    ...apt.getDisplayDetails(),
+                    ...apt.getDisplayDetails({ role: req.user.role, policy: policyFor(apt.doctorId) }),
                     patient: apt.patientId,
                     doctor: apt.doctorId
                 })),
@@ -192,7 +258,10 @@ const getAppointmentById = async (req, res) => {
         
         const appointment = await Appointment.findOne(filter)
             .populate('patientId', 'name email phone')
-            .populate('doctorId', 'name email phone specialization');
+            .populate('doctorId', 'name email phone specialization')
+            .populate('locationId')
+            .populate('roomId', 'name')
+            .populate('typeId', 'name');
         
         if (!appointment) {
             return res.status(404).json({
@@ -201,11 +270,13 @@ const getAppointmentById = async (req, res) => {
             });
         }
         
+        const policy = await getBookingPolicy(appointment.populated('doctorId'));
+        
         res.status(200).json({
             status: 'success',
             data: {
                 appointment: {
-                    ...appointment.getDisplayDetails(),
+                    ...appointment.getDisplayDetails({ role: req.user.role, policy }),
                     patient: appointment.patientId,
                     doctor: appointment.doctorId
                 }
@@ -234,7 +305,7 @@ const updateAppointmentStatus = async (req, res) => {
         const userRole = req.user.role;
         
         // Validate status
-        if (!['pending', 'confirmed', 'cancelled', 'completed'].includes(status)) {
+        if (!APPOINTMENT_STATUSES.includes(status)) {
             return res.status(400).json({
                 status: 'error',
                 message: 'Invalid status value'
@@ -266,20 +337,41 @@ const updateAppointmentStatus = async (req, res) => {
             });
         }
         
-        // Update status
-        appointment.status = status;
+        // Cancelling through the status endpoint is subject to the same cutoff
+        const policy = await getBookingPolicy(appointment.doctorId);
+        
+        if (status === 'cancelled' && !appointment.canBeCancelled(policy, userRole)) {
+            return res.status(400).json({
+                status: 'error',
+                message: getCutoffMessage(policy)
+            });
+        }
+        
+        // Update status (throws with status 409 for transitions not in the table)
+        appointment.transitionTo(status, req.user);
         await appointment.save();
         
+        if (status === 'cancelled') {
+            offerFreedSlot(appointment);
+        }
+        
+        if (status === 'no_show') {
+            await User.updateOne({ _id: appointment.patientId }, { $inc: { noShowCount: 1 } });
+        }
+        
         // Populate user data for response
         await appointment.populate('patientId', 'name email phone');
         await appointment.populate('doctorId', 'name email phone specialization');
+        await appointment.populate('locationId');
+        await appointment.populate('roomId', 'name');
+        await appointment.populate('typeId', 'name');
         
         res.status(200).json({
             status: 'success',
             message: 'Appointment status updated successfully',
             data: {
                 appointment: {
-                    ...appointment.getDisplayDetails(),
+                    ...appointment.getDisplayDetails({ role: req.user.role, policy }),
                     patient: appointment.patientId,
                     doctor: appointment.doctorId
                 }
@@ -288,6 +380,14 @@ const updateAppointmentStatus = async (req, res) => {
         
     } catch (error) {
         console.error('Update appointment status error:', error);
+
+        if (error.message === 'Appointment slot is already booked' || error.status === 409) {
+            return res.status(error.status).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+
         res.status(500).json({
             status: 'error',
             message: 'Failed to update appointment status'
@@ -331,17 +431,20 @@ const cancelAppointment = async (req, res) => {
             });
         }
         
-        // Check if appointment can be cancelled
-        if (!appointment.canBeCancelled()) {
+        // Check if appointment can be cancelled under the doctor's policy
+        const policy = await getBookingPolicy(appointment.doctorId);
+        
+        if (!appointment.canBeCancelled(policy, userRole)) {
             return res.status(400).json({
                 status: 'error',
-                message: 'Appointment cannot be cancelled (less than 2 hours away)'
+                message: getCutoffMessage(policy)
             });
         }
         
         // Update status to cancelled
-        appointment.status = 'cancelled';
+        appointment.transitionTo('cancelled', req.user);
         await appointment.save();
+        offerFreedSlot(appointment);
         
         res.status(200).json({
             status: 'success',
@@ -350,6 +453,14 @@ const cancelAppointment = async (req, res) => {
         
     } catch (error) {
         console.error('Cancel appointment error:', error);
+        
+        if (error.status === 409) {
+            return res.status(409).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+        
         res.status(500).json({
             status: 'error',
             message: 'Failed to cancel appointment'
@@ -357,6 +468,177 @@ const cancelAppointment = async (req, res) => {
     }
 };
 
+/**
+ * Reschedule appointment to a new date and time, keeping its identity
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rescheduleAppointment = async (req, res) => {
+    try {
+        const { appointmentId } = req.params;
+        const { date, time, reason } = req.body;
+        const userId = req.user._id;
+        const userRole = req.user.role;
+        
+        // Validate required fields
+        if (!date || !time) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'New date and time are required'
+            });
+        }
+        
+        if (!isValidTime(time)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Please enter a valid time in HH:MM format'
+            });
+        }
+        
+        const newDate = new Date(date);
+        const newStart = isNaN(newDate) ? null : combineDateAndTime(newDate, time);
+        if (!newStart || newStart <= new Date()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Appointment date cannot be in the past'
+            });
+        }
+        
+        // Find appointment
+        const appointment = await Appointment.findById(appointmentId);
+        
+        if (!appointment) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Appointment not found'
+            });
+        }
+        
+        // Check permissions
+        if (userRole === 'patient' && appointment.patientId.toString() !== userId.toString()) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Access denied'
+            });
+        }
+        
+        if (userRole === 'doctor' && appointment.doctorId.toString() !== userId.toString()) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Access denied'
+            });
+        }
+        
+        if (!['pending', 'confirmed'].includes(appointment.status)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Cannot reschedule a ${appointment.status} appointment`
+            });
+        }
+        
+        if (appointment.groupSessionId) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Group session seats cannot be rescheduled'
+            });
+        }
+        
+        if (appointment.startsAt.getTime() === newStart.getTime()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Appointment is already scheduled at this date and time'
+            });
+        }
+        
+        // Moving an appointment frees its slot, so the cancellation cutoff applies
+        const policy = await getBookingPolicy(appointment.doctorId);
+        
+        if (!appointment.canBeCancelled(policy, userRole)) {
+            return res.status(400).json({
+                status: 'error',
+                message: getCutoffMessage(policy, 'rescheduled')
+            });
+        }
+        
+        // The new time must respect the same notice and horizon as a new booking
+        const windowError = checkBookingWindow(policy, newStart, userRole);
+        
+        if (windowError) {
+            return res.status(400).json({
+                status: 'error',
+                message: windowError
+            });
+        }
+        
+        // Check the new time against the doctor's schedule and bookings
+        const availability = await checkAvailability(appointment.doctorId, newDate, time, appointment.duration, {
+            bufferMinutes: appointment.bufferMinutes,
+            excludeAppointmentId: appointment._id
+        });
+        
+        if (!availability.available) {
+            return res.status(400).json({
+                status: 'error',
+                message: availability.reason
+            });
+        }
+        
+        const previousSlot = {
+            doctorId: appointment.doctorId,
+            date: appointment.date,
+            time: appointment.time,
+            duration: appointment.duration
+        };
+        
+        appointment.reschedule(newStart, userId, reason, availability);
+        await appointment.save();
+        offerFreedSlot(previousSlot);
+        
+        // Populate user data for response
+        await appointment.populate('patientId', 'name email phone');
+        await appointment.populate('doctorId', 'name email phone specialization');
+        await appointment.populate('locationId');
+        await appointment.populate('roomId', 'name');
+        await appointment.populate('typeId', 'name');
+        
+        res.status(200).json({
+            status: 'success',
+            message: 'Appointment rescheduled successfully',
+            data: {
+                appointment: {
+                    ...appointment.getDisplayDetails({ role: req.user.role, policy }),
+                    patient: appointment.patientId,
+                    doctor: appointment.doctorId
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Reschedule appointment error:', error);
+        
+        if (error.message === 'Appointment slot is already booked' || error.status === 409) {
+            return res.status(error.status).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+        
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors
+            });
+        }
+        
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to reschedule appointment'
+        });
+    }
+};
+
 /**
  * Get available doctors
  * @param {Object} req - Express request object
@@ -391,5 +673,6 @@ module.exports = {
     getAppointmentById,
     updateAppointmentStatus,
     cancelAppointment,
+    rescheduleAppointment,
     getAvailableDoctors
 }; 
\ No newline at end of file
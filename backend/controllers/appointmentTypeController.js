@@ -0,0 +1,168 @@
+const AppointmentType = require('../models/AppointmentType');
+const User = require('../models/User');
+
+const TYPE_FIELDS = [
+    'name',
+    'description',
+    'duration',
+    'price',
+    'bufferMinutes',
+    'allowedDoctorIds',
+    'allowedSpecializations',
+    'isActive'
+];
+
+/**
+ * Send the response for a failed appointment type write
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error from saving
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const sendSaveError = (res, error, fallbackMessage) => {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+        const errors = error.errors ? Object.values(error.errors).map(err => err.message) : [error.message];
+        return res.status(400).json({
+            status: 'error',
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    if (error.code === 11000) {
+        return res.status(409).json({
+            status: 'error',
+            message: 'An appointment type with this name already exists'
+        });
+    }
+
+    res.status(500).json({
+        status: 'error',
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Get appointment types
+ * With a doctorId only the types that doctor offers are listed;
+ * inactive types are only listed for admins who ask for them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAppointmentTypes = async (req, res) => {
+    try {
+        const { doctorId } = req.query;
+        const includeInactive = req.user.role === 'admin' && req.query.includeInactive === 'true';
+        let types = await AppointmentType.find(includeInactive ? {} : { isActive: true }).sort({ name: 1 });
+
+        if (doctorId) {
+            const doctor = await User.findOne({ _id: doctorId, role: 'doctor', isActive: true });
+
+            if (!doctor) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'Doctor not found or inactive'
+                });
+            }
+
+            types = types.filter(type => type.isOfferedBy(doctor));
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                appointmentTypes: types.map(type => type.getDisplayDetails())
+            }
+        });
+
+    } catch (error) {
+        console.error('Get appointment types error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid doctor ID'
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch appointment types'
+        });
+    }
+};
+
+/**
+ * Create an appointment type (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createAppointmentType = async (req, res) => {
+    try {
+        const type = new AppointmentType({});
+
+        TYPE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                type[field] = req.body[field];
+            }
+        });
+
+        await type.save();
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Appointment type created successfully',
+            data: {
+                appointmentType: type.getDisplayDetails()
+            }
+        });
+
+    } catch (error) {
+        console.error('Create appointment type error:', error);
+        sendSaveError(res, error, 'Failed to create appointment type');
+    }
+};
+
+/**
+ * Update or deactivate an appointment type (admin only)
+ * Booked appointments keep the duration and price they were booked with
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateAppointmentType = async (req, res) => {
+    try {
+        const type = await AppointmentType.findById(req.params.typeId);
+
+        if (!type) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Appointment type not found'
+            });
+        }
+
+        TYPE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                type[field] = req.body[field];
+            }
+        });
+
+        await type.save();
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Appointment type updated successfully',
+            data: {
+                appointmentType: type.getDisplayDetails()
+            }
+        });
+
+    } catch (error) {
+        console.error('Update appointment type error:', error);
+        sendSaveError(res, error, 'Failed to update appointment type');
+    }
+};
+
+module.exports = {
+    getAppointmentTypes,
+    createAppointmentType,
+    updateAppointmentType
+};
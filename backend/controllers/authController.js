@@ -1,5 +1,7 @@
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Invite = require('../models/Invite');
 
 /**
  * Generate JWT token for user
@@ -116,6 +118,14 @@ const loginUser = async (req, res) => {
             });
         }
         
+        // Invited users have no password until they accept the invite
+        if (user.invitePending) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Please use the link in your invite email to set a password first'
+            });
+        }
+        
         // Verify password
         const isPasswordValid = await user.comparePassword(password);
         
@@ -239,10 +249,144 @@ const logoutUser = async (req, res) => {
     }
 };
 
+/**
+ * Get who an invite is for, so the invite page can greet them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getInvite = async (req, res) => {
+    try {
+        const invite = await Invite.findOpen(req.params.token).populate('userId', 'name email role');
+        
+        if (!invite || !invite.userId) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Invite not found or expired'
+            });
+        }
+        
+        res.status(200).json({
+            status: 'success',
+            data: {
+                name: invite.userId.name,
+                email: invite.userId.email,
+                role: invite.userId.role,
+                expiresAt: invite.expiresAt
+            }
+        });
+        
+    } catch (error) {
+        console.error('Get invite error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch invite'
+        });
+    }
+};
+
+/**
+ * Accept an invite by setting a password, then log the user in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const acceptInvite = async (req, res) => {
+    try {
+        const { password } = req.body;
+        
+        if (!password || password.length < 6) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Password must be at least 6 characters long'
+            });
+        }
+        
+        const invite = await Invite.findOpen(req.params.token);
+        const user = invite && await User.findById(invite.userId);
+        
+        if (!user || !user.invitePending) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Invite not found or expired'
+            });
+        }
+        
+        // Leave the invite open, so it still works if the account is reactivated
+        if (!user.isActive) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Account is deactivated'
+            });
+        }
+        
+        // The invite is used up only together with setting the password
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                // Atomic, so a link used twice at once only sets one password
+                if (!await Invite.accept(req.params.token, session)) {
+                    const error = new Error('Invite not found or expired');
+                    error.status = 404;
+                    throw error;
+                }
+                
+                user.password = password;
+                user.invitePending = false;
+                await user.save({ session });
+            });
+        } finally {
+            session.endSession();
+        }
+        
+        const token = generateToken(user);
+        
+        res.status(200).json({
+            status: 'success',
+            message: 'Invite accepted',
+            data: {
+                user: user.getProfile(),
+                token
+            }
+        });
+        
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+        
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+        
+        console.error('Accept invite error:', error);
+        
+        // Transactions need a replica set (or mongos); a standalone server refuses them
+        if (error.code === 20) {
+            return res.status(500).json({
+                status: 'error',
+                message: 'Accepting invites needs MongoDB to run as a replica set'
+            });
+        }
+        
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to accept invite'
+        });
+    }
+};
+
 module.exports = {
     registerUser,
     loginUser,
     getCurrentUser,
     refreshToken,
-    logoutUser
+    logoutUser,
+    getInvite,
+    acceptInvite
 }; 
\ No newline at end of file
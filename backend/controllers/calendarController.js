@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { buildCalendar } = require('../utils/icalendar');
+
+// Feeds also list recent past appointments, so they don't vanish from
+// subscribed calendars as soon as they are over
+const FEED_PAST_DAYS = 30;
+const FEED_MAX_EVENTS = 500;
+
+/**
+ * Load an appointment with everything an iCalendar event shows
+ * @param {Object} filter - Appointment query
+ * @returns {Object} - Mongoose query
+ */
+const findForCalendar = (filter) => {
+    return Appointment.find(filter)
+        .populate('patientId', 'name')
+        .populate('doctorId', 'name')
+        .populate('locationId')
+        .populate('typeId', 'name');
+};
+
+/**
+ * Get the feed path of a user, relative to the API base URL
+ * @param {string} token - Calendar feed token
+ * @returns {string} - e.g. "/calendar/feed/abc.ics"
+ */
+const getFeedPath = (token) => `/calendar/feed/${token}.ics`;
+
+/**
+ * Download a single appointment as an .ics file
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const downloadAppointmentIcs = async (req, res) => {
+    try {
+        const { appointmentId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(appointmentId)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid appointment ID'
+            });
+        }
+
+        // Build filter based on user role; admin can access any appointment
+        const filter = { _id: appointmentId };
+
+        if (req.user.role === 'patient') {
+            filter.patientId = req.user._id;
+        } else if (req.user.role === 'doctor') {
+            filter.doctorId = req.user._id;
+        }
+
+        const [appointment] = await findForCalendar(filter);
+
+        if (!appointment) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Appointment not found'
+            });
+        }
+
+        const audience = req.user.role === 'doctor' ? 'doctor' : 'patient';
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="appointment-${appointment._id}.ics"`);
+        res.status(200).send(buildCalendar([appointment], { audience }));
+
+    } catch (error) {
+        console.error('Download appointment ics error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to export appointment'
+        });
+    }
+};
+
+/**
+ * Get the current user's calendar feed path, creating a token on first use
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getFeedSettings = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+calendarFeedToken');
+
+        if (!user.calendarFeedToken) {
+            user.regenerateCalendarFeedToken();
+            await user.save();
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                feedPath: getFeedPath(user.calendarFeedToken)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get calendar feed error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch calendar feed'
+        });
+    }
+};
+
+/**
+ * Replace the current user's calendar feed token; the old feed URL stops working
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const regenerateFeedToken = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+calendarFeedToken');
+
+        user.regenerateCalendarFeedToken();
+        await user.save();
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Calendar feed link regenerated. Calendars subscribed with the old link will stop updating.',
+            data: {
+                feedPath: getFeedPath(user.calendarFeedToken)
+            }
+        });
+
+    } catch (error) {
+        console.error('Regenerate calendar feed error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to regenerate calendar feed'
+        });
+    }
+};
+
+/**
+ * Serve a user's calendar feed to calendar apps
+ * Public: the token in the URL is the only credential, since subscribing
+ * clients cannot log in. Doctors' feeds leave out group session seats.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCalendarFeed = async (req, res) => {
+    try {
+        const user = await User.findOne({ calendarFeedToken: req.params.token, isActive: true });
+
+        if (!user) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Calendar feed not found'
+            });
+        }
+
+        const filter = {
+            startsAt: { $gte: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000) }
+        };
+
+        if (user.role === 'patient') {
+            filter.patientId = user._id;
+        } else if (user.role === 'doctor') {
+            filter.doctorId = user._id;
+            filter.groupSessionId = null;
+        } else {
+            // Admins have no appointments of their own
+            filter._id = null;
+        }
+
+        const appointments = await findForCalendar(filter)
+            .sort({ startsAt: 1 })
+            .limit(FEED_MAX_EVENTS);
+
+        const audience = user.role === 'doctor' ? 'doctor' : 'patient';
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', 'private, max-age=300');
+        res.status(200).send(buildCalendar(appointments, { audience, name: `Appointments - ${user.name}` }));
+
+    } catch (error) {
+        console.error('Get calendar feed error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to build calendar feed'
+        });
+    }
+};
+
+module.exports = {
+    downloadAppointmentIcs,
+    getFeedSettings,
+    regenerateFeedToken,
+    getCalendarFeed
+};
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const BusyBlock = require('../models/BusyBlock');
+const CalendarSource = require('../models/CalendarSource');
+const calendarSync = require('../jobs/calendarSync');
+
+const MAX_SOURCES_PER_DOCTOR = 10;
+
+/**
+ * Find a source of the current doctor, sending 400/404 if there is none
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Source with password selected, or null if a response was sent
+ */
+const findOwnSource = async (req, res) => {
+    const { sourceId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sourceId)) {
+        res.status(400).json({
+            status: 'error',
+            message: 'Invalid calendar source ID'
+        });
+        return null;
+    }
+
+    const source = await CalendarSource.findOne({ _id: sourceId, doctorId: req.user._id }).select('+password');
+
+    if (!source) {
+        res.status(404).json({
+            status: 'error',
+            message: 'Calendar source not found'
+        });
+        return null;
+    }
+
+    return source;
+};
+
+/**
+ * Get the current doctor's external calendars with their sync status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCalendarSources = async (req, res) => {
+    try {
+        const sources = await CalendarSource.find({ doctorId: req.user._id }).sort({ createdAt: 1 });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                sources: sources.map(source => source.getDisplayDetails())
+            }
+        });
+
+    } catch (error) {
+        console.error('Get calendar sources error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch calendars'
+        });
+    }
+};
+
+/**
+ * Register an external calendar and sync it right away
+ * The source is kept even if the first sync fails; the error is shown on it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createCalendarSource = async (req, res) => {
+    try {
+        const { type, name, url, username, password } = req.body;
+
+        const count = await CalendarSource.countDocuments({ doctorId: req.user._id });
+
+        if (count >= MAX_SOURCES_PER_DOCTOR) {
+            return res.status(400).json({
+                status: 'error',
+                message: `You can connect at most ${MAX_SOURCES_PER_DOCTOR} calendars`
+            });
+        }
+
+        const source = new CalendarSource({
+            doctorId: req.user._id,
+            type,
+            name,
+            url,
+            username: username || null,
+            password: password || null
+        });
+
+        await source.validate();
+        await calendarSync.syncSource(source);
+
+        res.status(201).json({
+            status: 'success',
+            message: source.lastSyncStatus === 'ok'
+                ? 'Calendar connected'
+                : 'Calendar saved, but the first sync failed',
+            data: {
+                source: source.getDisplayDetails()
+            }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        console.error('Create calendar source error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to connect calendar'
+        });
+    }
+};
+
+/**
+ * Sync one of the current doctor's calendars now
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const syncCalendarSource = async (req, res) => {
+    try {
+        const source = await findOwnSource(req, res);
+
+        if (!source) {
+            return;
+        }
+
+        await calendarSync.syncSource(source);
+
+        res.status(200).json({
+            status: 'success',
+            message: source.lastSyncStatus === 'ok' ? 'Calendar synced' : 'Calendar sync failed',
+            data: {
+                source: source.getDisplayDetails()
+            }
+        });
+
+    } catch (error) {
+        console.error('Sync calendar source error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to sync calendar'
+        });
+    }
+};
+
+/**
+ * Remove one of the current doctor's calendars and the busy times imported from it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteCalendarSource = async (req, res) => {
+    try {
+        const source = await findOwnSource(req, res);
+
+        if (!source) {
+            return;
+        }
+
+        await BusyBlock.deleteMany({ sourceId: source._id });
+        await source.deleteOne();
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Calendar removed'
+        });
+
+    } catch (error) {
+        console.error('Delete calendar source error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to remove calendar'
+        });
+    }
+};
+
+module.exports = {
+    getCalendarSources,
+    createCalendarSource,
+    syncCalendarSource,
+    deleteCalendarSource
+};
@@ -0,0 +1,318 @@
+const Appointment = require('../models/Appointment');
+const EmailTemplate = require('../models/EmailTemplate');
+const { resolveTemplate } = require('../utils/appointmentMailer');
+const {
+    EMAIL_EVENTS,
+    EMAIL_AUDIENCES,
+    DEFAULT_LOCALE,
+    DEFAULT_LOCALES,
+    LOCALE_PATTERN,
+    TEMPLATE_VARIABLES,
+    findUnknownPlaceholders,
+    getDefaultTemplate,
+    renderTemplate,
+    buildTemplateVariables,
+    getSampleVariables
+} = require('../utils/emailTemplates');
+
+/**
+ * Read and check the event, audience and locale of a request, sending the error response if invalid
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} source - Where event and audience come from (params or body)
+ * @returns {Object|null} - { event, audience, locale }, or null if a response was sent
+ */
+const readTemplateKey = (req, res, source) => {
+    const { event, audience } = source;
+    const locale = req.body.locale || req.query.locale || DEFAULT_LOCALE;
+
+    if (!EMAIL_EVENTS.includes(event) || !EMAIL_AUDIENCES.includes(audience)) {
+        res.status(400).json({
+            status: 'error',
+            message: `Event must be one of: ${EMAIL_EVENTS.join(', ')}; audience one of: ${EMAIL_AUDIENCES.join(', ')}`
+        });
+        return null;
+    }
+
+    if (!LOCALE_PATTERN.test(locale)) {
+        res.status(400).json({
+            status: 'error',
+            message: 'Locale must look like "en" or "en-GB"'
+        });
+        return null;
+    }
+
+    return { event, audience, locale };
+};
+
+/**
+ * Send a 400 response if a template uses unknown placeholders
+ * @param {Object} res - Express response object
+ * @param {Object} template - { subject, text, html }
+ * @returns {boolean} - True if a response was sent
+ */
+const rejectUnknownPlaceholders = (res, template) => {
+    const unknown = findUnknownPlaceholders(template);
+
+    if (unknown.length === 0) {
+        return false;
+    }
+
+    res.status(400).json({
+        status: 'error',
+        message: `Unknown placeholder(s): ${unknown.join(', ')}. Available: ${TEMPLATE_VARIABLES.join(', ')}`
+    });
+    return true;
+};
+
+/**
+ * List the templates in effect for a locale, for every event and audience (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getEmailTemplates = async (req, res) => {
+    try {
+        const locale = req.query.locale || DEFAULT_LOCALE;
+
+        if (!LOCALE_PATTERN.test(locale)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Locale must look like "en" or "en-GB"'
+            });
+        }
+
+        const templates = [];
+
+        for (const event of EMAIL_EVENTS) {
+            for (const audience of EMAIL_AUDIENCES) {
+                templates.push({ event, audience, ...await resolveTemplate(event, audience, locale) });
+            }
+        }
+
+        const customLocales = await EmailTemplate.distinct('locale');
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                locale,
+                templates,
+                locales: [...new Set([...DEFAULT_LOCALES, ...customLocales])].sort(),
+                variables: TEMPLATE_VARIABLES
+            }
+        });
+
+    } catch (error) {
+        console.error('Get email templates error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch email templates'
+        });
+    }
+};
+
+/**
+ * Get the template in effect for one event, audience and locale (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getEmailTemplate = async (req, res) => {
+    try {
+        const key = readTemplateKey(req, res, req.params);
+
+        if (!key) {
+            return;
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                template: { event: key.event, audience: key.audience, ...await resolveTemplate(key.event, key.audience, key.locale) },
+                variables: TEMPLATE_VARIABLES
+            }
+        });
+
+    } catch (error) {
+        console.error('Get email template error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch email template'
+        });
+    }
+};
+
+/**
+ * Save an override of a template for one event, audience and locale (admin only)
+ * Fields left out keep their current value, starting from the built-in template
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateEmailTemplate = async (req, res) => {
+    try {
+        const key = readTemplateKey(req, res, req.params);
+
+        if (!key) {
+            return;
+        }
+
+        let template = await EmailTemplate.findOne(key);
+
+        if (!template) {
+            const base = getDefaultTemplate(key.event, key.audience, key.locale);
+            template = new EmailTemplate({ ...key, subject: base.subject, text: base.text, html: base.html });
+        }
+
+        ['subject', 'text', 'html', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                template[field] = req.body[field];
+            }
+        });
+
+        if (rejectUnknownPlaceholders(res, template)) {
+            return;
+        }
+
+        template.updatedBy = req.user._id;
+        await template.save();
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Email template saved',
+            data: {
+                template: { event: key.event, audience: key.audience, ...await resolveTemplate(key.event, key.audience, key.locale) }
+            }
+        });
+
+    } catch (error) {
+        console.error('Update email template error:', error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to save email template'
+        });
+    }
+};
+
+/**
+ * Delete an override, restoring the built-in template (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resetEmailTemplate = async (req, res) => {
+    try {
+        const key = readTemplateKey(req, res, req.params);
+
+        if (!key) {
+            return;
+        }
+
+        const result = await EmailTemplate.deleteOne(key);
+
+        if (result.deletedCount === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'This template has not been customised'
+            });
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Email template reset to the default',
+            data: {
+                template: { event: key.event, audience: key.audience, ...await resolveTemplate(key.event, key.audience, key.locale) }
+            }
+        });
+
+    } catch (error) {
+        console.error('Reset email template error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to reset email template'
+        });
+    }
+};
+
+/**
+ * Render a template without sending it (admin only)
+ * Unsaved subject/text/html in the body are rendered instead of the stored
+ * template; values come from appointmentId when given, otherwise sample data
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const previewEmailTemplate = async (req, res) => {
+    try {
+        const key = readTemplateKey(req, res, req.body);
+
+        if (!key) {
+            return;
+        }
+
+        const stored = await resolveTemplate(key.event, key.audience, key.locale);
+        const template = {
+            subject: req.body.subject !== undefined ? req.body.subject : stored.subject,
+            text: req.body.text !== undefined ? req.body.text : stored.text,
+            html: req.body.html !== undefined ? req.body.html : stored.html
+        };
+
+        if (rejectUnknownPlaceholders(res, template)) {
+            return;
+        }
+
+        let variables = getSampleVariables();
+
+        if (req.body.appointmentId) {
+            const appointment = await Appointment.findById(req.body.appointmentId)
+                .populate('patientId', 'name')
+                .populate('doctorId', 'name')
+                .populate('typeId', 'name')
+                .populate('locationId');
+
+            if (!appointment) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'Appointment not found'
+                });
+            }
+
+            variables = buildTemplateVariables(appointment, stored.locale);
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                preview: renderTemplate(template, variables)
+            }
+        });
+
+    } catch (error) {
+        console.error('Preview email template error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid appointment ID'
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to preview email template'
+        });
+    }
+};
+
+module.exports = {
+    getEmailTemplates,
+    getEmailTemplate,
+    updateEmailTemplate,
+    resetEmailTemplate,
+    previewEmailTemplate
+};
@@ -0,0 +1,42 @@
+const eventStream = require('../utils/eventStream');
+const { issueStreamTicket } = require('../middleware/authMiddleware');
+
+/**
+ * Issue a ticket the browser puts in the event stream URL
+ * Keeps the user's JWT out of URLs, which end up in logs and history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createStreamTicket = (req, res) => {
+    res.status(201).json({
+        status: 'success',
+        message: 'Stream ticket issued',
+        data: issueStreamTicket(req.user)
+    });
+};
+
+/**
+ * Open a Server-Sent Events stream of appointment changes for the current user
+ * The connection stays open; events are pushed by the event stream hub
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const streamEvents = (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    // Tell the browser how long to wait before reconnecting
+    res.write('retry: 5000\n\n');
+
+    eventStream.addClient(req.user, res);
+};
+
+module.exports = {
+    createStreamTicket,
+    streamEvents
+};
@@ -0,0 +1,118 @@
+const Appointment = require('../models/Appointment');
+const CsvWriter = require('../utils/csvWriter');
+const XlsxWriter = require('../utils/xlsxWriter');
+const { buildAppointmentFilter } = require('../utils/appointmentFilters');
+const { toZonedDateKey, toZonedTime, getTodayKey } = require('../utils/timeUtils');
+
+const EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Get a field of a populated reference, or '' if it is missing
+ * @param {Object} doc - Populated document or null
+ * @param {string} field - Field name
+ * @returns {*} - Value
+ */
+const refField = (doc, field) => (doc && doc[field]) || '';
+
+// Export columns; dates and times are in the appointment's own timezone
+const EXPORT_COLUMNS = [
+    { header: 'Appointment ID', value: apt => apt._id.toString() },
+    { header: 'Date', value: apt => toZonedDateKey(apt.startsAt, apt.timezone) },
+    { header: 'Time', value: apt => toZonedTime(apt.startsAt, apt.timezone) },
+    { header: 'Timezone', value: apt => apt.timezone },
+    { header: 'Duration (min)', value: apt => apt.duration },
+    { header: 'Status', value: apt => apt.status },
+    { header: 'Urgent', value: apt => (apt.isUrgent ? 'Yes' : 'No') },
+    { header: 'Type', value: apt => refField(apt.typeId, 'name') },
+    { header: 'Price', value: apt => (apt.price === null || apt.price === undefined ? '' : apt.price) },
+    { header: 'Patient', value: apt => refField(apt.patientId, 'name') },
+    { header: 'Patient email', value: apt => refField(apt.patientId, 'email') },
+    { header: 'Patient phone', value: apt => refField(apt.patientId, 'phone') },
+    { header: 'Doctor', value: apt => refField(apt.doctorId, 'name') },
+    { header: 'Doctor email', value: apt => refField(apt.doctorId, 'email') },
+    { header: 'Specialization', value: apt => refField(apt.doctorId, 'specialization') },
+    { header: 'Location', value: apt => refField(apt.locationId, 'name') },
+    { header: 'Room', value: apt => refField(apt.roomId, 'name') },
+    { header: 'Group session', value: apt => refField(apt.groupSessionId, 'title') },
+    { header: 'Notes', value: apt => apt.notes || '' },
+    { header: 'Booked at', value: apt => (apt.createdAt ? apt.createdAt.toISOString() : '') }
+];
+
+/**
+ * Export appointments as CSV or Excel
+ * Takes the same filters as getAppointments plus a from/to day range and,
+ * for admins, a doctor. Every matching row is streamed, with no page limit.
+ * Query: format=csv|xlsx, status, date, from, to, doctorId, typeId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportAppointments = async (req, res) => {
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'Format must be csv or xlsx'
+        });
+    }
+
+    try {
+        const filter = buildAppointmentFilter(req.user, req.query);
+        const cursor = Appointment.find(filter)
+            .populate('patientId', 'name email phone')
+            .populate('doctorId', 'name email specialization')
+            .populate('locationId', 'name')
+            .populate('roomId', 'name')
+            .populate('typeId', 'name')
+            .populate('groupSessionId', 'title')
+            .sort({ startsAt: 1 })
+            .cursor();
+
+        const writer = format === 'xlsx'
+            ? new XlsxWriter(res, { sheetName: 'Appointments' })
+            : new CsvWriter(res);
+
+        // Stop reading appointments if the client goes away mid-download
+        let closed = false;
+        res.on('close', () => { closed = true; });
+
+        res.set('Content-Type', EXPORT_FORMATS[format]);
+        res.set('Content-Disposition', `attachment; filename="appointments-${getTodayKey()}.${format}"`);
+        res.status(200);
+
+        await writer.writeHeader(EXPORT_COLUMNS.map(column => column.header));
+
+        for await (const appointment of cursor) {
+            if (closed) {
+                return;
+            }
+            await writer.writeRow(EXPORT_COLUMNS.map(column => column.value(appointment)));
+        }
+
+        await writer.end();
+        res.end();
+
+    } catch (error) {
+        console.error('Export appointments error:', error);
+
+        if (res.headersSent) {
+            // The file is already partly sent; cut it off so it is not mistaken for complete
+            res.destroy(error);
+            return;
+        }
+
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to export appointments'
+        });
+    }
+};
+
+module.exports = {
+    exportAppointments
+};
@@ -0,0 +1,511 @@
+const Appointment = require('../models/Appointment');
+const GroupSession = require('../models/GroupSession');
+const User = require('../models/User');
+const { checkAvailability, validateRange } = require('../utils/availability');
+const {
+    isValidTime,
+    isValidDateKey,
+    addDays,
+    combineDateAndTime,
+    startOfZonedDay,
+    getTodayKey
+} = require('../utils/timeUtils');
+const {
+    getBookingPolicy,
+    checkBookingWindow,
+    checkNoShowPolicy
+} = require('../utils/bookingPolicy');
+
+/**
+ * Find a group session the current user may manage, sending the error response if not
+ * Doctors manage their own sessions, admins any session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Session document, or null if a response was sent
+ */
+const findManageableSession = async (req, res) => {
+    const session = await GroupSession.findById(req.params.sessionId);
+
+    if (!session) {
+        res.status(404).json({
+            status: 'error',
+            message: 'Group session not found'
+        });
+        return null;
+    }
+
+    if (req.user.role === 'doctor' && !session.doctorId.equals(req.user._id)) {
+        res.status(403).json({
+            status: 'error',
+            message: 'Access denied'
+        });
+        return null;
+    }
+
+    return session;
+};
+
+/**
+ * Create a group session (doctors for themselves, admins for any doctor)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createGroupSession = async (req, res) => {
+    try {
+        const { title, description, date, time, duration, capacity, roomId } = req.body;
+        const doctorId = req.user.role === 'doctor' ? req.user._id : req.body.doctorId;
+
+        if (!doctorId || !title || !date || !time || !capacity) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Doctor ID, title, date, time and capacity are required'
+            });
+        }
+
+        if (!isValidTime(time)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Please enter a valid time in HH:MM format'
+            });
+        }
+
+        const sessionDate = new Date(date);
+        const startsAt = isNaN(sessionDate) ? null : combineDateAndTime(sessionDate, time);
+        if (!startsAt || startsAt <= new Date()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Session date cannot be in the past'
+            });
+        }
+
+        const doctor = await User.findOne({ _id: doctorId, role: 'doctor', isActive: true });
+
+        if (!doctor) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Doctor not found or inactive'
+            });
+        }
+
+        const sessionDuration = parseInt(duration) || 60;
+        const availability = await checkAvailability(doctorId, sessionDate, time, sessionDuration, { roomId });
+
+        if (!availability.available) {
+            return res.status(400).json({
+                status: 'error',
+                message: availability.reason
+            });
+        }
+
+        const session = new GroupSession({
+            doctorId,
+            title,
+            description,
+            startsAt,
+            duration: sessionDuration,
+            capacity,
+            locationId: availability.locationId,
+            roomId: availability.roomId,
+            createdBy: req.user._id
+        });
+
+        await session.save();
+
+        await session.populate('doctorId', 'name specialization');
+        await session.populate('locationId');
+        await session.populate('roomId', 'name');
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Group session created successfully',
+            data: {
+                session: session.getDisplayDetails()
+            }
+        });
+
+    } catch (error) {
+        console.error('Create group session error:', error);
+
+        if (error.status) {
+            return res.status(error.status).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to create group session'
+        });
+    }
+};
+
+/**
+ * Get group sessions within a date range (defaults to the next 4 weeks)
+ * Patients only see scheduled sessions, each marked with whether they have a seat
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getGroupSessions = async (req, res) => {
+    try {
+        const from = req.query.from || getTodayKey();
+        const to = req.query.to || addDays(from, 27);
+
+        if (!isValidDateKey(from) || !isValidDateKey(to)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Dates must be in YYYY-MM-DD format'
+            });
+        }
+
+        const rangeError = validateRange(from, to);
+
+        if (rangeError) {
+            return res.status(400).json({
+                status: 'error',
+                message: rangeError
+            });
+        }
+
+        const filter = {
+            startsAt: { $gte: startOfZonedDay(from), $lt: startOfZonedDay(addDays(to, 1)) }
+        };
+
+        if (req.user.role === 'doctor') {
+            filter.doctorId = req.user._id;
+        } else if (req.query.doctorId) {
+            filter.doctorId = req.query.doctorId;
+        }
+
+        if (req.user.role === 'patient') {
+            filter.status = 'scheduled';
+        }
+
+        const sessions = await GroupSession.find(filter)
+            .populate('doctorId', 'name specialization')
+            .populate('locationId')
+            .populate('roomId', 'name')
+            .sort({ startsAt: 1 });
+
+        let joinedIds = [];
+
+        if (req.user.role === 'patient') {
+            const seats = await Appointment.find({
+                groupSessionId: { $in: sessions.map(session => session._id) },
+                patientId: req.user._id,
+                status: { $ne: 'cancelled' }
+            }).select('groupSessionId');
+            joinedIds = seats.map(seat => seat.groupSessionId.toString());
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                sessions: sessions.map(session => ({
+                    ...session.getDisplayDetails(),
+                    joined: joinedIds.includes(session._id.toString())
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get group sessions error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid doctor ID'
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch group sessions'
+        });
+    }
+};
+
+/**
+ * Get the attendee list of a group session (doctor of the session or admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAttendees = async (req, res) => {
+    try {
+        const session = await findManageableSession(req, res);
+
+        if (!session) {
+            return;
+        }
+
+        const seats = await Appointment.find({ groupSessionId: session._id })
+            .populate('patientId', 'name email phone')
+            .sort({ createdAt: 1 });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                session: session.getDisplayDetails(),
+                attendees: seats.map(seat => ({
+                    appointmentId: seat._id,
+                    patient: seat.patientId,
+                    status: seat.status,
+                    requiresApproval: seat.requiresApproval,
+                    joinedAt: seat.createdAt
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get group session attendees error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch attendees'
+        });
+    }
+};
+
+/**
+ * Join a group session, booking a seat as an appointment (patient only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const joinGroupSession = async (req, res) => {
+    try {
+        const patientId = req.user._id;
+        const session = await GroupSession.findOne({ _id: req.params.sessionId, status: 'scheduled' });
+
+        if (!session) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Group session not found or cancelled'
+            });
+        }
+
+        const alreadyJoined = await Appointment.exists({
+            groupSessionId: session._id,
+            patientId,
+            status: { $ne: 'cancelled' }
+        });
+
+        if (alreadyJoined) {
+            return res.status(409).json({
+                status: 'error',
+                message: 'You already have a seat in this session'
+            });
+        }
+
+        const policy = await getBookingPolicy(session.doctorId);
+        const windowError = checkBookingWindow(policy, session.startsAt, req.user.role);
+
+        if (windowError) {
+            return res.status(400).json({
+                status: 'error',
+                message: windowError
+            });
+        }
+
+        const noShowCheck = await checkNoShowPolicy(patientId);
+
+        if (noShowCheck.action === 'block') {
+            return res.status(403).json({
+                status: 'error',
+                message: noShowCheck.message
+            });
+        }
+
+        // Taking the seat first keeps concurrent joins from overfilling the session
+        const reserved = await GroupSession.reserveSeat(session._id);
+
+        if (!reserved) {
+            return res.status(409).json({
+                status: 'error',
+                message: 'This group session is full'
+            });
+        }
+
+        const appointment = new Appointment({
+            patientId,
+            doctorId: session.doctorId,
+            startsAt: session.startsAt,
+            timezone: session.timezone,
+            duration: session.duration,
+            status: noShowCheck.action === 'approval' ? 'pending' : 'confirmed',
+            requiresApproval: noShowCheck.action === 'approval',
+            groupSessionId: session._id,
+            locationId: session.locationId,
+            roomId: session.roomId
+        });
+
+        try {
+            await appointment.save();
+        } catch (error) {
+            await GroupSession.releaseSeat(session._id);
+            throw error;
+        }
+
+        res.status(201).json({
+            status: 'success',
+            message: appointment.requiresApproval
+                ? `Seat reserved and awaiting admin approval. ${noShowCheck.message}`
+                : 'Seat booked successfully',
+            data: {
+                session: reserved.getDisplayDetails(),
+                appointment: appointment.getDisplayDetails({ role: req.user.role, policy })
+            }
+        });
+
+    } catch (error) {
+        console.error('Join group session error:', error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to join group session'
+        });
+    }
+};
+
+/**
+ * Cancel a group session and every seat in it (doctor of the session or admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelGroupSession = async (req, res) => {
+    try {
+        const session = await findManageableSession(req, res);
+
+        if (!session) {
+            return;
+        }
+
+        if (session.status === 'cancelled') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Group session is already cancelled'
+            });
+        }
+
+        session.status = 'cancelled';
+        await session.save();
+
+        const seats = await Appointment.find({
+            groupSessionId: session._id,
+            status: { $in: ['pending', 'confirmed'] }
+        });
+
+        for (const seat of seats) {
+            seat.transitionTo('cancelled', req.user);
+            await seat.save();
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: `Group session cancelled along with ${seats.length} seat(s)`,
+            data: {
+                session: session.getDisplayDetails()
+            }
+        });
+
+    } catch (error) {
+        console.error('Cancel group session error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to cancel group session'
+        });
+    }
+};
+
+/**
+ * Record whether a participant attended (doctor of the session)
+ * Attended seats are completed; missed seats are no-shows and count towards the patient's no-show total
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const markAttendance = async (req, res) => {
+    try {
+        const { attended } = req.body;
+
+        if (typeof attended !== 'boolean') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Attended must be true or false'
+            });
+        }
+
+        const session = await findManageableSession(req, res);
+
+        if (!session) {
+            return;
+        }
+
+        const seat = await Appointment.findOne({ _id: req.params.appointmentId, groupSessionId: session._id });
+
+        if (!seat) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Attendee not found in this session'
+            });
+        }
+
+        const status = attended ? 'completed' : 'no_show';
+
+        // Throws with status 409 for transitions not in the table
+        seat.transitionTo(status, req.user);
+        await seat.save();
+
+        if (status === 'no_show') {
+            await User.updateOne({ _id: seat.patientId }, { $inc: { noShowCount: 1 } });
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Attendance recorded',
+            data: {
+                appointmentId: seat._id,
+                status: seat.status
+            }
+        });
+
+    } catch (error) {
+        console.error('Mark attendance error:', error);
+
+        if (error.status === 409) {
+            return res.status(409).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to record attendance'
+        });
+    }
+};
+
+module.exports = {
+    createGroupSession,
+    getGroupSessions,
+    getAttendees,
+    joinGroupSession,
+    cancelGroupSession,
+    markAttendance
+};
@@ -0,0 +1,216 @@
+const Location = require('../models/Location');
+const Room = require('../models/Room');
+
+const LOCATION_FIELDS = ['name', 'address', 'phone', 'isActive'];
+const ROOM_FIELDS = ['name', 'isActive'];
+
+/**
+ * Send the response for a failed location or room write
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error from saving
+ * @param {string} duplicateMessage - Message for a unique name clash
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const sendSaveError = (res, error, duplicateMessage, fallbackMessage) => {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+        const errors = error.errors ? Object.values(error.errors).map(err => err.message) : [error.message];
+        return res.status(400).json({
+            status: 'error',
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    if (error.code === 11000) {
+        return res.status(409).json({
+            status: 'error',
+            message: duplicateMessage
+        });
+    }
+
+    res.status(500).json({
+        status: 'error',
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Get clinic locations with their rooms
+ * Inactive locations and rooms are only listed for admins who ask for them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLocations = async (req, res) => {
+    try {
+        const includeInactive = req.user.role === 'admin' && req.query.includeInactive === 'true';
+        const filter = includeInactive ? {} : { isActive: true };
+
+        const locations = await Location.find(filter).sort({ name: 1 });
+        const rooms = await Room.find({ ...filter, locationId: { $in: locations.map(location => location._id) } })
+            .sort({ name: 1 });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                locations: locations.map(location => ({
+                    ...location.getDisplayDetails(),
+                    rooms: rooms
+                        .filter(room => room.locationId.equals(location._id))
+                        .map(room => room.getDisplayDetails())
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get locations error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch locations'
+        });
+    }
+};
+
+/**
+ * Create a location (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createLocation = async (req, res) => {
+    try {
+        const { name, address, phone } = req.body;
+
+        const location = new Location({ name, address, phone });
+        await location.save();
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Location created successfully',
+            data: {
+                location: location.getDisplayDetails()
+            }
+        });
+
+    } catch (error) {
+        console.error('Create location error:', error);
+        sendSaveError(res, error, 'A location with this name already exists', 'Failed to create location');
+    }
+};
+
+/**
+ * Update a location (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateLocation = async (req, res) => {
+    try {
+        const location = await Location.findById(req.params.locationId);
+
+        if (!location) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Location not found'
+            });
+        }
+
+        LOCATION_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                location[field] = req.body[field];
+            }
+        });
+
+        await location.save();
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Location updated successfully',
+            data: {
+                location: location.getDisplayDetails()
+            }
+        });
+
+    } catch (error) {
+        console.error('Update location error:', error);
+        sendSaveError(res, error, 'A location with this name already exists', 'Failed to update location');
+    }
+};
+
+/**
+ * Add a room to a location (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createRoom = async (req, res) => {
+    try {
+        const location = await Location.findById(req.params.locationId);
+
+        if (!location) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Location not found'
+            });
+        }
+
+        const room = new Room({ locationId: location._id, name: req.body.name });
+        await room.save();
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Room created successfully',
+            data: {
+                room: room.getDisplayDetails()
+            }
+        });
+
+    } catch (error) {
+        console.error('Create room error:', error);
+        sendSaveError(res, error, 'A room with this name already exists at this location', 'Failed to create room');
+    }
+};
+
+/**
+ * Rename or deactivate a room (admin only)
+ * Deactivated rooms keep their existing appointments but get no new ones
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateRoom = async (req, res) => {
+    try {
+        const { locationId, roomId } = req.params;
+        const room = await Room.findOne({ _id: roomId, locationId });
+
+        if (!room) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Room not found'
+            });
+        }
+
+        ROOM_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                room[field] = req.body[field];
+            }
+        });
+
+        await room.save();
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Room updated successfully',
+            data: {
+                room: room.getDisplayDetails()
+            }
+        });
+
+    } catch (error) {
+        console.error('Update room error:', error);
+        sendSaveError(res, error, 'A room with this name already exists at this location', 'Failed to update room');
+    }
+};
+
+module.exports = {
+    getLocations,
+    createLocation,
+    updateLocation,
+    createRoom,
+    updateRoom
+};
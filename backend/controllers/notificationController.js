@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Get the current user's notifications, newest first
+ * Query: unread=true for unread only, limit, and before (ISO date) to page back
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getNotifications = async (req, res) => {
+    try {
+        const { unread, before } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+        const filter = { userId: req.user._id };
+
+        if (unread === 'true') {
+            filter.readAt = null;
+        }
+
+        if (before) {
+            const beforeDate = new Date(before);
+
+            if (isNaN(beforeDate)) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Before must be a valid date'
+                });
+            }
+            filter.createdAt = { $lt: beforeDate };
+        }
+
+        const [notifications, unreadCount] = await Promise.all([
+            Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+            Notification.countUnread(req.user._id)
+        ]);
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                notifications: notifications.map(notification => notification.getDisplayDetails()),
+                unreadCount
+            }
+        });
+
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch notifications'
+        });
+    }
+};
+
+/**
+ * Mark one of the current user's notifications as read
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const markAsRead = async (req, res) => {
+    try {
+        const { notificationId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid notification ID'
+            });
+        }
+
+        const notification = await Notification.findOne({ _id: notificationId, userId: req.user._id });
+
+        if (!notification) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Notification not found'
+            });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                notification: notification.getDisplayDetails(),
+                unreadCount: await Notification.countUnread(req.user._id)
+            }
+        });
+
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to mark notification as read'
+        });
+    }
+};
+
+/**
+ * Mark all of the current user's notifications as read
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const markAllAsRead = async (req, res) => {
+    try {
+        const marked = await Notification.markRead(req.user._id);
+
+        res.status(200).json({
+            status: 'success',
+            message: `${marked} notification(s) marked as read`,
+            data: {
+                unreadCount: 0
+            }
+        });
+
+    } catch (error) {
+        console.error('Mark all notifications read error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to mark notifications as read'
+        });
+    }
+};
+
+module.exports = {
+    getNotifications,
+    markAsRead,
+    markAllAsRead
+};
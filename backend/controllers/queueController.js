@@ -0,0 +1,85 @@
+const User = require('../models/User');
+const { getDoctorQueue } = require('../utils/waitingQueue');
+const { getTodayKey } = require('../utils/timeUtils');
+
+/**
+ * Format a queue entry for the response
+ * Patient details are only included for staff; everyone else gets the short display name
+ * @param {Object} entry - Queue entry from buildQueue
+ * @param {boolean} isStaff - Whether the viewer is a doctor or admin
+ * @returns {Object} - Entry for the response
+ */
+const formatEntry = (entry, isStaff) => ({
+    appointmentId: entry.appointment._id,
+    displayName: entry.displayName,
+    position: entry.position,
+    estimatedWaitMinutes: entry.estimatedWaitMinutes,
+    status: entry.appointment.status,
+    isUrgent: entry.appointment.isUrgent,
+    startsAt: entry.appointment.startsAt,
+    time: entry.appointment.time,
+    checkedInAt: entry.appointment.checkedInAt,
+    startedAt: entry.appointment.startedAt,
+    patient: isStaff ? entry.appointment.patientId : undefined
+});
+
+/**
+ * Get today's waiting-room queue for a doctor
+ * Doctors can only see their own queue
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getQueue = async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+
+        if (req.user.role === 'doctor' && req.user._id.toString() !== doctorId) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Access denied'
+            });
+        }
+
+        const doctor = await User.findOne({ _id: doctorId, role: 'doctor', isActive: true });
+
+        if (!doctor) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Doctor not found or inactive'
+            });
+        }
+
+        const queue = await getDoctorQueue(doctorId);
+        const isStaff = ['doctor', 'admin'].includes(req.user.role);
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                doctor: { _id: doctor._id, name: doctor.name, specialization: doctor.specialization },
+                date: getTodayKey(),
+                estimatedWaitMinutes: queue.estimatedWaitMinutes,
+                inProgress: queue.inProgress.map(entry => formatEntry(entry, isStaff)),
+                waiting: queue.waiting.map(entry => formatEntry(entry, isStaff))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get queue error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid doctor ID'
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch queue'
+        });
+    }
+};
+
+module.exports = {
+    getQueue
+};
@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const AppointmentType = require('../models/AppointmentType');
+const DoctorSchedule = require('../models/DoctorSchedule');
+const GroupSession = require('../models/GroupSession');
+const Location = require('../models/Location');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const { getAvailableSlots, validateRange } = require('../utils/availability');
+const { isValidDateKey, addDays, getTodayKey, startOfZonedDay } = require('../utils/timeUtils');
+
+/**
+ * Check that the locations and rooms a schedule assigns exist and match
+ * @param {Array} weeklyHours - Working days of the schedule
+ * @returns {Promise<string|null>} - Error message, or null if every assignment is valid
+ */
+const validateAssignments = async (weeklyHours) => {
+    for (const day of weeklyHours) {
+        if (day.locationId && !await Location.exists({ _id: day.locationId, isActive: true })) {
+            return `Location for day ${day.dayOfWeek} not found or inactive`;
+        }
+
+        if (day.roomId && !await Room.exists({ _id: day.roomId, locationId: day.locationId, isActive: true })) {
+            return `Room for day ${day.dayOfWeek} does not belong to the selected location`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Get a doctor's weekly schedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDoctorSchedule = async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid doctor ID'
+            });
+        }
+
+        const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+
+        if (!doctor) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Doctor not found'
+            });
+        }
+
+        const schedule = await DoctorSchedule.findForDoctor(doctorId);
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                schedule,
+                isDefault: schedule.isNew
+            }
+        });
+
+    } catch (error) {
+        console.error('Get doctor schedule error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch doctor schedule'
+        });
+    }
+};
+
+/**
+ * Create or replace a doctor's weekly schedule and booking policy overrides (the doctor themselves or admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateDoctorSchedule = async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        const { weeklyHours, slotDuration, bookingPolicy } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid doctor ID'
+            });
+        }
+
+        // Doctors may only edit their own schedule
+        if (req.user.role !== 'admin' && req.user._id.toString() !== doctorId) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Access denied'
+            });
+        }
+
+        const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+
+        if (!doctor) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Doctor not found'
+            });
+        }
+
+        let schedule = await DoctorSchedule.findOne({ doctorId });
+
+        if (!schedule) {
+            schedule = new DoctorSchedule({ doctorId });
+        }
+
+        if (weeklyHours) schedule.weeklyHours = weeklyHours;
+        if (slotDuration) schedule.slotDuration = slotDuration;
+        if (bookingPolicy !== undefined) schedule.bookingPolicy = bookingPolicy || {};
+
+        const assignmentError = await validateAssignments(schedule.weeklyHours);
+
+        if (assignmentError) {
+            return res.status(400).json({
+                status: 'error',
+                message: assignmentError
+            });
+        }
+
+        await schedule.save();
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Schedule updated successfully',
+            data: {
+                schedule
+            }
+        });
+
+    } catch (error) {
+        console.error('Update doctor schedule error:', error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update doctor schedule'
+        });
+    }
+};
+
+/**
+ * Get bookable slots for a doctor within a date range
+ * With a typeId, only slots long enough for that appointment type are listed.
+ * The doctor's group sessions in the range are listed with their remaining seats
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDoctorSlots = async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        const from = req.query.from || getTodayKey();
+        const to = req.query.to || addDays(from, 6);
+
+        if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid doctor ID'
+            });
+        }
+
+        if (!isValidDateKey(from) || !isValidDateKey(to)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Dates must be in YYYY-MM-DD format'
+            });
+        }
+
+        const rangeError = validateRange(from, to);
+
+        if (rangeError) {
+            return res.status(400).json({
+                status: 'error',
+                message: rangeError
+            });
+        }
+
+        const doctor = await User.findOne({ _id: doctorId, role: 'doctor', isActive: true });
+
+        if (!doctor) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Doctor not found or inactive'
+            });
+        }
+
+        const type = req.query.typeId ? await AppointmentType.findForBooking(req.query.typeId, doctor) : null;
+
+        const { slotDuration, days } = await getAvailableSlots(doctorId, from, to, {
+            role: req.user.role,
+            duration: type ? type.duration : undefined,
+            bufferMinutes: type ? type.bufferMinutes : undefined
+        });
+        const groupSessions = await GroupSession.find({
+            doctorId,
+            status: 'scheduled',
+            startsAt: { $gte: startOfZonedDay(from), $lt: startOfZonedDay(addDays(to, 1)) }
+        }).sort({ startsAt: 1 });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                doctorId,
+                from,
+                to,
+                slotDuration,
+                typeId: type ? type._id : null,
+                days,
+                groupSessions: groupSessions.map(session => session.getDisplayDetails())
+            }
+        });
+
+    } catch (error) {
+        console.error('Get doctor slots error:', error);
+
+        if (error.status === 400) {
+            return res.status(400).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch available slots'
+        });
+    }
+};
+
+module.exports = {
+    getDoctorSchedule,
+    updateDoctorSchedule,
+    getDoctorSlots
+};
@@ -0,0 +1,503 @@
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const AppointmentType = require('../models/AppointmentType');
+const ReminderJob = require('../models/ReminderJob');
+const User = require('../models/User');
+const Waitlist = require('../models/Waitlist');
+const { checkAvailability } = require('../utils/availability');
+const {
+    isValidTime,
+    toDateKey,
+    combineDateAndTime,
+    startOfZonedDay,
+    getTodayKey
+} = require('../utils/timeUtils');
+const { parseRRule, validateRule } = require('../utils/recurrence');
+const {
+    getBookingPolicy,
+    checkBookingWindow,
+    getCutoffMessage,
+    checkNoShowPolicy
+} = require('../utils/bookingPolicy');
+
+/**
+ * Find a series the current user is allowed to see
+ * @param {string} seriesId - Series ID
+ * @param {Object} user - Current user
+ * @returns {Promise<Object|null>} - Series document or null
+ */
+const findSeriesForUser = async (seriesId, user) => {
+    const filter = { _id: seriesId };
+
+    if (user.role === 'patient') {
+        filter.patientId = user._id;
+    } else if (user.role === 'doctor') {
+        filter.doctorId = user._id;
+    }
+
+    return AppointmentSeries.findOne(filter);
+};
+
+/**
+ * Get occurrences of a series that have not happened yet and are still active
+ * @param {Object} series - Series document
+ * @returns {Promise<Array>} - Appointment documents
+ */
+const findUpcomingOccurrences = (series) => {
+    return Appointment.find({
+        seriesId: series._id,
+        status: { $in: ['pending', 'confirmed'] },
+        startsAt: { $gte: startOfZonedDay(getTodayKey()) }
+    }).sort({ startsAt: 1 });
+};
+
+/**
+ * Turn a booking error into a per-occurrence reason, rethrowing unexpected errors
+ * @param {Error} error - Error from saving an occurrence
+ * @returns {string} - Reason to report
+ */
+const getOccurrenceErrorReason = (error) => {
+    if (error.status || error.name === 'ValidationError') {
+        return error.message;
+    }
+    throw error;
+};
+
+/**
+ * Offer a slot that was just freed to the waitlist without delaying the response
+ * @param {Object} slot - Appointment or { doctorId, date, time, duration }
+ */
+const offerFreedSlot = (slot) => {
+    Waitlist.offerFreedSlot(slot).catch(error => {
+        console.error('Waitlist offer error:', error);
+    });
+};
+
+/**
+ * Remove a series whose booking failed part way, with the occurrences booked so far
+ * Appointments hold slot locks and schedule reminders as they are saved, so
+ * the occurrences cannot share a transaction with the series; they are
+ * deleted here instead. Their events are held back until the whole series is
+ * booked, so nobody has been told about them yet.
+ * @param {Object} series - Series document
+ * @returns {Promise<void>}
+ */
+const discardSeries = async (series) => {
+    const appointmentIds = await Appointment.find({ seriesId: series._id }).distinct('_id');
+
+    await ReminderJob.deleteMany({ appointmentId: { $in: appointmentIds } });
+    await Appointment.deleteMany({ _id: { $in: appointmentIds } });
+    await series.deleteOne();
+};
+
+/**
+ * Create a recurring appointment series
+ * Books every occurrence that is free and reports the ones that conflict
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createSeries = async (req, res) => {
+    try {
+        const { doctorId, startDate, time, duration, typeId, notes, symptoms, rrule } = req.body;
+        const patientId = req.user._id;
+
+        // Validate required fields
+        if (!doctorId || !startDate || !time || (!req.body.recurrence && !rrule)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Doctor ID, start date, time and a recurrence rule are required'
+            });
+        }
+
+        if (!isValidTime(time)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Please enter a valid time in HH:MM format'
+            });
+        }
+
+        const firstDate = new Date(startDate);
+        if (isNaN(firstDate) || combineDateAndTime(firstDate, time) <= new Date()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Series start date cannot be in the past'
+            });
+        }
+
+        let recurrence;
+        try {
+            recurrence = rrule ? parseRRule(rrule) : req.body.recurrence;
+        } catch (parseError) {
+            return res.status(400).json({
+                status: 'error',
+                message: parseError.message
+            });
+        }
+
+        const ruleError = validateRule(recurrence, firstDate);
+        if (ruleError) {
+            return res.status(400).json({
+                status: 'error',
+                message: ruleError
+            });
+        }
+
+        // Check if doctor exists and is active
+        const doctor = await User.findOne({ _id: doctorId, role: 'doctor', isActive: true });
+
+        if (!doctor) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Doctor not found or inactive'
+            });
+        }
+
+        const noShowCheck = await checkNoShowPolicy(patientId);
+
+        if (noShowCheck.action === 'block') {
+            return res.status(403).json({
+                status: 'error',
+                message: noShowCheck.message
+            });
+        }
+
+        const booking = await AppointmentType.resolveBooking({ typeId, duration }, doctor, req.user.role);
+
+        const series = new AppointmentSeries({
+            patientId,
+            doctorId,
+            startDate: firstDate,
+            time,
+            duration: booking.duration,
+            typeId: booking.typeId,
+            recurrence,
+            notes,
+            symptoms
+        });
+
+        const policy = await getBookingPolicy(doctorId);
+
+        await series.save();
+
+        // Book each occurrence independently so one conflict does not sink the series
+        const occurrences = [];
+        const booked = [];
+
+        try {
+            for (const dateKey of series.getOccurrenceDates()) {
+                const startsAt = combineDateAndTime(dateKey, time);
+                const windowError = checkBookingWindow(policy, startsAt, req.user.role);
+
+                if (windowError) {
+                    occurrences.push({ date: dateKey, status: 'conflict', reason: windowError });
+                    continue;
+                }
+
+                const availability = await checkAvailability(doctorId, dateKey, time, booking.duration, {
+                    bufferMinutes: booking.bufferMinutes
+                });
+
+                if (!availability.available) {
+                    occurrences.push({ date: dateKey, status: 'conflict', reason: availability.reason });
+                    continue;
+                }
+
+                try {
+                    const appointment = new Appointment({
+                        patientId,
+                        doctorId,
+                        startsAt,
+                        notes,
+                        symptoms,
+                        ...booking,
+                        seriesId: series._id,
+                        requiresApproval: noShowCheck.action === 'approval',
+                        locationId: availability.locationId,
+                        roomId: availability.roomId
+                    });
+
+                    appointment.holdEvent();
+                    await appointment.save();
+                    booked.push(appointment);
+                    occurrences.push({ date: dateKey, status: 'booked', appointmentId: appointment._id });
+                } catch (error) {
+                    occurrences.push({ date: dateKey, status: 'conflict', reason: getOccurrenceErrorReason(error) });
+                }
+            }
+        } catch (error) {
+            // Unexpected errors leave no half-booked series behind
+            try {
+                await discardSeries(series);
+            } catch (cleanupError) {
+                console.error('Failed to discard series:', cleanupError);
+            }
+            throw error;
+        }
+
+        // The series stands, so patients and staff can now hear about its appointments
+        booked.forEach(appointment => appointment.announceHeldEvent());
+
+        const bookedCount = booked.length;
+
+        if (bookedCount === 0) {
+            await series.deleteOne();
+
+            return res.status(409).json({
+                status: 'error',
+                message: 'None of the occurrences in this series could be booked',
+                data: {
+                    occurrences
+                }
+            });
+        }
+
+        res.status(201).json({
+            status: 'success',
+            message: `Booked ${bookedCount} of ${occurrences.length} appointments in the series`,
+            data: {
+                series: series.getDisplayDetails(),
+                occurrences
+            }
+        });
+
+    } catch (error) {
+        console.error('Create series error:', error);
+
+        if (error.status === 400) {
+            return res.status(400).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to create appointment series'
+        });
+    }
+};
+
+/**
+ * Get a series with all of its occurrences
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSeriesById = async (req, res) => {
+    try {
+        const series = await findSeriesForUser(req.params.seriesId, req.user);
+
+        if (!series) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Appointment series not found'
+            });
+        }
+
+        const appointments = await Appointment.getAppointmentsWithUsers({ seriesId: series._id });
+        const policy = await getBookingPolicy(series.doctorId);
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                series: series.getDisplayDetails(),
+                appointments: appointments.map(apt => ({
+                    ...apt.getDisplayDetails({ role: req.user.role, policy }),
+                    patient: apt.patientId,
+                    doctor: apt.doctorId
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get series error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch appointment series'
+        });
+    }
+};
+
+/**
+ * Update all upcoming occurrences of a series (time, notes, symptoms)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateSeries = async (req, res) => {
+    try {
+        const { time, notes, symptoms, reason } = req.body;
+
+        if (time && !isValidTime(time)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Please enter a valid time in HH:MM format'
+            });
+        }
+
+        const series = await findSeriesForUser(req.params.seriesId, req.user);
+
+        if (!series || series.status !== 'active') {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Active appointment series not found'
+            });
+        }
+
+        const policy = await getBookingPolicy(series.doctorId);
+        const occurrences = [];
+
+        for (const appointment of await findUpcomingOccurrences(series)) {
+            const dateKey = toDateKey(appointment.date);
+            const previousSlot = {
+                doctorId: appointment.doctorId,
+                date: appointment.date,
+                time: appointment.time,
+                duration: appointment.duration
+            };
+
+            if (notes !== undefined) appointment.notes = notes;
+            if (symptoms !== undefined) appointment.symptoms = symptoms;
+
+            if (time && time !== appointment.time) {
+                if (!appointment.canBeCancelled(policy, req.user.role)) {
+                    occurrences.push({ date: dateKey, status: 'skipped', reason: getCutoffMessage(policy, 'rescheduled') });
+                    continue;
+                }
+
+                const newStart = combineDateAndTime(dateKey, time);
+                const windowError = checkBookingWindow(policy, newStart, req.user.role);
+
+                if (windowError) {
+                    occurrences.push({ date: dateKey, status: 'conflict', reason: windowError });
+                    continue;
+                }
+
+                const availability = await checkAvailability(appointment.doctorId, appointment.date, time, appointment.duration, {
+                    bufferMinutes: appointment.bufferMinutes,
+                    excludeAppointmentId: appointment._id
+                });
+
+                if (!availability.available) {
+                    occurrences.push({ date: dateKey, status: 'conflict', reason: availability.reason });
+                    continue;
+                }
+
+                appointment.reschedule(newStart, req.user._id, reason, availability);
+            }
+
+            try {
+                await appointment.save();
+                occurrences.push({ date: dateKey, status: 'updated', appointmentId: appointment._id });
+
+                if (appointment.time !== previousSlot.time) {
+                    offerFreedSlot(previousSlot);
+                }
+            } catch (error) {
+                occurrences.push({ date: dateKey, status: 'conflict', reason: getOccurrenceErrorReason(error) });
+            }
+        }
+
+        if (time) series.time = time;
+        if (notes !== undefined) series.notes = notes;
+        if (symptoms !== undefined) series.symptoms = symptoms;
+        await series.save();
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Appointment series updated',
+            data: {
+                series: series.getDisplayDetails(),
+                occurrences
+            }
+        });
+
+    } catch (error) {
+        console.error('Update series error:', error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update appointment series'
+        });
+    }
+};
+
+/**
+ * Cancel all upcoming occurrences of a series
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelSeries = async (req, res) => {
+    try {
+        const series = await findSeriesForUser(req.params.seriesId, req.user);
+
+        if (!series || series.status !== 'active') {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Active appointment series not found'
+            });
+        }
+
+        const policy = await getBookingPolicy(series.doctorId);
+        const occurrences = [];
+
+        for (const appointment of await findUpcomingOccurrences(series)) {
+            const dateKey = toDateKey(appointment.date);
+
+            if (!appointment.canBeCancelled(policy, req.user.role)) {
+                occurrences.push({ date: dateKey, status: 'skipped', reason: getCutoffMessage(policy) });
+                continue;
+            }
+
+            try {
+                appointment.transitionTo('cancelled', req.user);
+                await appointment.save();
+                occurrences.push({ date: dateKey, status: 'cancelled', appointmentId: appointment._id });
+                offerFreedSlot(appointment);
+            } catch (error) {
+                occurrences.push({ date: dateKey, status: 'skipped', reason: getOccurrenceErrorReason(error) });
+            }
+        }
+
+        series.status = 'cancelled';
+        await series.save();
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Appointment series cancelled',
+            data: {
+                occurrences
+            }
+        });
+
+    } catch (error) {
+        console.error('Cancel series error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to cancel appointment series'
+        });
+    }
+};
+
+module.exports = {
+    createSeries,
+    getSeriesById,
+    updateSeries,
+    cancelSeries
+};
@@ -0,0 +1,121 @@
+const ClinicSettings = require('../models/ClinicSettings');
+const User = require('../models/User');
+const { BOOKING_POLICY_FIELDS } = require('../config/policies');
+const { CLINIC_TIMEZONE } = require('../config/clinic');
+const { getBookingPolicy } = require('../utils/bookingPolicy');
+
+/**
+ * Get clinic-wide settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSettings = async (req, res) => {
+    try {
+        const settings = await ClinicSettings.getSettings();
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                bookingPolicy: settings.bookingPolicy,
+                timezone: CLINIC_TIMEZONE,
+                isDefault: settings.isNew
+            }
+        });
+
+    } catch (error) {
+        console.error('Get settings error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch settings'
+        });
+    }
+};
+
+/**
+ * Update the clinic booking policy (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateSettings = async (req, res) => {
+    try {
+        const { bookingPolicy = {} } = req.body;
+        const settings = await ClinicSettings.getSettings();
+
+        BOOKING_POLICY_FIELDS.forEach(field => {
+            if (bookingPolicy[field] !== undefined) {
+                settings.bookingPolicy[field] = bookingPolicy[field];
+            }
+        });
+
+        await settings.save();
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Settings updated successfully',
+            data: {
+                bookingPolicy: settings.bookingPolicy
+            }
+        });
+
+    } catch (error) {
+        console.error('Update settings error:', error);
+
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            const errors = error.errors ? Object.values(error.errors).map(err => err.message) : [error.message];
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update settings'
+        });
+    }
+};
+
+/**
+ * Get the booking policy that applies to a doctor, with their overrides applied
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDoctorBookingPolicy = async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+
+        const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+
+        if (!doctor) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Doctor not found'
+            });
+        }
+
+        const bookingPolicy = await getBookingPolicy(doctorId);
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                doctorId,
+                bookingPolicy,
+                timezone: CLINIC_TIMEZONE
+            }
+        });
+
+    } catch (error) {
+        console.error('Get doctor booking policy error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch booking policy'
+        });
+    }
+};
+
+module.exports = {
+    getSettings,
+    updateSettings,
+    getDoctorBookingPolicy
+};
@@ -0,0 +1,406 @@
+const Appointment = require('../models/Appointment');
+const TimeOff = require('../models/TimeOff');
+const User = require('../models/User');
+const { findNextAvailableSlot } = require('../utils/availability');
+const { parseTimeOffRange } = require('../utils/timeOff');
+const {
+    MS_PER_DAY,
+    isValidDateKey,
+    addDays,
+    combineDateAndTime,
+    startOfZonedDay,
+    toZonedDateKey,
+    getTodayKey,
+    doIntervalsOverlap
+} = require('../utils/timeUtils');
+
+/**
+ * Check if a user may manage a time off block
+ * @param {Object} user - Current user
+ * @param {Object} timeOff - Time off document
+ * @returns {boolean} - True for admins, and for doctors on their own blocks
+ */
+const canManageTimeOff = (user, timeOff) => {
+    if (user.role === 'admin') {
+        return true;
+    }
+
+    return user.role === 'doctor' &&
+        timeOff.scope === 'doctor' &&
+        timeOff.doctorId.toString() === user._id.toString();
+};
+
+/**
+ * Find active appointments that fall inside a time off block
+ * @param {Object} timeOff - Time off document
+ * @returns {Promise<Array>} - Appointment documents with users populated
+ */
+const findConflicts = async (timeOff) => {
+    const filter = {
+        status: { $in: ['pending', 'confirmed'] },
+        // Appointments starting the day before may run into the block
+        startsAt: {
+            $gt: new Date(timeOff.startsAt.getTime() - MS_PER_DAY),
+            $lt: timeOff.endsAt
+        }
+    };
+
+    if (timeOff.scope === 'doctor') {
+        filter.doctorId = timeOff.doctorId;
+    }
+
+    const appointments = await Appointment.find(filter)
+        .populate('patientId', 'name email phone')
+        .populate('doctorId', 'name specialization')
+        .sort({ startsAt: 1 });
+
+    return appointments.filter(apt => doIntervalsOverlap(apt.startsAt, apt.endsAt, timeOff.startsAt, timeOff.endsAt));
+};
+
+/**
+ * Summarize a conflicting appointment for staff
+ * @param {Object} appointment - Appointment document with users populated
+ * @returns {Object} - Conflict details
+ */
+const formatConflict = (appointment) => ({
+    appointmentId: appointment._id,
+    startsAt: appointment.startsAt,
+    timezone: appointment.timezone,
+    date: appointment.date,
+    time: appointment.time,
+    duration: appointment.duration,
+    status: appointment.status,
+    patient: appointment.patientId,
+    doctor: appointment.doctorId
+});
+
+/**
+ * Find a time off block the current user may manage, sending the error response if not
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Time off document, or null if a response was sent
+ */
+const findManageableTimeOff = async (req, res) => {
+    const timeOff = await TimeOff.findById(req.params.timeOffId);
+
+    if (!timeOff) {
+        res.status(404).json({
+            status: 'error',
+            message: 'Time off not found'
+        });
+        return null;
+    }
+
+    if (!canManageTimeOff(req.user, timeOff)) {
+        res.status(403).json({
+            status: 'error',
+            message: 'Access denied'
+        });
+        return null;
+    }
+
+    return timeOff;
+};
+
+/**
+ * Create a time off block (doctors for themselves, admins for any doctor or the whole clinic)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createTimeOff = async (req, res) => {
+    try {
+        const { reason, note } = req.body;
+        const scope = req.body.scope || 'doctor';
+        let doctorId = req.body.doctorId;
+
+        if (req.user.role === 'doctor') {
+            if (scope !== 'doctor' || (doctorId && doctorId !== req.user._id.toString())) {
+                return res.status(403).json({
+                    status: 'error',
+                    message: 'Doctors can only add time off for themselves'
+                });
+            }
+            doctorId = req.user._id;
+        }
+
+        if (scope === 'doctor') {
+            const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+
+            if (!doctor) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'Doctor not found'
+                });
+            }
+        }
+
+        const range = parseTimeOffRange(req.body);
+
+        if (range.error) {
+            return res.status(400).json({
+                status: 'error',
+                message: range.error
+            });
+        }
+
+        const timeOff = new TimeOff({
+            scope,
+            doctorId: scope === 'doctor' ? doctorId : null,
+            startsAt: range.startsAt,
+            endsAt: range.endsAt,
+            allDay: range.allDay,
+            reason: reason || (scope === 'clinic' ? 'holiday' : undefined),
+            note,
+            createdBy: req.user._id
+        });
+
+        await timeOff.save();
+
+        const conflicts = await findConflicts(timeOff);
+
+        res.status(201).json({
+            status: 'success',
+            message: conflicts.length > 0
+                ? `Time off added; ${conflicts.length} existing appointment(s) fall inside it`
+                : 'Time off added successfully',
+            data: {
+                timeOff: timeOff.getDisplayDetails(),
+                conflicts: conflicts.map(formatConflict)
+            }
+        });
+
+    } catch (error) {
+        console.error('Create time off error:', error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to add time off'
+        });
+    }
+};
+
+/**
+ * List time off within a date range
+ * With doctorId: that doctor's blocks plus clinic closures. Without it,
+ * doctors see their own, admins see everything and patients see closures.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTimeOff = async (req, res) => {
+    try {
+        const from = req.query.from || getTodayKey();
+        const to = req.query.to || addDays(from, 89);
+
+        if (!isValidDateKey(from) || !isValidDateKey(to) || to < from) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Please provide a valid from/to range in YYYY-MM-DD format'
+            });
+        }
+
+        const rangeStart = startOfZonedDay(from);
+        const rangeEnd = startOfZonedDay(addDays(to, 1));
+        const doctorId = req.query.doctorId || (req.user.role === 'doctor' ? req.user._id : null);
+        let blocks;
+
+        if (doctorId) {
+            blocks = await TimeOff.findForDoctor(doctorId, rangeStart, rangeEnd);
+        } else {
+            const filter = { startsAt: { $lt: rangeEnd }, endsAt: { $gt: rangeStart } };
+
+            if (req.user.role !== 'admin') {
+                filter.scope = 'clinic';
+            }
+
+            blocks = await TimeOff.find(filter)
+                .populate('doctorId', 'name specialization')
+                .sort({ startsAt: 1 });
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                timeOff: blocks.map(block => ({
+                    ...block.getDisplayDetails(),
+                    canManage: canManageTimeOff(req.user, block)
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get time off error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch time off'
+        });
+    }
+};
+
+/**
+ * List appointments that collide with a time off block
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTimeOffConflicts = async (req, res) => {
+    try {
+        const timeOff = await findManageableTimeOff(req, res);
+
+        if (!timeOff) {
+            return;
+        }
+
+        const conflicts = await findConflicts(timeOff);
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                timeOff: timeOff.getDisplayDetails(),
+                conflicts: conflicts.map(formatConflict)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get time off conflicts error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch conflicting appointments'
+        });
+    }
+};
+
+/**
+ * Cancel or reschedule appointments that collide with a time off block
+ * Rescheduling moves each appointment to the doctor's next free time after the block.
+ * Each appointment is handled independently and reported in the results.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resolveTimeOffConflicts = async (req, res) => {
+    try {
+        const { action, appointmentIds, reason } = req.body;
+
+        if (!['cancel', 'reschedule'].includes(action)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Action must be cancel or reschedule'
+            });
+        }
+
+        const timeOff = await findManageableTimeOff(req, res);
+
+        if (!timeOff) {
+            return;
+        }
+
+        let conflicts = await findConflicts(timeOff);
+
+        if (Array.isArray(appointmentIds)) {
+            conflicts = conflicts.filter(apt => appointmentIds.includes(apt._id.toString()));
+        }
+
+        // Search from the day the block ends, or today if it has already ended
+        const today = getTodayKey();
+        const endDay = toZonedDateKey(timeOff.endsAt);
+        const searchFrom = endDay > today ? endDay : today;
+        const results = [];
+
+        for (const appointment of conflicts) {
+            // Populated refs would be saved back as whole documents otherwise
+            appointment.depopulate('patientId');
+            appointment.depopulate('doctorId');
+
+            try {
+                if (action === 'cancel') {
+                    appointment.transitionTo('cancelled', req.user);
+                    await appointment.save();
+                    results.push({ appointmentId: appointment._id, status: 'cancelled' });
+                    continue;
+                }
+
+                const slot = await findNextAvailableSlot(appointment.doctorId, searchFrom, appointment.duration, {
+                    role: req.user.role,
+                    bufferMinutes: appointment.bufferMinutes,
+                    excludeAppointmentId: appointment._id,
+                    notBefore: timeOff.endsAt
+                });
+
+                if (!slot) {
+                    results.push({ appointmentId: appointment._id, status: 'failed', reason: 'No free time found after the time off' });
+                    continue;
+                }
+
+                appointment.reschedule(combineDateAndTime(slot.date, slot.time), req.user._id, reason || 'Doctor unavailable', slot);
+                await appointment.save();
+                results.push({ appointmentId: appointment._id, status: 'rescheduled', date: slot.date, time: slot.time });
+            } catch (error) {
+                if (!error.status && error.name !== 'ValidationError') {
+                    throw error;
+                }
+                results.push({ appointmentId: appointment._id, status: 'failed', reason: error.message });
+            }
+        }
+
+        const failedCount = results.filter(result => result.status === 'failed').length;
+
+        res.status(200).json({
+            status: 'success',
+            message: `${results.length - failedCount} of ${results.length} appointment(s) ${action === 'cancel' ? 'cancelled' : 'rescheduled'}`,
+            data: {
+                results
+            }
+        });
+
+    } catch (error) {
+        console.error('Resolve time off conflicts error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update conflicting appointments'
+        });
+    }
+};
+
+/**
+ * Delete a time off block
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteTimeOff = async (req, res) => {
+    try {
+        const timeOff = await findManageableTimeOff(req, res);
+
+        if (!timeOff) {
+            return;
+        }
+
+        await timeOff.deleteOne();
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Time off removed successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete time off error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to remove time off'
+        });
+    }
+};
+
+module.exports = {
+    createTimeOff,
+    getTimeOff,
+    getTimeOffConflicts,
+    resolveTimeOffConflicts,
+    deleteTimeOff
+};
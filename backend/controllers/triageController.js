@@ -0,0 +1,268 @@
+const Appointment = require('../models/Appointment');
+const DoctorSchedule = require('../models/DoctorSchedule');
+const {
+    isValidTime,
+    addDays,
+    addMinutes,
+    getDayOfWeek,
+    combineDateAndTime,
+    startOfZonedDay,
+    toDateKey,
+    getTodayKey
+} = require('../utils/timeUtils');
+const { getUnavailableIntervals, assignRoom } = require('../utils/availability');
+const { getBookingPolicy } = require('../utils/bookingPolicy');
+
+const TRIAGE_ACTIONS = ['keep', 'overbook', 'downgrade'];
+
+/**
+ * Count a doctor's active overbooked appointments on a day
+ * Cancelled and no-show overbooks do not use up the cap
+ * @param {string} doctorId - Doctor ID
+ * @param {string} dateKey - Day (YYYY-MM-DD)
+ * @returns {Promise<number>} - Number of overbooked appointments
+ */
+const countOverbooksOn = (doctorId, dateKey) => {
+    return Appointment.countDocuments({
+        doctorId,
+        isOverbooked: true,
+        startsAt: { $gte: startOfZonedDay(dateKey), $lt: startOfZonedDay(addDays(dateKey, 1)) },
+        status: { $nin: ['cancelled', 'no_show'] }
+    });
+};
+
+/**
+ * Get urgent bookings awaiting review, oldest first
+ * Doctors see their own; admins see every doctor's or filter by doctorId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTriageQueue = async (req, res) => {
+    try {
+        const filter = {
+            'triage.status': 'awaiting_review',
+            status: { $in: ['pending', 'confirmed'] }
+        };
+
+        if (req.user.role === 'doctor') {
+            filter.doctorId = req.user._id;
+        } else if (req.query.doctorId) {
+            filter.doctorId = req.query.doctorId;
+        }
+
+        const appointments = await Appointment.find(filter)
+            .populate('patientId', 'name email phone')
+            .populate('doctorId', 'name email phone specialization')
+            .sort({ createdAt: 1 });
+
+        let overbookSlots;
+
+        if (req.user.role === 'doctor') {
+            const policy = await getBookingPolicy(req.user._id);
+            overbookSlots = {
+                maxPerDay: policy.maxOverbooksPerDay,
+                usedToday: await countOverbooksOn(req.user._id, getTodayKey())
+            };
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                appointments: appointments.map(apt => ({
+                    ...apt.getDisplayDetails({ role: req.user.role }),
+                    patient: apt.patientId,
+                    doctor: apt.doctorId
+                })),
+                overbookSlots
+            }
+        });
+
+    } catch (error) {
+        console.error('Get triage queue error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid doctor ID'
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch triage queue'
+        });
+    }
+};
+
+/**
+ * Review an urgent booking (doctor of the appointment or admin)
+ * keep: leave it in its slot; overbook: squeeze it in at { date, time } even if
+ * that time is booked, within the doctor's hours and daily overbook cap and in
+ * a free room at the doctor's location for that day;
+ * downgrade: treat it as a routine booking. Pending bookings are confirmed
+ * unless they are downgraded or still need admin approval.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reviewUrgentAppointment = async (req, res) => {
+    try {
+        const { action, date, time, note } = req.body;
+
+        if (!TRIAGE_ACTIONS.includes(action)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Action must be one of: ${TRIAGE_ACTIONS.join(', ')}`
+            });
+        }
+
+        const appointment = await Appointment.findById(req.params.appointmentId);
+
+        if (!appointment || appointment.triage.status !== 'awaiting_review') {
+            return res.status(404).json({
+                status: 'error',
+                message: 'No urgent booking awaiting review found'
+            });
+        }
+
+        if (req.user.role === 'doctor' && !appointment.doctorId.equals(req.user._id)) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Access denied'
+            });
+        }
+
+        if (!['pending', 'confirmed'].includes(appointment.status)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Cannot review a ${appointment.status} appointment`
+            });
+        }
+
+        if (action === 'overbook') {
+            if (!date || isNaN(new Date(date)) || !isValidTime(time)) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'A date and a time in HH:MM format are required to overbook'
+                });
+            }
+
+            const dateKey = toDateKey(date);
+            const newStart = combineDateAndTime(dateKey, time);
+
+            if (newStart <= new Date()) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Appointment date cannot be in the past'
+                });
+            }
+
+            const policy = await getBookingPolicy(appointment.doctorId);
+
+            if (policy.maxOverbooksPerDay === 0) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Overbooking is turned off for this doctor'
+                });
+            }
+
+            // Overbooking skips the clash with other bookings, not the doctor's hours or unavailable times
+            const schedule = await DoctorSchedule.findForDoctor(appointment.doctorId);
+
+            if (!schedule.isWithinSchedule(getDayOfWeek(dateKey), time, appointment.duration)) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: "Requested time is outside the doctor's schedule"
+                });
+            }
+
+            const blocked = await getUnavailableIntervals(
+                appointment.doctorId,
+                newStart,
+                addMinutes(newStart, appointment.duration)
+            );
+
+            if (blocked.length > 0) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'The doctor is unavailable at the requested time'
+                });
+            }
+
+            // The doctor's slot may be taken, but the visit still needs the day's location and a free room
+            const placement = await assignRoom(
+                schedule,
+                dateKey,
+                newStart,
+                addMinutes(newStart, appointment.duration + (appointment.bufferMinutes || 0)),
+                { excludeAppointmentId: appointment._id }
+            );
+
+            if (placement.reason) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: placement.reason
+                });
+            }
+
+            appointment.overbook(newStart, req.user._id, policy.maxOverbooksPerDay, note, placement);
+        }
+
+        appointment.completeTriage(
+            { keep: 'kept', overbook: 'overbooked', downgrade: 'downgraded' }[action],
+            req.user._id,
+            note
+        );
+
+        if (action !== 'downgrade' && appointment.getAllowedStatusChanges(req.user.role).includes('confirmed')) {
+            appointment.transitionTo('confirmed', req.user);
+        }
+
+        await appointment.save();
+
+        await appointment.populate('patientId', 'name email phone');
+        await appointment.populate('doctorId', 'name email phone specialization');
+
+        res.status(200).json({
+            status: 'success',
+            message: action === 'overbook'
+                ? 'Urgent appointment squeezed in'
+                : 'Urgent appointment reviewed',
+            data: {
+                appointment: {
+                    ...appointment.getDisplayDetails({ role: req.user.role }),
+                    patient: appointment.patientId,
+                    doctor: appointment.doctorId
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Review urgent appointment error:', error);
+
+        if (error.status) {
+            return res.status(error.status).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to review urgent appointment'
+        });
+    }
+};
+
+module.exports = {
+    getTriageQueue,
+    reviewUrgentAppointment
+};
@@ -1,4 +1,15 @@
 const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const DoctorSchedule = require('../models/DoctorSchedule');
+
+const USER_ROLES = ['patient', 'doctor', 'admin'];
+
+/**
+ * Escape text for literal use in a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 /**
  * Get user profile
@@ -35,6 +46,14 @@ const getUserProfile = async (req, res) => {
         
     } catch (error) {
         console.error('Get user profile error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid user ID'
+            });
+        }
+
         res.status(500).json({
             status: 'error',
             message: 'Failed to fetch user profile'
@@ -50,7 +69,7 @@ const getUserProfile = async (req, res) => {
 const updateUserProfile = async (req, res) => {
     try {
         const userId = req.params.userId || req.user._id;
-        const { name, phone, specialization } = req.body;
+        const { name, phone, specialization, locale } = req.body;
         
         // Check if user is updating their own profile or is admin
         if (req.user.role !== 'admin' && req.user._id.toString() !== userId.toString()) {
@@ -73,6 +92,7 @@ const updateUserProfile = async (req, res) => {
         if (name) user.name = name;
         if (phone) user.phone = phone;
         if (specialization) user.specialization = specialization;
+        if (locale) user.locale = locale;
         
         await user.save();
         
@@ -168,18 +188,26 @@ const changePassword = async (req, res) => {
 
 /**
  * Get all users (admin only)
+ * Filters: role, status (active or inactive), and search on name or email
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const getAllUsers = async (req, res) => {
     try {
-        const { role, limit = 20, page = 1 } = req.query;
+        const { role, status, search, limit = 20, page = 1 } = req.query;
         
         // Build filter
         let filter = {};
-        if (role && ['patient', 'doctor', 'admin'].includes(role)) {
+        if (role && USER_ROLES.includes(role)) {
             filter.role = role;
         }
+        if (status === 'active' || status === 'inactive') {
+            filter.isActive = status === 'active';
+        }
+        if (search && search.trim()) {
+            const pattern = { $regex: escapeRegex(search.trim()), $options: 'i' };
+            filter.$or = [{ name: pattern }, { email: pattern }];
+        }
         
         // Calculate pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -272,20 +300,103 @@ const updateUserStatus = async (req, res) => {
     }
 };
 
+/**
+ * Change a user's role (admin only)
+ * A doctor with upcoming appointments keeps the role until those are moved
+ * or cancelled, since they would otherwise be left without a doctor.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateUserRole = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { role } = req.body;
+        
+        if (!USER_ROLES.includes(role)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Role must be one of: ${USER_ROLES.join(', ')}`
+            });
+        }
+        
+        const user = await User.findById(userId);
+        
+        if (!user) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'User not found'
+            });
+        }
+        
+        // Prevent admin from demoting themselves
+        if (user._id.toString() === req.user._id.toString()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Cannot change your own role'
+            });
+        }
+        
+        if (user.role === 'doctor' && role !== 'doctor') {
+            const upcoming = await Appointment.countDocuments({
+                doctorId: user._id,
+                status: { $in: ['pending', 'confirmed'] },
+                startsAt: { $gte: new Date() }
+            });
+            
+            if (upcoming > 0) {
+                return res.status(409).json({
+                    status: 'error',
+                    message: `Dr. ${user.name} still has ${upcoming} upcoming appointment(s); reassign or cancel them first`
+                });
+            }
+        }
+        
+        user.role = role;
+        await user.save();
+        
+        res.status(200).json({
+            status: 'success',
+            message: `User is now ${role === 'admin' ? 'an' : 'a'} ${role}`,
+            data: {
+                user: user.getProfile()
+            }
+        });
+        
+    } catch (error) {
+        console.error('Update user role error:', error);
+        
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid user ID'
+            });
+        }
+        
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to update user role'
+        });
+    }
+};
+
 /**
  * Get doctors list (for patients to book appointments)
+ * Filters: specialization, and locationId for doctors working there on any weekday
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const getDoctors = async (req, res) => {
     try {
-        const { specialization } = req.query;
+        const { specialization, locationId } = req.query;
         
         // Build filter
         let filter = { role: 'doctor', isActive: true };
         if (specialization) {
             filter.specialization = { $regex: specialization, $options: 'i' };
         }
+        if (locationId) {
+            filter._id = { $in: await DoctorSchedule.findDoctorIdsAtLocation(locationId) };
+        }
         
         const doctors = await User.find(filter)
             .select('name email phone specialization')
@@ -300,6 +411,14 @@ const getDoctors = async (req, res) => {
         
     } catch (error) {
         console.error('Get doctors error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid location ID'
+            });
+        }
+
         res.status(500).json({
             status: 'error',
             message: 'Failed to fetch doctors'
@@ -313,5 +432,6 @@ module.exports = {
     changePassword,
     getAllUsers,
     updateUserStatus,
+    updateUserRole,
     getDoctors
 }; 
\ No newline at end of file
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Invite = require('../models/Invite');
+const { prepareUserImport } = require('../utils/userImport');
+const { sendInviteEmail } = require('../utils/inviteMailer');
+
+/**
+ * Summarise an import row for the response
+ * @param {Object} entry - { row, user, errors }
+ * @returns {Object} - Row report
+ */
+const toRowReport = ({ row, user, errors }) => ({
+    row,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    errors
+});
+
+/**
+ * Import doctors and patients from a CSV file (admin only)
+ * The body is the CSV text (Content-Type: text/csv) with the columns name,
+ * email, role, phone and specialization. With ?dryRun=true the rows are only
+ * validated. Otherwise either every user is created or, if any row is
+ * invalid, none are; created users get an emailed invite to set a password.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const importUsers = async (req, res) => {
+    try {
+        const dryRun = req.query.dryRun === 'true';
+        const entries = await prepareUserImport(req.body);
+        const invalid = entries.filter(entry => entry.errors.length > 0).length;
+        const summary = {
+            dryRun,
+            total: entries.length,
+            valid: entries.length - invalid,
+            invalid,
+            rows: entries.map(toRowReport)
+        };
+
+        if (dryRun) {
+            return res.status(200).json({
+                status: 'success',
+                message: invalid > 0
+                    ? `${invalid} of ${entries.length} rows have errors`
+                    : `All ${entries.length} rows are valid`,
+                data: summary
+            });
+        }
+
+        if (invalid > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: `${invalid} of ${entries.length} rows have errors; no users were imported`,
+                data: summary
+            });
+        }
+
+        const users = entries.map(entry => entry.user);
+        const invites = users.map(user => Invite.build(user._id, req.user._id));
+
+        // All users and invites are written, or none are
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                await User.insertMany(users, { session });
+                await Invite.insertMany(invites.map(({ invite }) => invite), { session });
+            });
+        } finally {
+            session.endSession();
+        }
+
+        let invitesSent = 0;
+        for (let i = 0; i < users.length; i++) {
+            if (await sendInviteEmail(users[i], invites[i].invite, invites[i].token)) {
+                invitesSent++;
+            }
+        }
+
+        res.status(201).json({
+            status: 'success',
+            message: `Imported ${users.length} users`,
+            data: {
+                ...summary,
+                invitesSent,
+                users: users.map(user => user.getProfile())
+            }
+        });
+
+    } catch (error) {
+        console.error('Import users error:', error);
+
+        if (error.status) {
+            return res.status(error.status).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+
+        // Another request created one of the emails since the rows were checked
+        if (error.code === 11000) {
+            return res.status(409).json({
+                status: 'error',
+                message: 'A user with one of these emails was just created; no users were imported'
+            });
+        }
+
+        // Transactions need a replica set (or mongos); a standalone server refuses them
+        if (error.code === 20) {
+            return res.status(500).json({
+                status: 'error',
+                message: 'Bulk import needs MongoDB to run as a replica set'
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to import users'
+        });
+    }
+};
+
+/**
+ * Send a new invite to a user who has not accepted theirs (admin only)
+ * Any earlier invite link stops working.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resendInvite = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid user ID'
+            });
+        }
+
+        const user = await User.findById(userId);
+
+        if (!user) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'User not found'
+            });
+        }
+
+        if (!user.invitePending) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'User has already accepted their invite'
+            });
+        }
+
+        await Invite.expireForUser(user._id);
+        const { invite, token } = Invite.build(user._id, req.user._id);
+        await invite.save();
+
+        const emailSent = await sendInviteEmail(user, invite, token);
+
+        res.status(200).json({
+            status: 'success',
+            message: emailSent ? 'Invite sent' : 'Invite created, but the email could not be sent',
+            data: {
+                emailSent,
+                expiresAt: invite.expiresAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Resend invite error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to resend invite'
+        });
+    }
+};
+
+module.exports = {
+    importUsers,
+    resendInvite
+};
@@ -0,0 +1,365 @@
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const Waitlist = require('../models/Waitlist');
+const { checkAvailability } = require('../utils/availability');
+const { getBookingPolicy, checkNoShowPolicy } = require('../utils/bookingPolicy');
+const { isValidDateKey, startOfDay, addDays, combineDateAndTime, getTodayKey } = require('../utils/timeUtils');
+
+const MAX_WAITLIST_RANGE_DAYS = 90;
+
+/**
+ * Offer a released slot to the next person in line, logging failures
+ * @param {Object} slot - { doctorId, date, time, duration }
+ */
+const offerToNext = async (slot) => {
+    try {
+        await Waitlist.offerSlot(slot);
+    } catch (error) {
+        console.error('Waitlist offer error:', error);
+    }
+};
+
+/**
+ * Find a waitlist entry owned by the current patient
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - Waitlist entry or null
+ */
+const findOwnEntry = (req) => {
+    return Waitlist.findOne({ _id: req.params.entryId, patientId: req.user._id });
+};
+
+/**
+ * Join the waitlist for a doctor within a date range
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const joinWaitlist = async (req, res) => {
+    try {
+        const { doctorId, fromDate, toDate } = req.body;
+        const patientId = req.user._id;
+
+        // Validate required fields
+        if (!doctorId || !fromDate || !toDate) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Doctor ID, from date and to date are required'
+            });
+        }
+
+        if (!isValidDateKey(fromDate) || !isValidDateKey(toDate)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Dates must be in YYYY-MM-DD format'
+            });
+        }
+
+        if (toDate < fromDate || fromDate < getTodayKey()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Date range must start today or later and end after it starts'
+            });
+        }
+
+        if (toDate > addDays(fromDate, MAX_WAITLIST_RANGE_DAYS)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Date range cannot exceed ${MAX_WAITLIST_RANGE_DAYS} days`
+            });
+        }
+
+        // Check if doctor exists and is active
+        const doctor = await User.findOne({ _id: doctorId, role: 'doctor', isActive: true });
+
+        if (!doctor) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Doctor not found or inactive'
+            });
+        }
+
+        const noShowCheck = await checkNoShowPolicy(patientId);
+
+        if (noShowCheck.action === 'block') {
+            return res.status(403).json({
+                status: 'error',
+                message: noShowCheck.message
+            });
+        }
+
+        const existingEntry = await Waitlist.findOne({
+            patientId,
+            doctorId,
+            status: { $in: ['waiting', 'offered'] }
+        });
+
+        if (existingEntry) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'You are already on the waitlist for this doctor'
+            });
+        }
+
+        const entry = new Waitlist({
+            patientId,
+            doctorId,
+            fromDate: startOfDay(fromDate),
+            toDate: startOfDay(toDate)
+        });
+
+        await entry.save();
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Added to the waitlist',
+            data: {
+                entry: entry.getDisplayDetails()
+            }
+        });
+
+    } catch (error) {
+        console.error('Join waitlist error:', error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to join waitlist'
+        });
+    }
+};
+
+/**
+ * Get waitlist entries for the current user (patient: own, doctor: theirs, admin: all)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWaitlist = async (req, res) => {
+    try {
+        const { status } = req.query;
+        const filter = {};
+
+        if (req.user.role === 'patient') {
+            filter.patientId = req.user._id;
+        } else if (req.user.role === 'doctor') {
+            filter.doctorId = req.user._id;
+        }
+
+        if (status) {
+            filter.status = status;
+        } else {
+            filter.status = { $in: ['waiting', 'offered'] };
+        }
+
+        const entries = await Waitlist.find(filter)
+            .populate('patientId', 'name email phone')
+            .populate('doctorId', 'name specialization')
+            .sort({ createdAt: 1 });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                entries: entries.map(entry => ({
+                    ...entry.getDisplayDetails(),
+                    patient: entry.patientId,
+                    doctor: entry.doctorId
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get waitlist error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch waitlist'
+        });
+    }
+};
+
+/**
+ * Accept an offered slot, booking it as an appointment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const acceptOffer = async (req, res) => {
+    try {
+        const entry = await findOwnEntry(req);
+
+        if (!entry || entry.status !== 'offered') {
+            return res.status(404).json({
+                status: 'error',
+                message: 'No open offer found'
+            });
+        }
+
+        if (entry.isOfferExpired()) {
+            return res.status(410).json({
+                status: 'error',
+                message: 'This offer has expired'
+            });
+        }
+
+        const { date, time, duration } = entry.offer;
+
+        const noShowCheck = await checkNoShowPolicy(entry.patientId);
+
+        if (noShowCheck.action === 'block') {
+            const slot = entry.releaseOffer();
+            await entry.save();
+            offerToNext(slot);
+
+            return res.status(403).json({
+                status: 'error',
+                message: noShowCheck.message
+            });
+        }
+
+        // The slot is held for this entry, so only real bookings can block it
+        const availability = await checkAvailability(entry.doctorId, date, time, duration, {
+            excludeWaitlistEntryId: entry._id
+        });
+
+        if (!availability.available) {
+            const slot = entry.releaseOffer();
+            await entry.save();
+            offerToNext(slot);
+
+            return res.status(409).json({
+                status: 'error',
+                message: 'This slot is no longer available'
+            });
+        }
+
+        const appointment = new Appointment({
+            patientId: entry.patientId,
+            doctorId: entry.doctorId,
+            startsAt: combineDateAndTime(date, time),
+            duration,
+            requiresApproval: noShowCheck.action === 'approval',
+            locationId: availability.locationId,
+            roomId: availability.roomId
+        });
+
+        await appointment.save();
+
+        entry.status = 'accepted';
+        entry.appointmentId = appointment._id;
+        await entry.save();
+
+        const policy = await getBookingPolicy(appointment.doctorId);
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Offer accepted and appointment booked',
+            data: {
+                entry: entry.getDisplayDetails(),
+                appointment: appointment.getDisplayDetails({ role: req.user.role, policy })
+            }
+        });
+
+    } catch (error) {
+        console.error('Accept waitlist offer error:', error);
+
+        if (error.message === 'Appointment slot is already booked' || error.status === 409) {
+            return res.status(409).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to accept offer'
+        });
+    }
+};
+
+/**
+ * Decline an offered slot and pass it on to the next person in line
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const declineOffer = async (req, res) => {
+    try {
+        const entry = await findOwnEntry(req);
+
+        if (!entry || entry.status !== 'offered') {
+            return res.status(404).json({
+                status: 'error',
+                message: 'No open offer found'
+            });
+        }
+
+        const slot = entry.releaseOffer();
+        await entry.save();
+        await offerToNext(slot);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Offer declined, you remain on the waitlist',
+            data: {
+                entry: entry.getDisplayDetails()
+            }
+        });
+
+    } catch (error) {
+        console.error('Decline waitlist offer error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to decline offer'
+        });
+    }
+};
+
+/**
+ * Leave the waitlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelWaitlistEntry = async (req, res) => {
+    try {
+        const entry = await findOwnEntry(req);
+
+        if (!entry || !['waiting', 'offered'].includes(entry.status)) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        const slot = entry.status === 'offered' ? entry.releaseOffer() : null;
+
+        entry.status = 'cancelled';
+        await entry.save();
+
+        if (slot) {
+            await offerToNext(slot);
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Removed from the waitlist'
+        });
+
+    } catch (error) {
+        console.error('Cancel waitlist entry error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to leave waitlist'
+        });
+    }
+};
+
+module.exports = {
+    joinWaitlist,
+    getWaitlist,
+    acceptOffer,
+    declineOffer,
+    cancelWaitlistEntry
+};
@@ -0,0 +1,102 @@
+const BusyBlock = require('../models/BusyBlock');
+const CalendarSource = require('../models/CalendarSource');
+const { fetchBusyTimes } = require('../utils/calendarFetcher');
+const { MS_PER_DAY } = require('../utils/timeUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Periodically imports busy times from doctors' external calendars
+ * Each sync replaces the source's busy blocks for the window from yesterday
+ * to CALENDAR_SYNC_DAYS ahead. A failed sync keeps the previous blocks, so
+ * an unreachable calendar does not suddenly open up the doctor's time.
+ */
+class CalendarSync {
+  constructor() {
+    this.intervalMs = (parseInt(process.env.CALENDAR_SYNC_MINUTES) || 15) * 60 * 1000;
+    this.daysAhead = parseInt(process.env.CALENDAR_SYNC_DAYS) || 90;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start syncing on an interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    logger.info('Calendar sync started', { intervalMs: this.intervalMs, daysAhead: this.daysAhead });
+    this.runOnce();
+  }
+
+  /**
+   * Stop syncing
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Sync every active source; overlapping runs are skipped
+   */
+  async runOnce() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      const sources = await CalendarSource.find({ isActive: true }).select('+password');
+      let failed = 0;
+
+      for (const source of sources) {
+        await this.syncSource(source);
+
+        if (source.lastSyncStatus === 'error') {
+          failed++;
+        }
+      }
+
+      if (sources.length) {
+        logger.info('Calendar sync finished', { sources: sources.length, failed });
+      }
+    } catch (error) {
+      logger.error('Calendar sync failed', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Import the busy times of one source and record the outcome on it
+   * @param {Object} source - CalendarSource document, password selected
+   * @returns {Promise<Object>} - The saved source
+   */
+  async syncSource(source) {
+    const from = new Date(Date.now() - MS_PER_DAY);
+    const to = new Date(Date.now() + this.daysAhead * MS_PER_DAY);
+
+    try {
+      const intervals = await fetchBusyTimes(source, from, to);
+      const count = await BusyBlock.replaceForSource(source, intervals);
+
+      source.recordSync(null, count);
+    } catch (error) {
+      logger.warn('Calendar source sync failed', { sourceId: source._id, error: error.message });
+      source.recordSync(error);
+    }
+
+    return source.save();
+  }
+}
+
+// Create singleton instance
+const calendarSync = new CalendarSync();
+
+module.exports = calendarSync;
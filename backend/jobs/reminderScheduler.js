@@ -0,0 +1,162 @@
+const Appointment = require('../models/Appointment');
+const ReminderJob = require('../models/ReminderJob');
+const { getTransport } = require('../transports');
+const { reminderConfig } = require('../config/reminders');
+const { REMINDER_STATUSES } = require('../utils/appointmentStatus');
+const logger = require('../utils/logger');
+
+// Most jobs delivered in one run, so a backlog cannot starve the event loop
+const BATCH_SIZE = 50;
+
+/**
+ * Build the reminder text for an appointment
+ * @param {Object} appointment - Appointment (patientId and doctorId populated)
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {Object} - { subject, text }
+ */
+const buildReminderMessage = (appointment, channel) => {
+  const when = appointment.startsAt.toLocaleString('en-US', {
+    timeZone: appointment.timezone,
+    dateStyle: 'full',
+    timeStyle: 'short'
+  });
+  const doctorName = appointment.doctorId ? `Dr. ${appointment.doctorId.name}` : 'your doctor';
+
+  if (channel === 'sms') {
+    return { text: `Reminder: appointment with ${doctorName} on ${when}.` };
+  }
+
+  return {
+    subject: `Appointment reminder: ${when}`,
+    text: [
+      `Hello ${appointment.patientId.name},`,
+      '',
+      `This is a reminder of your appointment with ${doctorName} on ${when} (${appointment.duration} minutes).`,
+      'If you can no longer make it, please cancel or reschedule it in the app.'
+    ].join('\n')
+  };
+};
+
+/**
+ * Periodically delivers due appointment reminders
+ * Jobs are stored in MongoDB, so reminders due while the server was down
+ * go out on the first run after it comes back
+ */
+class ReminderScheduler {
+  constructor() {
+    this.intervalMs = reminderConfig.pollSeconds * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start delivering on an interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    logger.info('Reminder scheduler started', {
+      intervalMs: this.intervalMs,
+      channels: reminderConfig.channels,
+      offsetsMinutes: reminderConfig.offsetsMinutes
+    });
+    this.runOnce();
+  }
+
+  /**
+   * Stop delivering
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Deliver the due jobs; overlapping runs are skipped
+   */
+  async runOnce() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      let delivered = 0;
+
+      for (let i = 0; i < BATCH_SIZE; i++) {
+        const job = await ReminderJob.claimNext();
+
+        if (!job) {
+          break;
+        }
+
+        if (await this.deliver(job)) {
+          delivered++;
+        }
+      }
+
+      if (delivered) {
+        logger.info('Reminders sent', { count: delivered });
+      }
+    } catch (error) {
+      logger.error('Reminder run failed', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Send one claimed job, unless its appointment moved, ended or was cancelled
+   * @param {Object} job - Claimed reminder job
+   * @returns {Promise<boolean>} - True if the reminder was sent
+   */
+  async deliver(job) {
+    const appointment = await Appointment.findById(job.appointmentId)
+      .populate('patientId', 'name email phone')
+      .populate('doctorId', 'name');
+
+    if (!appointment || !REMINDER_STATUSES.includes(appointment.status)
+      || appointment.startsAt.getTime() !== job.startsAt.getTime()) {
+      await job.close('cancelled', 'Appointment changed');
+      return false;
+    }
+
+    if (appointment.startsAt <= new Date()) {
+      await job.close('skipped', 'Appointment already started');
+      return false;
+    }
+
+    const to = job.channel === 'sms' ? appointment.patientId.phone : appointment.patientId.email;
+
+    if (!to) {
+      await job.close('skipped', `Patient has no ${job.channel === 'sms' ? 'phone number' : 'email address'}`);
+      return false;
+    }
+
+    try {
+      await getTransport(job.channel).send({ to, ...buildReminderMessage(appointment, job.channel) });
+      await job.markSent();
+      return true;
+    } catch (error) {
+      logger.warn('Reminder delivery failed', {
+        jobId: job._id,
+        channel: job.channel,
+        attempt: job.attempts,
+        error: error.message
+      });
+      await job.markFailed(error);
+      return false;
+    }
+  }
+}
+
+// Create singleton instance
+const reminderScheduler = new ReminderScheduler();
+
+module.exports = reminderScheduler;
@@ -0,0 +1,70 @@
+const Waitlist = require('../models/Waitlist');
+const logger = require('../utils/logger');
+
+/**
+ * Periodically expires unanswered waitlist offers and passes the
+ * released slots on to the next patient in line
+ */
+class WaitlistSweeper {
+  constructor() {
+    this.intervalMs = (parseInt(process.env.WAITLIST_SWEEP_SECONDS) || 60) * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start sweeping on an interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    logger.info('Waitlist sweeper started', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Stop sweeping
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run a single sweep; overlapping runs are skipped
+   */
+  async runOnce() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      const slots = await Waitlist.expireOffers();
+
+      for (const slot of slots) {
+        await Waitlist.offerSlot(slot);
+      }
+
+      const closed = await Waitlist.expireStaleEntries();
+
+      if (slots.length || closed) {
+        logger.info('Waitlist sweep finished', { expiredOffers: slots.length, closedEntries: closed });
+      }
+    } catch (error) {
+      logger.error('Waitlist sweep failed', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+// Create singleton instance
+const waitlistSweeper = new WaitlistSweeper();
+
+module.exports = waitlistSweeper;
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
@@ -21,6 +22,14 @@ const authenticateToken = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
         
+        // Single-purpose tokens, such as stream tickets, are not API credentials
+        if (decoded.purpose) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Invalid token'
+            });
+        }
+        
         // Find user by ID from token
         const user = await User.findById(decoded.userId).select('-password');
         
@@ -65,6 +74,90 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
+// Lifetime of an event stream ticket; it only has to last until the stream opens
+const STREAM_TICKET_SECONDS = 60;
+
+// IDs of tickets already used, with their expiry, so each opens one stream only
+const usedStreamTickets = new Map();
+
+/**
+ * Issue a ticket for opening the event stream
+ * EventSource cannot send headers, so the stream URL carries this short-lived,
+ * single-use ticket instead of the user's long-lived JWT.
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - { ticket, expiresIn } with expiresIn in seconds
+ */
+const issueStreamTicket = (user) => {
+    const ticket = jwt.sign(
+        { sub: user._id.toString(), purpose: 'event-stream' },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: STREAM_TICKET_SECONDS, jwtid: crypto.randomBytes(16).toString('hex') }
+    );
+
+    return { ticket, expiresIn: STREAM_TICKET_SECONDS };
+};
+
+/**
+ * Middleware to authenticate an event stream request by its ?ticket=
+ * Tickets are only accepted here, and each one only once.
+ */
+const authenticateStreamTicket = async (req, res, next) => {
+    try {
+        const { ticket } = req.query;
+        
+        if (!ticket) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Stream ticket is required'
+            });
+        }
+        
+        const decoded = jwt.verify(ticket, process.env.JWT_SECRET || 'your-secret-key');
+        const now = Date.now();
+        
+        // Forget used tickets that have expired anyway
+        usedStreamTickets.forEach((expiresAt, id) => {
+            if (expiresAt <= now) {
+                usedStreamTickets.delete(id);
+            }
+        });
+        
+        if (decoded.purpose !== 'event-stream' || !decoded.jti || usedStreamTickets.has(decoded.jti)) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Invalid stream ticket'
+            });
+        }
+        usedStreamTickets.set(decoded.jti, decoded.exp * 1000);
+        
+        const user = await User.findById(decoded.sub).select('-password');
+        
+        if (!user || !user.isActive) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'User not found or inactive'
+            });
+        }
+        
+        req.user = user;
+        next();
+        
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Invalid stream ticket'
+            });
+        }
+        
+        console.error('Stream ticket error:', error);
+        return res.status(500).json({
+            status: 'error',
+            message: 'Authentication failed'
+        });
+    }
+};
+
 /**
  * Middleware to check if user has required role
  * @param {string|Array} roles - Required role(s) for access
@@ -168,6 +261,8 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
     authenticateToken,
+    issueStreamTicket,
+    authenticateStreamTicket,
     authorizeRole,
     authorizeOwnResource,
     optionalAuth
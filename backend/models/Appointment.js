@@ -1,8 +1,39 @@
 const mongoose = require('mongoose');
+const SlotLock = require('./SlotLock');
+const GroupSession = require('./GroupSession');
+const ReminderJob = require('./ReminderJob');
+const appointmentEvents = require('../utils/appointmentEvents');
+const {
+    MS_PER_DAY,
+    MS_PER_MINUTE,
+    startOfDay,
+    listDaysTouched,
+    addDays,
+    startOfZonedDay,
+    doIntervalsOverlap,
+    toZonedDateKey,
+    toZonedTime,
+    getTodayKey,
+    addMinutes
+} = require('../utils/timeUtils');
+const { CLINIC_TIMEZONE, isValidTimeZone } = require('../config/clinic');
+const { DEFAULT_BOOKING_POLICY, isStaffExempt } = require('../config/policies');
+const {
+    APPOINTMENT_STATUSES,
+    AFTER_START_STATUSES,
+    SAME_DAY_STATUSES,
+    STATUS_TIMESTAMPS,
+    TRIAGE_STATUSES,
+    TRIAGE_OUTCOMES,
+    canTransition,
+    getAllowedTransitions
+} = require('../utils/appointmentStatus');
 
 /**
  * Appointment Schema for the booking system
- * Links patients with doctors for scheduled appointments
+ * Links patients with doctors for scheduled appointments. The start is
+ * stored as a UTC instant together with the timezone it was booked in;
+ * `date` and `time` are derived from them as the clinic's wall clock.
  */
 const appointmentSchema = new mongoose.Schema({
     patientId: {
@@ -17,33 +48,56 @@ const appointmentSchema = new mongoose.Schema({
         required: [true, 'Doctor ID is required']
     },
     
-    date: {
+    startsAt: {
         type: Date,
-        required: [true, 'Appointment date is required'],
+        required: [true, 'Appointment start time is required'],
         validate: {
             validator: function(value) {
-                // Ensure appointment date is not in the past
-                return value > new Date();
+                // Ensure new or moved appointments do not start in the past
+                return !(this.isNew || this.isModified('startsAt')) || value > new Date();
             },
             message: 'Appointment date cannot be in the past'
         }
     },
     
-    time: {
+    timezone: {
         type: String,
-        required: [true, 'Appointment time is required'],
-        match: [
-            /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
-            'Please enter a valid time in HH:MM format'
-        ]
+        default: CLINIC_TIMEZONE,
+        validate: {
+            validator: isValidTimeZone,
+            message: 'Please provide a valid IANA timezone'
+        }
     },
     
     status: {
         type: String,
-        enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+        enum: APPOINTMENT_STATUSES,
         default: 'pending'
     },
     
+    statusHistory: [{
+        from: {
+            type: String,
+            enum: APPOINTMENT_STATUSES
+        },
+        to: {
+            type: String,
+            enum: APPOINTMENT_STATUSES,
+            required: true
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        role: {
+            type: String
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    
     notes: {
         type: String,
         trim: true,
@@ -66,37 +120,372 @@ const appointmentSchema = new mongoose.Schema({
     isUrgent: {
         type: Boolean,
         default: false
-    }
+    },
+    
+    // Urgent bookings wait for a doctor to review them
+    triage: {
+        // null for bookings that were never urgent
+        status: {
+            type: String,
+            enum: [...TRIAGE_STATUSES, null],
+            default: null
+        },
+        outcome: {
+            type: String,
+            enum: TRIAGE_OUTCOMES
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: {
+            type: Date
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'Triage note cannot exceed 300 characters']
+        }
+    },
+    
+    // Squeezed in on top of another booking; skips the doctor's conflict check but counts against the daily cap
+    isOverbooked: {
+        type: Boolean,
+        default: false
+    },
+    
+    // Visit type from the catalog; price and buffer are copied at booking time
+    typeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AppointmentType',
+        default: null
+    },
+    
+    price: {
+        type: Number,
+        default: null,
+        min: [0, 'Price cannot be negative']
+    },
+    
+    // Minutes kept free after the appointment
+    bufferMinutes: {
+        type: Number,
+        default: 0,
+        min: [0, 'Buffer cannot be negative']
+    },
+    
+    // Set when the no-show policy requires an admin to confirm this booking
+    requiresApproval: {
+        type: Boolean,
+        default: false
+    },
+    
+    // When the patient arrived, was called in and was done (see STATUS_TIMESTAMPS)
+    checkedInAt: {
+        type: Date,
+        default: null
+    },
+    
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    
+    seriesId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AppointmentSeries',
+        default: null
+    },
+    
+    // Seat in a group session; the session holds the doctor's and room's time
+    groupSessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GroupSession',
+        default: null
+    },
+    
+    // Where the appointment takes place; unset for doctors without a location
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null
+    },
+    
+    roomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room',
+        default: null
+    },
+    
+    rescheduleHistory: [{
+        startsAt: {
+            type: Date,
+            required: true
+        },
+        rescheduledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        rescheduledAt: {
+            type: Date,
+            default: Date.now
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Reschedule reason cannot exceed 200 characters']
+        }
+    }]
 }, {
     timestamps: true
 });
 
+/**
+ * Calendar day of the appointment in its timezone (midnight UTC of that day)
+ */
+appointmentSchema.virtual('date').get(function() {
+    return this.startsAt ? startOfDay(toZonedDateKey(this.startsAt, this.timezone)) : undefined;
+});
+
+/**
+ * Wall-clock start time of the appointment in its timezone (HH:MM)
+ */
+appointmentSchema.virtual('time').get(function() {
+    return this.startsAt ? toZonedTime(this.startsAt, this.timezone) : undefined;
+});
+
+/**
+ * End instant of the appointment
+ */
+appointmentSchema.virtual('endsAt').get(function() {
+    return this.startsAt ? addMinutes(this.startsAt, this.duration) : undefined;
+});
+
+/**
+ * End of the time the appointment keeps the doctor and room busy, buffer included
+ */
+appointmentSchema.virtual('blockedUntil').get(function() {
+    return this.startsAt ? addMinutes(this.startsAt, this.duration + (this.bufferMinutes || 0)) : undefined;
+});
+
+/**
+ * Instance method to check if saving this appointment can create a conflict
+ * A status change alone cannot: the time held stays the same and nothing
+ * leads back from cancelled or no-show. Otherwise an overbook squeezed in on
+ * top of this appointment would block it from being confirmed or completed.
+ * @returns {boolean} - True if the conflict check has to run
+ */
+appointmentSchema.methods.needsConflictCheck = function() {
+    if (['cancelled', 'no_show'].includes(this.status)) {
+        return false;
+    }
+
+    return this.isNew || ['doctorId', 'roomId', 'startsAt', 'duration', 'bufferMinutes'].some(path => this.isModified(path));
+};
+
+/**
+ * Check if another active appointment matching the filter overlaps this one
+ * Cancelled and no-show appointments no longer hold their time, like in
+ * needsConflictCheck, so a missed slot can be given to someone else
+ * @param {Object} doc - Appointment document
+ * @param {Object} filter - { doctorId } or { roomId }
+ * @returns {Promise<boolean>} - True if there is an overlap
+ */
+const hasOverlap = async (doc, filter) => {
+    const nearbyAppointments = await doc.constructor.find({
+        ...filter,
+        startsAt: { $gt: new Date(doc.startsAt.getTime() - MS_PER_DAY), $lt: doc.blockedUntil },
+        status: { $nin: ['cancelled', 'no_show'] },
+        _id: { $ne: doc._id } // Exclude current appointment if updating
+    }).select('startsAt duration bufferMinutes');
+
+    return nearbyAppointments.some(apt =>
+        doIntervalsOverlap(doc.startsAt, doc.blockedUntil, apt.startsAt, apt.blockedUntil)
+    );
+};
+
+/**
+ * Count a doctor's other active overbooked appointments on the same day
+ * Cancelled and no-show overbooks give their place back, as in hasOverlap
+ * @param {Object} doc - Appointment document
+ * @returns {Promise<number>} - Number of overbooked appointments
+ */
+const countOverbooks = (doc) => {
+    const dayKey = toZonedDateKey(doc.startsAt, doc.timezone);
+
+    return doc.constructor.countDocuments({
+        doctorId: doc.doctorId,
+        isOverbooked: true,
+        startsAt: { $gte: startOfZonedDay(dayKey, doc.timezone), $lt: startOfZonedDay(addDays(dayKey, 1), doc.timezone) },
+        status: { $nin: ['cancelled', 'no_show'] },
+        _id: { $ne: doc._id }
+    });
+};
+
+/**
+ * Pre-save middleware to send new urgent bookings to triage
+ */
+appointmentSchema.pre('save', function(next) {
+    if (this.isNew && this.isUrgent && !this.triage.status) {
+        this.triage.status = 'awaiting_review';
+    }
+    next();
+});
+
+/**
+ * Pre-save middleware to note a new booking or a change of time or status,
+ * so post-save can update the reminders and announce the change
+ */
+appointmentSchema.pre('save', function(next) {
+    if (this.isNew) {
+        this.$locals.lifecycleEvent = 'created';
+    } else if (this.isModified('status')) {
+        this.$locals.lifecycleEvent = this.status;
+    } else if (this.isModified('startsAt')) {
+        this.$locals.lifecycleEvent = 'rescheduled';
+    }
+
+    if (this.isNew || this.isModified('startsAt') || this.isModified('status')) {
+        this.$locals.syncReminders = true;
+    }
+    next();
+});
+
+/**
+ * Pre-save middleware to note a cancelled group session seat, so post-save can give it back
+ */
+appointmentSchema.pre('save', function(next) {
+    if (this.groupSessionId && !this.isNew && this.isModified('status') && this.status === 'cancelled') {
+        this.$locals.releaseSeat = true;
+    }
+    next();
+});
+
 /**
  * Pre-save middleware to validate appointment conflicts
+ * Holds the doctor's (and the room's) slot locks for every day the booking
+ * touches while checking, so concurrent bookings cannot both pass the check;
+ * locks are released after the write. Days are locked earliest first and the
+ * room lock after the doctor's, so waits cannot cycle.
+ * Group session seats are skipped: the session already holds the time.
+ * Overbooked appointments skip the doctor's overlap check and are held to the
+ * doctor's daily overbook cap instead, when they are placed through overbook();
+ * their room must still be free.
  */
 appointmentSchema.pre('save', async function(next) {
+    if (this.groupSessionId || !this.needsConflictCheck()) {
+        return next();
+    }
+
+    const overbookLimit = this.$locals.overbookLimit;
+
+    if (this.isOverbooked && overbookLimit === undefined) {
+        return next();
+    }
+
+    const resources = [{ doctorId: this.doctorId }];
+
+    if (this.roomId) {
+        resources.push({ roomId: this.roomId });
+    }
+
     try {
-        // Check for appointment conflicts (same doctor, same date/time)
-        const existingAppointment = await this.constructor.findOne({
-            doctorId: this.doctorId,
-            date: this.date,
-            time: this.time,
-            status: { $nin: ['cancelled'] },
-            _id: { $ne: this._id } // Exclude current appointment if updating
-        });
-        
-        if (existingAppointment) {
+        const days = listDaysTouched(this.startsAt, this.blockedUntil);
+        const locks = await SlotLock.acquireAll(resources, days, new mongoose.Types.ObjectId().toString());
+
+        if (!locks) {
+            const error = new Error('This time slot is being booked by someone else, please try again');
+            error.status = 409;
+            return next(error);
+        }
+
+        this.$locals.slotLocks = locks;
+
+        if (this.isOverbooked) {
+            delete this.$locals.overbookLimit;
+
+            if (await countOverbooks(this) >= overbookLimit) {
+                const error = new Error('No overbook slots left for this doctor on this day');
+                error.status = 409;
+                return next(error);
+            }
+        } else if (await hasOverlap(this, { doctorId: this.doctorId })
+            || await GroupSession.hasOverlap({ doctorId: this.doctorId }, this.startsAt, this.blockedUntil)) {
+            // Check for overlapping appointments and group sessions (same doctor, overlapping duration)
             const error = new Error('Appointment slot is already booked');
             error.status = 400;
             return next(error);
         }
-        
+
+        // A room holds one appointment at a time, whichever doctor booked it
+        if (this.roomId && (await hasOverlap(this, { roomId: this.roomId })
+            || await GroupSession.hasOverlap({ roomId: this.roomId }, this.startsAt, this.blockedUntil))) {
+            const error = new Error('The consulting room is already booked at this time');
+            error.status = 409;
+            return next(error);
+        }
+
         next();
     } catch (error) {
         next(error);
     }
 });
 
+/**
+ * Release the slot locks taken in pre-save, whether or not the write succeeded
+ * @param {Object} doc - Appointment document
+ */
+const releaseSlotLock = async (doc) => {
+    const locks = doc.$locals.slotLocks;
+
+    if (locks) {
+        delete doc.$locals.slotLocks;
+        await SlotLock.releaseAll(locks);
+    }
+};
+
+appointmentSchema.post('save', async function(doc) {
+    await releaseSlotLock(doc);
+
+    if (doc.$locals.releaseSeat) {
+        delete doc.$locals.releaseSeat;
+        await GroupSession.releaseSeat(doc.groupSessionId);
+    }
+
+    if (doc.$locals.syncReminders) {
+        delete doc.$locals.syncReminders;
+
+        // The appointment is saved either way; a missed reminder must not fail the request
+        try {
+            await ReminderJob.syncForAppointment(doc);
+        } catch (error) {
+            console.error('Failed to update reminders:', error);
+        }
+    }
+
+    if (doc.$locals.lifecycleEvent) {
+        const type = doc.$locals.lifecycleEvent;
+        delete doc.$locals.lifecycleEvent;
+
+        if (doc.$locals.holdEvent) {
+            delete doc.$locals.holdEvent;
+            doc.$locals.heldEvent = type;
+        } else {
+            appointmentEvents.emit('appointment', { type, appointment: doc });
+        }
+    }
+});
+
+appointmentSchema.post('save', async function(error, doc, next) {
+    await releaseSlotLock(this);
+    next(error);
+});
+
 /**
  * Static method to get appointments with populated user data
  * @param {Object} filter - Filter criteria
@@ -108,7 +497,11 @@ appointmentSchema.statics.getAppointmentsWithUsers = async function(filter = {},
         const appointments = await this.find(filter)
             .populate('patientId', 'name email phone')
             .populate('doctorId', 'name email phone specialization')
-            .sort({ date: 1, time: 1 })
+            .populate('locationId')
+            .populate('roomId', 'name')
+            .populate('typeId', 'name')
+            .populate('groupSessionId', 'title')
+            .sort({ startsAt: 1 })
             .limit(options.limit || 50)
             .skip(options.skip || 0);
             
@@ -120,26 +513,204 @@ appointmentSchema.statics.getAppointmentsWithUsers = async function(filter = {},
 
 /**
  * Instance method to check if appointment can be cancelled
+ * @param {Object} policy - Effective booking policy for the doctor (defaults to the clinic defaults)
+ * @param {string} role - Role of the user cancelling; exempt staff skip the cutoff
  * @returns {boolean} - True if appointment can be cancelled
  */
-appointmentSchema.methods.canBeCancelled = function() {
-    const now = new Date();
-    const appointmentDateTime = new Date(this.date);
-    appointmentDateTime.setHours(parseInt(this.time.split(':')[0]));
-    appointmentDateTime.setMinutes(parseInt(this.time.split(':')[1]));
+appointmentSchema.methods.canBeCancelled = function(policy = DEFAULT_BOOKING_POLICY, role) {
+    if (role && isStaffExempt(policy, role)) {
+        return true;
+    }
     
-    // Can cancel if appointment is more than 2 hours away
-    const twoHoursFromNow = new Date(now.getTime() + (2 * 60 * 60 * 1000));
-    return appointmentDateTime > twoHoursFromNow;
+    // Can cancel if appointment is further away than the cancellation cutoff
+    const cutoff = new Date(Date.now() + policy.cancellationCutoffMinutes * MS_PER_MINUTE);
+    return this.startsAt > cutoff;
+};
+
+/**
+ * Instance method to check if the appointment start time has passed
+ * @returns {boolean} - True if the appointment has started
+ */
+appointmentSchema.methods.hasStarted = function() {
+    return this.startsAt <= new Date();
+};
+
+/**
+ * Instance method to check if the appointment is on today's date in its timezone
+ * @returns {boolean} - True if the appointment is today
+ */
+appointmentSchema.methods.isToday = function() {
+    return toZonedDateKey(this.startsAt, this.timezone) === getTodayKey(this.timezone);
+};
+
+/**
+ * Instance method to get the statuses a role may move this appointment to
+ * Applies the transition table plus the rules that depend on the appointment:
+ * no-shows only after the start time, check-in only on the day, flagged
+ * bookings confirmed by admins only, cancellation only before the policy cutoff
+ * @param {string} role - Role of the user
+ * @param {Object} policy - Effective booking policy for the doctor
+ * @returns {Array} - Allowed target statuses
+ */
+appointmentSchema.methods.getAllowedStatusChanges = function(role, policy) {
+    return getAllowedTransitions(this.status, role).filter(status => {
+        if (status === 'cancelled' && !this.canBeCancelled(policy, role)) {
+            return false;
+        }
+        if (AFTER_START_STATUSES.includes(status) && !this.hasStarted()) {
+            return false;
+        }
+        if (SAME_DAY_STATUSES.includes(status) && !this.isToday()) {
+            return false;
+        }
+        if (status === 'confirmed' && this.requiresApproval && role !== 'admin') {
+            return false;
+        }
+        return true;
+    });
+};
+
+/**
+ * Instance method to change status according to the transition table
+ * @param {string} status - Requested status
+ * @param {Object} user - User making the change (needs _id and role)
+ * @throws {Error} - With status 409 if the transition is not allowed
+ */
+appointmentSchema.methods.transitionTo = function(status, user) {
+    let message = null;
+    
+    if (!canTransition(this.status, status, user.role)) {
+        message = `Cannot change appointment status from ${this.status} to ${status}`;
+    } else if (AFTER_START_STATUSES.includes(status) && !this.hasStarted()) {
+        message = 'Appointment cannot be marked as a no-show before it starts';
+    } else if (SAME_DAY_STATUSES.includes(status) && !this.isToday()) {
+        message = 'Patients can only be checked in on the day of their appointment';
+    } else if (status === 'confirmed' && this.requiresApproval && user.role !== 'admin') {
+        message = 'This booking needs admin approval';
+    }
+    
+    if (message) {
+        const error = new Error(message);
+        error.status = 409;
+        throw error;
+    }
+    
+    this.statusHistory.push({
+        from: this.status,
+        to: status,
+        changedBy: user._id,
+        role: user.role
+    });
+    
+    this.status = status;
+    
+    if (STATUS_TIMESTAMPS[status]) {
+        this[STATUS_TIMESTAMPS[status]] = new Date();
+    }
+};
+
+/**
+ * Instance method to move the appointment, recording the previous start
+ * @param {Date} startsAt - New start instant
+ * @param {string} userId - ID of the user making the change
+ * @param {string} reason - Optional reason for the change
+ * @param {Object} placement - Optional { locationId, roomId } for the new time
+ * @throws {Error} - With status 409 for group session seats, which are tied to their session
+ */
+appointmentSchema.methods.reschedule = function(startsAt, userId, reason, placement) {
+    if (this.groupSessionId) {
+        const error = new Error('Group session seats cannot be rescheduled');
+        error.status = 409;
+        throw error;
+    }
+    
+    this.rescheduleHistory.push({
+        startsAt: this.startsAt,
+        rescheduledBy: userId,
+        reason
+    });
+    
+    this.startsAt = startsAt;
+    // A regular move puts the appointment back under the normal conflict check
+    this.isOverbooked = false;
+    
+    if (placement) {
+        this.placeIn(placement);
+    }
+};
+
+/**
+ * Instance method to squeeze the appointment in at a time that is already booked
+ * The daily cap is checked when saving, under the doctor's slot lock
+ * @param {Date} startsAt - New start instant
+ * @param {string} userId - ID of the doctor or admin making the change
+ * @param {number} maxPerDay - Doctor's overbook cap from the booking policy
+ * @param {string} reason - Optional reason for the move
+ * @param {Object} placement - { locationId, roomId } for the new time, as returned by assignRoom
+ */
+appointmentSchema.methods.overbook = function(startsAt, userId, maxPerDay, reason, placement) {
+    this.reschedule(startsAt, userId, reason || 'Urgent case squeezed in', placement);
+    this.isOverbooked = true;
+    this.$locals.overbookLimit = maxPerDay;
+};
+
+/**
+ * Instance method to close the triage review of an urgent booking
+ * @param {string} outcome - One of TRIAGE_OUTCOMES
+ * @param {string} userId - ID of the reviewer
+ * @param {string} note - Optional note for the patient's record
+ */
+appointmentSchema.methods.completeTriage = function(outcome, userId, note) {
+    this.triage.status = 'reviewed';
+    this.triage.outcome = outcome;
+    this.triage.reviewedBy = userId;
+    this.triage.reviewedAt = new Date();
+    this.triage.note = note;
+    
+    if (outcome === 'downgraded') {
+        this.isUrgent = false;
+    }
+};
+
+/**
+ * Instance method to set where the appointment takes place
+ * @param {Object} placement - { locationId, roomId }, as returned by checkAvailability
+ */
+appointmentSchema.methods.placeIn = function(placement) {
+    this.locationId = placement.locationId || null;
+    this.roomId = placement.roomId || null;
+};
+
+/**
+ * Instance method to hold back the event announcing the next save until
+ * announceHeldEvent() is called, for saves that only count together with others
+ */
+appointmentSchema.methods.holdEvent = function() {
+    this.$locals.holdEvent = true;
+};
+
+/**
+ * Instance method to announce the event held back by holdEvent(), if any
+ */
+appointmentSchema.methods.announceHeldEvent = function() {
+    const type = this.$locals.heldEvent;
+
+    if (type) {
+        delete this.$locals.heldEvent;
+        appointmentEvents.emit('appointment', { type, appointment: this });
+    }
 };
 
 /**
  * Instance method to get appointment details for display
+ * @param {Object} options - { role, policy }: the viewer's role and the doctor's booking policy
  * @returns {Object} - Formatted appointment details
  */
-appointmentSchema.methods.getDisplayDetails = function() {
+appointmentSchema.methods.getDisplayDetails = function(options = {}) {
     return {
         _id: this._id,
+        startsAt: this.startsAt,
+        timezone: this.timezone,
         date: this.date,
         time: this.time,
         status: this.status,
@@ -147,15 +718,42 @@ appointmentSchema.methods.getDisplayDetails = function() {
         symptoms: this.symptoms,
         duration: this.duration,
         isUrgent: this.isUrgent,
+        triage: this.triage && this.triage.status ? this.triage : undefined,
+        isOverbooked: this.isOverbooked,
+        typeId: this.populated('typeId') || this.typeId,
+        type: this.populated('typeId') ? { _id: this.typeId._id, name: this.typeId.name } : undefined,
+        price: this.price,
+        bufferMinutes: this.bufferMinutes,
+        requiresApproval: this.requiresApproval,
+        checkedInAt: this.checkedInAt,
+        startedAt: this.startedAt,
+        completedAt: this.completedAt,
+        seriesId: this.seriesId,
+        groupSessionId: this.populated('groupSessionId') || this.groupSessionId,
+        groupSession: this.populated('groupSessionId')
+            ? { _id: this.groupSessionId._id, title: this.groupSessionId.title }
+            : undefined,
+        locationId: this.populated('locationId') || this.locationId,
+        roomId: this.populated('roomId') || this.roomId,
+        location: this.populated('locationId') ? this.locationId.getDisplayDetails() : undefined,
+        room: this.populated('roomId') ? { _id: this.roomId._id, name: this.roomId.name } : undefined,
+        rescheduleHistory: this.rescheduleHistory,
+        statusHistory: this.statusHistory,
         createdAt: this.createdAt,
-        canBeCancelled: this.canBeCancelled()
+        canBeCancelled: this.canBeCancelled(options.policy, options.role),
+        allowedTransitions: options.role ? this.getAllowedStatusChanges(options.role, options.policy) : []
     };
 };
 
 // Create indexes for better query performance
-appointmentSchema.index({ patientId: 1, date: 1 });
-appointmentSchema.index({ doctorId: 1, date: 1 });
+appointmentSchema.index({ patientId: 1, startsAt: 1 });
+appointmentSchema.index({ doctorId: 1, startsAt: 1 });
 appointmentSchema.index({ status: 1 });
-appointmentSchema.index({ date: 1, time: 1 });
+appointmentSchema.index({ startsAt: 1 });
+appointmentSchema.index({ seriesId: 1 });
+appointmentSchema.index({ groupSessionId: 1, patientId: 1 });
+appointmentSchema.index({ roomId: 1, startsAt: 1 });
+appointmentSchema.index({ doctorId: 1, status: 1, checkedInAt: 1 });
+appointmentSchema.index({ 'triage.status': 1, doctorId: 1 });
 
 module.exports = mongoose.model('Appointment', appointmentSchema); 
\ No newline at end of file
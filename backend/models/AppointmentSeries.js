@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { RECURRENCE_FREQUENCIES, toRRule, expandRule } = require('../utils/recurrence');
+
+/**
+ * Appointment Series Schema
+ * A recurring booking; each occurrence is a regular Appointment with seriesId set
+ */
+const appointmentSeriesSchema = new mongoose.Schema({
+    patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Patient ID is required']
+    },
+
+    doctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Doctor ID is required']
+    },
+
+    startDate: {
+        type: Date,
+        required: [true, 'Series start date is required']
+    },
+
+    time: {
+        type: String,
+        required: [true, 'Appointment time is required'],
+        match: [
+            /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+            'Please enter a valid time in HH:MM format'
+        ]
+    },
+
+    duration: {
+        type: Number,
+        default: 30,
+        min: [15, 'Appointment duration must be at least 15 minutes'],
+        max: [120, 'Appointment duration cannot exceed 120 minutes']
+    },
+
+    typeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AppointmentType',
+        default: null
+    },
+
+    recurrence: {
+        frequency: {
+            type: String,
+            enum: RECURRENCE_FREQUENCIES,
+            required: [true, 'Recurrence frequency is required']
+        },
+        count: {
+            type: Number
+        },
+        until: {
+            type: Date
+        }
+    },
+
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+
+    symptoms: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Symptoms description cannot exceed 300 characters']
+    },
+
+    status: {
+        type: String,
+        enum: ['active', 'cancelled'],
+        default: 'active'
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Instance method to get the occurrence dates described by the rule
+ * @returns {Array} - Date keys (YYYY-MM-DD)
+ */
+appointmentSeriesSchema.methods.getOccurrenceDates = function() {
+    return expandRule(this.startDate, this.recurrence);
+};
+
+/**
+ * Instance method to get series details for display
+ * @returns {Object} - Formatted series details
+ */
+appointmentSeriesSchema.methods.getDisplayDetails = function() {
+    return {
+        _id: this._id,
+        patientId: this.patientId,
+        doctorId: this.doctorId,
+        startDate: this.startDate,
+        time: this.time,
+        duration: this.duration,
+        typeId: this.typeId,
+        recurrence: this.recurrence,
+        rrule: toRRule(this.recurrence),
+        notes: this.notes,
+        symptoms: this.symptoms,
+        status: this.status,
+        createdAt: this.createdAt
+    };
+};
+
+appointmentSeriesSchema.index({ patientId: 1 });
+appointmentSeriesSchema.index({ doctorId: 1 });
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+/**
+ * Appointment Type Schema
+ * Admin-managed catalog of visit types (new consultation, follow-up,
+ * vaccination, ...). A type sets the duration, price and the buffer kept
+ * free after the visit, and may be limited to certain doctors or
+ * specializations; with neither list set, every doctor offers it.
+ */
+const appointmentTypeSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Appointment type name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [100, 'Appointment type name cannot exceed 100 characters']
+    },
+
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Description cannot exceed 300 characters']
+    },
+
+    duration: {
+        type: Number,
+        required: [true, 'Default duration is required'],
+        min: [15, 'Appointment duration must be at least 15 minutes'],
+        max: [120, 'Appointment duration cannot exceed 120 minutes']
+    },
+
+    price: {
+        type: Number,
+        default: 0,
+        min: [0, 'Price cannot be negative']
+    },
+
+    // Minutes kept free after the visit (cleaning, notes)
+    bufferMinutes: {
+        type: Number,
+        default: 0,
+        min: [0, 'Buffer cannot be negative'],
+        max: [60, 'Buffer cannot exceed 60 minutes']
+    },
+
+    allowedDoctorIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+
+    allowedSpecializations: [{
+        type: String,
+        trim: true
+    }],
+
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Instance method to check if a doctor offers this type
+ * @param {Object} doctor - Doctor user (needs _id and specialization)
+ * @returns {boolean} - True if the doctor may be booked for this type
+ */
+appointmentTypeSchema.methods.isOfferedBy = function(doctor) {
+    if (this.allowedDoctorIds.length === 0 && this.allowedSpecializations.length === 0) {
+        return true;
+    }
+
+    if (this.allowedDoctorIds.some(doctorId => doctorId.equals(doctor._id))) {
+        return true;
+    }
+
+    const specialization = (doctor.specialization || '').toLowerCase();
+    return this.allowedSpecializations.some(allowed => allowed.toLowerCase() === specialization);
+};
+
+/**
+ * Static method to get an active type for booking with a doctor
+ * @param {string} typeId - Appointment type ID
+ * @param {Object} doctor - Doctor user
+ * @returns {Promise<Object>} - Appointment type document
+ * @throws {Error} - With status 400 if the type is unknown, inactive or not offered by the doctor
+ */
+appointmentTypeSchema.statics.findForBooking = async function(typeId, doctor) {
+    const type = mongoose.Types.ObjectId.isValid(typeId)
+        ? await this.findOne({ _id: typeId, isActive: true })
+        : null;
+
+    let message = null;
+
+    if (!type) {
+        message = 'Appointment type not found or inactive';
+    } else if (!type.isOfferedBy(doctor)) {
+        message = `Dr. ${doctor.name} does not offer ${type.name} appointments`;
+    }
+
+    if (message) {
+        const error = new Error(message);
+        error.status = 400;
+        throw error;
+    }
+
+    return type;
+};
+
+/**
+ * Static method to work out the type, duration, price and buffer of a new booking
+ * Without a type, staff may give a raw duration; patients must pick a type once the catalog has any
+ * @param {Object} booking - { typeId, duration } from the request
+ * @param {Object} doctor - Doctor user
+ * @param {string} role - Role of the user booking
+ * @returns {Promise<Object>} - { typeId, duration, price, bufferMinutes }
+ * @throws {Error} - With status 400 if the type cannot be used
+ */
+appointmentTypeSchema.statics.resolveBooking = async function({ typeId, duration }, doctor, role) {
+    if (typeId) {
+        const type = await this.findForBooking(typeId, doctor);
+        return {
+            typeId: type._id,
+            duration: type.duration,
+            price: type.price,
+            bufferMinutes: type.bufferMinutes
+        };
+    }
+
+    if (role === 'patient' && await this.exists({ isActive: true })) {
+        const error = new Error('Please choose an appointment type');
+        error.status = 400;
+        throw error;
+    }
+
+    return {
+        typeId: null,
+        duration: parseInt(duration) || 30,
+        price: null,
+        bufferMinutes: 0
+    };
+};
+
+/**
+ * Instance method to get type details for display
+ * @returns {Object} - Formatted type details
+ */
+appointmentTypeSchema.methods.getDisplayDetails = function() {
+    return {
+        _id: this._id,
+        name: this.name,
+        description: this.description,
+        duration: this.duration,
+        price: this.price,
+        bufferMinutes: this.bufferMinutes,
+        allowedDoctorIds: this.allowedDoctorIds,
+        allowedSpecializations: this.allowedSpecializations,
+        isActive: this.isActive
+    };
+};
+
+appointmentTypeSchema.index({ isActive: 1, name: 1 });
+
+module.exports = mongoose.model('AppointmentType', appointmentTypeSchema);
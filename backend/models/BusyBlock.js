@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * Busy Block Schema
+ * A period in which a doctor is busy according to one of their external
+ * calendars. Blocks are owned by their source and replaced on every sync;
+ * only the times are kept, not what the doctor is doing.
+ */
+const busyBlockSchema = new mongoose.Schema({
+    sourceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CalendarSource',
+        required: [true, 'Source ID is required']
+    },
+
+    doctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Doctor ID is required']
+    },
+
+    startsAt: {
+        type: Date,
+        required: [true, 'Start is required']
+    },
+
+    endsAt: {
+        type: Date,
+        required: [true, 'End is required']
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Static method to replace the blocks of a source with a fresh set
+ * The new blocks are stored before the old ones go, so bookings made during
+ * a sync never see the doctor as free by mistake
+ * @param {Object} source - CalendarSource document
+ * @param {Array<Object>} intervals - [{ start, end }]
+ * @returns {Promise<number>} - Number of blocks stored
+ */
+busyBlockSchema.statics.replaceForSource = async function(source, intervals) {
+    const blocks = intervals.length === 0 ? [] : await this.insertMany(intervals.map(({ start, end }) => ({
+        sourceId: source._id,
+        doctorId: source.doctorId,
+        startsAt: start,
+        endsAt: end
+    })));
+
+    await this.deleteMany({ sourceId: source._id, _id: { $nin: blocks.map(block => block._id) } });
+
+    return blocks.length;
+};
+
+/**
+ * Static method to get busy intervals for a doctor within a range
+ * @param {string} doctorId - Doctor ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @returns {Promise<Array>} - Array of { start, end, busyBlock } instants
+ */
+busyBlockSchema.statics.getBlockedIntervals = async function(doctorId, from, to) {
+    const blocks = await this.find({
+        doctorId,
+        startsAt: { $lt: to },
+        endsAt: { $gt: from }
+    }).sort({ startsAt: 1 });
+
+    return blocks.map(block => ({ start: block.startsAt, end: block.endsAt, busyBlock: block }));
+};
+
+busyBlockSchema.index({ doctorId: 1, startsAt: 1, endsAt: 1 });
+busyBlockSchema.index({ sourceId: 1 });
+
+module.exports = mongoose.model('BusyBlock', busyBlockSchema);
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { calendarConfig } = require('../config/calendar');
+const { encryptSecret, isEncryptedSecret } = require('../utils/secrets');
+
+const CALENDAR_SOURCE_TYPES = ['ics', 'caldav'];
+const SYNC_STATUSES = ['never', 'ok', 'error'];
+
+/**
+ * Calendar Source Schema
+ * An external calendar of a doctor (an ICS URL or a CalDAV collection) whose
+ * busy times are imported so patients cannot book over them
+ */
+const calendarSourceSchema = new mongoose.Schema({
+    doctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Doctor ID is required']
+    },
+
+    type: {
+        type: String,
+        enum: CALENDAR_SOURCE_TYPES,
+        default: 'ics'
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+
+    // webcal:// is accepted for ICS feeds and fetched over https
+    url: {
+        type: String,
+        required: [true, 'URL is required'],
+        trim: true,
+        match: [/^(https?|webcal):\/\/\S+$/i, 'URL must start with http://, https:// or webcal://']
+    },
+
+    // CalDAV credentials; the server needs the password on every sync, so it
+    // is encrypted rather than hashed and only decrypted by the fetcher
+    username: {
+        type: String,
+        trim: true,
+        default: null
+    },
+
+    password: {
+        type: String,
+        default: null,
+        select: false
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    lastSyncedAt: {
+        type: Date,
+        default: null
+    },
+
+    lastSyncStatus: {
+        type: String,
+        enum: SYNC_STATUSES,
+        default: 'never'
+    },
+
+    lastError: {
+        type: String,
+        default: null
+    },
+
+    // Busy blocks stored by the last successful sync
+    busyBlockCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Pre-validate middleware to encrypt the password before it is stored
+ * Sources saved before encryption was introduced keep syncing without a key
+ * and are encrypted on their next save once one is set.
+ */
+calendarSourceSchema.pre('validate', function(next) {
+    if (!this.password || isEncryptedSecret(this.password)) {
+        return next();
+    }
+
+    if (!calendarConfig.secretKey) {
+        return next(this.isModified('password')
+            ? new Error('CALENDAR_SECRET_KEY must be set to store calendar passwords')
+            : undefined);
+    }
+
+    this.password = encryptSecret(this.password);
+    next();
+});
+
+/**
+ * Instance method to record the outcome of a sync. Does not save the source.
+ * @param {Error|null} error - Sync error, or null on success
+ * @param {number} busyBlockCount - Busy blocks stored, on success
+ */
+calendarSourceSchema.methods.recordSync = function(error, busyBlockCount = 0) {
+    this.lastSyncedAt = new Date();
+    this.lastSyncStatus = error ? 'error' : 'ok';
+    this.lastError = error ? error.message.slice(0, 500) : null;
+
+    if (!error) {
+        this.busyBlockCount = busyBlockCount;
+    }
+};
+
+/**
+ * Instance method to get source details for display; the password is never included
+ * @returns {Object} - Formatted source details
+ */
+calendarSourceSchema.methods.getDisplayDetails = function() {
+    return {
+        _id: this._id,
+        doctorId: this.doctorId,
+        type: this.type,
+        name: this.name,
+        url: this.url,
+        username: this.username,
+        isActive: this.isActive,
+        lastSyncedAt: this.lastSyncedAt,
+        lastSyncStatus: this.lastSyncStatus,
+        lastError: this.lastError,
+        busyBlockCount: this.busyBlockCount,
+        createdAt: this.createdAt
+    };
+};
+
+calendarSourceSchema.index({ doctorId: 1, createdAt: 1 });
+calendarSourceSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('CalendarSource', calendarSourceSchema);
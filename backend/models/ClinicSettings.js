@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { DEFAULT_BOOKING_POLICY } = require('../config/policies');
+
+const SETTINGS_KEY = 'clinic';
+
+/**
+ * Clinic Settings Schema
+ * A single document holding clinic-wide settings such as the booking policy
+ */
+const clinicSettingsSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: SETTINGS_KEY,
+        unique: true
+    },
+
+    bookingPolicy: {
+        minNoticeMinutes: {
+            type: Number,
+            default: DEFAULT_BOOKING_POLICY.minNoticeMinutes,
+            min: [0, 'Minimum booking notice cannot be negative']
+        },
+        maxDaysAhead: {
+            type: Number,
+            default: DEFAULT_BOOKING_POLICY.maxDaysAhead,
+            min: [1, 'Booking horizon must be at least 1 day'],
+            max: [730, 'Booking horizon cannot exceed 730 days']
+        },
+        cancellationCutoffMinutes: {
+            type: Number,
+            default: DEFAULT_BOOKING_POLICY.cancellationCutoffMinutes,
+            min: [0, 'Cancellation cutoff cannot be negative']
+        },
+        staffExempt: {
+            type: Boolean,
+            default: DEFAULT_BOOKING_POLICY.staffExempt
+        },
+        maxOverbooksPerDay: {
+            type: Number,
+            default: DEFAULT_BOOKING_POLICY.maxOverbooksPerDay,
+            min: [0, 'Overbook limit cannot be negative'],
+            max: [20, 'Overbook limit cannot exceed 20 per day']
+        }
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Static method to get the clinic settings, falling back to the defaults
+ * @returns {Promise<Object>} - Settings document (unsaved if never stored)
+ */
+clinicSettingsSchema.statics.getSettings = async function() {
+    const settings = await this.findOne({ key: SETTINGS_KEY });
+    return settings || new this({ key: SETTINGS_KEY });
+};
+
+module.exports = mongoose.model('ClinicSettings', clinicSettingsSchema);
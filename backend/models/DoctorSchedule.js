@@ -0,0 +1,272 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} - Minutes since midnight
+ */
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Break within a working day (e.g. lunch)
+ */
+const breakSchema = new mongoose.Schema({
+    startTime: {
+        type: String,
+        required: [true, 'Break start time is required'],
+        match: [TIME_PATTERN, 'Please enter a valid time in HH:MM format']
+    },
+
+    endTime: {
+        type: String,
+        required: [true, 'Break end time is required'],
+        match: [TIME_PATTERN, 'Please enter a valid time in HH:MM format']
+    }
+}, { _id: false });
+
+/**
+ * Working hours for a single weekday
+ */
+const workingDaySchema = new mongoose.Schema({
+    dayOfWeek: {
+        type: Number,
+        required: [true, 'Day of week is required'],
+        min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+        max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+    },
+
+    startTime: {
+        type: String,
+        required: [true, 'Start time is required'],
+        match: [TIME_PATTERN, 'Please enter a valid time in HH:MM format']
+    },
+
+    endTime: {
+        type: String,
+        required: [true, 'End time is required'],
+        match: [TIME_PATTERN, 'Please enter a valid time in HH:MM format']
+    },
+
+    breaks: {
+        type: [breakSchema],
+        default: []
+    },
+
+    // Where the doctor works on this day; unset for single-site clinics
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null
+    },
+
+    // Preferred room at that location; without one any free room is used
+    roomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room',
+        default: null
+    }
+}, { _id: false });
+
+/**
+ * Doctor Schedule Schema
+ * Weekly working hours, breaks, locations and slot length for a doctor
+ */
+const doctorScheduleSchema = new mongoose.Schema({
+    doctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Doctor ID is required'],
+        unique: true
+    },
+
+    weeklyHours: {
+        type: [workingDaySchema],
+        default: []
+    },
+
+    slotDuration: {
+        type: Number,
+        default: 30, // Slot length in minutes
+        min: [5, 'Slot duration must be at least 5 minutes'],
+        max: [240, 'Slot duration cannot exceed 240 minutes']
+    },
+
+    // Overrides for the clinic booking policy; unset fields inherit the clinic value
+    bookingPolicy: {
+        minNoticeMinutes: {
+            type: Number,
+            min: [0, 'Minimum booking notice cannot be negative']
+        },
+        maxDaysAhead: {
+            type: Number,
+            min: [1, 'Booking horizon must be at least 1 day'],
+            max: [730, 'Booking horizon cannot exceed 730 days']
+        },
+        cancellationCutoffMinutes: {
+            type: Number,
+            min: [0, 'Cancellation cutoff cannot be negative']
+        },
+        staffExempt: {
+            type: Boolean
+        },
+        maxOverbooksPerDay: {
+            type: Number,
+            min: [0, 'Overbook limit cannot be negative'],
+            max: [20, 'Overbook limit cannot exceed 20 per day']
+        }
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Pre-validate middleware to check that hours and breaks are consistent
+ */
+doctorScheduleSchema.pre('validate', function(next) {
+    const seenDays = new Set();
+
+    for (const day of this.weeklyHours) {
+        if (!day.startTime || !day.endTime) {
+            continue; // Reported by the field validators
+        }
+
+        if (seenDays.has(day.dayOfWeek)) {
+            this.invalidate('weeklyHours', `Working hours for day ${day.dayOfWeek} are defined more than once`);
+        }
+        seenDays.add(day.dayOfWeek);
+
+        if (day.roomId && !day.locationId) {
+            this.invalidate('weeklyHours', `A room needs a location for day ${day.dayOfWeek}`);
+        }
+
+        if (toMinutes(day.endTime) <= toMinutes(day.startTime)) {
+            this.invalidate('weeklyHours', `End time must be after start time for day ${day.dayOfWeek}`);
+        }
+
+        for (const dayBreak of day.breaks) {
+            if (!dayBreak.startTime || !dayBreak.endTime) {
+                continue;
+            }
+
+            const breakStart = toMinutes(dayBreak.startTime);
+            const breakEnd = toMinutes(dayBreak.endTime);
+
+            if (breakEnd <= breakStart ||
+                breakStart < toMinutes(day.startTime) ||
+                breakEnd > toMinutes(day.endTime)) {
+                this.invalidate('weeklyHours', `Breaks must fall within working hours for day ${day.dayOfWeek}`);
+            }
+        }
+    }
+
+    next();
+});
+
+/**
+ * Instance method to get bookable windows for a weekday, with breaks removed
+ * @param {number} dayOfWeek - Day of week (0 = Sunday)
+ * @returns {Array} - Array of { start, end } in minutes since midnight
+ */
+doctorScheduleSchema.methods.getWorkingWindows = function(dayOfWeek) {
+    const day = this.weeklyHours.find(entry => entry.dayOfWeek === dayOfWeek);
+
+    if (!day) {
+        return [];
+    }
+
+    const breaks = day.breaks
+        .map(dayBreak => ({ start: toMinutes(dayBreak.startTime), end: toMinutes(dayBreak.endTime) }))
+        .sort((a, b) => a.start - b.start);
+
+    const windows = [];
+    let cursor = toMinutes(day.startTime);
+    const dayEnd = toMinutes(day.endTime);
+
+    for (const dayBreak of breaks) {
+        if (dayBreak.start > cursor) {
+            windows.push({ start: cursor, end: dayBreak.start });
+        }
+        cursor = Math.max(cursor, dayBreak.end);
+    }
+
+    if (cursor < dayEnd) {
+        windows.push({ start: cursor, end: dayEnd });
+    }
+
+    return windows;
+};
+
+/**
+ * Instance method to get where the doctor works on a weekday
+ * @param {number} dayOfWeek - Day of week (0 = Sunday)
+ * @returns {Object} - { locationId, roomId }, null when not assigned
+ */
+doctorScheduleSchema.methods.getAssignment = function(dayOfWeek) {
+    const day = this.weeklyHours.find(entry => entry.dayOfWeek === dayOfWeek);
+
+    return {
+        locationId: day ? day.locationId : null,
+        roomId: day ? day.roomId : null
+    };
+};
+
+/**
+ * Instance method to check if a booking fits within the schedule
+ * @param {number} dayOfWeek - Day of week (0 = Sunday)
+ * @param {string} time - Start time in HH:MM format
+ * @param {number} duration - Duration in minutes
+ * @returns {boolean} - True if the booking fits in a working window
+ */
+doctorScheduleSchema.methods.isWithinSchedule = function(dayOfWeek, time, duration) {
+    const start = toMinutes(time);
+    const end = start + duration;
+
+    return this.getWorkingWindows(dayOfWeek).some(window => start >= window.start && end <= window.end);
+};
+
+/**
+ * Static method to build the schedule used when a doctor has not configured one
+ * Matches the 08:00-20:00 daily window the booking form has always offered
+ * @param {string} doctorId - Doctor ID
+ * @returns {Object} - Unsaved schedule document
+ */
+doctorScheduleSchema.statics.buildDefault = function(doctorId) {
+    return new this({
+        doctorId,
+        weeklyHours: [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({
+            dayOfWeek,
+            startTime: '08:00',
+            endTime: '20:00',
+            breaks: []
+        })),
+        slotDuration: 30
+    });
+};
+
+/**
+ * Static method to get a doctor's schedule, falling back to the default
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise<Object>} - Schedule document
+ */
+doctorScheduleSchema.statics.findForDoctor = async function(doctorId) {
+    const schedule = await this.findOne({ doctorId });
+    return schedule || this.buildDefault(doctorId);
+};
+
+/**
+ * Static method to get the doctors assigned to a location on any weekday
+ * @param {string} locationId - Location ID
+ * @returns {Promise<Array>} - Doctor IDs
+ */
+doctorScheduleSchema.statics.findDoctorIdsAtLocation = function(locationId) {
+    return this.distinct('doctorId', { 'weeklyHours.locationId': locationId });
+};
+
+doctorScheduleSchema.index({ 'weeklyHours.locationId': 1 });
+
+module.exports = mongoose.model('DoctorSchedule', doctorScheduleSchema);
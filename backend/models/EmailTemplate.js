@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { EMAIL_EVENTS, EMAIL_AUDIENCES, LOCALE_PATTERN } = require('../utils/emailTemplates');
+
+/**
+ * Email Template Schema
+ * An admin's override of the default template for one event, audience and
+ * locale. Deleting the override restores the default.
+ */
+const emailTemplateSchema = new mongoose.Schema({
+    event: {
+        type: String,
+        enum: EMAIL_EVENTS,
+        required: [true, 'Event is required']
+    },
+
+    audience: {
+        type: String,
+        enum: EMAIL_AUDIENCES,
+        required: [true, 'Audience is required']
+    },
+
+    locale: {
+        type: String,
+        required: [true, 'Locale is required'],
+        trim: true,
+        match: [LOCALE_PATTERN, 'Locale must look like "en" or "en-GB"']
+    },
+
+    subject: {
+        type: String,
+        required: [true, 'Subject is required'],
+        trim: true,
+        maxlength: [200, 'Subject cannot exceed 200 characters']
+    },
+
+    text: {
+        type: String,
+        required: [true, 'Plain-text body is required'],
+        maxlength: [10000, 'Plain-text body cannot exceed 10000 characters']
+    },
+
+    // Optional; built from the plain-text body when empty
+    html: {
+        type: String,
+        default: '',
+        maxlength: [50000, 'HTML body cannot exceed 50000 characters']
+    },
+
+    // Inactive templates are not sent at all
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Index for efficient queries
+emailTemplateSchema.index({ event: 1, audience: 1, locale: 1 }, { unique: true });
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
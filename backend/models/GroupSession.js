@@ -0,0 +1,309 @@
+const mongoose = require('mongoose');
+const SlotLock = require('./SlotLock');
+const {
+    MS_PER_DAY,
+    startOfDay,
+    listDaysTouched,
+    doIntervalsOverlap,
+    toZonedDateKey,
+    toZonedTime,
+    addMinutes
+} = require('../utils/timeUtils');
+const { CLINIC_TIMEZONE, isValidTimeZone } = require('../config/clinic');
+
+/**
+ * Group Session Schema
+ * A class held by one doctor for up to `capacity` patients (prenatal,
+ * diabetes education, ...). The session holds the doctor's and the room's
+ * time; each participant is an Appointment with groupSessionId set.
+ * `seatsTaken` is only changed through reserveSeat/releaseSeat so that
+ * concurrent joins cannot overfill the session.
+ */
+const groupSessionSchema = new mongoose.Schema({
+    doctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Doctor ID is required']
+    },
+
+    title: {
+        type: String,
+        required: [true, 'Session title is required'],
+        trim: true,
+        maxlength: [100, 'Session title cannot exceed 100 characters']
+    },
+
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+
+    startsAt: {
+        type: Date,
+        required: [true, 'Session start time is required'],
+        validate: {
+            validator: function(value) {
+                return !(this.isNew || this.isModified('startsAt')) || value > new Date();
+            },
+            message: 'Session date cannot be in the past'
+        }
+    },
+
+    timezone: {
+        type: String,
+        default: CLINIC_TIMEZONE,
+        validate: {
+            validator: isValidTimeZone,
+            message: 'Please provide a valid IANA timezone'
+        }
+    },
+
+    duration: {
+        type: Number,
+        default: 60,
+        min: [15, 'Session duration must be at least 15 minutes'],
+        max: [120, 'Session duration cannot exceed 120 minutes']
+    },
+
+    capacity: {
+        type: Number,
+        required: [true, 'Capacity is required'],
+        min: [2, 'A group session needs at least 2 seats'],
+        max: [100, 'Capacity cannot exceed 100 seats']
+    },
+
+    seatsTaken: {
+        type: Number,
+        default: 0,
+        min: [0, 'Seats taken cannot be negative']
+    },
+
+    status: {
+        type: String,
+        enum: ['scheduled', 'cancelled'],
+        default: 'scheduled'
+    },
+
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null
+    },
+
+    roomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room',
+        default: null
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Calendar day of the session in its timezone, as a UTC-midnight Date
+ */
+groupSessionSchema.virtual('date').get(function() {
+    return this.startsAt ? startOfDay(toZonedDateKey(this.startsAt, this.timezone)) : undefined;
+});
+
+/**
+ * Wall-clock start time (HH:MM) in the session's timezone
+ */
+groupSessionSchema.virtual('time').get(function() {
+    return this.startsAt ? toZonedTime(this.startsAt, this.timezone) : undefined;
+});
+
+/**
+ * End of the session
+ */
+groupSessionSchema.virtual('endsAt').get(function() {
+    return this.startsAt ? addMinutes(this.startsAt, this.duration) : undefined;
+});
+
+groupSessionSchema.virtual('seatsRemaining').get(function() {
+    return Math.max(this.capacity - this.seatsTaken, 0);
+});
+
+groupSessionSchema.pre('validate', function(next) {
+    if (this.seatsTaken > this.capacity) {
+        this.invalidate('capacity', 'Capacity cannot be below the number of seats already taken');
+    }
+    next();
+});
+
+/**
+ * Static method to check if a scheduled session overlaps a time range
+ * @param {Object} filter - { doctorId } or { roomId }
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {string} excludeSessionId - Session to leave out (when updating)
+ * @returns {Promise<boolean>} - True if there is an overlap
+ */
+groupSessionSchema.statics.hasOverlap = async function(filter, start, end, excludeSessionId = null) {
+    const sessions = await this.find({
+        ...filter,
+        startsAt: { $gt: new Date(start.getTime() - MS_PER_DAY), $lt: end },
+        status: 'scheduled',
+        _id: { $ne: excludeSessionId }
+    }).select('startsAt duration');
+
+    return sessions.some(session => doIntervalsOverlap(start, end, session.startsAt, session.endsAt));
+};
+
+/**
+ * Check if an active appointment (other than this session's seats) overlaps the session
+ * @param {Object} doc - Group session document
+ * @param {Object} filter - { doctorId } or { roomId }
+ * @returns {Promise<boolean>} - True if there is an overlap
+ */
+const hasAppointmentOverlap = async (doc, filter) => {
+    // Required lazily: the Appointment model requires this one
+    const Appointment = mongoose.model('Appointment');
+    const appointments = await Appointment.find({
+        ...filter,
+        startsAt: { $gt: new Date(doc.startsAt.getTime() - MS_PER_DAY), $lt: doc.endsAt },
+        status: { $nin: ['cancelled', 'no_show'] },
+        groupSessionId: { $ne: doc._id }
+    }).select('startsAt duration bufferMinutes');
+
+    return appointments.some(apt => doIntervalsOverlap(doc.startsAt, doc.endsAt, apt.startsAt, apt.blockedUntil));
+};
+
+/**
+ * Pre-save middleware to keep sessions from overlapping other bookings
+ * Takes the same slot locks as appointments: every day the session touches,
+ * earliest first, doctor before room
+ */
+groupSessionSchema.pre('save', async function(next) {
+    const moved = ['doctorId', 'roomId', 'startsAt', 'duration', 'status'].some(path => this.isModified(path));
+
+    if (this.status !== 'scheduled' || !(this.isNew || moved)) {
+        return next();
+    }
+
+    const resources = [{ doctorId: this.doctorId }];
+
+    if (this.roomId) {
+        resources.push({ roomId: this.roomId });
+    }
+
+    try {
+        const days = listDaysTouched(this.startsAt, this.endsAt);
+        const locks = await SlotLock.acquireAll(resources, days, new mongoose.Types.ObjectId().toString());
+
+        if (!locks) {
+            const error = new Error('This time slot is being booked by someone else, please try again');
+            error.status = 409;
+            return next(error);
+        }
+
+        this.$locals.slotLocks = locks;
+
+        for (const resource of resources) {
+            if (await hasAppointmentOverlap(this, resource)
+                || await this.constructor.hasOverlap(resource, this.startsAt, this.endsAt, this._id)) {
+                const error = new Error(resource.roomId
+                    ? 'The consulting room is already booked at this time'
+                    : 'Appointment slot is already booked');
+                error.status = 409;
+                return next(error);
+            }
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Release the slot locks taken in pre-save, whether or not the write succeeded
+ * @param {Object} doc - Group session document
+ */
+const releaseSlotLocks = async (doc) => {
+    const locks = doc.$locals.slotLocks;
+
+    if (locks) {
+        delete doc.$locals.slotLocks;
+        await SlotLock.releaseAll(locks);
+    }
+};
+
+groupSessionSchema.post('save', async function(doc) {
+    await releaseSlotLocks(doc);
+});
+
+groupSessionSchema.post('save', async function(error, doc, next) {
+    await releaseSlotLocks(this);
+    next(error);
+});
+
+/**
+ * Static method to take a seat in a session
+ * The capacity check and the increment are one atomic update
+ * @param {string} sessionId - Group session ID
+ * @returns {Promise<Object|null>} - Updated session, or null if it is full, cancelled or has started
+ */
+groupSessionSchema.statics.reserveSeat = async function(sessionId) {
+    return this.findOneAndUpdate(
+        {
+            _id: sessionId,
+            status: 'scheduled',
+            startsAt: { $gt: new Date() },
+            $expr: { $lt: ['$seatsTaken', '$capacity'] }
+        },
+        { $inc: { seatsTaken: 1 } },
+        { new: true }
+    );
+};
+
+/**
+ * Static method to give a seat back
+ * @param {string} sessionId - Group session ID
+ * @returns {Promise<void>}
+ */
+groupSessionSchema.statics.releaseSeat = async function(sessionId) {
+    await this.updateOne({ _id: sessionId, seatsTaken: { $gt: 0 } }, { $inc: { seatsTaken: -1 } });
+};
+
+/**
+ * Instance method to get session details for display
+ * @returns {Object} - Formatted session details
+ */
+groupSessionSchema.methods.getDisplayDetails = function() {
+    return {
+        _id: this._id,
+        doctorId: this.populated('doctorId') || this.doctorId,
+        doctor: this.populated('doctorId')
+            ? { _id: this.doctorId._id, name: this.doctorId.name, specialization: this.doctorId.specialization }
+            : undefined,
+        title: this.title,
+        description: this.description,
+        startsAt: this.startsAt,
+        timezone: this.timezone,
+        date: this.date,
+        time: this.time,
+        duration: this.duration,
+        capacity: this.capacity,
+        seatsTaken: this.seatsTaken,
+        seatsRemaining: this.seatsRemaining,
+        status: this.status,
+        locationId: this.populated('locationId') || this.locationId,
+        roomId: this.populated('roomId') || this.roomId,
+        location: this.populated('locationId') ? this.locationId.getDisplayDetails() : undefined,
+        room: this.populated('roomId') ? { _id: this.roomId._id, name: this.roomId.name } : undefined,
+        createdAt: this.createdAt
+    };
+};
+
+groupSessionSchema.index({ doctorId: 1, startsAt: 1 });
+groupSessionSchema.index({ roomId: 1, startsAt: 1 });
+groupSessionSchema.index({ status: 1, startsAt: 1 });
+
+module.exports = mongoose.model('GroupSession', groupSessionSchema);
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { MS_PER_DAY } = require('../utils/timeUtils');
+
+/**
+ * Invite Schema
+ * Lets a user created by an admin set their own password. Only a hash of the
+ * token is stored; the token itself is only ever in the invite link.
+ */
+const inviteSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+
+    tokenHash: {
+        type: String,
+        required: [true, 'Token hash is required']
+    },
+
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    },
+
+    acceptedAt: {
+        type: Date,
+        default: null
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS) > 0 ? parseInt(process.env.INVITE_TTL_DAYS) : 7;
+
+/**
+ * Hash an invite token for storage and lookup
+ * @param {string} token - Token from the invite link
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Static method to build an unsaved invite for a user
+ * @param {ObjectId} userId - Invited user
+ * @param {ObjectId} createdBy - Admin sending the invite
+ * @returns {Object} - { invite, token }
+ */
+inviteSchema.statics.build = function(userId, createdBy) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const invite = new this({
+        userId,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * MS_PER_DAY),
+        createdBy
+    });
+
+    return { invite, token };
+};
+
+/**
+ * Static method to find the open invite for a token
+ * @param {string} token - Token from the invite link
+ * @returns {Promise<Object|null>} - Invite, or null if unknown, used or expired
+ */
+inviteSchema.statics.findOpen = function(token) {
+    return this.findOne({
+        tokenHash: hashToken(token),
+        acceptedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Static method to mark the open invite for a token accepted
+ * Atomic, so a link used twice at once is only accepted once.
+ * @param {string} token - Token from the invite link
+ * @param {Object} session - Optional session of the transaction that sets the password
+ * @returns {Promise<Object|null>} - Accepted invite, or null if unknown, used or expired
+ */
+inviteSchema.statics.accept = function(token, session = null) {
+    return this.findOneAndUpdate(
+        { tokenHash: hashToken(token), acceptedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { acceptedAt: new Date() } },
+        { new: true, session }
+    );
+};
+
+/**
+ * Static method to withdraw a user's open invites, e.g. before sending a new one
+ * @param {ObjectId} userId - Invited user
+ * @returns {Promise<Object>} - Update result
+ */
+inviteSchema.statics.expireForUser = function(userId) {
+    return this.updateMany(
+        { userId, acceptedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { expiresAt: new Date() } }
+    );
+};
+
+inviteSchema.index({ tokenHash: 1 }, { unique: true });
+inviteSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Invite', inviteSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * Location Schema
+ * A clinic site with its own address; doctors are assigned to locations
+ * per weekday in their schedule, and each location has consulting rooms
+ */
+const locationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Location name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [100, 'Location name cannot exceed 100 characters']
+    },
+
+    address: {
+        street: {
+            type: String,
+            required: [true, 'Street address is required'],
+            trim: true,
+            maxlength: [200, 'Street address cannot exceed 200 characters']
+        },
+        city: {
+            type: String,
+            required: [true, 'City is required'],
+            trim: true,
+            maxlength: [100, 'City cannot exceed 100 characters']
+        },
+        postalCode: {
+            type: String,
+            trim: true,
+            maxlength: [20, 'Postal code cannot exceed 20 characters']
+        },
+        country: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Country cannot exceed 100 characters']
+        }
+    },
+
+    phone: {
+        type: String,
+        trim: true,
+        maxlength: [15, 'Phone number cannot exceed 15 characters']
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Instance method to get the address as a single line
+ * @returns {string} - e.g. "12 High Street, 10115 Berlin, Germany"
+ */
+locationSchema.methods.getFormattedAddress = function() {
+    const { street, city, postalCode, country } = this.address || {};
+    const cityLine = [postalCode, city].filter(Boolean).join(' ');
+
+    return [street, cityLine, country].filter(Boolean).join(', ');
+};
+
+/**
+ * Instance method to get location details for display
+ * @returns {Object} - Formatted location details
+ */
+locationSchema.methods.getDisplayDetails = function() {
+    return {
+        _id: this._id,
+        name: this.name,
+        address: this.address,
+        formattedAddress: this.getFormattedAddress(),
+        phone: this.phone,
+        isActive: this.isActive
+    };
+};
+
+locationSchema.index({ isActive: 1, name: 1 });
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Notifications are removed this long after they were created
+const RETENTION_DAYS = 90;
+
+/**
+ * Notification Schema
+ * An entry in a user's in-app inbox, e.g. "Your appointment was confirmed"
+ */
+const notificationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+
+    // Event that caused it, e.g. "appointment.cancelled"
+    type: {
+        type: String,
+        required: [true, 'Type is required'],
+        trim: true
+    },
+
+    message: {
+        type: String,
+        required: [true, 'Message is required'],
+        trim: true,
+        maxlength: [500, 'Message cannot exceed 500 characters']
+    },
+
+    appointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment',
+        default: null
+    },
+
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Static method to count a user's unread notifications
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Unread count
+ */
+notificationSchema.statics.countUnread = function(userId) {
+    return this.countDocuments({ userId, readAt: null });
+};
+
+/**
+ * Static method to mark notifications of a user as read
+ * @param {string} userId - User ID
+ * @param {Array<string>} ids - Notification IDs; all unread ones if omitted
+ * @returns {Promise<number>} - Number of notifications marked
+ */
+notificationSchema.statics.markRead = async function(userId, ids = null) {
+    const filter = { userId, readAt: null };
+
+    if (ids) {
+        filter._id = { $in: ids };
+    }
+
+    const result = await this.updateMany(filter, { readAt: new Date() });
+    return result.nModified || result.modifiedCount || 0;
+};
+
+/**
+ * Instance method to get notification details for display
+ * @returns {Object} - Formatted notification details
+ */
+notificationSchema.methods.getDisplayDetails = function() {
+    return {
+        _id: this._id,
+        type: this.type,
+        message: this.message,
+        appointmentId: this.appointmentId,
+        isRead: Boolean(this.readAt),
+        readAt: this.readAt,
+        createdAt: this.createdAt
+    };
+};
+
+// Index for efficient queries
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const { REMINDER_CHANNELS, reminderConfig } = require('../config/reminders');
+const { MS_PER_MINUTE, addMinutes } = require('../utils/timeUtils');
+const { REMINDER_STATUSES } = require('../utils/appointmentStatus');
+
+// How long a claimed job is reserved before another worker may retry it
+const CLAIM_TTL_MINUTES = 5;
+const RETRY_DELAY_MINUTES = 5;
+
+/**
+ * Reminder Job Schema
+ * One scheduled reminder for one appointment start time, channel and offset.
+ * Jobs live in MongoDB so pending reminders survive restarts; a job for an
+ * earlier start time is cancelled when the appointment moves.
+ */
+const reminderJobSchema = new mongoose.Schema({
+    appointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment',
+        required: [true, 'Appointment ID is required']
+    },
+
+    channel: {
+        type: String,
+        enum: REMINDER_CHANNELS,
+        required: [true, 'Channel is required']
+    },
+
+    offsetMinutes: {
+        type: Number,
+        required: [true, 'Offset is required'],
+        min: [1, 'Offset must be at least 1 minute']
+    },
+
+    // Appointment start this reminder was scheduled for
+    startsAt: {
+        type: Date,
+        required: [true, 'Appointment start is required']
+    },
+
+    runAt: {
+        type: Date,
+        required: [true, 'Run time is required']
+    },
+
+    status: {
+        type: String,
+        enum: ['scheduled', 'processing', 'sent', 'failed', 'cancelled', 'skipped'],
+        default: 'scheduled'
+    },
+
+    attempts: {
+        type: Number,
+        default: 0
+    },
+
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+
+    sentAt: {
+        type: Date,
+        default: null
+    },
+
+    lastError: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Static method to bring an appointment's reminders in line with its status and time
+ * Reminders for an old start time, an inactive appointment or a channel or
+ * offset no longer configured are cancelled;
+ * missing reminders for the current start are scheduled, skipping offsets
+ * whose time has already passed
+ * @param {Object} appointment - Appointment document
+ * @returns {Promise<void>}
+ */
+reminderJobSchema.statics.syncForAppointment = async function(appointment) {
+    const active = REMINDER_STATUSES.includes(appointment.status);
+
+    await this.updateMany(
+        {
+            appointmentId: appointment._id,
+            status: 'scheduled',
+            ...(active ? {
+                $or: [
+                    { startsAt: { $ne: appointment.startsAt } },
+                    { channel: { $nin: reminderConfig.channels } },
+                    { offsetMinutes: { $nin: reminderConfig.offsetsMinutes } }
+                ]
+            } : {})
+        },
+        { status: 'cancelled', lockedUntil: null }
+    );
+
+    if (!active) {
+        return;
+    }
+
+    const now = new Date();
+
+    for (const channel of reminderConfig.channels) {
+        for (const offsetMinutes of reminderConfig.offsetsMinutes) {
+            const runAt = addMinutes(appointment.startsAt, -offsetMinutes);
+
+            if (runAt <= now) {
+                continue;
+            }
+
+            try {
+                await this.updateOne(
+                    {
+                        appointmentId: appointment._id,
+                        channel,
+                        offsetMinutes,
+                        startsAt: appointment.startsAt,
+                        status: { $in: ['scheduled', 'cancelled'] }
+                    },
+                    { status: 'scheduled', runAt, attempts: 0, lockedUntil: null, lastError: null },
+                    { upsert: true }
+                );
+            } catch (error) {
+                // A reminder for this start already went out (or failed for good)
+                if (error.code !== 11000) {
+                    throw error;
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Static method to claim the next due job
+ * Jobs left in processing by a crashed worker become claimable again once
+ * their claim expires
+ * @returns {Promise<Object|null>} - Claimed job, or null if nothing is due
+ */
+reminderJobSchema.statics.claimNext = async function() {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'scheduled', runAt: { $lte: now } },
+                { status: 'processing', lockedUntil: { $lte: now } }
+            ]
+        },
+        {
+            status: 'processing',
+            lockedUntil: addMinutes(now, CLAIM_TTL_MINUTES),
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { runAt: 1 } }
+    );
+};
+
+/**
+ * Instance method to record a successful delivery
+ * @returns {Promise<Object>} - Saved job
+ */
+reminderJobSchema.methods.markSent = function() {
+    this.status = 'sent';
+    this.sentAt = new Date();
+    this.lockedUntil = null;
+    this.lastError = null;
+    return this.save();
+};
+
+/**
+ * Instance method to close a job without sending it
+ * @param {string} status - 'cancelled' or 'skipped'
+ * @param {string} reason - Why it was not sent
+ * @returns {Promise<Object>} - Saved job
+ */
+reminderJobSchema.methods.close = function(status, reason = null) {
+    this.status = status;
+    this.lockedUntil = null;
+    this.lastError = reason;
+    return this.save();
+};
+
+/**
+ * Instance method to record a failed delivery
+ * The job is retried later unless it is out of attempts or the retry would
+ * land after the appointment starts
+ * @param {Error} error - Delivery error
+ * @returns {Promise<Object>} - Saved job
+ */
+reminderJobSchema.methods.markFailed = function(error) {
+    const retryAt = new Date(Date.now() + RETRY_DELAY_MINUTES * this.attempts * MS_PER_MINUTE);
+
+    this.lastError = error.message;
+    this.lockedUntil = null;
+
+    if (this.attempts < reminderConfig.maxAttempts && retryAt < this.startsAt) {
+        this.status = 'scheduled';
+        this.runAt = retryAt;
+    } else {
+        this.status = 'failed';
+    }
+
+    return this.save();
+};
+
+// Index for efficient queries
+reminderJobSchema.index({ appointmentId: 1, channel: 1, offsetMinutes: 1, startsAt: 1 }, { unique: true });
+reminderJobSchema.index({ status: 1, runAt: 1 });
+reminderJobSchema.index({ status: 1, lockedUntil: 1 });
+
+module.exports = mongoose.model('ReminderJob', reminderJobSchema);
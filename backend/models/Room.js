@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Room Schema
+ * A consulting room at a location. Appointments are placed in a room, and
+ * a room can only hold one appointment at a time.
+ */
+const roomSchema = new mongoose.Schema({
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: [true, 'Location ID is required']
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Room name is required'],
+        trim: true,
+        maxlength: [50, 'Room name cannot exceed 50 characters']
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Instance method to get room details for display
+ * @returns {Object} - Formatted room details
+ */
+roomSchema.methods.getDisplayDetails = function() {
+    return {
+        _id: this._id,
+        locationId: this.locationId,
+        name: this.name,
+        isActive: this.isActive
+    };
+};
+
+// Room names are unique within a location
+roomSchema.index({ locationId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Room', roomSchema);
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+/**
+ * Slot Lock Schema
+ * Short-lived mutex per resource (a doctor or a room) and UTC day, so that
+ * the conflict check and the write of a booking happen atomically with
+ * respect to other bookings. A booking locks every day its time touches, so
+ * any two overlapping bookings share at least one lock, even across
+ * midnight. Exactly one of doctorId and roomId is set.
+ */
+const slotLockSchema = new mongoose.Schema({
+    doctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    roomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room',
+        default: null
+    },
+
+    date: {
+        type: Date,
+        required: [true, 'Lock date is required']
+    },
+
+    holder: {
+        type: String,
+        required: [true, 'Lock holder is required']
+    },
+
+    expiresAt: {
+        type: Date,
+        required: [true, 'Lock expiry is required']
+    }
+});
+
+const DEFAULT_TTL_MS = 10 * 1000;
+const DEFAULT_RETRIES = 20;
+const RETRY_DELAY_MS = 50;
+
+/**
+ * Build the filter identifying a lock
+ * @param {Object} resource - { doctorId } or { roomId }
+ * @param {Date} date - Day (midnight UTC)
+ * @returns {Object} - Lock key
+ */
+const getLockKey = (resource, date) => ({
+    doctorId: resource.doctorId || null,
+    roomId: resource.roomId || null,
+    date
+});
+
+/**
+ * Static method to try to take the lock once
+ * A missing or expired lock is taken over; a live lock makes the upsert hit
+ * the unique index and fail with a duplicate key error
+ * @param {Object} resource - { doctorId } or { roomId }
+ * @param {Date} date - Day (midnight UTC)
+ * @param {string} holder - Unique ID of the caller
+ * @param {number} ttlMs - Lock lifetime in milliseconds
+ * @returns {Promise<boolean>} - True if the lock was acquired
+ */
+slotLockSchema.statics.tryAcquire = async function(resource, date, holder, ttlMs = DEFAULT_TTL_MS) {
+    const now = new Date();
+    const key = getLockKey(resource, date);
+
+    try {
+        await this.findOneAndUpdate(
+            { ...key, expiresAt: { $lte: now } },
+            { ...key, holder, expiresAt: new Date(now.getTime() + ttlMs) },
+            { upsert: true, new: true }
+        );
+        return true;
+    } catch (error) {
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Static method to take the lock, retrying briefly while it is held
+ * @param {Object} resource - { doctorId } or { roomId }
+ * @param {Date} date - Day (midnight UTC)
+ * @param {string} holder - Unique ID of the caller
+ * @param {Object} options - { ttlMs, retries }
+ * @returns {Promise<boolean>} - True if the lock was acquired
+ */
+slotLockSchema.statics.acquire = async function(resource, date, holder, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : DEFAULT_RETRIES;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (await this.tryAcquire(resource, date, holder, options.ttlMs)) {
+            return true;
+        }
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+    }
+
+    return false;
+};
+
+/**
+ * Static method to release a lock held by the caller
+ * @param {Object} resource - { doctorId } or { roomId }
+ * @param {Date} date - Day (midnight UTC)
+ * @param {string} holder - Unique ID of the caller
+ * @returns {Promise<void>}
+ */
+slotLockSchema.statics.release = async function(resource, date, holder) {
+    await this.deleteOne({ ...getLockKey(resource, date), holder });
+};
+
+/**
+ * Static method to take the locks for several resources on several days
+ * Locks are taken day by day, earliest first, and within a day in the given
+ * resource order, so callers always wait on each other in the same order.
+ * If any lock cannot be taken, the ones already held are released again
+ * @param {Array} resources - { doctorId } or { roomId } entries
+ * @param {Array<Date>} dates - Days (midnight UTC), e.g. from listDaysTouched
+ * @param {string} holder - Unique ID of the caller
+ * @returns {Promise<Array|null>} - Held locks ({ resource, date, holder }), or null if one was busy
+ */
+slotLockSchema.statics.acquireAll = async function(resources, dates, holder) {
+    const sortedDates = [...dates].sort((a, b) => a - b);
+    const locks = [];
+
+    for (const date of sortedDates) {
+        for (const resource of resources) {
+            if (!await this.acquire(resource, date, holder)) {
+                await this.releaseAll(locks);
+                return null;
+            }
+
+            locks.push({ resource, date, holder });
+        }
+    }
+
+    return locks;
+};
+
+/**
+ * Static method to release locks taken with acquireAll
+ * A failed release is only logged: the lock expires on its own
+ * @param {Array} locks - Locks returned by acquireAll
+ * @returns {Promise<void>}
+ */
+slotLockSchema.statics.releaseAll = async function(locks) {
+    for (const lock of locks) {
+        try {
+            await this.release(lock.resource, lock.date, lock.holder);
+        } catch (error) {
+            console.error('Failed to release slot lock:', error);
+        }
+    }
+};
+
+// One live lock per doctor or room and day
+slotLockSchema.index({ doctorId: 1, roomId: 1, date: 1 }, { unique: true });
+// Let MongoDB clean up locks left behind by crashed processes
+slotLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SlotLock', slotLockSchema);
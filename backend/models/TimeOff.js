@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+const TIME_OFF_REASONS = ['vacation', 'conference', 'sick', 'holiday', 'other'];
+
+/**
+ * Time Off Schema
+ * A period in which a doctor (or, with scope "clinic", every doctor) cannot
+ * be booked. Full-day blocks run from midnight of the first day to midnight
+ * after the last day; partial-day blocks cover a time range on one day.
+ */
+const timeOffSchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        enum: ['doctor', 'clinic'],
+        default: 'doctor'
+    },
+
+    doctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    startsAt: {
+        type: Date,
+        required: [true, 'Start of the time off is required']
+    },
+
+    endsAt: {
+        type: Date,
+        required: [true, 'End of the time off is required']
+    },
+
+    allDay: {
+        type: Boolean,
+        default: true
+    },
+
+    reason: {
+        type: String,
+        enum: TIME_OFF_REASONS,
+        default: 'other'
+    },
+
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Note cannot exceed 200 characters']
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Pre-validate middleware to check scope and range
+ */
+timeOffSchema.pre('validate', function(next) {
+    if (this.scope === 'doctor' && !this.doctorId) {
+        this.invalidate('doctorId', 'Doctor ID is required for doctor time off');
+    }
+
+    if (this.scope === 'clinic') {
+        this.doctorId = null;
+    }
+
+    if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+        this.invalidate('endsAt', 'Time off must end after it starts');
+    }
+
+    next();
+});
+
+/**
+ * Build the filter for blocks affecting a doctor within a range
+ * @param {string} doctorId - Doctor ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @returns {Object} - Query filter
+ */
+const buildOverlapFilter = (doctorId, from, to) => ({
+    $or: [{ scope: 'clinic' }, { scope: 'doctor', doctorId }],
+    startsAt: { $lt: to },
+    endsAt: { $gt: from }
+});
+
+/**
+ * Static method to get time off affecting a doctor within a range
+ * @param {string} doctorId - Doctor ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @returns {Promise<Array>} - Time off documents
+ */
+timeOffSchema.statics.findForDoctor = function(doctorId, from, to) {
+    return this.find(buildOverlapFilter(doctorId, from, to)).sort({ startsAt: 1 });
+};
+
+/**
+ * Static method to get blocked intervals for a doctor within a range
+ * @param {string} doctorId - Doctor ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @returns {Promise<Array>} - Array of { start, end, timeOff } instants
+ */
+timeOffSchema.statics.getBlockedIntervals = async function(doctorId, from, to) {
+    const blocks = await this.findForDoctor(doctorId, from, to);
+
+    return blocks.map(block => ({ start: block.startsAt, end: block.endsAt, timeOff: block }));
+};
+
+/**
+ * Instance method to get time off details for display
+ * @returns {Object} - Formatted time off details
+ */
+timeOffSchema.methods.getDisplayDetails = function() {
+    return {
+        _id: this._id,
+        scope: this.scope,
+        doctorId: this.doctorId,
+        startsAt: this.startsAt,
+        endsAt: this.endsAt,
+        allDay: this.allDay,
+        reason: this.reason,
+        note: this.note,
+        createdAt: this.createdAt
+    };
+};
+
+timeOffSchema.index({ doctorId: 1, startsAt: 1, endsAt: 1 });
+timeOffSchema.index({ scope: 1, startsAt: 1, endsAt: 1 });
+
+module.exports = mongoose.model('TimeOff', timeOffSchema);
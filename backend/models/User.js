@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
@@ -25,9 +26,10 @@ const userSchema = new mongoose.Schema({
         ]
     },
     
+    // Invited users have no password until they accept their invite
     password: {
         type: String,
-        required: [true, 'Password is required'],
+        required: [function() { return !this.invitePending; }, 'Password is required'],
         minlength: [6, 'Password must be at least 6 characters long'],
         select: false // Don't include password in queries by default
     },
@@ -53,6 +55,34 @@ const userSchema = new mongoose.Schema({
     isActive: {
         type: Boolean,
         default: true
+    },
+
+    // Created by an admin and has not yet accepted the invite to set a password
+    invitePending: {
+        type: Boolean,
+        default: false
+    },
+
+    // Language for emails, e.g. "en" or "es-MX"
+    locale: {
+        type: String,
+        trim: true,
+        default: 'en',
+        match: [/^[a-z]{2}(-[A-Z]{2})?$/, 'Locale must look like "en" or "en-GB"']
+    },
+    
+    // Lifetime number of appointments this patient missed
+    noShowCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Secret in the URL of the user's subscribable calendar feed
+    calendarFeedToken: {
+        type: String,
+        default: undefined,
+        select: false
     }
 }, {
     timestamps: true // Adds createdAt and updatedAt fields
@@ -90,6 +120,16 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     }
 };
 
+/**
+ * Instance method to replace the calendar feed token, which invalidates
+ * every calendar subscribed with the old one. Does not save the user.
+ * @returns {string} - New token
+ */
+userSchema.methods.regenerateCalendarFeedToken = function() {
+    this.calendarFeedToken = crypto.randomBytes(24).toString('hex');
+    return this.calendarFeedToken;
+};
+
 /**
  * Instance method to get user profile without sensitive data
  * @returns {Object} - User profile object
@@ -102,7 +142,10 @@ userSchema.methods.getProfile = function() {
         role: this.role,
         phone: this.phone,
         specialization: this.specialization,
+        locale: this.locale,
         isActive: this.isActive,
+        invitePending: this.invitePending,
+        noShowCount: this.noShowCount,
         createdAt: this.createdAt
     };
 };
@@ -111,5 +154,6 @@ userSchema.methods.getProfile = function() {
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const { toDateKey, startOfDay, combineDateAndTime, getTodayKey, addMinutes } = require('../utils/timeUtils');
+
+/**
+ * How long a waitlisted patient has to accept an offered slot
+ */
+const OFFER_TTL_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+/**
+ * Waitlist Schema
+ * Patients waiting for a slot with a doctor within a date range. When a
+ * slot frees up it is offered to the first matching entry for a limited time.
+ */
+const waitlistSchema = new mongoose.Schema({
+    patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Patient ID is required']
+    },
+
+    doctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Doctor ID is required']
+    },
+
+    fromDate: {
+        type: Date,
+        required: [true, 'Start of the date range is required']
+    },
+
+    toDate: {
+        type: Date,
+        required: [true, 'End of the date range is required']
+    },
+
+    status: {
+        type: String,
+        enum: ['waiting', 'offered', 'accepted', 'cancelled', 'expired'],
+        default: 'waiting'
+    },
+
+    offer: {
+        date: Date,
+        time: String,
+        duration: Number,
+        offeredAt: Date,
+        expiresAt: Date
+    },
+
+    // Slots ("YYYY-MM-DD HH:MM") this patient declined or let expire
+    skippedSlots: {
+        type: [String],
+        default: []
+    },
+
+    appointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Build the key used to remember skipped slots
+ * @param {Date|string} date - Slot day
+ * @param {string} time - Slot time (HH:MM)
+ * @returns {string} - Slot key
+ */
+const getSlotKey = (date, time) => `${toDateKey(date)} ${time}`;
+
+/**
+ * Static method to offer a freed slot to the first matching waiting patient
+ * The entry is claimed with a single atomic update, so two sweeps or
+ * cancellations cannot offer the same entry twice
+ * @param {Object} slot - { doctorId, date, time, duration }
+ * @returns {Promise<Object|null>} - The offered entry, or null if nobody matches
+ */
+waitlistSchema.statics.offerSlot = async function(slot) {
+    const now = new Date();
+
+    if (combineDateAndTime(slot.date, slot.time) <= now) {
+        return null;
+    }
+
+    const day = startOfDay(slot.date);
+
+    return this.findOneAndUpdate(
+        {
+            doctorId: slot.doctorId,
+            status: 'waiting',
+            fromDate: { $lte: day },
+            toDate: { $gte: day },
+            skippedSlots: { $ne: getSlotKey(day, slot.time) }
+        },
+        {
+            status: 'offered',
+            offer: {
+                date: day,
+                time: slot.time,
+                duration: slot.duration,
+                offeredAt: now,
+                expiresAt: addMinutes(now, OFFER_TTL_MINUTES)
+            }
+        },
+        { sort: { createdAt: 1 }, new: true }
+    );
+};
+
+/**
+ * Static method to offer the slot an appointment no longer occupies
+ * @param {Object} appointment - Appointment (or its previous date/time)
+ * @returns {Promise<Object|null>} - The offered entry, or null
+ */
+waitlistSchema.statics.offerFreedSlot = function(appointment) {
+    return this.offerSlot({
+        doctorId: appointment.doctorId,
+        date: appointment.date,
+        time: appointment.time,
+        duration: appointment.duration
+    });
+};
+
+/**
+ * Static method to get slots currently held by open offers
+ * @param {string} doctorId - Doctor ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @param {Object} options - { excludeEntryId }
+ * @returns {Promise<Array>} - Array of { start, end } instants
+ */
+waitlistSchema.statics.getHeldIntervals = async function(doctorId, from, to, options = {}) {
+    const filter = {
+        doctorId,
+        status: 'offered',
+        'offer.date': { $gte: from, $lt: to },
+        'offer.expiresAt': { $gt: new Date() }
+    };
+
+    if (options.excludeEntryId) {
+        filter._id = { $ne: options.excludeEntryId };
+    }
+
+    const entries = await this.find(filter).select('offer');
+
+    return entries.map(entry => {
+        const start = combineDateAndTime(entry.offer.date, entry.offer.time);
+        return { start, end: addMinutes(start, entry.offer.duration) };
+    });
+};
+
+/**
+ * Static method to put entries with expired offers back in line
+ * Each entry is released with a conditional update, so an offer accepted
+ * at the last moment is never taken away
+ * @returns {Promise<Array>} - Released slots { doctorId, date, time, duration }
+ */
+waitlistSchema.statics.expireOffers = async function() {
+    const now = new Date();
+    const expired = await this.find({ status: 'offered', 'offer.expiresAt': { $lte: now } });
+    const slots = [];
+
+    for (const entry of expired) {
+        const result = await this.updateOne(
+            { _id: entry._id, status: 'offered', 'offer.expiresAt': entry.offer.expiresAt },
+            {
+                status: 'waiting',
+                $unset: { offer: 1 },
+                $addToSet: { skippedSlots: getSlotKey(entry.offer.date, entry.offer.time) }
+            }
+        );
+
+        if ((result.nModified || result.modifiedCount) !== 1) {
+            continue; // Accepted, declined or cancelled in the meantime
+        }
+
+        slots.push({
+            doctorId: entry.doctorId,
+            date: entry.offer.date,
+            time: entry.offer.time,
+            duration: entry.offer.duration
+        });
+    }
+
+    return slots;
+};
+
+/**
+ * Static method to close entries whose date range has passed
+ * @returns {Promise<number>} - Number of entries closed
+ */
+waitlistSchema.statics.expireStaleEntries = async function() {
+    const result = await this.updateMany(
+        { status: 'waiting', toDate: { $lt: startOfDay(getTodayKey()) } },
+        { status: 'expired' }
+    );
+
+    return result.nModified || result.modifiedCount || 0;
+};
+
+/**
+ * Instance method to put an offered entry back in line, skipping its slot
+ * @returns {Object} - The released slot { doctorId, date, time, duration }
+ */
+waitlistSchema.methods.releaseOffer = function() {
+    const slot = {
+        doctorId: this.doctorId,
+        date: this.offer.date,
+        time: this.offer.time,
+        duration: this.offer.duration
+    };
+
+    this.skippedSlots.push(getSlotKey(slot.date, slot.time));
+    this.status = 'waiting';
+    this.offer = undefined;
+
+    return slot;
+};
+
+/**
+ * Instance method to check if an open offer has run out
+ * @returns {boolean} - True if the offer has expired
+ */
+waitlistSchema.methods.isOfferExpired = function() {
+    return this.status === 'offered' && this.offer.expiresAt <= new Date();
+};
+
+/**
+ * Instance method to get entry details for display
+ * @returns {Object} - Formatted entry details
+ */
+waitlistSchema.methods.getDisplayDetails = function() {
+    return {
+        _id: this._id,
+        fromDate: this.fromDate,
+        toDate: this.toDate,
+        status: this.status,
+        offer: this.status === 'offered'
+            ? { ...this.toObject().offer, startsAt: combineDateAndTime(this.offer.date, this.offer.time) }
+            : undefined,
+        appointmentId: this.appointmentId,
+        createdAt: this.createdAt
+    };
+};
+
+waitlistSchema.index({ doctorId: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ patientId: 1, status: 1 });
+waitlistSchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+module.exports = mongoose.model('Waitlist', waitlistSchema);
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/analytics/summary
+ * @desc    Get status counts, rates and doctor utilization for a date range (protected)
+ */
+router.get('/summary', authenticateToken, analyticsController.getSummary);
+
+/**
+ * @route   GET /api/analytics/timeseries
+ * @desc    Get daily or weekly booking volume for a date range (protected)
+ */
+router.get('/timeseries', authenticateToken, analyticsController.getTimeseries);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const appointmentTypeController = require('../controllers/appointmentTypeController');
+const { authenticateToken, authorizeRole } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/appointment-types?doctorId=
+ * @desc    Get appointment types, optionally only those a doctor offers (protected)
+ */
+router.get('/', authenticateToken, appointmentTypeController.getAppointmentTypes);
+
+/**
+ * @route   POST /api/appointment-types
+ * @desc    Create an appointment type (admin only)
+ */
+router.post('/', authenticateToken, authorizeRole('admin'), appointmentTypeController.createAppointmentType);
+
+/**
+ * @route   PATCH /api/appointment-types/:typeId
+ * @desc    Update or deactivate an appointment type (admin only)
+ */
+router.patch('/:typeId', authenticateToken, authorizeRole('admin'), appointmentTypeController.updateAppointmentType);
+
+module.exports = router;
@@ -33,4 +33,16 @@ router.post('/refresh', authenticateToken, authController.refreshToken);
  */
 router.post('/logout', authenticateToken, authController.logoutUser);
 
+/**
+ * @route   GET /api/auth/invites/:token
+ * @desc    Get who an invite is for
+ */
+router.get('/invites/:token', authController.getInvite);
+
+/**
+ * @route   POST /api/auth/invites/:token/accept
+ * @desc    Set a password for an invited user and log them in
+ */
+router.post('/invites/:token/accept', authController.acceptInvite);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const calendarSourceController = require('../controllers/calendarSourceController');
+const { authenticateToken, authorizeRole } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/calendar/feed
+ * @desc    Get the current user's calendar feed path (protected)
+ */
+router.get('/feed', authenticateToken, calendarController.getFeedSettings);
+
+/**
+ * @route   POST /api/calendar/feed/regenerate
+ * @desc    Replace the current user's calendar feed token (protected)
+ */
+router.post('/feed/regenerate', authenticateToken, calendarController.regenerateFeedToken);
+
+/**
+ * @route   GET /api/calendar/feed/:token.ics
+ * @desc    iCalendar feed for calendar app subscriptions (public, the token is the credential)
+ */
+router.get('/feed/:token.ics', calendarController.getCalendarFeed);
+
+/**
+ * @route   GET /api/calendar/sources
+ * @desc    Get the doctor's external calendars and their sync status (doctor only)
+ */
+router.get('/sources', authenticateToken, authorizeRole('doctor'), calendarSourceController.getCalendarSources);
+
+/**
+ * @route   POST /api/calendar/sources
+ * @desc    Connect an ICS feed or CalDAV calendar as busy times (doctor only)
+ */
+router.post('/sources', authenticateToken, authorizeRole('doctor'), calendarSourceController.createCalendarSource);
+
+/**
+ * @route   POST /api/calendar/sources/:sourceId/sync
+ * @desc    Sync an external calendar now (doctor only)
+ */
+router.post('/sources/:sourceId/sync', authenticateToken, authorizeRole('doctor'), calendarSourceController.syncCalendarSource);
+
+/**
+ * @route   DELETE /api/calendar/sources/:sourceId
+ * @desc    Disconnect an external calendar and drop its busy times (doctor only)
+ */
+router.delete('/sources/:sourceId', authenticateToken, authorizeRole('doctor'), calendarSourceController.deleteCalendarSource);
+
+module.exports = router;
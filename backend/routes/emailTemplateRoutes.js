@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const emailTemplateController = require('../controllers/emailTemplateController');
+const { authenticateToken, authorizeRole } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/email-templates
+ * @desc    List the email templates in effect for a locale (admin only)
+ */
+router.get('/', authenticateToken, authorizeRole('admin'), emailTemplateController.getEmailTemplates);
+
+/**
+ * @route   POST /api/email-templates/preview
+ * @desc    Render a stored or unsaved template with sample or appointment data (admin only)
+ */
+router.post('/preview', authenticateToken, authorizeRole('admin'), emailTemplateController.previewEmailTemplate);
+
+/**
+ * @route   GET /api/email-templates/:event/:audience
+ * @desc    Get the template in effect for an event, audience and ?locale= (admin only)
+ */
+router.get('/:event/:audience', authenticateToken, authorizeRole('admin'), emailTemplateController.getEmailTemplate);
+
+/**
+ * @route   PUT /api/email-templates/:event/:audience
+ * @desc    Customise a template for a locale (admin only)
+ */
+router.put('/:event/:audience', authenticateToken, authorizeRole('admin'), emailTemplateController.updateEmailTemplate);
+
+/**
+ * @route   DELETE /api/email-templates/:event/:audience
+ * @desc    Restore the default template for a locale (admin only)
+ */
+router.delete('/:event/:audience', authenticateToken, authorizeRole('admin'), emailTemplateController.resetEmailTemplate);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const { authenticateToken, authenticateStreamTicket } = require('../middleware/authMiddleware');
+
+/**
+ * @route   POST /api/events/ticket
+ * @desc    Issue a short-lived, single-use ticket for opening the event stream (protected)
+ */
+router.post('/ticket', authenticateToken, eventController.createStreamTicket);
+
+/**
+ * @route   GET /api/events/stream
+ * @desc    Server-Sent Events stream of appointment changes (authenticated by ?ticket=)
+ */
+router.get('/stream', authenticateStreamTicket, eventController.streamEvents);
+
+module.exports = router;
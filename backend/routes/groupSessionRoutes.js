@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const groupSessionController = require('../controllers/groupSessionController');
+const { authenticateToken, authorizeRole } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/group-sessions?from=&to=&doctorId=
+ * @desc    Get group sessions with remaining seats (protected)
+ */
+router.get('/', authenticateToken, groupSessionController.getGroupSessions);
+
+/**
+ * @route   POST /api/group-sessions
+ * @desc    Create a group session (doctor/admin)
+ */
+router.post('/', authenticateToken, authorizeRole(['doctor', 'admin']), groupSessionController.createGroupSession);
+
+/**
+ * @route   GET /api/group-sessions/:sessionId/attendees
+ * @desc    Get the attendee list of a session (doctor/admin)
+ */
+router.get('/:sessionId/attendees', authenticateToken, authorizeRole(['doctor', 'admin']), groupSessionController.getAttendees);
+
+/**
+ * @route   POST /api/group-sessions/:sessionId/join
+ * @desc    Book a seat in a session (patient only)
+ */
+router.post('/:sessionId/join', authenticateToken, authorizeRole('patient'), groupSessionController.joinGroupSession);
+
+/**
+ * @route   POST /api/group-sessions/:sessionId/cancel
+ * @desc    Cancel a session and all of its seats (doctor/admin)
+ */
+router.post('/:sessionId/cancel', authenticateToken, authorizeRole(['doctor', 'admin']), groupSessionController.cancelGroupSession);
+
+/**
+ * @route   PATCH /api/group-sessions/:sessionId/attendance/:appointmentId
+ * @desc    Record whether a participant attended (doctor only)
+ */
+router.patch('/:sessionId/attendance/:appointmentId', authenticateToken, authorizeRole('doctor'), groupSessionController.markAttendance);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const locationController = require('../controllers/locationController');
+const { authenticateToken, authorizeRole } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/locations
+ * @desc    Get clinic locations with their rooms (protected)
+ */
+router.get('/', authenticateToken, locationController.getLocations);
+
+/**
+ * @route   POST /api/locations
+ * @desc    Create a location (admin only)
+ */
+router.post('/', authenticateToken, authorizeRole('admin'), locationController.createLocation);
+
+/**
+ * @route   PATCH /api/locations/:locationId
+ * @desc    Update or deactivate a location (admin only)
+ */
+router.patch('/:locationId', authenticateToken, authorizeRole('admin'), locationController.updateLocation);
+
+/**
+ * @route   POST /api/locations/:locationId/rooms
+ * @desc    Add a consulting room to a location (admin only)
+ */
+router.post('/:locationId/rooms', authenticateToken, authorizeRole('admin'), locationController.createRoom);
+
+/**
+ * @route   PATCH /api/locations/:locationId/rooms/:roomId
+ * @desc    Rename or deactivate a room (admin only)
+ */
+router.patch('/:locationId/rooms/:roomId', authenticateToken, authorizeRole('admin'), locationController.updateRoom);
+
+module.exports = router;
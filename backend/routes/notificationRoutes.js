@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the current user's notifications and unread count (protected)
+ */
+router.get('/', authenticateToken, notificationController.getNotifications);
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark all of the current user's notifications as read (protected)
+ */
+router.post('/read-all', authenticateToken, notificationController.markAllAsRead);
+
+/**
+ * @route   PATCH /api/notifications/:notificationId/read
+ * @desc    Mark a notification as read (protected)
+ */
+router.patch('/:notificationId/read', authenticateToken, notificationController.markAsRead);
+
+module.exports = router;
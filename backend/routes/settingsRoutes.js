@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../controllers/settingsController');
+const { authenticateToken, authorizeRole } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/settings
+ * @desc    Get clinic-wide settings (protected)
+ */
+router.get('/', authenticateToken, settingsController.getSettings);
+
+/**
+ * @route   PUT /api/settings
+ * @desc    Update the clinic booking policy (admin only)
+ */
+router.put('/', authenticateToken, authorizeRole('admin'), settingsController.updateSettings);
+
+/**
+ * @route   GET /api/settings/doctors/:doctorId/booking-policy
+ * @desc    Get the booking policy in effect for a doctor (protected)
+ */
+router.get('/doctors/:doctorId/booking-policy', authenticateToken, settingsController.getDoctorBookingPolicy);
+
+module.exports = router;
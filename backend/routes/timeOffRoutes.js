@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const timeOffController = require('../controllers/timeOffController');
+const { authenticateToken, authorizeRole } = require('../middleware/authMiddleware');
+
+/**
+ * @route   POST /api/time-off
+ * @desc    Add time off for a doctor or a clinic-wide closure (doctor/admin)
+ */
+router.post('/', authenticateToken, authorizeRole(['doctor', 'admin']), timeOffController.createTimeOff);
+
+/**
+ * @route   GET /api/time-off
+ * @desc    List time off in a date range (protected)
+ */
+router.get('/', authenticateToken, timeOffController.getTimeOff);
+
+/**
+ * @route   GET /api/time-off/:timeOffId/conflicts
+ * @desc    List appointments that collide with a time off block (doctor/admin)
+ */
+router.get('/:timeOffId/conflicts', authenticateToken, authorizeRole(['doctor', 'admin']), timeOffController.getTimeOffConflicts);
+
+/**
+ * @route   POST /api/time-off/:timeOffId/conflicts/resolve
+ * @desc    Cancel or reschedule colliding appointments in bulk (doctor/admin)
+ */
+router.post('/:timeOffId/conflicts/resolve', authenticateToken, authorizeRole(['doctor', 'admin']), timeOffController.resolveTimeOffConflicts);
+
+/**
+ * @route   DELETE /api/time-off/:timeOffId
+ * @desc    Remove a time off block (doctor/admin)
+ */
+router.delete('/:timeOffId', authenticateToken, authorizeRole(['doctor', 'admin']), timeOffController.deleteTimeOff);
+
+module.exports = router;
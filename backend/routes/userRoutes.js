@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const userImportController = require('../controllers/userImportController');
 const { authenticateToken, authorizeRole } = require('../middleware/authMiddleware');
 
 /**
@@ -27,6 +28,18 @@ router.post('/change-password', authenticateToken, userController.changePassword
  */
 router.get('/', authenticateToken, authorizeRole('admin'), userController.getAllUsers);
 
+/**
+ * @route   POST /api/users/import
+ * @desc    Import doctors and patients from CSV, ?dryRun=true to only validate (admin only)
+ */
+router.post('/import', authenticateToken, authorizeRole('admin'), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), userImportController.importUsers);
+
+/**
+ * @route   POST /api/users/:userId/invite
+ * @desc    Send a new invite to a user who has not accepted theirs (admin only)
+ */
+router.post('/:userId/invite', authenticateToken, authorizeRole('admin'), userImportController.resendInvite);
+
 /**
  * @route   PATCH /api/users/:userId/status
  * @desc    Update user status (admin only)
@@ -39,4 +52,16 @@ router.patch('/:userId/status', authenticateToken, authorizeRole('admin'), userC
  */
 router.get('/doctors', authenticateToken, userController.getDoctors);
 
+/**
+ * @route   PATCH /api/users/:userId/role
+ * @desc    Change a user's role (admin only)
+ */
+router.patch('/:userId/role', authenticateToken, authorizeRole('admin'), userController.updateUserRole);
+
+/**
+ * @route   GET /api/users/:userId
+ * @desc    Get a user's profile (admin only)
+ */
+router.get('/:userId', authenticateToken, authorizeRole('admin'), userController.getUserProfile);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlistController');
+const { authenticateToken, authorizeRole } = require('../middleware/authMiddleware');
+
+/**
+ * @route   POST /api/waitlist
+ * @desc    Join the waitlist for a doctor and date range (patient only)
+ */
+router.post('/', authenticateToken, authorizeRole('patient'), waitlistController.joinWaitlist);
+
+/**
+ * @route   GET /api/waitlist
+ * @desc    Get waitlist entries for current user (patient/doctor/admin)
+ */
+router.get('/', authenticateToken, waitlistController.getWaitlist);
+
+/**
+ * @route   POST /api/waitlist/:entryId/accept
+ * @desc    Accept an offered slot (patient only)
+ */
+router.post('/:entryId/accept', authenticateToken, authorizeRole('patient'), waitlistController.acceptOffer);
+
+/**
+ * @route   POST /api/waitlist/:entryId/decline
+ * @desc    Decline an offered slot (patient only)
+ */
+router.post('/:entryId/decline', authenticateToken, authorizeRole('patient'), waitlistController.declineOffer);
+
+/**
+ * @route   POST /api/waitlist/:entryId/cancel
+ * @desc    Leave the waitlist (patient only)
+ */
+router.post('/:entryId/cancel', authenticateToken, authorizeRole('patient'), waitlistController.cancelWaitlistEntry);
+
+module.exports = router;
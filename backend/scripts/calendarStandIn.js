@@ -0,0 +1,168 @@
+const http = require('http');
+const { formatUtc } = require('../utils/icalendar');
+
+/**
+ * Local stand-in for external calendar servers.
+ *
+ * Serves a few busy times around today so calendar sources can be tried
+ * without a real calendar account:
+ *
+ *   ICS feed:  http://localhost:5055/busy.ics
+ *   CalDAV:    http://localhost:5055/caldav/doctor/  (username "doctor", password "secret")
+ *
+ * Both serve the same events: a weekly ward round tomorrow at 10:00 UTC,
+ * a lunch meeting the day after, a cancelled and a free (transparent)
+ * event that must not block anything, and an all-day conference in a week.
+ *
+ * The calendar fetcher refuses local addresses, so run the backend with
+ * CALENDAR_ALLOWED_HOSTS=localhost to sync from the stand-in, and set
+ * CALENDAR_SECRET_KEY to store the CalDAV password.
+ *
+ * Usage: node scripts/calendarStandIn.js [port]
+ *
+ * The fetcher tests (tests/calendarFetcher.test.js) run against the same server.
+ */
+
+const PORT = parseInt(process.argv[2] || process.env.CALENDAR_STANDIN_PORT) || 5055;
+const USERNAME = 'doctor';
+const PASSWORD = 'secret';
+
+/**
+ * Get a UTC instant a number of days from today at a wall-clock time
+ * @param {number} days - Days from today
+ * @param {number} hour - UTC hour
+ * @returns {Date} - Instant
+ */
+const dayAt = (days, hour) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  date.setUTCHours(hour, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Build the sample calendar
+ * @returns {string} - iCalendar document
+ */
+const buildSampleCalendar = () => {
+  const conference = formatUtc(dayAt(7, 0)).slice(0, 8);
+  const conferenceEnd = formatUtc(dayAt(8, 0)).slice(0, 8);
+  const stamp = formatUtc(new Date());
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Appointment Booking//Calendar stand-in//EN',
+    'BEGIN:VEVENT',
+    'UID:ward-round@standin',
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatUtc(dayAt(1, 10))}`,
+    `DTEND:${formatUtc(dayAt(1, 11))}`,
+    'RRULE:FREQ=WEEKLY;COUNT=8',
+    'SUMMARY:Ward round',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:lunch@standin',
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatUtc(dayAt(2, 12))}`,
+    'DURATION:PT90M',
+    'SUMMARY:Department lunch meeting',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:cancelled@standin',
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatUtc(dayAt(2, 15))}`,
+    `DTEND:${formatUtc(dayAt(2, 16))}`,
+    'STATUS:CANCELLED',
+    'SUMMARY:Cancelled meeting',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:free@standin',
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatUtc(dayAt(3, 9))}`,
+    `DTEND:${formatUtc(dayAt(3, 10))}`,
+    'TRANSP:TRANSPARENT',
+    'SUMMARY:Reminder only',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:conference@standin',
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${conference}`,
+    `DTEND;VALUE=DATE:${conferenceEnd}`,
+    'SUMMARY:Conference',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n') + '\r\n';
+};
+
+/**
+ * Check the Basic credentials of a CalDAV request
+ * @param {Object} req - HTTP request
+ * @returns {boolean} - True if the stand-in user is signed in
+ */
+const isAuthorized = (req) => {
+  const expected = `Basic ${Buffer.from(`${USERNAME}:${PASSWORD}`).toString('base64')}`;
+  return req.headers.authorization === expected;
+};
+
+/**
+ * Create the stand-in server without starting it
+ * @param {Object} options - { log } where log is called with each request line
+ * @returns {Object} - HTTP server
+ */
+const createStandInServer = ({ log = console.log } = {}) => http.createServer((req, res) => {
+  log(`${req.method} ${req.url}`);
+
+  if (req.method === 'GET' && req.url === '/busy.ics') {
+    res.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8' });
+    res.end(buildSampleCalendar());
+    return;
+  }
+
+  if (req.method === 'REPORT' && req.url.startsWith('/caldav/doctor')) {
+    // Drain the calendar-query; the stand-in answers with every event
+    req.resume();
+    req.on('end', () => {
+      if (!isAuthorized(req)) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="stand-in"' });
+        res.end();
+        return;
+      }
+
+      const calendarData = buildSampleCalendar().replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+      res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' });
+      res.end([
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">',
+        '  <d:response>',
+        '    <d:href>/caldav/doctor/standin.ics</d:href>',
+        '    <d:propstat>',
+        `      <d:prop><cal:calendar-data>${calendarData}</cal:calendar-data></d:prop>`,
+        '      <d:status>HTTP/1.1 200 OK</d:status>',
+        '    </d:propstat>',
+        '  </d:response>',
+        '</d:multistatus>'
+      ].join('\n'));
+    });
+    return;
+  }
+
+  res.writeHead(404);
+  res.end();
+});
+
+if (require.main === module) {
+  createStandInServer().listen(PORT, () => {
+    console.log(`Calendar stand-in listening on http://localhost:${PORT}`);
+    console.log(`  ICS feed: http://localhost:${PORT}/busy.ics`);
+    console.log(`  CalDAV:   http://localhost:${PORT}/caldav/doctor/ (${USERNAME} / ${PASSWORD})`);
+  });
+}
+
+module.exports = {
+  USERNAME,
+  PASSWORD,
+  dayAt,
+  createStandInServer
+};
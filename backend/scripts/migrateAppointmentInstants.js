@@ -0,0 +1,134 @@
+const dotenv = require('dotenv');
+
+// Load before the config modules read the environment
+dotenv.config();
+
+const database = require('../config/database');
+const Appointment = require('../models/Appointment');
+const { CLINIC_TIMEZONE } = require('../config/clinic');
+const { toDateKey, combineDateAndTime } = require('../utils/timeUtils');
+
+/**
+ * Migrate appointments from a calendar `date` plus an "HH:MM" `time` to a
+ * single UTC `startsAt` instant and the clinic timezone.
+ *
+ * The stored times were the clinic's wall clock, so they are read in
+ * CLINIC_TIMEZONE. Reschedule history entries are converted the same way.
+ * Documents that already have `startsAt` are left alone, so the script can
+ * be run again safely.
+ *
+ * Usage: node scripts/migrateAppointmentInstants.js [--dry-run]
+ */
+
+const BATCH_SIZE = 500;
+
+/**
+ * Convert a legacy { date, time } pair to an instant
+ * @param {Date} date - Calendar day
+ * @param {string} time - Time in HH:MM format
+ * @returns {Date|null} - Start instant, or null if the pair is unusable
+ */
+const toInstant = (date, time) => {
+  if (!date || isNaN(new Date(date)) || typeof time !== 'string') {
+    return null;
+  }
+
+  return combineDateAndTime(toDateKey(date), time, CLINIC_TIMEZONE);
+};
+
+/**
+ * Build the update for one legacy appointment document
+ * @param {Object} doc - Raw appointment document
+ * @returns {Object|null} - Update operation, or null if the document cannot be converted
+ */
+const buildUpdate = (doc) => {
+  const startsAt = toInstant(doc.date, doc.time);
+
+  if (!startsAt) {
+    return null;
+  }
+
+  const rescheduleHistory = (doc.rescheduleHistory || []).map(({ date, time, ...entry }) => ({
+    ...entry,
+    startsAt: entry.startsAt || toInstant(date, time)
+  }));
+
+  return {
+    updateOne: {
+      filter: { _id: doc._id },
+      update: {
+        $set: { startsAt, timezone: CLINIC_TIMEZONE, rescheduleHistory },
+        $unset: { date: '', time: '' }
+      }
+    }
+  };
+};
+
+/**
+ * Run the migration
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} - { migrated, skipped }
+ */
+const migrate = async ({ dryRun }) => {
+  const collection = Appointment.collection;
+  const cursor = collection.find({ startsAt: { $exists: false } });
+  const skipped = [];
+  let migrated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length > 0 && !dryRun) {
+      await collection.bulkWrite(batch, { ordered: false });
+    }
+    migrated += batch.length;
+    batch = [];
+  };
+
+  for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+    const operation = buildUpdate(doc);
+
+    if (!operation) {
+      skipped.push(doc._id.toString());
+      continue;
+    }
+
+    batch.push(operation);
+
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  if (!dryRun) {
+    // Replace the old date/time indexes with the startsAt ones
+    await Appointment.syncIndexes();
+  }
+
+  return { migrated, skipped };
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await database.connect();
+
+    console.log(`Migrating appointments to UTC instants in ${CLINIC_TIMEZONE}${dryRun ? ' (dry run)' : ''}`);
+    const { migrated, skipped } = await migrate({ dryRun });
+
+    console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} appointment(s)`);
+    if (skipped.length > 0) {
+      console.warn(`Skipped ${skipped.length} appointment(s) without a usable date/time: ${skipped.join(', ')}`);
+    }
+
+    await database.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Appointment migration error:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,51 @@
+const dotenv = require('dotenv');
+
+// Load before the config modules read the environment
+dotenv.config();
+
+const database = require('../config/database');
+const Appointment = require('../models/Appointment');
+const ReminderJob = require('../models/ReminderJob');
+const { reminderConfig } = require('../config/reminders');
+const { REMINDER_STATUSES } = require('../utils/appointmentStatus');
+
+/**
+ * Schedule reminders for upcoming appointments.
+ *
+ * New and changed appointments get their reminders when they are saved;
+ * this covers appointments booked before reminders existed, and brings
+ * existing ones in line after REMINDER_OFFSETS_MINUTES or
+ * REMINDER_CHANNELS change. Reminders that were already sent are not sent
+ * again, so the script can be run again safely.
+ *
+ * Usage: node scripts/scheduleReminders.js
+ */
+
+const run = async () => {
+  try {
+    await database.connect();
+
+    console.log(`Scheduling ${reminderConfig.channels.join(', ')} reminders at ${reminderConfig.offsetsMinutes.join(', ')} minute(s) before each appointment`);
+
+    const cursor = Appointment.find({
+      status: { $in: REMINDER_STATUSES },
+      startsAt: { $gt: new Date() }
+    }).cursor();
+    let count = 0;
+
+    for (let appointment = await cursor.next(); appointment; appointment = await cursor.next()) {
+      await ReminderJob.syncForAppointment(appointment);
+      count++;
+    }
+
+    console.log(`Scheduled reminders for ${count} appointment(s)`);
+
+    await database.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Reminder scheduling error:', error);
+    process.exit(1);
+  }
+};
+
+run();
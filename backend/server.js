@@ -10,10 +10,37 @@ dotenv.config();
 const authRoutes = require('./routes/authRoutes');
 const appointmentRoutes = require('./routes/appointmentRoutes');
 const userRoutes = require('./routes/userRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const settingsRoutes = require('./routes/settingsRoutes');
+const timeOffRoutes = require('./routes/timeOffRoutes');
+const locationRoutes = require('./routes/locationRoutes');
+const appointmentTypeRoutes = require('./routes/appointmentTypeRoutes');
+const groupSessionRoutes = require('./routes/groupSessionRoutes');
+const emailTemplateRoutes = require('./routes/emailTemplateRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+
+// Import background jobs
+const waitlistSweeper = require('./jobs/waitlistSweeper');
+const reminderScheduler = require('./jobs/reminderScheduler');
+const calendarSync = require('./jobs/calendarSync');
+const { reminderConfig } = require('./config/reminders');
+
+// Import event listeners
+const appointmentMailer = require('./utils/appointmentMailer');
+const eventStream = require('./utils/eventStream');
+const notificationInbox = require('./utils/notificationInbox');
 
 // Initialize Express app
 const app = express();
 
+// Tell patients and doctors about appointment changes by email, in their inbox and in open browsers
+appointmentMailer.register();
+notificationInbox.register();
+eventStream.register();
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -26,6 +53,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/appointme
 })
 .then(() => {
     console.log('✅ Connected to MongoDB successfully');
+    waitlistSweeper.start();
+    if (reminderConfig.enabled) {
+        reminderScheduler.start();
+    }
+    calendarSync.start();
 })
 .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
@@ -45,6 +77,17 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/appointments', appointmentRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/time-off', timeOffRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/appointment-types', appointmentTypeRoutes);
+app.use('/api/group-sessions', groupSessionRoutes);
+app.use('/api/email-templates', emailTemplateRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/analytics', analyticsRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,94 @@
+/**
+ * Default English email templates, per event and audience
+ *
+ * Placeholders such as {{patientName}} are filled in by utils/emailTemplates.
+ * When a template has no `html`, the HTML part is built from `text`.
+ */
+module.exports = {
+  created: {
+    patient: {
+      subject: 'Appointment request received: {{date}} at {{time}}',
+      text: [
+        'Hello {{patientName}},',
+        '',
+        'We have received your appointment with {{doctorName}} on {{date}} at {{time}} ({{duration}} minutes).',
+        'Status: {{status}}.',
+        '{{location}}',
+        '',
+        'You can view, reschedule or cancel it at {{appUrl}}.'
+      ].join('\n')
+    },
+    doctor: {
+      subject: 'New appointment: {{patientName}}, {{date}} at {{time}}',
+      text: [
+        'Hello {{doctorName}},',
+        '',
+        '{{patientName}} booked an appointment with you on {{date}} at {{time}} ({{duration}} minutes).',
+        'Status: {{status}}.',
+        '',
+        'Open your dashboard at {{appUrl}}.'
+      ].join('\n')
+    }
+  },
+  confirmed: {
+    patient: {
+      subject: 'Appointment confirmed: {{date}} at {{time}}',
+      text: [
+        'Hello {{patientName}},',
+        '',
+        'Your appointment with {{doctorName}} on {{date}} at {{time}} is confirmed.',
+        '{{location}}',
+        '',
+        'If you can no longer make it, please cancel or reschedule at {{appUrl}}.'
+      ].join('\n')
+    },
+    doctor: {
+      subject: 'Appointment confirmed: {{patientName}}, {{date}} at {{time}}',
+      text: [
+        'Hello {{doctorName}},',
+        '',
+        'The appointment with {{patientName}} on {{date}} at {{time}} is confirmed.'
+      ].join('\n')
+    }
+  },
+  cancelled: {
+    patient: {
+      subject: 'Appointment cancelled: {{date}} at {{time}}',
+      text: [
+        'Hello {{patientName}},',
+        '',
+        'Your appointment with {{doctorName}} on {{date}} at {{time}} has been cancelled.',
+        '',
+        'You can book a new appointment at {{appUrl}}.'
+      ].join('\n')
+    },
+    doctor: {
+      subject: 'Appointment cancelled: {{patientName}}, {{date}} at {{time}}',
+      text: [
+        'Hello {{doctorName}},',
+        '',
+        'The appointment with {{patientName}} on {{date}} at {{time}} has been cancelled.'
+      ].join('\n')
+    }
+  },
+  completed: {
+    patient: {
+      subject: 'Thank you for your visit',
+      text: [
+        'Hello {{patientName}},',
+        '',
+        'Thank you for visiting {{doctorName}} on {{date}}.',
+        '',
+        'You can book a follow-up appointment at {{appUrl}}.'
+      ].join('\n')
+    },
+    doctor: {
+      subject: 'Appointment completed: {{patientName}}, {{date}}',
+      text: [
+        'Hello {{doctorName}},',
+        '',
+        'The appointment with {{patientName}} on {{date}} at {{time}} was marked as completed.'
+      ].join('\n')
+    }
+  }
+};
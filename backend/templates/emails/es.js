@@ -0,0 +1,94 @@
+/**
+ * Default Spanish email templates, per event and audience
+ *
+ * Placeholders such as {{patientName}} are filled in by utils/emailTemplates.
+ * When a template has no `html`, the HTML part is built from `text`.
+ */
+module.exports = {
+  created: {
+    patient: {
+      subject: 'Solicitud de cita recibida: {{date}} a las {{time}}',
+      text: [
+        'Hola {{patientName}}:',
+        '',
+        'Hemos recibido tu cita con {{doctorName}} el {{date}} a las {{time}} ({{duration}} minutos).',
+        'Estado: {{status}}.',
+        '{{location}}',
+        '',
+        'Puedes verla, cambiarla o cancelarla en {{appUrl}}.'
+      ].join('\n')
+    },
+    doctor: {
+      subject: 'Nueva cita: {{patientName}}, {{date}} a las {{time}}',
+      text: [
+        'Hola {{doctorName}}:',
+        '',
+        '{{patientName}} ha reservado una cita contigo el {{date}} a las {{time}} ({{duration}} minutos).',
+        'Estado: {{status}}.',
+        '',
+        'Abre tu panel en {{appUrl}}.'
+      ].join('\n')
+    }
+  },
+  confirmed: {
+    patient: {
+      subject: 'Cita confirmada: {{date}} a las {{time}}',
+      text: [
+        'Hola {{patientName}}:',
+        '',
+        'Tu cita con {{doctorName}} el {{date}} a las {{time}} está confirmada.',
+        '{{location}}',
+        '',
+        'Si no puedes asistir, cancélala o cámbiala en {{appUrl}}.'
+      ].join('\n')
+    },
+    doctor: {
+      subject: 'Cita confirmada: {{patientName}}, {{date}} a las {{time}}',
+      text: [
+        'Hola {{doctorName}}:',
+        '',
+        'La cita con {{patientName}} el {{date}} a las {{time}} está confirmada.'
+      ].join('\n')
+    }
+  },
+  cancelled: {
+    patient: {
+      subject: 'Cita cancelada: {{date}} a las {{time}}',
+      text: [
+        'Hola {{patientName}}:',
+        '',
+        'Tu cita con {{doctorName}} el {{date}} a las {{time}} ha sido cancelada.',
+        '',
+        'Puedes reservar una nueva cita en {{appUrl}}.'
+      ].join('\n')
+    },
+    doctor: {
+      subject: 'Cita cancelada: {{patientName}}, {{date}} a las {{time}}',
+      text: [
+        'Hola {{doctorName}}:',
+        '',
+        'La cita con {{patientName}} el {{date}} a las {{time}} ha sido cancelada.'
+      ].join('\n')
+    }
+  },
+  completed: {
+    patient: {
+      subject: 'Gracias por tu visita',
+      text: [
+        'Hola {{patientName}}:',
+        '',
+        'Gracias por visitar a {{doctorName}} el {{date}}.',
+        '',
+        'Puedes reservar una cita de seguimiento en {{appUrl}}.'
+      ].join('\n')
+    },
+    doctor: {
+      subject: 'Cita completada: {{patientName}}, {{date}}',
+      text: [
+        'Hola {{doctorName}}:',
+        '',
+        'La cita con {{patientName}} el {{date}} a las {{time}} se ha marcado como completada.'
+      ].join('\n')
+    }
+  }
+};
@@ -0,0 +1,8 @@
+/**
+ * Default email templates by locale
+ * Admins can override any of them through the email template API
+ */
+module.exports = {
+  en: require('./en'),
+  es: require('./es')
+};
@@ -0,0 +1,84 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+// Read by config/clinic.js, so set before the helpers are loaded
+process.env.CLINIC_TIMEZONE = 'Europe/Berlin';
+
+const { resolveRange, listPeriods } = require('../utils/analytics');
+const { addDays, getTodayKey } = require('../utils/timeUtils');
+
+describe('resolveRange', () => {
+  test('covers whole clinic days, the last one included', () => {
+    const range = resolveRange({ from: '2026-03-02', to: '2026-03-04' });
+
+    assert.deepStrictEqual(range, {
+      fromKey: '2026-03-02',
+      toKey: '2026-03-04',
+      start: new Date('2026-03-01T23:00:00.000Z'),
+      end: new Date('2026-03-04T23:00:00.000Z')
+    });
+  });
+
+  test('follows the clinic timezone across a daylight saving change', () => {
+    const range = resolveRange({ from: '2026-03-28', to: '2026-03-29' });
+
+    assert.strictEqual(range.start.toISOString(), '2026-03-27T23:00:00.000Z');
+    assert.strictEqual(range.end.toISOString(), '2026-03-29T22:00:00.000Z');
+  });
+
+  test('defaults to the 30 days ending today', () => {
+    const range = resolveRange();
+
+    assert.strictEqual(range.toKey, getTodayKey());
+    assert.strictEqual(range.fromKey, addDays(range.toKey, -29));
+  });
+
+  test('defaults "from" to 30 days before "to"', () => {
+    assert.strictEqual(resolveRange({ to: '2026-03-31' }).fromKey, '2026-03-02');
+  });
+
+  test('accepts a single day and a full leap year', () => {
+    assert.strictEqual(resolveRange({ from: '2026-03-02', to: '2026-03-02' }).toKey, '2026-03-02');
+    assert.strictEqual(resolveRange({ from: '2028-01-01', to: '2028-12-31' }).toKey, '2028-12-31');
+  });
+
+  test('rejects malformed dates with a 400', () => {
+    assert.throws(() => resolveRange({ to: '2026-3-4' }), { status: 400, message: /"to" must be a date/ });
+    assert.throws(() => resolveRange({ from: '03/02/2026', to: '2026-03-04' }), { status: 400, message: /"from" must be a date/ });
+  });
+
+  test('rejects a range that ends before it starts', () => {
+    assert.throws(() => resolveRange({ from: '2026-03-04', to: '2026-03-02' }), { status: 400, message: /must not be before/ });
+  });
+
+  test('rejects a range longer than 366 days', () => {
+    assert.throws(() => resolveRange({ from: '2026-01-01', to: '2027-01-02' }), { status: 400, message: /cannot exceed 366 days/ });
+  });
+});
+
+describe('listPeriods', () => {
+  test('lists every day of the range', () => {
+    const periods = listPeriods(resolveRange({ from: '2026-02-27', to: '2026-03-02' }), 'day');
+
+    assert.deepStrictEqual(periods, ['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02']);
+  });
+
+  test('lists the Monday of every week the range touches', () => {
+    // Wednesday to the following week's Monday
+    const periods = listPeriods(resolveRange({ from: '2026-03-04', to: '2026-03-16' }), 'week');
+
+    assert.deepStrictEqual(periods, ['2026-03-02', '2026-03-09', '2026-03-16']);
+  });
+
+  test('backs a Sunday up to the Monday before it', () => {
+    const periods = listPeriods(resolveRange({ from: '2026-03-08', to: '2026-03-08' }), 'week');
+
+    assert.deepStrictEqual(periods, ['2026-03-02']);
+  });
+
+  test('starts on the first day when it is a Monday', () => {
+    const periods = listPeriods(resolveRange({ from: '2026-03-02', to: '2026-03-08' }), 'week');
+
+    assert.deepStrictEqual(periods, ['2026-03-02']);
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const GroupSession = require('../models/GroupSession');
+const SlotLock = require('../models/SlotLock');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Run an appointment's pre-save middleware without a database
+ * @param {Object} appointment - Appointment document
+ * @returns {Promise} - Rejects with the error a save would fail with
+ */
+const runPreSave = (appointment) => new Promise((resolve, reject) => {
+  Appointment.schema.s.hooks.execPre('save', appointment, [{}], error => (error ? reject(error) : resolve()));
+});
+
+/**
+ * Build an appointment as if it had been loaded from the database
+ * @param {Object} fields - Appointment fields
+ * @returns {Object} - Appointment document
+ */
+const loadAppointment = (fields) => {
+  const appointment = new Appointment({ timezone: 'UTC', duration: 30, ...fields });
+
+  appointment.isNew = false;
+  appointment.$__reset();
+  return appointment;
+};
+
+describe('appointment conflict check', () => {
+  const doctor = { _id: new mongoose.Types.ObjectId(), role: 'doctor' };
+  const startsAt = new Date(Date.now() + DAY);
+  const stubbed = {};
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    Object.assign(stubbed, {
+      find: Appointment.find,
+      countDocuments: Appointment.countDocuments,
+      acquireAll: SlotLock.acquireAll,
+      sessionOverlap: GroupSession.hasOverlap
+    });
+
+    // Answer the overlap and overbook queries from the stored appointments
+    const matches = (filter) => stored.filter(apt =>
+      (!filter.doctorId || apt.doctorId.equals(filter.doctorId))
+      && (!filter.roomId || (apt.roomId && apt.roomId.equals(filter.roomId)))
+      && (filter.isOverbooked === undefined || apt.isOverbooked === filter.isOverbooked)
+      && !filter.status.$nin.includes(apt.status)
+      && !apt._id.equals(filter._id.$ne)
+    );
+
+    Appointment.find = filter => ({ select: async () => matches(filter) });
+    Appointment.countDocuments = async filter => matches(filter).length;
+    SlotLock.acquireAll = async () => [];
+    GroupSession.hasOverlap = async () => false;
+  });
+
+  afterEach(() => {
+    Appointment.find = stubbed.find;
+    Appointment.countDocuments = stubbed.countDocuments;
+    SlotLock.acquireAll = stubbed.acquireAll;
+    GroupSession.hasOverlap = stubbed.sessionOverlap;
+  });
+
+  test('refuses a regular booking on a booked slot', async () => {
+    stored.push(loadAppointment({ patientId: new mongoose.Types.ObjectId(), doctorId: doctor._id, startsAt }));
+
+    const booking = new Appointment({
+      patientId: new mongoose.Types.ObjectId(),
+      doctorId: doctor._id,
+      startsAt,
+      duration: 30,
+      timezone: 'UTC'
+    });
+
+    await assert.rejects(runPreSave(booking), /slot is already booked/);
+  });
+
+  test('lets the visit an urgent case was overbooked onto go ahead', async () => {
+    const original = loadAppointment({ patientId: new mongoose.Types.ObjectId(), doctorId: doctor._id, startsAt });
+    const urgent = loadAppointment({
+      patientId: new mongoose.Types.ObjectId(),
+      doctorId: doctor._id,
+      startsAt: new Date(startsAt.getTime() + 7 * DAY),
+      isUrgent: true
+    });
+    stored.push(original, urgent);
+
+    urgent.overbook(startsAt, doctor._id, 1);
+    await runPreSave(urgent);
+
+    original.transitionTo('confirmed', doctor);
+    await runPreSave(original);
+
+    original.transitionTo('completed', doctor);
+    await runPreSave(original);
+
+    assert.strictEqual(original.status, 'completed');
+  });
+
+  test('keeps an overbook out of a room that is taken', async () => {
+    const room = new mongoose.Types.ObjectId();
+    const original = loadAppointment({
+      patientId: new mongoose.Types.ObjectId(),
+      doctorId: doctor._id,
+      startsAt,
+      roomId: room
+    });
+    const urgent = loadAppointment({
+      patientId: new mongoose.Types.ObjectId(),
+      doctorId: doctor._id,
+      startsAt: new Date(startsAt.getTime() + 7 * DAY),
+      roomId: room,
+      isUrgent: true
+    });
+    stored.push(original, urgent);
+
+    urgent.overbook(startsAt, doctor._id, 1, null, { locationId: null, roomId: room });
+    await assert.rejects(runPreSave(urgent), /room is already booked/);
+
+    urgent.placeIn({ locationId: null, roomId: new mongoose.Types.ObjectId() });
+    urgent.$locals.overbookLimit = 1;
+    await runPreSave(urgent);
+  });
+
+  test('holds overbooks to the daily cap, not counting no-shows', async () => {
+    const urgent = loadAppointment({
+      patientId: new mongoose.Types.ObjectId(),
+      doctorId: doctor._id,
+      startsAt: new Date(startsAt.getTime() + 7 * DAY),
+      isUrgent: true
+    });
+    const squeezedIn = loadAppointment({
+      patientId: new mongoose.Types.ObjectId(),
+      doctorId: doctor._id,
+      startsAt,
+      isOverbooked: true
+    });
+    stored.push(urgent, squeezedIn);
+
+    urgent.overbook(startsAt, doctor._id, 1);
+    await assert.rejects(runPreSave(urgent), /No overbook slots left/);
+
+    squeezedIn.status = 'no_show';
+    urgent.$locals.overbookLimit = 1;
+    await runPreSave(urgent);
+  });
+
+  test('still checks a moved appointment against overbooks', async () => {
+    const original = loadAppointment({
+      patientId: new mongoose.Types.ObjectId(),
+      doctorId: doctor._id,
+      startsAt: new Date(startsAt.getTime() + 7 * DAY)
+    });
+    stored.push(original, loadAppointment({
+      patientId: new mongoose.Types.ObjectId(),
+      doctorId: doctor._id,
+      startsAt,
+      isOverbooked: true
+    }));
+
+    original.reschedule(startsAt, doctor._id);
+
+    await assert.rejects(runPreSave(original), /slot is already booked/);
+  });
+});
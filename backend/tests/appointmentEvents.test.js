@@ -0,0 +1,65 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const appointmentEvents = require('../utils/appointmentEvents');
+
+/**
+ * Run an appointment's post-save middleware without a database
+ * @param {Object} appointment - Appointment document
+ * @returns {Promise}
+ */
+const runPostSave = (appointment) => new Promise((resolve, reject) => {
+  Appointment.schema.s.hooks.execPost('save', appointment, [appointment], error => (error ? reject(error) : resolve()));
+});
+
+describe('appointment lifecycle events', () => {
+  let events;
+  const listener = event => events.push(event);
+
+  beforeEach(() => {
+    events = [];
+    appointmentEvents.on('appointment', listener);
+  });
+
+  afterEach(() => {
+    appointmentEvents.off('appointment', listener);
+  });
+
+  /**
+   * Build an appointment that has just been saved for the first time
+   * @returns {Object} - Appointment document
+   */
+  const buildSaved = () => {
+    const appointment = new Appointment({
+      patientId: new mongoose.Types.ObjectId(),
+      doctorId: new mongoose.Types.ObjectId(),
+      startsAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      duration: 30,
+      timezone: 'UTC'
+    });
+
+    appointment.$locals.lifecycleEvent = 'created';
+    return appointment;
+  };
+
+  test('announces a save straight away', async () => {
+    const appointment = buildSaved();
+
+    await runPostSave(appointment);
+
+    assert.deepStrictEqual(events, [{ type: 'created', appointment }]);
+  });
+
+  test('holds the event back until it is announced', async () => {
+    const appointment = buildSaved();
+
+    appointment.holdEvent();
+    await runPostSave(appointment);
+    assert.deepStrictEqual(events, []);
+
+    appointment.announceHeldEvent();
+    appointment.announceHeldEvent();
+    assert.deepStrictEqual(events, [{ type: 'created', appointment }]);
+  });
+});
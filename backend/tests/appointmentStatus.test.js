@@ -0,0 +1,111 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const {
+  APPOINTMENT_STATUSES,
+  STATUS_TRANSITIONS,
+  canTransition,
+  getAllowedTransitions
+} = require('../utils/appointmentStatus');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('status transition table', () => {
+  test('lists every status and only moves to known statuses', () => {
+    assert.deepStrictEqual(Object.keys(STATUS_TRANSITIONS).sort(), [...APPOINTMENT_STATUSES].sort());
+
+    Object.values(STATUS_TRANSITIONS).forEach(targets => {
+      Object.keys(targets).forEach(status => assert.ok(APPOINTMENT_STATUSES.includes(status), status));
+    });
+  });
+
+  test('allows each role only its own moves', () => {
+    assert.ok(canTransition('pending', 'confirmed', 'doctor'));
+    assert.ok(canTransition('pending', 'confirmed', 'admin'));
+    assert.ok(!canTransition('pending', 'confirmed', 'patient'));
+    assert.ok(canTransition('confirmed', 'cancelled', 'patient'));
+    assert.ok(!canTransition('checked_in', 'cancelled', 'patient'));
+    assert.ok(canTransition('in_progress', 'completed', 'doctor'));
+    assert.ok(!canTransition('in_progress', 'completed', 'admin'));
+  });
+
+  test('never leaves a final status', () => {
+    ['cancelled', 'completed', 'no_show'].forEach(from => {
+      ['patient', 'doctor', 'admin'].forEach(role => {
+        assert.deepStrictEqual(getAllowedTransitions(from, role), []);
+      });
+    });
+  });
+
+  test('rejects unknown statuses', () => {
+    assert.ok(!canTransition('archived', 'cancelled', 'admin'));
+    assert.ok(!canTransition('pending', 'archived', 'admin'));
+    assert.deepStrictEqual(getAllowedTransitions('archived', 'admin'), []);
+  });
+
+  test('lists the moves a role may make', () => {
+    assert.deepStrictEqual(getAllowedTransitions('pending', 'patient'), ['cancelled']);
+    assert.deepStrictEqual(getAllowedTransitions('confirmed', 'doctor'), ['checked_in', 'completed', 'cancelled', 'no_show']);
+  });
+});
+
+describe('Appointment#transitionTo', () => {
+  const doctor = { _id: new mongoose.Types.ObjectId(), role: 'doctor' };
+
+  /**
+   * Build an unsaved appointment starting at an offset from now
+   * @param {number} offsetMs - Start relative to now
+   * @param {Object} fields - Other fields
+   * @returns {Object} - Appointment document
+   */
+  const buildAppointment = (offsetMs, fields = {}) => new Appointment({
+    patientId: new mongoose.Types.ObjectId(),
+    doctorId: doctor._id,
+    startsAt: new Date(Date.now() + offsetMs),
+    duration: 30,
+    timezone: 'UTC',
+    ...fields
+  });
+
+  test('records the change in the status history', () => {
+    const appointment = buildAppointment(HOUR);
+
+    appointment.transitionTo('confirmed', doctor);
+
+    assert.strictEqual(appointment.status, 'confirmed');
+    assert.strictEqual(appointment.statusHistory.length, 1);
+    assert.strictEqual(appointment.statusHistory[0].from, 'pending');
+    assert.strictEqual(appointment.statusHistory[0].to, 'confirmed');
+    assert.strictEqual(appointment.statusHistory[0].role, 'doctor');
+  });
+
+  test('refuses transitions missing from the table with a 409', () => {
+    const appointment = buildAppointment(HOUR, { status: 'completed' });
+
+    assert.throws(() => appointment.transitionTo('cancelled', doctor), error => error.status === 409);
+    assert.strictEqual(appointment.status, 'completed');
+  });
+
+  test('only marks no-shows after the start', () => {
+    assert.throws(() => buildAppointment(HOUR).transitionTo('no_show', doctor), /before it starts/);
+
+    const started = buildAppointment(-HOUR, { status: 'confirmed' });
+    started.transitionTo('no_show', doctor);
+    assert.strictEqual(started.status, 'no_show');
+  });
+
+  test('only checks patients in on the day of the appointment', () => {
+    const nextWeek = buildAppointment(7 * 24 * HOUR, { status: 'confirmed' });
+
+    assert.throws(() => nextWeek.transitionTo('checked_in', doctor), /on the day/);
+  });
+
+  test('leaves flagged bookings to admins', () => {
+    const flagged = buildAppointment(HOUR, { requiresApproval: true });
+
+    assert.throws(() => flagged.transitionTo('confirmed', doctor), /admin approval/);
+    assert.ok(!flagged.getAllowedStatusChanges('doctor').includes('confirmed'));
+    assert.ok(flagged.getAllowedStatusChanges('admin').includes('confirmed'));
+  });
+});
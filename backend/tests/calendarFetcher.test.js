@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// Read by the config modules, so set before the fetcher is loaded.
+// All-day events are read in the clinic timezone.
+process.env.CLINIC_TIMEZONE = 'UTC';
+process.env.CALENDAR_ALLOWED_HOSTS = 'localhost';
+process.env.CALENDAR_SECRET_KEY = 'calendar-fetcher-test-key';
+
+const { fetchBusyTimes } = require('../utils/calendarFetcher');
+const { encryptSecret } = require('../utils/secrets');
+const { USERNAME, PASSWORD, dayAt, createStandInServer } = require('../scripts/calendarStandIn');
+
+const from = dayAt(-1, 0);
+const to = dayAt(14, 0);
+
+// Busy times of the stand-in's sample calendar within the window
+const expected = [
+  { start: dayAt(1, 10), end: dayAt(1, 11) },
+  { start: dayAt(2, 12), end: new Date(dayAt(2, 13).getTime() + 30 * 60 * 1000) },
+  { start: dayAt(7, 0), end: dayAt(8, 0) },
+  { start: dayAt(8, 10), end: dayAt(8, 11) }
+];
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createStandInServer({ log: () => {} });
+  await new Promise(resolve => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * Compare busy times by their instants
+ * @param {Array} actual - [{ start, end }]
+ */
+const assertBusyTimes = (actual) => {
+  assert.deepStrictEqual(
+    actual.map(({ start, end }) => [start.toISOString(), end.toISOString()]),
+    expected.map(({ start, end }) => [start.toISOString(), end.toISOString()])
+  );
+};
+
+test('reads the busy times of an ICS feed', async () => {
+  const busyTimes = await fetchBusyTimes({ type: 'ics', url: `${baseUrl}/busy.ics` }, from, to);
+
+  assertBusyTimes(busyTimes);
+});
+
+test('reads the busy times of a CalDAV collection with an encrypted password', async () => {
+  const source = {
+    type: 'caldav',
+    url: `${baseUrl}/caldav/doctor/`,
+    username: USERNAME,
+    password: encryptSecret(PASSWORD)
+  };
+
+  assertBusyTimes(await fetchBusyTimes(source, from, to));
+});
+
+test('reports rejected CalDAV credentials', async () => {
+  const source = {
+    type: 'caldav',
+    url: `${baseUrl}/caldav/doctor/`,
+    username: USERNAME,
+    password: encryptSecret('wrong')
+  };
+
+  await assert.rejects(fetchBusyTimes(source, from, to), /rejected the username or password/);
+});
+
+test('reports feeds that cannot be found', async () => {
+  await assert.rejects(
+    fetchBusyTimes({ type: 'ics', url: `${baseUrl}/missing.ics` }, from, to),
+    /responded with 404/
+  );
+});
+
+test('refuses local addresses that are not allowed explicitly', async () => {
+  const url = `http://127.0.0.1:${server.address().port}/busy.ics`;
+
+  await assert.rejects(fetchBusyTimes({ type: 'ics', url }, from, to), /private or local address/);
+});
@@ -0,0 +1,65 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, parseCsvWithHeader } = require('../utils/csvParser');
+
+describe('parseCsv', () => {
+  test('splits records on LF, CRLF and CR', () => {
+    const records = parseCsv('a,b\nc,d\r\ne,f\rg,h');
+
+    assert.deepStrictEqual(records.map(record => record.values), [['a', 'b'], ['c', 'd'], ['e', 'f'], ['g', 'h']]);
+  });
+
+  test('reads quoted fields with commas, escaped quotes and line breaks', () => {
+    const records = parseCsv('"Doe, Jane","say ""hi""","two\nlines"\nnext,row');
+
+    assert.deepStrictEqual(records[0].values, ['Doe, Jane', 'say "hi"', 'two\nlines']);
+    assert.deepStrictEqual(records[1], { line: 3, values: ['next', 'row'] });
+  });
+
+  test('keeps empty fields, including a trailing one', () => {
+    assert.deepStrictEqual(parseCsv('a,,c,\n')[0].values, ['a', '', 'c', '']);
+  });
+
+  test('drops a byte order mark and skips blank lines, keeping line numbers', () => {
+    const records = parseCsv('\uFEFFname\n\nJane\r\n\r\nJohn\n');
+
+    assert.deepStrictEqual(records, [
+      { line: 1, values: ['name'] },
+      { line: 3, values: ['Jane'] },
+      { line: 5, values: ['John'] }
+    ]);
+  });
+
+  test('treats a quote inside an unquoted field as text', () => {
+    assert.deepStrictEqual(parseCsv('5" screen,x')[0].values, ['5" screen', 'x']);
+  });
+
+  test('rejects an unterminated quoted field', () => {
+    assert.throws(() => parseCsv('a,b\n"open,c\nd'), /Unterminated quoted field starting on line 2/);
+  });
+
+  test('returns no records for empty input', () => {
+    assert.deepStrictEqual(parseCsv(''), []);
+  });
+});
+
+describe('parseCsvWithHeader', () => {
+  test('keys rows by trimmed, lower-cased headers and trims values', () => {
+    const result = parseCsvWithHeader(' Name ,EMAIL\n Jane Doe , jane@example.com \n');
+
+    assert.deepStrictEqual(result, {
+      headers: ['name', 'email'],
+      rows: [{ line: 2, data: { name: 'Jane Doe', email: 'jane@example.com' } }]
+    });
+  });
+
+  test('fills missing trailing values with empty strings', () => {
+    const { rows } = parseCsvWithHeader('name,email,phone\nJane,jane@example.com');
+
+    assert.deepStrictEqual(rows[0].data, { name: 'Jane', email: 'jane@example.com', phone: '' });
+  });
+
+  test('returns no headers or rows for empty input', () => {
+    assert.deepStrictEqual(parseCsvWithHeader(''), { headers: [], rows: [] });
+  });
+});
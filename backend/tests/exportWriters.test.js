@@ -0,0 +1,157 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const CsvWriter = require('../utils/csvWriter');
+const XlsxWriter = require('../utils/xlsxWriter');
+
+/**
+ * Run a writer against an in-memory stream
+ * @param {Function} Writer - Writer class
+ * @param {Function} write - Called with the writer to write rows
+ * @returns {Promise<Buffer>} - Everything written
+ */
+const capture = async (Writer, write) => {
+  const output = new PassThrough();
+  const chunks = [];
+
+  output.on('data', chunk => chunks.push(chunk));
+  const writer = new Writer(output);
+  await write(writer);
+  await writer.end();
+  output.end();
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Unsigned CRC
+ */
+const crc32 = (buffer) => {
+  let crc = -1;
+
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+  }
+
+  return (crc ^ -1) >>> 0;
+};
+
+/**
+ * Read the entries of a ZIP archive through its central directory
+ * @param {Buffer} zip - Archive without a comment
+ * @returns {Map} - Entry name => { content, crc }
+ */
+const readZip = (zip) => {
+  const end = zip.length - 22;
+  assert.strictEqual(zip.readUInt32LE(end), 0x06054b50);
+
+  const entries = new Map();
+  let position = zip.readUInt32LE(end + 16);
+
+  for (let i = 0; i < zip.readUInt16LE(end + 10); i++) {
+    assert.strictEqual(zip.readUInt32LE(position), 0x02014b50);
+
+    const compressedSize = zip.readUInt32LE(position + 20);
+    const nameLength = zip.readUInt16LE(position + 28);
+    const name = zip.toString('utf8', position + 46, position + 46 + nameLength);
+    const offset = zip.readUInt32LE(position + 42);
+    const dataStart = offset + 30 + zip.readUInt16LE(offset + 26) + zip.readUInt16LE(offset + 28);
+    const content = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize));
+
+    assert.strictEqual(zip.readUInt32LE(offset), 0x04034b50);
+    assert.strictEqual(content.length, zip.readUInt32LE(position + 24));
+    entries.set(name, { content: content.toString('utf8'), crc: zip.readUInt32LE(position + 16) });
+    position += 46 + nameLength + zip.readUInt16LE(position + 30) + zip.readUInt16LE(position + 32);
+  }
+
+  return entries;
+};
+
+describe('CsvWriter', () => {
+  test('starts with a byte order mark and ends rows with CRLF', async () => {
+    const output = await capture(CsvWriter, async writer => {
+      await writer.writeHeader(['Date', 'Patient']);
+      await writer.writeRow(['2026-03-02', 'Jane Doe']);
+    });
+
+    assert.strictEqual(output.toString('utf8'), '\uFEFFDate,Patient\r\n2026-03-02,Jane Doe\r\n');
+  });
+
+  test('quotes fields with commas, quotes and line breaks', async () => {
+    const output = await capture(CsvWriter, writer => writer.writeRow(['a,b', 'say "hi"', 'two\nlines', null, 42]));
+
+    assert.strictEqual(output.toString('utf8'), '\uFEFF"a,b","say ""hi""","two\nlines",,42\r\n');
+  });
+
+  test('keeps spreadsheets from running text as formulas', async () => {
+    const output = await capture(CsvWriter, writer => writer.writeRow(['=SUM(A1)', '+1', '@cmd', '-2', -2]));
+
+    assert.strictEqual(output.toString('utf8'), "\uFEFF'=SUM(A1),'+1,'@cmd,'-2,-2\r\n");
+  });
+
+  test('writes only the byte order mark for an empty export', async () => {
+    const output = await capture(CsvWriter, () => {});
+
+    assert.strictEqual(output.toString('utf8'), '\uFEFF');
+  });
+});
+
+describe('XlsxWriter', () => {
+  test('writes a ZIP archive with the workbook parts and valid checksums', async () => {
+    const output = await capture(XlsxWriter, async writer => {
+      await writer.writeHeader(['Date', 'Duration']);
+      await writer.writeRow(['2026-03-02', 30]);
+    });
+    const entries = readZip(output);
+
+    assert.ok(entries.has('[Content_Types].xml'));
+    assert.ok(entries.has('xl/workbook.xml'));
+    assert.ok(entries.has('xl/worksheets/sheet1.xml'));
+    entries.forEach(({ content, crc }, name) => assert.strictEqual(crc32(Buffer.from(content)), crc, name));
+  });
+
+  test('writes text as inline strings, numbers as numbers and a bold header', async () => {
+    const output = await capture(XlsxWriter, async writer => {
+      await writer.writeHeader(['Name']);
+      await writer.writeRow(['Jane <Doe> & "Co"', 30, null, '']);
+    });
+    const sheet = readZip(output).get('xl/worksheets/sheet1.xml').content;
+
+    assert.match(sheet, /<row><c s="1" t="inlineStr"><is><t xml:space="preserve">Name<\/t><\/is><\/c><\/row>/);
+    assert.match(sheet, /<t xml:space="preserve">Jane &lt;Doe&gt; &amp; &quot;Co&quot;<\/t>/);
+    assert.match(sheet, /<c><v>30<\/v><\/c><c\/><c\/><\/row>/);
+    assert.match(sheet, /<\/sheetData><\/worksheet>$/);
+  });
+
+  test('drops characters XML cannot hold', async () => {
+    const output = await capture(XlsxWriter, writer => writer.writeRow(['bell\u0007 tab\t']));
+    const sheet = readZip(output).get('xl/worksheets/sheet1.xml').content;
+
+    assert.match(sheet, /<t xml:space="preserve">bell tab\t<\/t>/);
+  });
+
+  test('names the sheet, cut to the 31 characters Excel allows', async () => {
+    const output = new PassThrough();
+    const chunks = [];
+
+    output.on('data', chunk => chunks.push(chunk));
+    const writer = new XlsxWriter(output, { sheetName: 'Appointments for the whole clinic in 2026' });
+    await writer.end();
+    output.end();
+
+    const workbook = readZip(Buffer.concat(chunks)).get('xl/workbook.xml').content;
+    assert.match(workbook, /name="Appointments for the whole clin"/);
+  });
+
+  test('writes a readable workbook without rows', async () => {
+    const sheet = readZip(await capture(XlsxWriter, () => {})).get('xl/worksheets/sheet1.xml').content;
+
+    assert.match(sheet, /<sheetData><\/sheetData>/);
+  });
+});
@@ -0,0 +1,182 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+// Floating times are read in the clinic timezone, so fix it before loading the parser
+process.env.CLINIC_TIMEZONE = 'UTC';
+
+const { parseDateValue, parseDuration, parseBusyTimes } = require('../utils/icalendarParser');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Wrap content lines in a VCALENDAR document
+ * @param {...string} lines - Content lines
+ * @returns {string} - iCalendar text
+ */
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+/**
+ * Wrap properties in a VEVENT
+ * @param {...string} props - Content lines
+ * @returns {Array<string>} - Content lines
+ */
+const event = (...props) => ['BEGIN:VEVENT', ...props, 'END:VEVENT'];
+
+/**
+ * Parse busy times in March 2026 and return them as ISO pairs
+ * @param {string|Array<string>} documents - iCalendar text(s)
+ * @returns {Array<Array<string>>} - [[start, end]]
+ */
+const busyInMarch = (documents) => parseBusyTimes(documents, new Date('2026-03-01T00:00:00Z'), new Date('2026-04-01T00:00:00Z'))
+  .map(({ start, end }) => [start.toISOString(), end.toISOString()]);
+
+describe('parseDateValue', () => {
+  test('reads UTC, zoned, floating and all-day values', () => {
+    assert.deepStrictEqual(parseDateValue('20260302T093000Z'), { dateKey: '2026-03-02', time: '09:30', timeZone: 'UTC', allDay: false });
+    assert.deepStrictEqual(
+      parseDateValue('20260302T093000', { TZID: 'Europe/Berlin' }),
+      { dateKey: '2026-03-02', time: '09:30', timeZone: 'Europe/Berlin', allDay: false }
+    );
+    assert.strictEqual(parseDateValue('20260302T093000').timeZone, 'UTC');
+    assert.deepStrictEqual(parseDateValue('20260302'), { dateKey: '2026-03-02', time: '00:00', timeZone: 'UTC', allDay: true });
+  });
+
+  test('falls back to the clinic timezone for unknown TZIDs', () => {
+    assert.strictEqual(parseDateValue('20260302T093000', { TZID: 'Custom/Zone' }).timeZone, 'UTC');
+  });
+
+  test('rejects malformed values', () => {
+    assert.strictEqual(parseDateValue('2026-03-02'), null);
+    assert.strictEqual(parseDateValue('20260302T0930'), null);
+  });
+});
+
+describe('parseDuration', () => {
+  test('reads weeks, days and times', () => {
+    assert.strictEqual(parseDuration('PT1H30M'), 1.5 * HOUR);
+    assert.strictEqual(parseDuration('P1D'), 24 * HOUR);
+    assert.strictEqual(parseDuration('P1W'), 7 * 24 * HOUR);
+    assert.strictEqual(parseDuration('PT45S'), 45 * 1000);
+    assert.strictEqual(parseDuration('-PT15M'), -0.25 * HOUR);
+  });
+
+  test('rejects malformed durations', () => {
+    assert.strictEqual(parseDuration('1H'), null);
+    assert.strictEqual(parseDuration('PT1.5H'), null);
+  });
+});
+
+describe('parseBusyTimes', () => {
+  test('reads opaque events and skips cancelled and transparent ones', () => {
+    const text = calendar(
+      ...event('UID:a', 'DTSTART:20260302T090000Z', 'DTEND:20260302T100000Z'),
+      ...event('UID:b', 'DTSTART:20260303T090000Z', 'DTEND:20260303T100000Z', 'STATUS:CANCELLED'),
+      ...event('UID:c', 'DTSTART:20260304T090000Z', 'DTEND:20260304T100000Z', 'TRANSP:TRANSPARENT')
+    );
+
+    assert.deepStrictEqual(busyInMarch(text), [['2026-03-02T09:00:00.000Z', '2026-03-02T10:00:00.000Z']]);
+  });
+
+  test('uses DURATION and gives all-day events without an end one day', () => {
+    const text = calendar(
+      ...event('UID:a', 'DTSTART;TZID=Europe/Berlin:20260302T090000', 'DURATION:PT90M'),
+      ...event('UID:b', 'DTSTART;VALUE=DATE:20260305')
+    );
+
+    assert.deepStrictEqual(busyInMarch(text), [
+      ['2026-03-02T08:00:00.000Z', '2026-03-02T09:30:00.000Z'],
+      ['2026-03-05T00:00:00.000Z', '2026-03-06T00:00:00.000Z']
+    ]);
+  });
+
+  test('unfolds long lines', () => {
+    const text = calendar(...event('UID:a', 'DTSTART:20260302T0', ' 90000Z', 'DTEND:20260302T100000Z'));
+
+    assert.deepStrictEqual(busyInMarch(text), [['2026-03-02T09:00:00.000Z', '2026-03-02T10:00:00.000Z']]);
+  });
+
+  test('expands weekly rules with BYDAY, COUNT and EXDATE', () => {
+    const text = calendar(...event(
+      'UID:a',
+      'DTSTART:20260302T090000Z',
+      'DTEND:20260302T093000Z',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4',
+      'EXDATE:20260304T090000Z'
+    ));
+
+    assert.deepStrictEqual(busyInMarch(text).map(([start]) => start), [
+      '2026-03-02T09:00:00.000Z',
+      '2026-03-09T09:00:00.000Z',
+      '2026-03-11T09:00:00.000Z'
+    ]);
+  });
+
+  test('stops at UNTIL, inclusive', () => {
+    const text = calendar(...event('UID:a', 'DTSTART:20260302T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=DAILY;INTERVAL=2;UNTIL=20260306'));
+
+    assert.deepStrictEqual(busyInMarch(text).map(([start]) => start), [
+      '2026-03-02T09:00:00.000Z',
+      '2026-03-04T09:00:00.000Z',
+      '2026-03-06T09:00:00.000Z'
+    ]);
+  });
+
+  test('replaces instances moved through RECURRENCE-ID', () => {
+    const text = calendar(
+      ...event('UID:a', 'DTSTART:20260302T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY;COUNT=2'),
+      ...event('UID:a', 'RECURRENCE-ID:20260309T090000Z', 'DTSTART:20260310T140000Z', 'DURATION:PT1H')
+    );
+
+    assert.deepStrictEqual(busyInMarch(text).map(([start]) => start), [
+      '2026-03-02T09:00:00.000Z',
+      '2026-03-10T14:00:00.000Z'
+    ]);
+  });
+
+  test('keeps the wall-clock time of zoned recurrences across DST', () => {
+    const text = calendar(...event(
+      'UID:a',
+      'DTSTART;TZID=Europe/Berlin:20260323T090000',
+      'DURATION:PT1H',
+      'RRULE:FREQ=WEEKLY;COUNT=2'
+    ));
+
+    assert.deepStrictEqual(busyInMarch(text).map(([start]) => start), [
+      '2026-03-23T08:00:00.000Z',
+      '2026-03-30T07:00:00.000Z'
+    ]);
+  });
+
+  test('reads busy VFREEBUSY periods and skips free ones', () => {
+    const text = calendar(
+      'BEGIN:VFREEBUSY',
+      'FREEBUSY:20260302T090000Z/20260302T100000Z,20260303T090000Z/PT30M',
+      'FREEBUSY;FBTYPE=FREE:20260304T090000Z/20260304T100000Z',
+      'END:VFREEBUSY'
+    );
+
+    assert.deepStrictEqual(busyInMarch(text), [
+      ['2026-03-02T09:00:00.000Z', '2026-03-02T10:00:00.000Z'],
+      ['2026-03-03T09:00:00.000Z', '2026-03-03T09:30:00.000Z']
+    ]);
+  });
+
+  test('keeps only events overlapping the window, sorted across documents', () => {
+    const first = calendar(...event('UID:a', 'DTSTART:20260315T090000Z', 'DURATION:PT1H'));
+    const second = calendar(
+      ...event('UID:b', 'DTSTART:20260302T090000Z', 'DURATION:PT1H'),
+      ...event('UID:c', 'DTSTART:20260415T090000Z', 'DURATION:PT1H'),
+      ...event('UID:d', 'DTSTART:20260228T230000Z', 'DURATION:PT2H')
+    );
+
+    assert.deepStrictEqual(busyInMarch([first, second]).map(([start]) => start), [
+      '2026-02-28T23:00:00.000Z',
+      '2026-03-02T09:00:00.000Z',
+      '2026-03-15T09:00:00.000Z'
+    ]);
+  });
+
+  test('ignores events without a valid start', () => {
+    assert.deepStrictEqual(busyInMarch(calendar(...event('UID:a', 'DTSTART:tomorrow', 'DURATION:PT1H'))), []);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_OCCURRENCES,
+  parseRRule,
+  toRRule,
+  validateRule,
+  expandRule
+} = require('../utils/recurrence');
+
+describe('parseRRule', () => {
+  test('reads weekly, biweekly and monthly rules', () => {
+    assert.deepStrictEqual(parseRRule('FREQ=WEEKLY;COUNT=6'), { frequency: 'weekly', count: 6 });
+    assert.deepStrictEqual(parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=4'), { frequency: 'biweekly', count: 4 });
+    assert.deepStrictEqual(parseRRule('freq=MONTHLY;count=3'), { frequency: 'monthly', count: 3 });
+  });
+
+  test('reads UNTIL as a date or a date-time', () => {
+    assert.strictEqual(parseRRule('FREQ=WEEKLY;UNTIL=20261231').until.toISOString(), '2026-12-31T00:00:00.000Z');
+    assert.strictEqual(parseRRule('FREQ=WEEKLY;UNTIL=20261231T235959Z').until.toISOString(), '2026-12-31T00:00:00.000Z');
+  });
+
+  test('refuses rules it cannot expand', () => {
+    assert.throws(() => parseRRule('FREQ=DAILY;COUNT=5'), /Only weekly, biweekly and monthly/);
+    assert.throws(() => parseRRule('FREQ=WEEKLY;INTERVAL=3;COUNT=5'), /Only weekly, biweekly and monthly/);
+    assert.throws(() => parseRRule('FREQ=MONTHLY;INTERVAL=2;COUNT=5'), /Only weekly, biweekly and monthly/);
+  });
+
+  test('round-trips through toRRule', () => {
+    ['FREQ=WEEKLY;COUNT=6', 'FREQ=WEEKLY;INTERVAL=2;COUNT=4', 'FREQ=MONTHLY;UNTIL=20270115'].forEach(rrule => {
+      assert.strictEqual(toRRule(parseRRule(rrule)), rrule);
+    });
+  });
+});
+
+describe('validateRule', () => {
+  test('accepts a rule ended by count or until', () => {
+    assert.strictEqual(validateRule({ frequency: 'weekly', count: 2 }, '2026-03-02'), null);
+    assert.strictEqual(validateRule({ frequency: 'monthly', until: new Date('2026-06-01') }, '2026-03-02'), null);
+  });
+
+  test('needs a known frequency', () => {
+    assert.match(validateRule({ frequency: 'daily', count: 3 }, '2026-03-02'), /frequency/);
+    assert.match(validateRule(null, '2026-03-02'), /frequency/);
+  });
+
+  test('needs exactly one of count and until', () => {
+    assert.match(validateRule({ frequency: 'weekly' }, '2026-03-02'), /either a count or an until/);
+    assert.match(
+      validateRule({ frequency: 'weekly', count: 3, until: new Date('2026-06-01') }, '2026-03-02'),
+      /either a count or an until/
+    );
+  });
+
+  test('bounds the count', () => {
+    assert.match(validateRule({ frequency: 'weekly', count: 1 }, '2026-03-02'), /between 2 and/);
+    assert.match(validateRule({ frequency: 'weekly', count: MAX_OCCURRENCES + 1 }, '2026-03-02'), /between 2 and/);
+  });
+
+  test('needs until to be after the start day', () => {
+    assert.match(validateRule({ frequency: 'weekly', until: new Date('2026-03-02') }, '2026-03-02'), /after the start date/);
+    assert.match(validateRule({ frequency: 'weekly', until: 'not a date' }, '2026-03-02'), /after the start date/);
+  });
+});
+
+describe('expandRule', () => {
+  test('starts with the start date and steps by week', () => {
+    assert.deepStrictEqual(expandRule('2026-03-02', { frequency: 'weekly', count: 3 }), [
+      '2026-03-02',
+      '2026-03-09',
+      '2026-03-16'
+    ]);
+    assert.deepStrictEqual(expandRule('2026-03-02', { frequency: 'biweekly', count: 3 }), [
+      '2026-03-02',
+      '2026-03-16',
+      '2026-03-30'
+    ]);
+  });
+
+  test('stops at the until day, inclusive', () => {
+    assert.deepStrictEqual(expandRule('2026-03-02', { frequency: 'weekly', until: new Date('2026-03-16') }), [
+      '2026-03-02',
+      '2026-03-09',
+      '2026-03-16'
+    ]);
+  });
+
+  test('skips months without the start day', () => {
+    assert.deepStrictEqual(expandRule('2026-01-31', { frequency: 'monthly', count: 4 }), [
+      '2026-01-31',
+      '2026-03-31',
+      '2026-05-31',
+      '2026-07-31'
+    ]);
+    assert.deepStrictEqual(expandRule('2026-01-31', { frequency: 'monthly', until: new Date('2026-04-30') }), [
+      '2026-01-31',
+      '2026-03-31'
+    ]);
+  });
+
+  test('crosses year ends', () => {
+    assert.deepStrictEqual(expandRule('2026-12-15', { frequency: 'monthly', count: 2 }), ['2026-12-15', '2027-01-15']);
+  });
+
+  test('caps the number of occurrences', () => {
+    assert.strictEqual(expandRule('2026-03-02', { frequency: 'weekly', until: new Date('2030-01-01') }).length, MAX_OCCURRENCES);
+  });
+});
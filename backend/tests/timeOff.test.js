@@ -0,0 +1,116 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+// Read by config/clinic.js, so set before the helpers are loaded
+process.env.CLINIC_TIMEZONE = 'Europe/Berlin';
+
+const mongoose = require('mongoose');
+const TimeOff = require('../models/TimeOff');
+const { MAX_TIME_OFF_DAYS, parseTimeOffRange } = require('../utils/timeOff');
+const { addDays, doIntervalsOverlap } = require('../utils/timeUtils');
+
+describe('parseTimeOffRange', () => {
+  test('covers whole days from local midnight to the midnight after the last day', () => {
+    const range = parseTimeOffRange({ startDate: '2026-07-13', endDate: '2026-07-17' });
+
+    assert.deepStrictEqual(range, {
+      startsAt: new Date('2026-07-12T22:00:00.000Z'),
+      endsAt: new Date('2026-07-17T22:00:00.000Z'),
+      allDay: true
+    });
+  });
+
+  test('covers a single day without an end date', () => {
+    const range = parseTimeOffRange({ startDate: '2026-01-05' });
+
+    assert.strictEqual(range.startsAt.toISOString(), '2026-01-04T23:00:00.000Z');
+    assert.strictEqual(range.endsAt.toISOString(), '2026-01-05T23:00:00.000Z');
+  });
+
+  test('keeps whole days whole across a DST change', () => {
+    const range = parseTimeOffRange({ startDate: '2026-03-29' });
+
+    assert.strictEqual(range.endsAt - range.startsAt, 23 * 60 * 60 * 1000);
+  });
+
+  test('covers part of one day with start and end times', () => {
+    const range = parseTimeOffRange({ startDate: '2026-07-13', startTime: '12:00', endTime: '14:30' });
+
+    assert.deepStrictEqual(range, {
+      startsAt: new Date('2026-07-13T10:00:00.000Z'),
+      endsAt: new Date('2026-07-13T12:30:00.000Z'),
+      allDay: false
+    });
+  });
+
+  test('rejects invalid dates and times', () => {
+    assert.match(parseTimeOffRange({ startDate: '13.07.2026' }).error, /YYYY-MM-DD/);
+    assert.match(parseTimeOffRange({ startDate: '2026-07-13', endDate: '2026-07-12' }).error, /not be before/);
+    assert.match(parseTimeOffRange({ startDate: '2026-07-13', startTime: '12:00' }).error, /valid start and end times/);
+    assert.match(
+      parseTimeOffRange({ startDate: '2026-07-13', endDate: '2026-07-14', startTime: '12:00', endTime: '14:00' }).error,
+      /same day/
+    );
+  });
+
+  test('limits the length of time off', () => {
+    assert.ok(!parseTimeOffRange({ startDate: '2026-01-01', endDate: addDays('2026-01-01', MAX_TIME_OFF_DAYS - 1) }).error);
+    assert.match(parseTimeOffRange({ startDate: '2026-01-01', endDate: addDays('2026-01-01', MAX_TIME_OFF_DAYS) }).error, /cannot exceed/);
+  });
+});
+
+describe('time off conflicts', () => {
+  const range = parseTimeOffRange({ startDate: '2026-07-13', startTime: '12:00', endTime: '14:00' });
+
+  /**
+   * Check if an appointment at a local time on the day conflicts with the block
+   * @param {string} time - Start time (HH:MM, Berlin)
+   * @param {number} duration - Duration in minutes
+   * @returns {boolean} - True if it overlaps the block
+   */
+  const conflicts = (time, duration) => {
+    const startsAt = new Date(`2026-07-13T${time}:00+02:00`);
+    const endsAt = new Date(startsAt.getTime() + duration * 60 * 1000);
+
+    return doIntervalsOverlap(startsAt, endsAt, range.startsAt, range.endsAt);
+  };
+
+  test('counts appointments running into, inside or over the block', () => {
+    assert.ok(conflicts('11:30', 60));
+    assert.ok(conflicts('12:30', 30));
+    assert.ok(conflicts('13:45', 30));
+    assert.ok(conflicts('11:00', 240));
+  });
+
+  test('ignores appointments ending as the block starts or starting as it ends', () => {
+    assert.ok(!conflicts('11:30', 30));
+    assert.ok(!conflicts('14:00', 30));
+  });
+});
+
+describe('TimeOff validation', () => {
+  test('needs a doctor for doctor time off', async () => {
+    const timeOff = new TimeOff({ scope: 'doctor', startsAt: new Date('2026-07-13'), endsAt: new Date('2026-07-14') });
+
+    await assert.rejects(timeOff.validate(), error => Boolean(error.errors.doctorId));
+  });
+
+  test('drops the doctor from clinic closures', async () => {
+    const timeOff = new TimeOff({
+      scope: 'clinic',
+      doctorId: new mongoose.Types.ObjectId(),
+      startsAt: new Date('2026-12-24'),
+      endsAt: new Date('2026-12-27')
+    });
+
+    await timeOff.validate();
+    assert.strictEqual(timeOff.doctorId, null);
+  });
+
+  test('needs the block to end after it starts', async () => {
+    const range = parseTimeOffRange({ startDate: '2026-07-13', startTime: '14:00', endTime: '12:00' });
+    const timeOff = new TimeOff({ doctorId: new mongoose.Types.ObjectId(), ...range });
+
+    await assert.rejects(timeOff.validate(), error => /end after it starts/.test(error.errors.endsAt.message));
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const {
+  isValidTime,
+  timeToMinutes,
+  minutesToTime,
+  doTimeSlotsOverlap,
+  doIntervalsOverlap,
+  isValidDateKey,
+  toDateKey,
+  startOfDay,
+  listDaysTouched,
+  addDays,
+  getDayOfWeek,
+  getTimeZoneOffset,
+  combineDateAndTime,
+  startOfZonedDay,
+  toZonedDateKey,
+  toZonedTime,
+  addMinutes
+} = require('../utils/timeUtils');
+
+describe('wall-clock times', () => {
+  test('accepts HH:MM times within a day', () => {
+    assert.ok(isValidTime('00:00'));
+    assert.ok(isValidTime('9:05'));
+    assert.ok(isValidTime('23:59'));
+    assert.ok(!isValidTime('24:00'));
+    assert.ok(!isValidTime('12:60'));
+    assert.ok(!isValidTime('1200'));
+    assert.ok(!isValidTime(null));
+  });
+
+  test('converts between times and minutes since midnight', () => {
+    assert.strictEqual(timeToMinutes('00:00'), 0);
+    assert.strictEqual(timeToMinutes('09:30'), 570);
+    assert.strictEqual(minutesToTime(570), '09:30');
+    assert.strictEqual(minutesToTime(5), '00:05');
+    assert.strictEqual(minutesToTime(timeToMinutes('23:59')), '23:59');
+  });
+
+  test('treats slots that only touch as not overlapping', () => {
+    assert.ok(doTimeSlotsOverlap('09:00', 30, '09:15', 30));
+    assert.ok(doTimeSlotsOverlap('09:00', 120, '09:30', 15));
+    assert.ok(!doTimeSlotsOverlap('09:00', 30, '09:30', 30));
+    assert.ok(!doTimeSlotsOverlap('10:00', 30, '09:00', 60));
+  });
+});
+
+describe('doIntervalsOverlap', () => {
+  const at = (time) => new Date(`2026-03-02T${time}:00Z`);
+
+  test('detects partial and contained overlaps', () => {
+    assert.ok(doIntervalsOverlap(at('09:00'), at('10:00'), at('09:30'), at('10:30')));
+    assert.ok(doIntervalsOverlap(at('09:00'), at('12:00'), at('10:00'), at('10:15')));
+    assert.ok(doIntervalsOverlap(at('10:00'), at('10:15'), at('09:00'), at('12:00')));
+  });
+
+  test('treats intervals that only touch as not overlapping', () => {
+    assert.ok(!doIntervalsOverlap(at('09:00'), at('10:00'), at('10:00'), at('11:00')));
+    assert.ok(!doIntervalsOverlap(at('11:00'), at('12:00'), at('09:00'), at('10:00')));
+  });
+});
+
+describe('calendar days', () => {
+  test('validates YYYY-MM-DD keys', () => {
+    assert.ok(isValidDateKey('2026-02-28'));
+    assert.ok(!isValidDateKey('2026-13-01'));
+    assert.ok(!isValidDateKey('2026-2-28'));
+    assert.ok(!isValidDateKey('28.02.2026'));
+    assert.ok(!isValidDateKey(undefined));
+  });
+
+  test('reads the UTC day of dates', () => {
+    assert.strictEqual(toDateKey(new Date('2026-03-02T23:59:59Z')), '2026-03-02');
+    assert.strictEqual(startOfDay('2026-03-02').toISOString(), '2026-03-02T00:00:00.000Z');
+    assert.strictEqual(startOfDay(new Date('2026-03-02T18:00:00Z')).toISOString(), '2026-03-02T00:00:00.000Z');
+  });
+
+  test('adds days across month and year ends', () => {
+    assert.strictEqual(addDays('2026-02-28', 1), '2026-03-01');
+    assert.strictEqual(addDays('2028-02-28', 1), '2028-02-29');
+    assert.strictEqual(addDays('2026-12-31', 1), '2027-01-01');
+    assert.strictEqual(addDays('2026-01-01', -1), '2025-12-31');
+  });
+
+  test('gets the weekday with Sunday as 0', () => {
+    assert.strictEqual(getDayOfWeek('2026-03-01'), 0);
+    assert.strictEqual(getDayOfWeek('2026-03-02'), 1);
+    assert.strictEqual(getDayOfWeek('2026-03-07'), 6);
+  });
+});
+
+describe('timezones', () => {
+  test('gets the offset of a zone at an instant', () => {
+    const hour = 60 * 60 * 1000;
+
+    assert.strictEqual(getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), 'Europe/Berlin'), hour);
+    assert.strictEqual(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'Europe/Berlin'), 2 * hour);
+    assert.strictEqual(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'America/New_York'), -4 * hour);
+    assert.strictEqual(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'UTC'), 0);
+  });
+
+  test('combines a day and a wall-clock time in a zone', () => {
+    assert.strictEqual(combineDateAndTime('2026-01-15', '09:00', 'Europe/Berlin').toISOString(), '2026-01-15T08:00:00.000Z');
+    assert.strictEqual(combineDateAndTime('2026-07-15', '09:00', 'Europe/Berlin').toISOString(), '2026-07-15T07:00:00.000Z');
+    assert.strictEqual(combineDateAndTime('2026-07-15', '21:30', 'America/New_York').toISOString(), '2026-07-16T01:30:00.000Z');
+    assert.strictEqual(combineDateAndTime('2026-07-15', '09:00', 'UTC').toISOString(), '2026-07-15T09:00:00.000Z');
+  });
+
+  test('moves times skipped by a DST change past the gap', () => {
+    // Berlin clocks jump from 02:00 to 03:00 on 29 March 2026
+    assert.strictEqual(combineDateAndTime('2026-03-29', '02:30', 'Europe/Berlin').toISOString(), '2026-03-29T01:30:00.000Z');
+    assert.strictEqual(combineDateAndTime('2026-03-29', '03:00', 'Europe/Berlin').toISOString(), '2026-03-29T01:00:00.000Z');
+  });
+
+  test('finds local midnight', () => {
+    assert.strictEqual(startOfZonedDay('2026-07-15', 'Europe/Berlin').toISOString(), '2026-07-14T22:00:00.000Z');
+    assert.strictEqual(startOfZonedDay('2026-07-15', 'Asia/Tokyo').toISOString(), '2026-07-14T15:00:00.000Z');
+  });
+
+  test('reads the local day and time of an instant', () => {
+    const instant = new Date('2026-07-14T22:30:00Z');
+
+    assert.strictEqual(toZonedDateKey(instant, 'Europe/Berlin'), '2026-07-15');
+    assert.strictEqual(toZonedDateKey(instant, 'America/New_York'), '2026-07-14');
+    assert.strictEqual(toZonedTime(instant, 'Europe/Berlin'), '00:30');
+    assert.strictEqual(toZonedTime(instant, 'Asia/Kolkata'), '04:00');
+  });
+
+  test('round-trips wall-clock times through instants', () => {
+    const instant = combineDateAndTime('2026-10-25', '14:45', 'Europe/Berlin');
+
+    assert.strictEqual(toZonedDateKey(instant, 'Europe/Berlin'), '2026-10-25');
+    assert.strictEqual(toZonedTime(instant, 'Europe/Berlin'), '14:45');
+  });
+});
+
+test('addMinutes shifts an instant', () => {
+  assert.strictEqual(addMinutes(new Date('2026-03-02T23:30:00Z'), 45).toISOString(), '2026-03-03T00:15:00.000Z');
+  assert.strictEqual(addMinutes('2026-03-02T10:00:00Z', -90).toISOString(), '2026-03-02T08:30:00.000Z');
+});
+
+describe('listDaysTouched', () => {
+  const days = (start, end) => listDaysTouched(new Date(start), new Date(end)).map(day => day.toISOString());
+
+  test('lists the single day of an interval within a day', () => {
+    assert.deepStrictEqual(days('2026-03-02T09:00:00Z', '2026-03-02T10:00:00Z'), ['2026-03-02T00:00:00.000Z']);
+  });
+
+  test('lists both days of an interval crossing midnight, earliest first', () => {
+    assert.deepStrictEqual(days('2026-03-02T23:30:00Z', '2026-03-03T00:30:00Z'), [
+      '2026-03-02T00:00:00.000Z',
+      '2026-03-03T00:00:00.000Z'
+    ]);
+  });
+
+  test('does not count an end exactly at midnight as touching the next day', () => {
+    assert.deepStrictEqual(days('2026-03-02T23:00:00Z', '2026-03-03T00:00:00Z'), ['2026-03-02T00:00:00.000Z']);
+  });
+
+  test('lists every day of a multi-day interval', () => {
+    assert.strictEqual(days('2026-03-02T12:00:00Z', '2026-03-05T12:00:00Z').length, 4);
+  });
+
+  test('gives overlapping intervals a common day', () => {
+    const late = days('2026-03-02T23:00:00Z', '2026-03-03T01:00:00Z');
+    const early = days('2026-03-03T00:30:00Z', '2026-03-03T01:30:00Z');
+
+    assert.ok(early.some(day => late.includes(day)));
+  });
+
+  test('lists the start day of an empty interval', () => {
+    assert.deepStrictEqual(days('2026-03-02T09:00:00Z', '2026-03-02T09:00:00Z'), ['2026-03-02T00:00:00.000Z']);
+  });
+});
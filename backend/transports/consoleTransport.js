@@ -0,0 +1,26 @@
+const logger = require('../utils/logger');
+
+/**
+ * Development transport that writes messages to the log instead of sending them
+ */
+class ConsoleTransport {
+  constructor(channel) {
+    this.channel = channel;
+    this.name = 'console';
+  }
+
+  /**
+   * Log a message
+   * @param {Object} message - { to, subject, text }
+   * @returns {Promise<Object>} - Delivery result
+   */
+  async send(message) {
+    logger.info(`[${this.channel}] Message to ${message.to}`, {
+      subject: message.subject,
+      text: message.text
+    });
+    return { id: null };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Development transport that appends messages to a daily outbox file
+ * (one JSON object per line), so they can be inspected after the fact
+ */
+class FileTransport {
+  constructor(channel, outboxDir) {
+    this.channel = channel;
+    this.name = 'file';
+    this.outboxDir = outboxDir || path.join(__dirname, '../logs/outbox');
+  }
+
+  /**
+   * Append a message to today's outbox file
+   * @param {Object} message - { to, subject, text }
+   * @returns {Promise<Object>} - Delivery result with the file written to
+   */
+  async send(message) {
+    await fs.promises.mkdir(this.outboxDir, { recursive: true });
+
+    const file = path.join(this.outboxDir, `${this.channel}-${new Date().toISOString().split('T')[0]}.log`);
+    const entry = { timestamp: new Date().toISOString(), channel: this.channel, ...message };
+
+    await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+    return { id: file };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,52 @@
+const ConsoleTransport = require('./consoleTransport');
+const FileTransport = require('./fileTransport');
+const SmtpTransport = require('./smtpTransport');
+const SmsTransport = require('./smsTransport');
+const { transportConfig } = require('../config/reminders');
+
+/**
+ * Message transports
+ *
+ * A transport delivers a message on one channel. Every transport has a
+ * `name` and an async `send({ to, subject, text, html })` that resolves with
+ * `{ id }` once the message is handed off, or rejects if it could not be.
+ * Which transport serves a channel is set by EMAIL_TRANSPORT / SMS_TRANSPORT.
+ */
+
+const transports = {};
+
+/**
+ * Build the transport configured for a channel
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {Object} - Transport
+ */
+const createTransport = (channel) => {
+  const name = channel === 'email' ? transportConfig.emailTransport : transportConfig.smsTransport;
+
+  switch (name) {
+    case 'smtp':
+      return new SmtpTransport(transportConfig.smtp);
+    case 'sms':
+      return new SmsTransport(transportConfig.smsGateway);
+    case 'file':
+      return new FileTransport(channel, transportConfig.outboxDir);
+    default:
+      return new ConsoleTransport(channel);
+  }
+};
+
+/**
+ * Get the transport for a channel, creating it on first use
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {Object} - Transport
+ */
+const getTransport = (channel) => {
+  if (!transports[channel]) {
+    transports[channel] = createTransport(channel);
+  }
+  return transports[channel];
+};
+
+module.exports = {
+  getTransport
+};
@@ -0,0 +1,62 @@
+const https = require('https');
+
+/**
+ * SMS transport for a Twilio-compatible REST gateway
+ */
+class SmsTransport {
+  constructor(options) {
+    this.name = 'sms';
+    this.options = options;
+  }
+
+  /**
+   * Send a text message
+   * @param {Object} message - { to, text }
+   * @returns {Promise<Object>} - Delivery result with the gateway's message ID
+   */
+  send(message) {
+    const { accountSid, authToken, from, apiUrl } = this.options;
+
+    if (!accountSid || !authToken || !from) {
+      return Promise.reject(new Error('SMS_ACCOUNT_SID, SMS_AUTH_TOKEN and SMS_FROM must be configured'));
+    }
+
+    const body = new URLSearchParams({ To: message.to, From: from, Body: message.text }).toString();
+    const url = new URL(`${apiUrl}/Accounts/${accountSid}/Messages.json`);
+
+    return new Promise((resolve, reject) => {
+      const request = https.request(url, {
+        method: 'POST',
+        auth: `${accountSid}:${authToken}`,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(body)
+        },
+        timeout: 10000
+      }, (response) => {
+        let data = '';
+        response.on('data', chunk => { data += chunk; });
+        response.on('end', () => {
+          let parsed = {};
+          try {
+            parsed = JSON.parse(data);
+          } catch (error) {
+            // Keep the empty object; the status code decides
+          }
+
+          if (response.statusCode >= 400) {
+            reject(new Error(parsed.message || `SMS gateway responded with ${response.statusCode}`));
+          } else {
+            resolve({ id: parsed.sid || null });
+          }
+        });
+      });
+
+      request.on('timeout', () => request.destroy(new Error('SMS gateway timed out')));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+module.exports = SmsTransport;
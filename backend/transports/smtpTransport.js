@@ -0,0 +1,52 @@
+/**
+ * Email transport that sends through an SMTP server using nodemailer
+ */
+class SmtpTransport {
+  constructor(options) {
+    this.name = 'smtp';
+    this.options = options;
+    this.transporter = null;
+  }
+
+  /**
+   * Create the nodemailer transporter on first use
+   * @returns {Object} - Nodemailer transporter
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      if (!this.options.host) {
+        throw new Error('SMTP_HOST is not configured');
+      }
+
+      const nodemailer = require('nodemailer');
+
+      this.transporter = nodemailer.createTransport({
+        host: this.options.host,
+        port: this.options.port,
+        secure: this.options.secure,
+        auth: this.options.user ? { user: this.options.user, pass: this.options.pass } : undefined
+      });
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} - Delivery result with the SMTP message ID
+   */
+  async send(message) {
+    const info = await this.getTransporter().sendMail({
+      from: this.options.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,308 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const DoctorSchedule = require('../models/DoctorSchedule');
+const User = require('../models/User');
+const { APPOINTMENT_STATUSES } = require('./appointmentStatus');
+const { buildAppointmentFilter } = require('./appointmentFilters');
+const { CLINIC_TIMEZONE } = require('../config/clinic');
+const {
+  MS_PER_DAY,
+  isValidDateKey,
+  startOfDay,
+  addDays,
+  getDayOfWeek,
+  startOfZonedDay,
+  getTodayKey
+} = require('./timeUtils');
+
+/**
+ * Appointment analytics built on aggregation pipelines
+ * Days are calendar days in the clinic's timezone and weeks start on Monday.
+ */
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const INTERVALS = ['day', 'week'];
+
+/**
+ * Throw an error that the controller turns into a 400 response
+ * @param {string} message - Error message
+ */
+const fail = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  throw error;
+};
+
+/**
+ * Read the day range from query parameters, defaulting to the last 30 days
+ * @param {Object} query - { from, to } as YYYY-MM-DD, both inclusive
+ * @returns {Object} - { fromKey, toKey, start, end }, end exclusive
+ */
+const resolveRange = (query = {}) => {
+  const toKey = query.to || getTodayKey();
+  if (!isValidDateKey(toKey)) {
+    fail('"to" must be a date in YYYY-MM-DD format');
+  }
+
+  const fromKey = query.from || addDays(toKey, -(DEFAULT_RANGE_DAYS - 1));
+  if (!isValidDateKey(fromKey)) {
+    fail('"from" must be a date in YYYY-MM-DD format');
+  }
+  if (toKey < fromKey) {
+    fail('"to" must not be before "from"');
+  }
+  if ((startOfDay(toKey) - startOfDay(fromKey)) / MS_PER_DAY + 1 > MAX_RANGE_DAYS) {
+    fail(`Range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  return {
+    fromKey,
+    toKey,
+    start: startOfZonedDay(fromKey),
+    end: startOfZonedDay(addDays(toKey, 1))
+  };
+};
+
+/**
+ * Build the $match stage restricting appointments to what the user may see
+ * Patients see their own, doctors theirs and admins everyone's or one doctor's.
+ * Aggregations do not cast ids, so they are converted here.
+ * @param {Object} user - Authenticated user
+ * @param {Object} query - { doctorId }
+ * @returns {Object} - MongoDB filter
+ */
+const buildScope = (user, query = {}) => {
+  const filter = buildAppointmentFilter(user, { doctorId: query.doctorId });
+
+  ['patientId', 'doctorId'].forEach(field => {
+    if (filter[field]) {
+      filter[field] = new mongoose.Types.ObjectId(filter[field].toString());
+    }
+  });
+
+  return filter;
+};
+
+/**
+ * Round a ratio for display, or null when there is nothing to divide by
+ * @param {number} value - Numerator
+ * @param {number} total - Denominator
+ * @returns {number|null} - Ratio with three decimals
+ */
+const toRate = (value, total) => (total > 0 ? Math.round((value / total) * 1000) / 1000 : null);
+
+/**
+ * Count appointments starting in the range by status
+ * @param {Object} scope - Role filter
+ * @param {Object} range - Resolved range
+ * @returns {Promise<Object>} - { total, statusCounts, cancellationRate, noShowRate }
+ */
+const getStatusSummary = async (scope, range) => {
+  const groups = await Appointment.aggregate([
+    { $match: { ...scope, startsAt: { $gte: range.start, $lt: range.end } } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const statusCounts = {};
+  APPOINTMENT_STATUSES.forEach(status => {
+    statusCounts[status] = 0;
+  });
+  groups.forEach(group => {
+    statusCounts[group._id] = group.count;
+  });
+
+  const total = groups.reduce((sum, group) => sum + group.count, 0);
+
+  return {
+    total,
+    statusCounts,
+    // Share of all appointments that were cancelled
+    cancellationRate: toRate(statusCounts.cancelled, total),
+    // Share of finished appointments the patient did not turn up for
+    noShowRate: toRate(statusCounts.no_show, statusCounts.completed + statusCounts.no_show)
+  };
+};
+
+/**
+ * Sum a doctor's scheduled working minutes over a day range
+ * Time off is not subtracted, so utilization reflects the regular week.
+ * @param {Object} schedule - Doctor schedule
+ * @param {Object} range - Resolved range
+ * @returns {number} - Minutes
+ */
+const getScheduledMinutes = (schedule, range) => {
+  let minutes = 0;
+
+  for (let dateKey = range.fromKey; dateKey <= range.toKey; dateKey = addDays(dateKey, 1)) {
+    schedule.getWorkingWindows(getDayOfWeek(dateKey)).forEach(window => {
+      minutes += window.end - window.start;
+    });
+  }
+
+  return minutes;
+};
+
+/**
+ * Get booked versus scheduled minutes per doctor
+ * Cancelled appointments do not count as booked; a group session counts
+ * once however many seats are taken.
+ * @param {Object} user - Authenticated user
+ * @param {Object} scope - Role filter
+ * @param {Object} range - Resolved range
+ * @returns {Promise<Array>} - [{ doctorId, name, specialization, bookedMinutes, scheduledMinutes, utilization }]
+ */
+const getDoctorUtilization = async (user, scope, range) => {
+  if (user.role === 'patient') {
+    return [];
+  }
+
+  const booked = await Appointment.aggregate([
+    {
+      $match: {
+        ...scope,
+        status: { $ne: 'cancelled' },
+        startsAt: { $gte: range.start, $lt: range.end }
+      }
+    },
+    {
+      $group: {
+        _id: { doctorId: '$doctorId', slot: { $ifNull: ['$groupSessionId', '$_id'] } },
+        duration: { $max: '$duration' }
+      }
+    },
+    { $group: { _id: '$_id.doctorId', bookedMinutes: { $sum: '$duration' } } }
+  ]);
+
+  const bookedByDoctor = new Map(booked.map(entry => [entry._id.toString(), entry.bookedMinutes]));
+
+  // Every doctor in scope, plus inactive ones who still had appointments
+  const doctorFilter = scope.doctorId
+    ? { _id: scope.doctorId }
+    : { role: 'doctor', $or: [{ isActive: true }, { _id: { $in: booked.map(entry => entry._id) } }] };
+  const doctors = await User.find(doctorFilter).select('name specialization').sort({ name: 1 });
+  const schedules = await DoctorSchedule.find({ doctorId: { $in: doctors.map(doctor => doctor._id) } });
+
+  return doctors.map(doctor => {
+    const schedule = schedules.find(entry => entry.doctorId.toString() === doctor._id.toString()) ||
+      DoctorSchedule.buildDefault(doctor._id);
+    const bookedMinutes = bookedByDoctor.get(doctor._id.toString()) || 0;
+    const scheduledMinutes = getScheduledMinutes(schedule, range);
+
+    return {
+      doctorId: doctor._id,
+      name: doctor.name,
+      specialization: doctor.specialization,
+      bookedMinutes,
+      scheduledMinutes,
+      utilization: toRate(bookedMinutes, scheduledMinutes)
+    };
+  });
+};
+
+/**
+ * Build the aggregation expression for the period an instant falls in
+ * @param {string} field - Date field, e.g. '$startsAt'
+ * @param {string} interval - 'day' or 'week'
+ * @returns {Object} - Expression yielding the first day of the period (YYYY-MM-DD)
+ */
+const periodExpression = (field, interval) => {
+  if (interval === 'day') {
+    return { $dateToString: { format: '%Y-%m-%d', date: field, timezone: CLINIC_TIMEZONE } };
+  }
+
+  // Monday of the ISO week, as a plain calendar date
+  return {
+    $dateToString: {
+      format: '%Y-%m-%d',
+      date: {
+        $dateFromParts: {
+          isoWeekYear: { $isoWeekYear: { date: field, timezone: CLINIC_TIMEZONE } },
+          isoWeek: { $isoWeek: { date: field, timezone: CLINIC_TIMEZONE } },
+          isoDayOfWeek: 1
+        }
+      }
+    }
+  };
+};
+
+/**
+ * List the periods covering a range, so that empty ones are reported as zero
+ * @param {Object} range - Resolved range
+ * @param {string} interval - 'day' or 'week'
+ * @returns {Array<string>} - First day of each period
+ */
+const listPeriods = (range, interval) => {
+  let first = range.fromKey;
+  let step = 1;
+
+  if (interval === 'week') {
+    // Back up to Monday
+    first = addDays(range.fromKey, -((getDayOfWeek(range.fromKey) + 6) % 7));
+    step = 7;
+  }
+
+  const periods = [];
+  for (let period = first; period <= range.toKey; period = addDays(period, step)) {
+    periods.push(period);
+  }
+  return periods;
+};
+
+/**
+ * Get booking volume per day or week
+ * `booked` counts appointments made in the period; `scheduled`, `cancelled`
+ * and `noShow` count appointments taking place in it.
+ * @param {Object} scope - Role filter
+ * @param {Object} range - Resolved range
+ * @param {string} interval - 'day' or 'week'
+ * @returns {Promise<Array>} - [{ period, booked, scheduled, cancelled, noShow }]
+ */
+const getBookingVolume = async (scope, range, interval) => {
+  if (!INTERVALS.includes(interval)) {
+    fail(`Interval must be one of: ${INTERVALS.join(', ')}`);
+  }
+
+  const [booked, scheduled] = await Promise.all([
+    Appointment.aggregate([
+      { $match: { ...scope, createdAt: { $gte: range.start, $lt: range.end } } },
+      { $group: { _id: periodExpression('$createdAt', interval), booked: { $sum: 1 } } }
+    ]),
+    Appointment.aggregate([
+      { $match: { ...scope, startsAt: { $gte: range.start, $lt: range.end } } },
+      {
+        $group: {
+          _id: periodExpression('$startsAt', interval),
+          scheduled: { $sum: 1 },
+          cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+          noShow: { $sum: { $cond: [{ $eq: ['$status', 'no_show'] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const bookedByPeriod = new Map(booked.map(entry => [entry._id, entry.booked]));
+  const scheduledByPeriod = new Map(scheduled.map(entry => [entry._id, entry]));
+
+  return listPeriods(range, interval).map(period => {
+    const entry = scheduledByPeriod.get(period);
+
+    return {
+      period,
+      booked: bookedByPeriod.get(period) || 0,
+      scheduled: entry ? entry.scheduled : 0,
+      cancelled: entry ? entry.cancelled : 0,
+      noShow: entry ? entry.noShow : 0
+    };
+  });
+};
+
+module.exports = {
+  INTERVALS,
+  resolveRange,
+  listPeriods,
+  buildScope,
+  getStatusSummary,
+  getDoctorUtilization,
+  getBookingVolume
+};
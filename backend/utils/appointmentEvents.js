@@ -0,0 +1,13 @@
+const EventEmitter = require('events');
+
+/**
+ * In-process bus for appointment lifecycle events
+ *
+ * After a save, the Appointment model emits 'appointment' with
+ * { type, appointment }, where type is 'created', 'rescheduled' or the new
+ * status. Listeners such as the mailer react to it, so controllers do not
+ * have to remember to notify anyone. Listeners must not throw.
+ */
+const appointmentEvents = new EventEmitter();
+
+module.exports = appointmentEvents;
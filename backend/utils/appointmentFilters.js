@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { APPOINTMENT_STATUSES } = require('./appointmentStatus');
+const { toDateKey, addDays, startOfZonedDay } = require('./timeUtils');
+
+/**
+ * Check if a query value is a date
+ * @param {*} value - Query value
+ * @returns {boolean} - True if it parses as a date
+ */
+const isDateValue = (value) => Boolean(value) && !isNaN(new Date(value));
+
+/**
+ * Build the appointment query filter for a user from request query parameters
+ * Patients only get their own appointments and doctors their own; admins get
+ * everyone's and may narrow to one doctor or patient. Days are calendar days
+ * in the clinic's timezone. Invalid values are ignored rather than rejected.
+ * @param {Object} user - Authenticated user
+ * @param {Object} query - { status, date, from, to, doctorId, patientId, typeId }, from and to inclusive
+ * @returns {Object} - MongoDB filter
+ */
+const buildAppointmentFilter = (user, query = {}) => {
+  const { status, date, from, to, doctorId, patientId, typeId } = query;
+  const filter = {};
+
+  if (user.role === 'patient') {
+    filter.patientId = user._id;
+  } else if (user.role === 'doctor') {
+    filter.doctorId = user._id;
+  } else {
+    if (doctorId && mongoose.Types.ObjectId.isValid(doctorId)) {
+      filter.doctorId = doctorId;
+    }
+    if (patientId && mongoose.Types.ObjectId.isValid(patientId)) {
+      filter.patientId = patientId;
+    }
+  }
+
+  if (status && APPOINTMENT_STATUSES.includes(status)) {
+    filter.status = status;
+  }
+
+  // A single day takes precedence over a range
+  if (isDateValue(date)) {
+    filter.startsAt = {
+      $gte: startOfZonedDay(date),
+      $lt: startOfZonedDay(addDays(toDateKey(date), 1))
+    };
+  } else if (isDateValue(from) || isDateValue(to)) {
+    filter.startsAt = {};
+
+    if (isDateValue(from)) {
+      filter.startsAt.$gte = startOfZonedDay(from);
+    }
+
+    if (isDateValue(to)) {
+      filter.startsAt.$lt = startOfZonedDay(addDays(toDateKey(to), 1));
+    }
+  }
+
+  if (typeId && mongoose.Types.ObjectId.isValid(typeId)) {
+    filter.typeId = typeId;
+  }
+
+  return filter;
+};
+
+module.exports = {
+  buildAppointmentFilter
+};
@@ -0,0 +1,120 @@
+const Appointment = require('../models/Appointment');
+const EmailTemplate = require('../models/EmailTemplate');
+const appointmentEvents = require('./appointmentEvents');
+const { getTransport } = require('../transports');
+const logger = require('./logger');
+const {
+  EMAIL_EVENTS,
+  EMAIL_AUDIENCES,
+  DEFAULT_LOCALES,
+  getLocaleCandidates,
+  getDefaultTemplate,
+  renderTemplate,
+  buildTemplateVariables
+} = require('./emailTemplates');
+
+/**
+ * Find the template to use for an event, audience and locale
+ * For each candidate locale an admin override wins over the built-in template
+ * @param {string} event - Email event
+ * @param {string} audience - 'patient' or 'doctor'
+ * @param {string} locale - Preferred locale
+ * @returns {Promise<Object>} - { locale, subject, text, html, isActive, isCustom }
+ */
+const resolveTemplate = async (event, audience, locale) => {
+  const candidates = getLocaleCandidates(locale);
+  const overrides = await EmailTemplate.find({ event, audience, locale: { $in: candidates } });
+
+  for (const candidate of candidates) {
+    const override = overrides.find(template => template.locale === candidate);
+
+    if (override) {
+      return {
+        locale: candidate,
+        subject: override.subject,
+        text: override.text,
+        html: override.html,
+        isActive: override.isActive,
+        isCustom: true,
+        updatedAt: override.updatedAt
+      };
+    }
+
+    if (DEFAULT_LOCALES.includes(candidate)) {
+      return { ...getDefaultTemplate(event, audience, candidate), isActive: true, isCustom: false };
+    }
+  }
+
+  return { ...getDefaultTemplate(event, audience), isActive: true, isCustom: false };
+};
+
+/**
+ * Email the patient and the doctor about an appointment event
+ * Doctors are not emailed about group session seats, which come and go with the session
+ * @param {string} event - Email event
+ * @param {Object} appointment - Appointment document
+ * @returns {Promise<number>} - Number of emails sent
+ */
+const sendAppointmentEmails = async (event, appointment) => {
+  if (!EMAIL_EVENTS.includes(event)) {
+    return 0;
+  }
+
+  const populated = await Appointment.findById(appointment._id)
+    .populate('patientId', 'name email locale')
+    .populate('doctorId', 'name email locale')
+    .populate('typeId', 'name')
+    .populate('locationId');
+
+  if (!populated) {
+    return 0;
+  }
+
+  let sent = 0;
+
+  for (const audience of EMAIL_AUDIENCES) {
+    const recipient = audience === 'patient' ? populated.patientId : populated.doctorId;
+
+    if (!recipient || !recipient.email || (audience === 'doctor' && populated.groupSessionId)) {
+      continue;
+    }
+
+    try {
+      const template = await resolveTemplate(event, audience, recipient.locale);
+
+      if (!template.isActive) {
+        continue;
+      }
+
+      const message = renderTemplate(template, buildTemplateVariables(populated, template.locale));
+      await getTransport('email').send({ to: recipient.email, ...message });
+      sent++;
+    } catch (error) {
+      logger.error('Appointment email failed', {
+        appointmentId: populated._id,
+        event,
+        audience,
+        error: error.message
+      });
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Start emailing on appointment lifecycle events
+ */
+const register = () => {
+  appointmentEvents.on('appointment', ({ type, appointment }) => {
+    sendAppointmentEmails(type, appointment).catch(error => {
+      logger.error('Appointment email failed', { appointmentId: appointment._id, event: type, error: error.message });
+    });
+  });
+};
+
+module.exports = {
+  resolveTemplate,
+  sendAppointmentEmails,
+  register
+};
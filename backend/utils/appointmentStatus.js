@@ -0,0 +1,101 @@
+/**
+ * Appointment status state machine
+ *
+ * STATUS_TRANSITIONS maps each status to the statuses it may move to, and
+ * each of those to the roles allowed to make that move. Anything not listed
+ * is an invalid transition.
+ */
+
+const APPOINTMENT_STATUSES = [
+  'pending',
+  'confirmed',
+  'checked_in',
+  'in_progress',
+  'cancelled',
+  'completed',
+  'no_show'
+];
+
+// Statuses that can only be set once the appointment has started
+const AFTER_START_STATUSES = ['no_show'];
+
+// Statuses that can only be set on the day of the appointment
+const SAME_DAY_STATUSES = ['checked_in', 'in_progress'];
+
+// Patients who have arrived and are waiting for or seeing the doctor
+const QUEUE_STATUSES = ['checked_in', 'in_progress'];
+
+// Upcoming appointments that patients get reminders for
+const REMINDER_STATUSES = ['pending', 'confirmed'];
+
+// Field stamped with the time an appointment enters each status
+const STATUS_TIMESTAMPS = {
+  checked_in: 'checkedInAt',
+  in_progress: 'startedAt',
+  completed: 'completedAt'
+};
+
+// Review state of urgent bookings, and what the reviewing doctor decided:
+// kept in its slot, squeezed in earlier (overbooked) or downgraded to routine
+const TRIAGE_STATUSES = ['awaiting_review', 'reviewed'];
+const TRIAGE_OUTCOMES = ['kept', 'overbooked', 'downgraded'];
+
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: ['doctor', 'admin'],
+    cancelled: ['patient', 'doctor', 'admin'],
+    no_show: ['doctor']
+  },
+  confirmed: {
+    checked_in: ['doctor', 'admin'],
+    completed: ['doctor'],
+    cancelled: ['patient', 'doctor', 'admin'],
+    no_show: ['doctor']
+  },
+  checked_in: {
+    in_progress: ['doctor'],
+    cancelled: ['doctor', 'admin']
+  },
+  in_progress: {
+    completed: ['doctor']
+  },
+  cancelled: {},
+  completed: {},
+  no_show: {}
+};
+
+/**
+ * Check if a role may move an appointment from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} role - Role of the user making the change
+ * @returns {boolean} - True if the transition is allowed
+ */
+const canTransition = (from, to, role) => {
+  const allowedRoles = (STATUS_TRANSITIONS[from] || {})[to];
+  return Boolean(allowedRoles && allowedRoles.includes(role));
+};
+
+/**
+ * Get the statuses a role may move an appointment to
+ * @param {string} from - Current status
+ * @param {string} role - Role of the user
+ * @returns {Array} - Allowed target statuses
+ */
+const getAllowedTransitions = (from, role) => {
+  return Object.keys(STATUS_TRANSITIONS[from] || {}).filter(to => canTransition(from, to, role));
+};
+
+module.exports = {
+  APPOINTMENT_STATUSES,
+  AFTER_START_STATUSES,
+  SAME_DAY_STATUSES,
+  QUEUE_STATUSES,
+  REMINDER_STATUSES,
+  STATUS_TIMESTAMPS,
+  TRIAGE_STATUSES,
+  TRIAGE_OUTCOMES,
+  STATUS_TRANSITIONS,
+  canTransition,
+  getAllowedTransitions
+};
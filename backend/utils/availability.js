@@ -0,0 +1,380 @@
+const Appointment = require('../models/Appointment');
+const BusyBlock = require('../models/BusyBlock');
+const DoctorSchedule = require('../models/DoctorSchedule');
+const GroupSession = require('../models/GroupSession');
+const Room = require('../models/Room');
+const TimeOff = require('../models/TimeOff');
+const Waitlist = require('../models/Waitlist');
+const { getBookingPolicy, checkBookingWindow } = require('./bookingPolicy');
+const {
+  MS_PER_DAY,
+  minutesToTime,
+  doIntervalsOverlap,
+  toDateKey,
+  startOfDay,
+  addDays,
+  getDayOfWeek,
+  combineDateAndTime,
+  startOfZonedDay,
+  addMinutes
+} = require('./timeUtils');
+
+/**
+ * Availability helpers that combine doctor schedules with existing bookings
+ * Days and schedule times are read in the clinic's timezone
+ */
+
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Get intervals during which scheduled group sessions hold a doctor or rooms
+ * @param {Object} filter - { doctorId } or { roomId: { $in: [...] } }
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @returns {Promise<Array>} - Array of { roomId, start, end }
+ */
+const getSessionIntervals = async (filter, from, to) => {
+  const sessions = await GroupSession.find({
+    ...filter,
+    // Sessions starting the day before may run into the range
+    startsAt: { $gt: new Date(from.getTime() - MS_PER_DAY), $lt: to },
+    status: 'scheduled'
+  }).select('roomId startsAt duration');
+
+  return sessions
+    .map(session => ({ roomId: session.roomId ? session.roomId.toString() : null, start: session.startsAt, end: session.endsAt }))
+    .filter(interval => interval.end > from);
+};
+
+/**
+ * Get intervals during which a doctor is already booked, in a group session or held for a waitlist offer
+ * @param {string} doctorId - Doctor ID
+ * @param {string} fromKey - First day (YYYY-MM-DD)
+ * @param {string} toKey - Last day, inclusive (YYYY-MM-DD)
+ * @param {Object} options - { excludeAppointmentId, excludeWaitlistEntryId }
+ * @returns {Promise<Array>} - Array of { start, end } instants
+ */
+const getBusyIntervals = async (doctorId, fromKey, toKey, options = {}) => {
+  const rangeStart = startOfZonedDay(fromKey);
+  const rangeEnd = startOfZonedDay(addDays(toKey, 1));
+  const filter = {
+    doctorId,
+    startsAt: { $gte: new Date(rangeStart.getTime() - MS_PER_DAY), $lt: rangeEnd },
+    status: { $nin: ['cancelled', 'no_show'] }
+  };
+
+  if (options.excludeAppointmentId) {
+    filter._id = { $ne: options.excludeAppointmentId };
+  }
+
+  // Appointments starting the day before may run into the range
+  const appointments = await Appointment.find(filter).select('startsAt duration bufferMinutes');
+  // Waitlist offers are kept as calendar days
+  const held = await Waitlist.getHeldIntervals(doctorId, startOfDay(fromKey), startOfDay(addDays(toKey, 1)), {
+    excludeEntryId: options.excludeWaitlistEntryId
+  });
+  const sessions = await getSessionIntervals({ doctorId }, rangeStart, rangeEnd);
+
+  return appointments
+    .map(apt => ({ start: apt.startsAt, end: apt.blockedUntil }))
+    .filter(interval => interval.end > rangeStart)
+    .concat(held, sessions);
+};
+
+/**
+ * Get intervals during which rooms are taken by appointments or group sessions
+ * @param {Array} roomIds - Room IDs
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @param {Object} options - { excludeAppointmentId }
+ * @returns {Promise<Array>} - Array of { roomId, start, end }
+ */
+const getRoomBusyIntervals = async (roomIds, from, to, options = {}) => {
+  if (roomIds.length === 0) {
+    return [];
+  }
+
+  const filter = {
+    roomId: { $in: roomIds },
+    // Appointments starting the day before may run into the range
+    startsAt: { $gt: new Date(from.getTime() - MS_PER_DAY), $lt: to },
+    status: { $nin: ['cancelled', 'no_show'] }
+  };
+
+  if (options.excludeAppointmentId) {
+    filter._id = { $ne: options.excludeAppointmentId };
+  }
+
+  const appointments = await Appointment.find(filter).select('roomId startsAt duration bufferMinutes');
+  const sessions = await getSessionIntervals({ roomId: { $in: roomIds } }, from, to);
+
+  return appointments
+    .map(apt => ({ roomId: apt.roomId.toString(), start: apt.startsAt, end: apt.blockedUntil }))
+    .filter(interval => interval.end > from)
+    .concat(sessions);
+};
+
+/**
+ * Get the active rooms of each location a schedule uses
+ * @param {Object} schedule - Doctor schedule
+ * @returns {Promise<Map>} - Location ID => rooms, sorted by name
+ */
+const getRoomsByLocation = async (schedule) => {
+  const locationIds = [...new Set(schedule.weeklyHours
+    .filter(day => day.locationId)
+    .map(day => day.locationId.toString()))];
+  const rooms = locationIds.length > 0
+    ? await Room.find({ locationId: { $in: locationIds }, isActive: true }).sort({ name: 1 })
+    : [];
+  const roomsByLocation = new Map(locationIds.map(locationId => [locationId, []]));
+
+  for (const room of rooms) {
+    roomsByLocation.get(room.locationId.toString()).push(room);
+  }
+
+  return roomsByLocation;
+};
+
+/**
+ * Pick the first room that is free for an interval, trying the preferred room first
+ * @param {Array} rooms - Candidate rooms
+ * @param {string|null} preferredRoomId - Room to try first
+ * @param {Date} start - Booking start
+ * @param {Date} end - Booking end
+ * @param {Array} roomBusy - Intervals from getRoomBusyIntervals
+ * @returns {Object|null} - Free room, or null if every room is taken
+ */
+const pickFreeRoom = (rooms, preferredRoomId, start, end, roomBusy) => {
+  const preferred = preferredRoomId ? preferredRoomId.toString() : null;
+  const ordered = rooms.slice().sort((a, b) => (b._id.toString() === preferred) - (a._id.toString() === preferred));
+
+  return ordered.find(room => !roomBusy.some(interval =>
+    interval.roomId === room._id.toString() && doIntervalsOverlap(start, end, interval.start, interval.end)
+  )) || null;
+};
+
+/**
+ * Decide where a booking takes place: the doctor's location for that weekday
+ * and a free room there. A requested room must belong to that location.
+ * Locations without rooms (and doctors without a location) need no room.
+ * @param {Object} schedule - Doctor schedule
+ * @param {string} dateKey - Appointment day (YYYY-MM-DD)
+ * @param {Date} start - Booking start
+ * @param {Date} end - Booking end
+ * @param {Object} options - { roomId, excludeAppointmentId }
+ * @returns {Promise<Object>} - { locationId, roomId }, or { reason } if no room can be used
+ */
+const assignRoom = async (schedule, dateKey, start, end, options = {}) => {
+  const { locationId, roomId: preferredRoomId } = schedule.getAssignment(getDayOfWeek(dateKey));
+
+  if (!locationId) {
+    return options.roomId
+      ? { reason: 'The doctor has no location on this day, so a room cannot be chosen' }
+      : { locationId: null, roomId: null };
+  }
+
+  let rooms = await Room.find({ locationId, isActive: true }).sort({ name: 1 });
+
+  if (options.roomId) {
+    rooms = rooms.filter(room => room._id.toString() === options.roomId.toString());
+
+    if (rooms.length === 0) {
+      return { reason: "The requested room is not available at the doctor's location" };
+    }
+  } else if (rooms.length === 0) {
+    return { locationId, roomId: null };
+  }
+
+  const roomBusy = await getRoomBusyIntervals(rooms.map(room => room._id), start, end, options);
+  const room = pickFreeRoom(rooms, preferredRoomId, start, end, roomBusy);
+
+  if (!room) {
+    return { reason: 'No consulting room is free at the requested time' };
+  }
+
+  return { locationId, roomId: room._id };
+};
+
+/**
+ * Get intervals in which a doctor cannot be booked at all: time off, and
+ * busy times imported from the doctor's external calendars
+ * @param {string} doctorId - Doctor ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @returns {Promise<Array>} - Array of { start, end } with either timeOff or busyBlock, time off first
+ */
+const getUnavailableIntervals = async (doctorId, from, to) => {
+  const [timeOff, busy] = await Promise.all([
+    TimeOff.getBlockedIntervals(doctorId, from, to),
+    BusyBlock.getBlockedIntervals(doctorId, from, to)
+  ]);
+
+  return timeOff.concat(busy);
+};
+
+/**
+ * Get bookable slots for a doctor between two days
+ * Slots outside the doctor's booking notice and horizon, inside time off or
+ * busy in the doctor's external calendars are left out.
+ * Slots start on the schedule's grid; with a duration they must fit that many minutes
+ * @param {string} doctorId - Doctor ID
+ * @param {string} fromKey - First day (YYYY-MM-DD)
+ * @param {string} toKey - Last day, inclusive (YYYY-MM-DD)
+ * @param {Object} options - { role, duration, bufferMinutes } of the booking
+ * @returns {Promise<Object>} - { slotDuration, days: [{ date, slots }] }
+ */
+const getAvailableSlots = async (doctorId, fromKey, toKey, options = {}) => {
+  const schedule = await DoctorSchedule.findForDoctor(doctorId);
+  const policy = await getBookingPolicy(doctorId);
+  const booked = await getBusyIntervals(doctorId, fromKey, toKey);
+  const blocked = await getUnavailableIntervals(doctorId, startOfZonedDay(fromKey), startOfZonedDay(addDays(toKey, 1)));
+  const busy = booked.concat(blocked);
+  const roomsByLocation = await getRoomsByLocation(schedule);
+  const allRoomIds = [].concat(...roomsByLocation.values()).map(room => room._id);
+  const roomBusy = await getRoomBusyIntervals(
+    allRoomIds,
+    startOfZonedDay(fromKey),
+    startOfZonedDay(addDays(toKey, 1))
+  );
+  const duration = options.duration || schedule.slotDuration;
+  const bufferMinutes = options.bufferMinutes || 0;
+  const now = new Date();
+  const days = [];
+
+  for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDays(dateKey, 1)) {
+    const slots = [];
+    const assignment = schedule.getAssignment(getDayOfWeek(dateKey));
+    const rooms = assignment.locationId ? roomsByLocation.get(assignment.locationId.toString()) : [];
+
+    for (const window of schedule.getWorkingWindows(getDayOfWeek(dateKey))) {
+      for (let minute = window.start; minute + duration <= window.end; minute += schedule.slotDuration) {
+        const time = minutesToTime(minute);
+        const start = combineDateAndTime(dateKey, time);
+        const end = addMinutes(start, duration + bufferMinutes);
+
+        if (start <= now || checkBookingWindow(policy, start, options.role)) {
+          continue;
+        }
+
+        if (busy.some(interval => doIntervalsOverlap(start, end, interval.start, interval.end))) {
+          continue;
+        }
+
+        if (rooms.length === 0 || pickFreeRoom(rooms, assignment.roomId, start, end, roomBusy)) {
+          slots.push(time);
+        }
+      }
+    }
+
+    days.push({ date: dateKey, slots });
+  }
+
+  return { slotDuration: schedule.slotDuration, days };
+};
+
+/**
+ * Check if a doctor can take a booking at the given day and time
+ * @param {string} doctorId - Doctor ID
+ * @param {string|Date} date - Appointment day
+ * @param {string} time - Start time in HH:MM format
+ * @param {number} duration - Duration in minutes
+ * @param {Object} options - { roomId, bufferMinutes, excludeAppointmentId, excludeWaitlistEntryId }
+ * @returns {Promise<Object>} - { available, reason }, plus { locationId, roomId } when available
+ */
+const checkAvailability = async (doctorId, date, time, duration, options = {}) => {
+  const dateKey = toDateKey(date);
+  const schedule = await DoctorSchedule.findForDoctor(doctorId);
+
+  if (!schedule.isWithinSchedule(getDayOfWeek(dateKey), time, duration)) {
+    return { available: false, reason: "Requested time is outside the doctor's schedule" };
+  }
+
+  const start = combineDateAndTime(dateKey, time);
+  const end = addMinutes(start, duration);
+  const blocked = await getUnavailableIntervals(doctorId, start, end);
+
+  if (blocked.length > 0) {
+    const timeOff = blocked[0].timeOff;
+    return {
+      available: false,
+      reason: timeOff && timeOff.scope === 'clinic'
+        ? 'The clinic is closed at the requested time'
+        : 'The doctor is unavailable at the requested time'
+    };
+  }
+
+  // The buffer only has to stay clear of other bookings, not of the schedule or unavailable times
+  const blockedUntil = addMinutes(end, options.bufferMinutes || 0);
+  const busy = await getBusyIntervals(doctorId, dateKey, dateKey, options);
+
+  if (busy.some(interval => doIntervalsOverlap(start, blockedUntil, interval.start, interval.end))) {
+    return { available: false, reason: 'Appointment slot is already booked' };
+  }
+
+  const placement = await assignRoom(schedule, dateKey, start, blockedUntil, options);
+
+  if (placement.reason) {
+    return { available: false, reason: placement.reason };
+  }
+
+  return { available: true, locationId: placement.locationId, roomId: placement.roomId };
+};
+
+/**
+ * Find the earliest free time for a booking, starting from a given day
+ * @param {string} doctorId - Doctor ID
+ * @param {string} fromKey - First day to search (YYYY-MM-DD)
+ * @param {number} duration - Duration in minutes
+ * @param {Object} options - { role, bufferMinutes, excludeAppointmentId, notBefore }
+ * @returns {Promise<Object|null>} - { date, time, locationId, roomId }, or null if nothing is free within MAX_RANGE_DAYS
+ */
+const findNextAvailableSlot = async (doctorId, fromKey, duration, options = {}) => {
+  const { days } = await getAvailableSlots(doctorId, fromKey, addDays(fromKey, MAX_RANGE_DAYS - 1), options);
+
+  for (const day of days) {
+    for (const time of day.slots) {
+      if (options.notBefore && combineDateAndTime(day.date, time) < options.notBefore) {
+        continue;
+      }
+
+      // Slots are sized by the schedule, so longer bookings need a full check
+      const availability = await checkAvailability(doctorId, day.date, time, duration, options);
+
+      if (availability.available) {
+        return { date: day.date, time, locationId: availability.locationId, roomId: availability.roomId };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate a from/to query range for slot lookups
+ * @param {string} fromKey - First day (YYYY-MM-DD)
+ * @param {string} toKey - Last day, inclusive (YYYY-MM-DD)
+ * @returns {string|null} - Error message, or null if the range is valid
+ */
+const validateRange = (fromKey, toKey) => {
+  if (toKey < fromKey) {
+    return '"to" must not be before "from"';
+  }
+
+  const days = (startOfDay(toKey) - startOfDay(fromKey)) / MS_PER_DAY + 1;
+  if (days > MAX_RANGE_DAYS) {
+    return `Slot range cannot exceed ${MAX_RANGE_DAYS} days`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  getBusyIntervals,
+  getUnavailableIntervals,
+  assignRoom,
+  getAvailableSlots,
+  checkAvailability,
+  findNextAvailableSlot,
+  validateRange
+};
@@ -0,0 +1,139 @@
+const Appointment = require('../models/Appointment');
+const ClinicSettings = require('../models/ClinicSettings');
+const DoctorSchedule = require('../models/DoctorSchedule');
+const { noShowPolicy, mergeBookingPolicy, isStaffExempt } = require('../config/policies');
+const { MS_PER_DAY, MS_PER_MINUTE } = require('./timeUtils');
+
+/**
+ * Describe a number of minutes for policy messages ("2 hours", "45 minutes")
+ * @param {number} minutes - Number of minutes
+ * @returns {string} - Readable duration
+ */
+const formatMinutes = (minutes) => {
+  if (minutes >= 60 && minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * Get the clinic booking policy
+ * @returns {Promise<Object>} - Clinic-level policy
+ */
+const getClinicPolicy = async () => {
+  const settings = await ClinicSettings.getSettings();
+  return settings.bookingPolicy.toObject();
+};
+
+/**
+ * Get the booking policy that applies to a doctor (clinic policy plus overrides)
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise<Object>} - Effective policy
+ */
+const getBookingPolicy = async (doctorId) => {
+  const clinicPolicy = await getClinicPolicy();
+  const schedule = await DoctorSchedule.findOne({ doctorId }).select('bookingPolicy');
+
+  return mergeBookingPolicy(clinicPolicy, schedule && schedule.bookingPolicy);
+};
+
+/**
+ * Load policies for several doctors at once
+ * @param {Array} doctorIds - Doctor IDs or populated doctor documents
+ * @returns {Promise<Function>} - Lookup (doctorId) => effective policy
+ */
+const getPolicyLookup = async (doctorIds) => {
+  const toKey = (doctorId) => (doctorId && doctorId._id ? doctorId._id : doctorId).toString();
+  const clinicPolicy = await getClinicPolicy();
+  const schedules = await DoctorSchedule.find({
+    doctorId: { $in: [...new Set(doctorIds.map(toKey))] }
+  }).select('doctorId bookingPolicy');
+
+  const overrides = new Map(schedules.map(schedule => [schedule.doctorId.toString(), schedule.bookingPolicy]));
+
+  return (doctorId) => mergeBookingPolicy(clinicPolicy, overrides.get(toKey(doctorId)));
+};
+
+/**
+ * Check a requested start time against minimum notice and maximum horizon
+ * @param {Object} policy - Effective booking policy
+ * @param {Date} startsAt - Appointment start instant
+ * @param {string} role - Role of the user booking
+ * @returns {string|null} - Error message, or null if allowed
+ */
+const checkBookingWindow = (policy, startsAt, role) => {
+  if (isStaffExempt(policy, role)) {
+    return null;
+  }
+
+  const now = Date.now();
+
+  if (startsAt.getTime() < now + policy.minNoticeMinutes * MS_PER_MINUTE) {
+    return `Appointments must be booked at least ${formatMinutes(policy.minNoticeMinutes)} in advance`;
+  }
+
+  if (startsAt.getTime() > now + policy.maxDaysAhead * MS_PER_DAY) {
+    return `Appointments cannot be booked more than ${policy.maxDaysAhead} days ahead`;
+  }
+
+  return null;
+};
+
+/**
+ * Build the message shown when a change is inside the cancellation cutoff
+ * @param {Object} policy - Effective booking policy
+ * @param {string} action - What was attempted ("cancelled", "rescheduled")
+ * @returns {string} - Error message
+ */
+const getCutoffMessage = (policy, action = 'cancelled') => {
+  return `Appointment cannot be ${action} less than ${formatMinutes(policy.cancellationCutoffMinutes)} before it starts`;
+};
+
+/**
+ * Count a patient's no-shows within the policy's rolling window
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<number>} - Number of recent no-shows
+ */
+const countRecentNoShows = (patientId) => {
+  return Appointment.countDocuments({
+    patientId,
+    status: 'no_show',
+    startsAt: { $gte: new Date(Date.now() - noShowPolicy.windowDays * MS_PER_DAY) }
+  });
+};
+
+/**
+ * Decide how a new booking for this patient is handled under the no-show policy
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<Object>} - { action: 'allow'|'approval'|'block', count, message }
+ */
+const checkNoShowPolicy = async (patientId) => {
+  if (noShowPolicy.action === 'none') {
+    return { action: 'allow', count: 0, message: null };
+  }
+
+  const count = await countRecentNoShows(patientId);
+
+  if (count < noShowPolicy.threshold) {
+    return { action: 'allow', count, message: null };
+  }
+
+  const missed = `You have missed ${count} appointments in the last ${noShowPolicy.windowDays} days`;
+
+  if (noShowPolicy.action === 'block') {
+    return { action: 'block', count, message: `${missed}. Please contact the clinic to book.` };
+  }
+
+  return { action: 'approval', count, message: `${missed}, so new bookings need admin approval.` };
+};
+
+module.exports = {
+  getClinicPolicy,
+  getBookingPolicy,
+  getPolicyLookup,
+  checkBookingWindow,
+  getCutoffMessage,
+  countRecentNoShows,
+  checkNoShowPolicy
+};
@@ -0,0 +1,282 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { formatUtc } = require('./icalendar');
+const { parseBusyTimes } = require('./icalendarParser');
+const { calendarConfig } = require('../config/calendar');
+const { decryptSecret } = require('./secrets');
+
+const TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 3;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Addresses a calendar URL may not reach unless its host is allowed explicitly
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check if an IP address is loopback, link-local, private or otherwise not public
+ * BlockList checks IPv4-mapped IPv6 addresses against the IPv4 ranges.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if calendar requests may not go there
+ */
+const isBlockedAddress = (address) => {
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Build the error for a URL whose host is not allowed
+ * @param {string} hostname - Host of the URL
+ * @returns {Error} - Error naming the host
+ */
+const blockedHostError = (hostname) => {
+  return new Error(`Calendar URL host ${hostname} is a private or local address`);
+};
+
+/**
+ * DNS lookup for calendar requests that refuses non-public addresses
+ * Passed to http.request, so the address checked is the one connected to.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - Lookup options from the socket
+ * @param {Function} callback - Node lookup callback
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      callback(blockedHostError(hostname));
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+/**
+ * Make an HTTP(S) request and read the whole response body
+ * Redirects are followed for GET requests only, each one checked like the
+ * original URL. Hosts that are not in CALENDAR_ALLOWED_HOSTS must resolve
+ * to public addresses.
+ * @param {string} url - Target URL
+ * @param {Object} options - { method, headers, body, auth }
+ * @param {number} redirects - Redirects left to follow
+ * @returns {Promise<Object>} - { statusCode, body }
+ */
+const request = (url, options = {}, redirects = MAX_REDIRECTS) => {
+  // webcal:// is the subscription alias of https://
+  const target = new URL(url.replace(/^webcal:/i, 'https:'));
+  const client = target.protocol === 'https:' ? https : http;
+  const method = options.method || 'GET';
+  const hostname = target.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const isAllowedHost = calendarConfig.allowedHosts.includes(hostname);
+
+  // Literal addresses are never looked up, so check them here
+  if (!isAllowedHost && net.isIP(hostname) && isBlockedAddress(hostname)) {
+    return Promise.reject(blockedHostError(hostname));
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method,
+      auth: options.auth,
+      headers: options.headers,
+      timeout: TIMEOUT_MS,
+      lookup: isAllowedHost ? undefined : guardedLookup
+    }, (res) => {
+      if (method === 'GET' && [301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+
+        if (redirects === 0) {
+          reject(new Error('Calendar server redirected too many times'));
+          return;
+        }
+
+        resolve(request(new URL(res.headers.location, target).href, options, redirects - 1));
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+
+      res.on('data', (chunk) => {
+        size += chunk.length;
+
+        if (size > MAX_BODY_BYTES) {
+          req.destroy(new Error('Calendar is larger than 5 MB'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('error', reject);
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+    });
+
+    req.on('timeout', () => req.destroy(new Error('Calendar server timed out')));
+    req.on('error', reject);
+    req.end(options.body);
+  });
+};
+
+/**
+ * Build the Basic credentials of a source
+ * @param {Object} source - CalendarSource document, password selected
+ * @returns {string|undefined} - "username:password", or undefined without a username
+ */
+const getAuth = (source) => {
+  if (!source.username) {
+    return undefined;
+  }
+
+  return `${source.username}:${decryptSecret(source.password) || ''}`;
+};
+
+/**
+ * Decode the XML entities and CDATA sections of element text
+ * @param {string} text - Element content
+ * @returns {string} - Decoded text
+ */
+const decodeXml = (text) => {
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(text);
+
+  if (cdata) {
+    return cdata[1];
+  }
+
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Build a CalDAV calendar-query for the events in a window
+ * Asks the server to expand recurring events, so its own recurrence
+ * support is used rather than ours
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {string} - REPORT body
+ */
+const buildCalendarQuery = (from, to) => {
+  const range = `start="${formatUtc(from)}" end="${formatUtc(to)}"`;
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">',
+    `  <D:prop><C:calendar-data><C:expand ${range}/></C:calendar-data></D:prop>`,
+    '  <C:filter>',
+    '    <C:comp-filter name="VCALENDAR">',
+    `      <C:comp-filter name="VEVENT"><C:time-range ${range}/></C:comp-filter>`,
+    '    </C:comp-filter>',
+    '  </C:filter>',
+    '</C:calendar-query>'
+  ].join('\n');
+};
+
+/**
+ * Fetch the busy times of an ICS feed
+ * @param {Object} source - CalendarSource document
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Promise<Array>} - [{ start, end }]
+ */
+const fetchIcsBusyTimes = async (source, from, to) => {
+  const { statusCode, body } = await request(source.url, {
+    headers: { Accept: 'text/calendar' },
+    auth: getAuth(source)
+  });
+
+  if (statusCode !== 200) {
+    throw new Error(`Calendar server responded with ${statusCode}`);
+  }
+
+  if (!body.includes('BEGIN:VCALENDAR')) {
+    throw new Error('The URL did not return an iCalendar file');
+  }
+
+  return parseBusyTimes(body, from, to);
+};
+
+/**
+ * Fetch the busy times of a CalDAV calendar collection
+ * @param {Object} source - CalendarSource document, password selected
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Promise<Array>} - [{ start, end }]
+ */
+const fetchCaldavBusyTimes = async (source, from, to) => {
+  const body = buildCalendarQuery(from, to);
+  const response = await request(source.url, {
+    method: 'REPORT',
+    headers: {
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body),
+      Depth: '1'
+    },
+    auth: getAuth(source),
+    body
+  });
+
+  if (response.statusCode === 401 || response.statusCode === 403) {
+    throw new Error('CalDAV server rejected the username or password');
+  }
+
+  if (response.statusCode !== 207) {
+    throw new Error(`CalDAV server responded with ${response.statusCode}`);
+  }
+
+  const documents = [];
+  const pattern = /<(?:[\w-]+:)?calendar-data[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/g;
+  let match;
+
+  while ((match = pattern.exec(response.body)) !== null) {
+    documents.push(decodeXml(match[1]));
+  }
+
+  return parseBusyTimes(documents, from, to);
+};
+
+/**
+ * Fetch the busy times of an external calendar
+ * @param {Object} source - CalendarSource document, password selected
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end (exclusive)
+ * @returns {Promise<Array>} - [{ start, end }] sorted by start
+ */
+const fetchBusyTimes = (source, from, to) => {
+  return source.type === 'caldav'
+    ? fetchCaldavBusyTimes(source, from, to)
+    : fetchIcsBusyTimes(source, from, to);
+};
+
+module.exports = {
+  fetchBusyTimes,
+  isBlockedAddress
+};
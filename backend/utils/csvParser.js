@@ -0,0 +1,97 @@
+/**
+ * Parse CSV text into records (RFC 4180)
+ * Fields may be quoted, with "" for a literal quote and line breaks inside
+ * quotes. A leading byte order mark is dropped and blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - [{ line, values }], line being where the record starts
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(field);
+    if (values.length > 1 || values[0] !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+
+  if (field !== '' || values.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * Headers are trimmed and lower-cased; values are trimmed.
+ * @param {string} text - CSV text
+ * @returns {Object} - { headers, rows: [{ line, data }] }
+ */
+const parseCsvWithHeader = (text) => {
+  const [header, ...records] = parseCsv(text);
+
+  if (!header) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = header.values.map(value => value.trim().toLowerCase());
+  const rows = records.map(({ line, values }) => {
+    const data = {};
+    headers.forEach((name, index) => {
+      data[name] = (values[index] || '').trim();
+    });
+    return { line, data };
+  });
+
+  return { headers, rows };
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvWithHeader
+};
@@ -0,0 +1,77 @@
+const { waitForDrain } = require('./streams');
+
+const BOM = '\uFEFF';
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format a value as a CSV field (RFC 4180)
+ * Text that a spreadsheet would read as a formula is prefixed with a quote
+ * @param {*} value - Cell value
+ * @returns {string} - CSV field
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes rows to a stream as CSV
+ * Starts with a byte order mark so Excel reads the file as UTF-8
+ */
+class CsvWriter {
+  constructor(output) {
+    this.output = output;
+    this.started = false;
+  }
+
+  /**
+   * Write text, waiting if the output is backed up
+   * @param {string} text - Text to write
+   */
+  async write(text) {
+    if (!this.output.write(text)) {
+      await waitForDrain(this.output);
+    }
+  }
+
+  /**
+   * Write the header row
+   * @param {Array<string>} headers - Column headers
+   */
+  writeHeader(headers) {
+    return this.writeRow(headers);
+  }
+
+  /**
+   * Write a data row
+   * @param {Array} values - Cell values
+   */
+  async writeRow(values) {
+    const prefix = this.started ? '' : BOM;
+
+    this.started = true;
+    await this.write(`${prefix}${values.map(toCsvField).join(',')}\r\n`);
+  }
+
+  /**
+   * Finish the file; the output stream is left open
+   */
+  async end() {
+    if (!this.started) {
+      await this.write(BOM);
+    }
+  }
+}
+
+module.exports = CsvWriter;
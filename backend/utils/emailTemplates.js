@@ -0,0 +1,196 @@
+const DEFAULT_TEMPLATES = require('../templates/emails');
+const { APP_URL } = require('../config/clinic');
+
+const EMAIL_EVENTS = ['created', 'confirmed', 'cancelled', 'completed'];
+const EMAIL_AUDIENCES = ['patient', 'doctor'];
+const DEFAULT_LOCALE = 'en';
+const DEFAULT_LOCALES = Object.keys(DEFAULT_TEMPLATES);
+const LOCALE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+// Placeholders a template may use, e.g. {{patientName}}
+const TEMPLATE_VARIABLES = [
+  'patientName',
+  'doctorName',
+  'date',
+  'time',
+  'duration',
+  'status',
+  'typeName',
+  'location',
+  'appUrl'
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Escape a value for use in HTML
+ * @param {string} value - Raw value
+ * @returns {string} - Escaped value
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Replace the placeholders in a string; unknown ones become empty
+ * @param {string} source - Template string
+ * @param {Object} variables - Placeholder values
+ * @param {Function} encode - Applied to each value
+ * @returns {string} - Filled-in string
+ */
+const fill = (source, variables, encode = value => value) => {
+  return source.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : encode(String(value));
+  });
+};
+
+/**
+ * List the placeholders in a template that are not known variables
+ * @param {Object} template - { subject, text, html }
+ * @returns {Array<string>} - Unknown placeholder names
+ */
+const findUnknownPlaceholders = (template) => {
+  const unknown = new Set();
+
+  ['subject', 'text', 'html'].forEach(part => {
+    for (const [, name] of (template[part] || '').matchAll(PLACEHOLDER_PATTERN)) {
+      if (!TEMPLATE_VARIABLES.includes(name)) {
+        unknown.add(name);
+      }
+    }
+  });
+
+  return [...unknown];
+};
+
+/**
+ * Build a simple HTML body from plain text, one paragraph per line
+ * @param {string} text - Rendered plain text
+ * @returns {string} - HTML document
+ */
+const textToHtml = (text) => {
+  const paragraphs = text.split('\n')
+    .filter(line => line.trim())
+    .map(line => `<p>${escapeHtml(line)}</p>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>\n<html><body style="font-family: Arial, sans-serif; color: #2c3e50;">\n${paragraphs}\n</body></html>`;
+};
+
+/**
+ * Render a template with the given values
+ * @param {Object} template - { subject, text, html }
+ * @param {Object} variables - Placeholder values
+ * @returns {Object} - { subject, text, html }
+ */
+const renderTemplate = (template, variables) => {
+  const text = fill(template.text, variables)
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    subject: fill(template.subject, variables).replace(/\s+/g, ' ').trim(),
+    text,
+    html: template.html ? fill(template.html, variables, escapeHtml) : textToHtml(text)
+  };
+};
+
+/**
+ * Locales to try for a recipient, most specific first ("pt-BR", "pt", "en")
+ * @param {string} locale - Preferred locale
+ * @returns {Array<string>} - Candidate locales
+ */
+const getLocaleCandidates = (locale) => {
+  const candidates = [];
+
+  if (locale && LOCALE_PATTERN.test(locale)) {
+    candidates.push(locale, locale.split('-')[0]);
+  }
+  candidates.push(DEFAULT_LOCALE);
+
+  return [...new Set(candidates)];
+};
+
+/**
+ * Get the built-in template for an event and audience
+ * @param {string} event - Email event
+ * @param {string} audience - 'patient' or 'doctor'
+ * @param {string} locale - Preferred locale
+ * @returns {Object} - { locale, subject, text, html }
+ */
+const getDefaultTemplate = (event, audience, locale) => {
+  const match = getLocaleCandidates(locale).find(candidate => DEFAULT_TEMPLATES[candidate]);
+  const template = DEFAULT_TEMPLATES[match][event][audience];
+
+  return { locale: match, subject: template.subject, text: template.text, html: template.html || '' };
+};
+
+/**
+ * Build the placeholder values for an appointment, formatted for a locale
+ * @param {Object} appointment - Appointment (patientId, doctorId and optionally typeId, locationId populated)
+ * @param {string} locale - Recipient locale
+ * @returns {Object} - Placeholder values
+ */
+const buildTemplateVariables = (appointment, locale = DEFAULT_LOCALE) => {
+  const format = (options) => {
+    try {
+      return appointment.startsAt.toLocaleString(locale, { timeZone: appointment.timezone, ...options });
+    } catch (error) {
+      return appointment.startsAt.toLocaleString(DEFAULT_LOCALE, { timeZone: appointment.timezone, ...options });
+    }
+  };
+  const doctor = appointment.doctorId;
+  const location = appointment.locationId && appointment.locationId.name ? appointment.locationId : null;
+
+  return {
+    patientName: appointment.patientId && appointment.patientId.name,
+    doctorName: doctor && doctor.name ? `Dr. ${doctor.name}` : '',
+    date: format({ dateStyle: 'full' }),
+    time: format({ timeStyle: 'short' }),
+    duration: appointment.duration,
+    status: appointment.status.replace('_', ' '),
+    typeName: appointment.typeId && appointment.typeId.name,
+    location: location ? `${location.name}, ${location.getFormattedAddress()}` : '',
+    appUrl: APP_URL
+  };
+};
+
+/**
+ * Placeholder values for previews, so admins can try a template without an appointment
+ * @returns {Object} - Sample values
+ */
+const getSampleVariables = () => ({
+  patientName: 'Jane Doe',
+  doctorName: 'Dr. John Smith',
+  date: 'Monday, March 2, 2026',
+  time: '10:30 AM',
+  duration: 30,
+  status: 'confirmed',
+  typeName: 'Consultation',
+  location: 'Main Clinic, 1 High Street',
+  appUrl: APP_URL
+});
+
+module.exports = {
+  EMAIL_EVENTS,
+  EMAIL_AUDIENCES,
+  DEFAULT_LOCALE,
+  DEFAULT_LOCALES,
+  LOCALE_PATTERN,
+  TEMPLATE_VARIABLES,
+  findUnknownPlaceholders,
+  renderTemplate,
+  getLocaleCandidates,
+  getDefaultTemplate,
+  buildTemplateVariables,
+  getSampleVariables
+};
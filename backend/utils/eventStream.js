@@ -0,0 +1,131 @@
+const appointmentEvents = require('./appointmentEvents');
+const logger = require('./logger');
+
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Map an appointment lifecycle type to the event name pushed to browsers
+ * @param {string} type - 'created', 'rescheduled' or the new status
+ * @returns {string} - Event name
+ */
+const toEventName = (type) => {
+  if (type === 'created') return 'appointment.created';
+  if (type === 'cancelled') return 'appointment.cancelled';
+  return 'appointment.updated';
+};
+
+/**
+ * Server-Sent Events hub
+ * Keeps the open event streams of signed-in users and pushes appointment
+ * changes to the patient and doctor of the appointment and to every admin.
+ * Streams only live in this process, so a multi-instance deployment needs
+ * sticky sessions or a shared bus.
+ */
+class EventStream {
+  constructor() {
+    this.clients = new Set();
+    this.heartbeat = null;
+  }
+
+  /**
+   * Attach an open response as a stream for a user
+   * @param {Object} user - Authenticated user
+   * @param {Object} res - Express response with event-stream headers sent
+   */
+  addClient(user, res) {
+    const client = { userId: user._id.toString(), role: user.role, res };
+
+    this.clients.add(client);
+    res.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+
+    if (!this.heartbeat) {
+      // Comment lines keep proxies from closing idle streams
+      this.heartbeat = setInterval(() => this.clients.forEach(c => c.res.write(': ping\n\n')), HEARTBEAT_MS);
+      // The heartbeat alone should not keep the process alive
+      this.heartbeat.unref();
+    }
+  }
+
+  /**
+   * Stop the heartbeat timer
+   */
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * End every open stream and stop the heartbeat, e.g. on shutdown
+   */
+  close() {
+    this.clients.forEach(client => client.res.end());
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+
+  /**
+   * Push an event to the matching streams
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   * @param {Object} recipients - { userIds, roles }
+   * @returns {number} - Number of streams written to
+   */
+  publish(event, data, { userIds = [], roles = [] } = {}) {
+    const ids = userIds.filter(Boolean).map(id => id.toString());
+    const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    let count = 0;
+
+    this.clients.forEach(client => {
+      if (ids.includes(client.userId) || roles.includes(client.role)) {
+        client.res.write(frame);
+        count++;
+      }
+    });
+
+    return count;
+  }
+
+  /**
+   * Start pushing appointment lifecycle events
+   */
+  register() {
+    appointmentEvents.on('appointment', ({ type, appointment }) => {
+      try {
+        const lastChange = appointment.statusHistory[appointment.statusHistory.length - 1];
+        const patientId = appointment.populated('patientId') || appointment.patientId;
+        const doctorId = appointment.populated('doctorId') || appointment.doctorId;
+
+        this.publish(toEventName(type), {
+          type,
+          appointment: {
+            _id: appointment._id,
+            patientId,
+            doctorId,
+            startsAt: appointment.startsAt,
+            status: appointment.status,
+            isUrgent: appointment.isUrgent
+          },
+          // Who made a status change, so their own screen can skip the toast
+          changedBy: ['created', 'rescheduled'].includes(type) || !lastChange ? null : lastChange.changedBy
+        }, {
+          userIds: [patientId, doctorId],
+          roles: ['admin']
+        });
+      } catch (error) {
+        logger.error('Failed to push appointment event', { appointmentId: appointment._id, error: error.message });
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const eventStream = new EventStream();
+
+module.exports = eventStream;
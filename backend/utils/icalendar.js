@@ -0,0 +1,141 @@
+const { APP_URL } = require('../config/clinic');
+
+const PRODUCT_ID = '-//Appointment Booking//Appointments//EN';
+const MAX_LINE_OCTETS = 75;
+
+// VEVENT STATUS per appointment status; anything not listed is confirmed
+const EVENT_STATUSES = {
+  pending: 'TENTATIVE',
+  cancelled: 'CANCELLED'
+};
+
+/**
+ * Format an instant as an iCalendar UTC date-time
+ * @param {Date} date - Instant
+ * @returns {string} - e.g. "20260302T093000Z"
+ */
+const formatUtc = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Escape a value for an iCalendar TEXT property
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (value) => {
+  return String(value == null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line so that no line is longer than 75 octets
+ * Continuation lines start with a single space, as RFC 5545 requires
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line, CRLF separated
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build the VEVENT lines for an appointment
+ * @param {Object} appointment - Appointment with patientId, doctorId, locationId and typeId populated
+ * @param {string} audience - 'patient' or 'doctor', decides how the event is titled
+ * @returns {Array<string>} - Unfolded content lines
+ */
+const buildEventLines = (appointment, audience = 'patient') => {
+  // Populated references are null once the user, location or type is deleted
+  const doctorName = appointment.doctorId ? `Dr. ${appointment.doctorId.name}` : 'a former doctor';
+  const patientName = appointment.patientId ? appointment.patientId.name : 'Former patient';
+  const location = appointment.populated('locationId') ? appointment.locationId : null;
+  const typeName = appointment.populated('typeId') && appointment.typeId ? appointment.typeId.name : null;
+  const host = new URL(APP_URL).hostname;
+
+  const summary = audience === 'doctor'
+    ? `${typeName || 'Appointment'}: ${patientName}`
+    : `${typeName || 'Appointment'} with ${doctorName}`;
+
+  const description = [
+    audience === 'doctor' ? `Patient: ${patientName}` : `Doctor: ${doctorName}`,
+    `Duration: ${appointment.duration} minutes`,
+    `Status: ${appointment.status.replace('_', ' ')}`,
+    `Details: ${APP_URL}/dashboard`
+  ].join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${appointment._id}@${host}`,
+    // Every reschedule or status change is a new revision for calendar clients
+    `SEQUENCE:${appointment.rescheduleHistory.length + appointment.statusHistory.length}`,
+    `DTSTAMP:${formatUtc(appointment.updatedAt || new Date())}`,
+    `DTSTART:${formatUtc(appointment.startsAt)}`,
+    `DTEND:${formatUtc(appointment.endsAt)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${EVENT_STATUSES[appointment.status] || 'CONFIRMED'}`
+  ];
+
+  if (location) {
+    lines.push(`LOCATION:${escapeText([location.name, location.getFormattedAddress()].filter(Boolean).join(', '))}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build an iCalendar document
+ * @param {Array<Object>} appointments - Populated appointments, see buildEventLines
+ * @param {Object} options - { audience, name } where name is shown by subscribing clients
+ * @returns {string} - text/calendar body
+ */
+const buildCalendar = (appointments, { audience = 'patient', name = null } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  appointments.forEach(appointment => {
+    lines.push(...buildEventLines(appointment, audience));
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  formatUtc,
+  escapeText,
+  foldLine,
+  buildEventLines,
+  buildCalendar
+};
@@ -0,0 +1,400 @@
+const { CLINIC_TIMEZONE, isValidTimeZone } = require('../config/clinic');
+const logger = require('./logger');
+const {
+  MS_PER_MINUTE,
+  MS_PER_DAY,
+  addDays,
+  getDayOfWeek,
+  combineDateAndTime
+} = require('./timeUtils');
+
+/**
+ * Read busy times out of iCalendar (RFC 5545) documents
+ *
+ * Opaque VEVENTs and VFREEBUSY periods count as busy; transparent and
+ * cancelled events do not. Recurring events are expanded for the common
+ * rules (DAILY, WEEKLY with BYDAY, MONTHLY and YEARLY on the start day,
+ * with INTERVAL, COUNT, UNTIL, EXDATE and moved instances). Other rules only
+ * keep their first instance. Floating times and unknown TZIDs are read in
+ * the clinic's timezone.
+ */
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'];
+
+// Upper bound on the instances looked at for one recurring event
+const MAX_INSTANCES = 20000;
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} - { name, params, value }, or null if malformed
+ */
+const parseLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param {string} value - e.g. "20260302", "20260302T093000" or "20260302T093000Z"
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @returns {Object|null} - { dateKey, time, timeZone, allDay }, or null if invalid
+ */
+const parseDateValue = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/.exec(value.trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, utc] = match;
+  const allDay = hour === undefined;
+  let timeZone = CLINIC_TIMEZONE;
+
+  if (utc) {
+    timeZone = 'UTC';
+  } else if (!allDay && isValidTimeZone(params.TZID)) {
+    timeZone = params.TZID;
+  }
+
+  return {
+    dateKey: `${year}-${month}-${day}`,
+    time: allDay ? '00:00' : `${hour}:${minute}`,
+    timeZone,
+    allDay
+  };
+};
+
+/**
+ * Get the instant of a parsed date value, optionally on another day
+ * @param {Object} date - Parsed date value
+ * @param {string} dateKey - Day to use instead of the value's own
+ * @returns {Date} - Instant
+ */
+const toInstant = (date, dateKey = date.dateKey) => {
+  return combineDateAndTime(dateKey, date.time, date.timeZone);
+};
+
+/**
+ * Parse an ISO 8601 duration such as "PT1H30M" or "P1D"
+ * @param {string} value - Duration
+ * @returns {number|null} - Milliseconds, or null if invalid
+ */
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const ms = ((Number(weeks) * 7 + Number(days)) * 24 * 60 + Number(hours) * 60 + Number(minutes)) * MS_PER_MINUTE
+    + Number(seconds) * 1000;
+
+  return sign === '-' ? -ms : ms;
+};
+
+/**
+ * Parse an RRULE value
+ * @param {string} value - e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+ * @returns {Object} - Rule parts keyed by name, plus supported: boolean
+ */
+const parseRule = (value) => {
+  const rule = {};
+
+  value.split(';').forEach(part => {
+    const [key, partValue] = part.split('=');
+    rule[key.toUpperCase()] = partValue;
+  });
+
+  rule.supported = Object.keys(rule).every(key => SUPPORTED_RULE_PARTS.includes(key))
+    && ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)
+    && (!rule.BYDAY || (rule.FREQ === 'WEEKLY' && rule.BYDAY.split(',').every(day => WEEKDAYS.includes(day))));
+
+  return rule;
+};
+
+/**
+ * Build a date key from parts, or null if the day does not exist
+ * @param {number} year - Year
+ * @param {number} month - Month, 1-12 (may overflow into later years)
+ * @param {number} day - Day of month
+ * @returns {string|null} - Date key
+ */
+const buildDateKey = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  if (date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Generate the days a recurrence rule produces, in order, starting with the first instance
+ * @param {string} startKey - Day of the first instance
+ * @param {Object} rule - Parsed, supported rule
+ * @yields {string} - Date key
+ */
+function* generateRuleDays(startKey, rule) {
+  const interval = Math.max(parseInt(rule.INTERVAL) || 1, 1);
+  const [year, month, day] = startKey.split('-').map(Number);
+
+  if (rule.FREQ === 'WEEKLY') {
+    const weekdays = rule.BYDAY
+      ? rule.BYDAY.split(',').map(code => WEEKDAYS.indexOf(code))
+      : [getDayOfWeek(startKey)];
+    // Weeks start on Monday unless WKST says otherwise
+    const weekStart = WEEKDAYS.indexOf(rule.WKST || 'MO');
+    const firstWeek = addDays(startKey, -((getDayOfWeek(startKey) - weekStart + 7) % 7));
+    const offsets = weekdays.map(weekday => (weekday - weekStart + 7) % 7).sort((a, b) => a - b);
+
+    for (let week = 0; ; week++) {
+      for (const offset of offsets) {
+        const dateKey = addDays(firstWeek, week * 7 * interval + offset);
+
+        if (dateKey >= startKey) {
+          yield dateKey;
+        }
+      }
+    }
+  }
+
+  for (let n = 0; ; n++) {
+    if (rule.FREQ === 'DAILY') {
+      yield addDays(startKey, n * interval);
+    } else {
+      // Months or years without the start day are skipped
+      const dateKey = rule.FREQ === 'MONTHLY'
+        ? buildDateKey(year, month + n * interval, day)
+        : buildDateKey(year + n * interval, month, day);
+
+      if (dateKey) {
+        yield dateKey;
+      }
+    }
+  }
+}
+
+/**
+ * Collect the components of a document with their properties
+ * @param {string} text - iCalendar document
+ * @returns {Array<Object>} - [{ type, props: { NAME: [{ params, value }] } }] for VEVENT and VFREEBUSY
+ */
+const readComponents = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const components = [];
+  const stack = [];
+
+  lines.forEach(line => {
+    const parsed = parseLine(line);
+
+    if (!parsed) {
+      return;
+    }
+
+    if (parsed.name === 'BEGIN') {
+      stack.push({ type: parsed.value.toUpperCase(), props: {} });
+    } else if (parsed.name === 'END') {
+      const component = stack.pop();
+
+      if (component && ['VEVENT', 'VFREEBUSY'].includes(component.type)) {
+        components.push(component);
+      }
+    } else if (stack.length > 0) {
+      const props = stack[stack.length - 1].props;
+      (props[parsed.name] = props[parsed.name] || []).push({ params: parsed.params, value: parsed.value });
+    }
+  });
+
+  return components;
+};
+
+/**
+ * Get the first value of a property
+ * @param {Object} component - Component from readComponents
+ * @param {string} name - Property name
+ * @returns {Object|undefined} - { params, value }
+ */
+const getProp = (component, name) => (component.props[name] || [])[0];
+
+/**
+ * Get the busy periods of a VFREEBUSY component
+ * @param {Object} component - VFREEBUSY component
+ * @returns {Array<Object>} - [{ start, end }]
+ */
+const readFreeBusy = (component) => {
+  const intervals = [];
+
+  (component.props.FREEBUSY || []).forEach(({ params, value }) => {
+    if (params.FBTYPE && params.FBTYPE.toUpperCase() === 'FREE') {
+      return;
+    }
+
+    value.split(',').forEach(period => {
+      const [startValue, endValue] = period.split('/');
+      const startDate = parseDateValue(startValue);
+
+      if (!startDate || !endValue) {
+        return;
+      }
+
+      const start = toInstant(startDate);
+      const endDate = parseDateValue(endValue);
+      const end = endDate ? toInstant(endDate) : new Date(start.getTime() + (parseDuration(endValue) || 0));
+
+      intervals.push({ start, end });
+    });
+  });
+
+  return intervals;
+};
+
+/**
+ * Get the busy periods in a window from one or more iCalendar documents
+ * @param {string|Array<string>} documents - iCalendar text(s)
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end (exclusive)
+ * @returns {Array<Object>} - [{ start, end }] sorted by start
+ */
+const parseBusyTimes = (documents, from, to) => {
+  const components = [].concat(documents).map(readComponents).reduce((all, list) => all.concat(list), []);
+  const events = components.filter(component => component.type === 'VEVENT');
+  const intervals = [];
+
+  // Instances moved or cancelled through RECURRENCE-ID, per UID
+  const overridden = new Map();
+
+  events.forEach(event => {
+    const uid = getProp(event, 'UID');
+    const recurrenceId = getProp(event, 'RECURRENCE-ID');
+    const date = recurrenceId && parseDateValue(recurrenceId.value, recurrenceId.params);
+
+    if (uid && date) {
+      const times = overridden.get(uid.value) || new Set();
+      times.add(toInstant(date).getTime());
+      overridden.set(uid.value, times);
+    }
+  });
+
+  const addInterval = (start, end) => {
+    if (end > start && start < to && end > from) {
+      intervals.push({ start, end });
+    }
+  };
+
+  components.filter(component => component.type === 'VFREEBUSY').forEach(component => {
+    readFreeBusy(component).forEach(({ start, end }) => addInterval(start, end));
+  });
+
+  events.forEach(event => {
+    const status = getProp(event, 'STATUS');
+    const transparency = getProp(event, 'TRANSP');
+    const dtstart = getProp(event, 'DTSTART');
+    const startDate = dtstart && parseDateValue(dtstart.value, dtstart.params);
+
+    if (!startDate
+      || (status && status.value.toUpperCase() === 'CANCELLED')
+      || (transparency && transparency.value.toUpperCase() === 'TRANSPARENT')) {
+      return;
+    }
+
+    const firstStart = toInstant(startDate);
+    const dtend = getProp(event, 'DTEND');
+    const endDate = dtend && parseDateValue(dtend.value, dtend.params);
+    const duration = getProp(event, 'DURATION');
+    let lengthMs;
+
+    if (endDate) {
+      lengthMs = toInstant(endDate) - firstStart;
+    } else if (duration) {
+      lengthMs = parseDuration(duration.value) || 0;
+    } else {
+      // An all-day event without an end lasts one day, a timed one has no length
+      lengthMs = startDate.allDay ? MS_PER_DAY : 0;
+    }
+
+    const rrule = getProp(event, 'RRULE');
+
+    if (!rrule || getProp(event, 'RECURRENCE-ID')) {
+      addInterval(firstStart, new Date(firstStart.getTime() + lengthMs));
+      return;
+    }
+
+    const rule = parseRule(rrule.value);
+
+    if (!rule.supported) {
+      const uid = getProp(event, 'UID');
+      logger.warn('Unsupported recurrence rule, only the first instance is used', { uid: uid && uid.value, rrule: rrule.value });
+      addInterval(firstStart, new Date(firstStart.getTime() + lengthMs));
+      return;
+    }
+
+    const uid = getProp(event, 'UID');
+    const excluded = new Set(uid && overridden.has(uid.value) ? overridden.get(uid.value) : []);
+
+    (event.props.EXDATE || []).forEach(({ params, value }) => {
+      value.split(',').forEach(part => {
+        const exdate = parseDateValue(part, params);
+        if (exdate) {
+          excluded.add(toInstant(exdate).getTime());
+        }
+      });
+    });
+
+    // UNTIL is inclusive; a date-only UNTIL covers that whole day
+    const untilDate = rule.UNTIL && parseDateValue(rule.UNTIL, { TZID: startDate.timeZone });
+    let until = null;
+
+    if (untilDate) {
+      until = untilDate.allDay ? toInstant(untilDate, addDays(untilDate.dateKey, 1)) : new Date(toInstant(untilDate).getTime() + 1);
+    }
+    const count = parseInt(rule.COUNT) || null;
+    const days = generateRuleDays(startDate.dateKey, rule);
+
+    for (let instance = 0; instance < MAX_INSTANCES && (!count || instance < count); instance++) {
+      const start = toInstant(startDate, days.next().value);
+
+      if ((until && start >= until) || start >= to) {
+        break;
+      }
+
+      if (!excluded.has(start.getTime())) {
+        addInterval(start, new Date(start.getTime() + lengthMs));
+      }
+    }
+  });
+
+  return intervals.sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+  parseDateValue,
+  parseDuration,
+  parseBusyTimes
+};
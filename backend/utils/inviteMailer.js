@@ -0,0 +1,47 @@
+const { getTransport } = require('../transports');
+const { APP_URL } = require('../config/clinic');
+const logger = require('./logger');
+const { toZonedDateKey } = require('./timeUtils');
+
+/**
+ * Build the link at which an invited user sets their password
+ * @param {string} token - Invite token
+ * @returns {string} - Absolute URL
+ */
+const getInviteUrl = (token) => `${APP_URL}/invite/${token}`;
+
+/**
+ * Email a user their invite link
+ * Failures are logged rather than thrown; an admin can resend the invite.
+ * @param {Object} user - Invited user
+ * @param {Object} invite - Invite, for its expiry
+ * @param {string} token - Invite token
+ * @returns {Promise<boolean>} - True if the email was handed off
+ */
+const sendInviteEmail = async (user, invite, token) => {
+  const url = getInviteUrl(token);
+  const text = [
+    `Hello ${user.name},`,
+    '',
+    `An account has been created for you as a ${user.role}. Set your password here to get started:`,
+    url,
+    '',
+    `The link can only be used once and expires on ${toZonedDateKey(invite.expiresAt)}.`
+  ].join('\n');
+
+  try {
+    await getTransport('email').send({
+      to: user.email,
+      subject: 'You have been invited to book and manage appointments',
+      text
+    });
+    return true;
+  } catch (error) {
+    logger.error('Invite email failed', { userId: user._id, error: error.message });
+    return false;
+  }
+};
+
+module.exports = {
+  sendInviteEmail
+};
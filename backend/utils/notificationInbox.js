@@ -0,0 +1,117 @@
+const Appointment = require('../models/Appointment');
+const Notification = require('../models/Notification');
+const appointmentEvents = require('./appointmentEvents');
+const eventStream = require('./eventStream');
+const logger = require('./logger');
+
+// What happened to the appointment, per lifecycle type that goes to the inbox
+const INBOX_EVENTS = {
+  created: 'was booked',
+  rescheduled: 'was moved',
+  confirmed: 'was confirmed',
+  cancelled: 'was cancelled',
+  completed: 'was marked completed',
+  no_show: 'was marked as a no-show'
+};
+
+/**
+ * Format an appointment start for a message, in the appointment's timezone
+ * @param {Object} appointment - Appointment
+ * @returns {string} - e.g. "Mar 2, 2026, 10:30 AM GMT+1"
+ */
+const formatWhen = (appointment) => {
+  return appointment.startsAt.toLocaleString('en-US', {
+    timeZone: appointment.timezone,
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+};
+
+/**
+ * Write the message a recipient sees for an appointment event
+ * @param {string} type - Lifecycle type
+ * @param {Object} appointment - Appointment (patientId and doctorId populated)
+ * @param {string} audience - 'patient' or 'doctor'
+ * @returns {string} - Message
+ */
+const buildMessage = (type, appointment, audience) => {
+  const subject = audience === 'patient'
+    ? `Your appointment with Dr. ${appointment.doctorId.name}`
+    : `Appointment with ${appointment.patientId.name}`;
+
+  if (type === 'rescheduled') {
+    return `${subject} ${INBOX_EVENTS[type]} to ${formatWhen(appointment)}`;
+  }
+
+  return `${subject} on ${formatWhen(appointment)} ${INBOX_EVENTS[type]}`;
+};
+
+/**
+ * Add inbox entries for an appointment event and push them to open browsers
+ * The patient and the doctor are notified, except whoever made the change;
+ * doctors are not notified about group session seats
+ * @param {string} type - Lifecycle type
+ * @param {Object} appointment - Appointment document
+ * @returns {Promise<Array>} - Created notifications
+ */
+const notifyAppointmentEvent = async (type, appointment) => {
+  if (!INBOX_EVENTS[type]) {
+    return [];
+  }
+
+  const lastChange = appointment.statusHistory[appointment.statusHistory.length - 1];
+  const actorId = type !== 'created' && type !== 'rescheduled' && lastChange ? lastChange.changedBy : null;
+  const populated = await Appointment.findById(appointment._id)
+    .populate('patientId', 'name')
+    .populate('doctorId', 'name');
+
+  if (!populated || !populated.patientId || !populated.doctorId) {
+    return [];
+  }
+
+  const recipients = [{ user: populated.patientId, audience: 'patient' }];
+
+  if (!populated.groupSessionId) {
+    recipients.push({ user: populated.doctorId, audience: 'doctor' });
+  }
+
+  const created = [];
+
+  for (const { user, audience } of recipients) {
+    if (actorId && user._id.equals(actorId)) {
+      continue;
+    }
+
+    const notification = await Notification.create({
+      userId: user._id,
+      type: `appointment.${type}`,
+      message: buildMessage(type, populated, audience),
+      appointmentId: populated._id
+    });
+
+    eventStream.publish('notification.created', notification.getDisplayDetails(), { userIds: [user._id] });
+    created.push(notification);
+  }
+
+  return created;
+};
+
+/**
+ * Start adding inbox entries on appointment lifecycle events
+ */
+const register = () => {
+  appointmentEvents.on('appointment', ({ type, appointment }) => {
+    notifyAppointmentEvent(type, appointment).catch(error => {
+      logger.error('Failed to create notifications', { appointmentId: appointment._id, event: type, error: error.message });
+    });
+  });
+};
+
+module.exports = {
+  notifyAppointmentEvent,
+  register
+};
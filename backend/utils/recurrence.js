@@ -0,0 +1,149 @@
+const { toDateKey, addDays, startOfDay } = require('./timeUtils');
+
+/**
+ * Recurrence rule helpers for appointment series
+ *
+ * Rules are a small subset of RFC 5545 RRULE: FREQ=WEEKLY (INTERVAL 1 or 2)
+ * or FREQ=MONTHLY, ended by COUNT or UNTIL.
+ */
+
+const RECURRENCE_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const MAX_OCCURRENCES = 52;
+
+/**
+ * Parse an RRULE string such as "FREQ=WEEKLY;INTERVAL=2;COUNT=6"
+ * @param {string} rrule - RRULE string, with or without the "RRULE:" prefix
+ * @returns {Object} - { frequency, count, until }
+ * @throws {Error} - If the rule uses unsupported parts
+ */
+const parseRRule = (rrule) => {
+  const parts = {};
+
+  rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    parts[key.trim().toUpperCase()] = (value || '').trim();
+  });
+
+  const interval = parts.INTERVAL ? parseInt(parts.INTERVAL) : 1;
+  let frequency;
+
+  if (parts.FREQ === 'WEEKLY' && interval === 1) {
+    frequency = 'weekly';
+  } else if (parts.FREQ === 'WEEKLY' && interval === 2) {
+    frequency = 'biweekly';
+  } else if (parts.FREQ === 'MONTHLY' && interval === 1) {
+    frequency = 'monthly';
+  } else {
+    throw new Error('Only weekly, biweekly and monthly recurrence is supported');
+  }
+
+  const rule = { frequency };
+
+  if (parts.COUNT) {
+    rule.count = parseInt(parts.COUNT);
+  }
+
+  if (parts.UNTIL) {
+    // Accept both 20261231 and 20261231T000000Z forms
+    const until = parts.UNTIL.replace(/^(\d{4})(\d{2})(\d{2}).*$/, '$1-$2-$3');
+    rule.until = new Date(until);
+  }
+
+  return rule;
+};
+
+/**
+ * Format a rule as an RRULE string
+ * @param {Object} rule - { frequency, count, until }
+ * @returns {string} - RRULE string
+ */
+const toRRule = (rule) => {
+  const parts = [rule.frequency === 'monthly' ? 'FREQ=MONTHLY' : 'FREQ=WEEKLY'];
+
+  if (rule.frequency === 'biweekly') {
+    parts.push('INTERVAL=2');
+  }
+
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+
+  if (rule.until) {
+    parts.push(`UNTIL=${toDateKey(rule.until).replace(/-/g, '')}`);
+  }
+
+  return parts.join(';');
+};
+
+/**
+ * Validate a recurrence rule
+ * @param {Object} rule - { frequency, count, until }
+ * @param {string|Date} startDate - First occurrence
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateRule = (rule, startDate) => {
+  if (!rule || !RECURRENCE_FREQUENCIES.includes(rule.frequency)) {
+    return 'Recurrence frequency must be weekly, biweekly or monthly';
+  }
+
+  if (!rule.count === !rule.until) {
+    return 'Recurrence needs either a count or an until date';
+  }
+
+  if (rule.count && (rule.count < 2 || rule.count > MAX_OCCURRENCES)) {
+    return `Recurrence count must be between 2 and ${MAX_OCCURRENCES}`;
+  }
+
+  if (rule.until && (isNaN(new Date(rule.until)) || startOfDay(rule.until) <= startOfDay(startDate))) {
+    return 'Recurrence until date must be after the start date';
+  }
+
+  return null;
+};
+
+/**
+ * Expand a rule into occurrence dates, starting with startDate itself
+ * Monthly rules skip months that do not have the start day (e.g. the 31st)
+ * @param {string|Date} startDate - First occurrence
+ * @param {Object} rule - { frequency, count, until }
+ * @returns {Array} - Date keys (YYYY-MM-DD), at most MAX_OCCURRENCES
+ */
+const expandRule = (startDate, rule) => {
+  const startKey = toDateKey(startDate);
+  const untilKey = rule.until ? toDateKey(rule.until) : null;
+  const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const dates = [];
+
+  for (let index = 0; dates.length < limit; index++) {
+    let dateKey;
+
+    if (rule.frequency === 'monthly') {
+      const start = startOfDay(startKey);
+      const candidate = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + index, start.getUTCDate()));
+
+      if (candidate.getUTCDate() !== start.getUTCDate()) {
+        continue;
+      }
+      dateKey = toDateKey(candidate);
+    } else {
+      dateKey = addDays(startKey, index * (rule.frequency === 'biweekly' ? 14 : 7));
+    }
+
+    if (untilKey && dateKey > untilKey) {
+      break;
+    }
+
+    dates.push(dateKey);
+  }
+
+  return dates;
+};
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  MAX_OCCURRENCES,
+  parseRRule,
+  toRRule,
+  validateRule,
+  expandRule
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { calendarConfig } = require('../config/calendar');
+
+/**
+ * Encryption of stored credentials such as CalDAV passwords
+ * Values are sealed with AES-256-GCM under a key derived from
+ * CALENDAR_SECRET_KEY and stored as "enc:v1:<iv>:<tag>:<ciphertext>".
+ */
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+/**
+ * Get the encryption key from config
+ * @returns {Buffer} - 32-byte key
+ */
+const getKey = () => {
+  if (!calendarConfig.secretKey) {
+    throw new Error('CALENDAR_SECRET_KEY must be set to store calendar passwords');
+  }
+
+  return crypto.createHash('sha256').update(calendarConfig.secretKey).digest();
+};
+
+/**
+ * Check if a stored value is already encrypted
+ * @param {string} value - Stored value
+ * @returns {boolean} - True if encrypted
+ */
+const isEncryptedSecret = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * Encrypt a secret for storage
+ * Empty and already encrypted values are returned unchanged.
+ * @param {string|null} value - Plain secret
+ * @returns {string|null} - Encrypted secret
+ */
+const encryptSecret = (value) => {
+  if (!value || isEncryptedSecret(value)) {
+    return value;
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return PREFIX + [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ * Values saved before encryption was introduced are returned as they are.
+ * @param {string|null} value - Stored secret
+ * @returns {string|null} - Plain secret
+ */
+const decryptSecret = (value) => {
+  if (!isEncryptedSecret(value)) {
+    return value;
+  }
+
+  const [iv, tag, data] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  isEncryptedSecret,
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,27 @@
+/**
+ * Wait until a writable stream can take more data
+ * Also resolves when the stream closes, e.g. when a client aborts a
+ * download, so a writer never waits forever for a 'drain' that won't come
+ * @param {Object} stream - Writable stream
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (stream) => {
+  if (stream.destroyed) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    const done = () => {
+      stream.removeListener('drain', done);
+      stream.removeListener('close', done);
+      resolve();
+    };
+
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+};
+
+module.exports = {
+  waitForDrain
+};
@@ -0,0 +1,64 @@
+const {
+  isValidDateKey,
+  isValidTime,
+  addDays,
+  combineDateAndTime,
+  startOfZonedDay
+} = require('./timeUtils');
+
+/**
+ * Time off range helpers
+ * Days and times are read in the clinic's timezone
+ */
+
+const MAX_TIME_OFF_DAYS = 365;
+
+/**
+ * Turn the request body into a time off range
+ * Without times the block covers whole days; with startTime and endTime it
+ * covers that part of a single day
+ * @param {Object} body - { startDate, endDate, startTime, endTime }
+ * @returns {Object} - { startsAt, endsAt, allDay } or { error }
+ */
+const parseTimeOffRange = ({ startDate, endDate, startTime, endTime }) => {
+  const lastDate = endDate || startDate;
+
+  if (!isValidDateKey(startDate) || !isValidDateKey(lastDate)) {
+    return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+
+  if (lastDate < startDate) {
+    return { error: 'End date must not be before start date' };
+  }
+
+  if (startTime || endTime) {
+    if (!isValidTime(startTime) || !isValidTime(endTime)) {
+      return { error: 'Please enter valid start and end times in HH:MM format' };
+    }
+
+    if (lastDate !== startDate) {
+      return { error: 'Partial-day time off must start and end on the same day' };
+    }
+
+    return {
+      startsAt: combineDateAndTime(startDate, startTime),
+      endsAt: combineDateAndTime(startDate, endTime),
+      allDay: false
+    };
+  }
+
+  if (lastDate > addDays(startDate, MAX_TIME_OFF_DAYS - 1)) {
+    return { error: `Time off cannot exceed ${MAX_TIME_OFF_DAYS} days` };
+  }
+
+  return {
+    startsAt: startOfZonedDay(startDate),
+    endsAt: startOfZonedDay(addDays(lastDate, 1)),
+    allDay: true
+  };
+};
+
+module.exports = {
+  MAX_TIME_OFF_DAYS,
+  parseTimeOffRange
+};
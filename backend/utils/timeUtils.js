@@ -0,0 +1,283 @@
+const { CLINIC_TIMEZONE } = require('../config/clinic');
+
+/**
+ * Time and date helpers shared by scheduling code
+ *
+ * Calendar days are handled as "YYYY-MM-DD" keys (or midnight UTC dates), so
+ * day arithmetic is done in UTC. Turning a day and an "HH:MM" wall-clock time
+ * into an instant, and back, goes through an IANA timezone, which defaults to
+ * the clinic's.
+ */
+
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+const zonedFormatters = new Map();
+
+/**
+ * Check if a value is a valid "HH:MM" time
+ * @param {string} time - Time to check
+ * @returns {boolean} - True if valid
+ */
+const isValidTime = (time) => {
+  return typeof time === 'string' && TIME_REGEX.test(time);
+};
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} - Minutes since midnight
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to "HH:MM"
+ * @param {number} totalMinutes - Minutes since midnight
+ * @returns {string} - Time in HH:MM format
+ */
+const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Check if two time slots overlap (same semantics as the frontend dateUtils helper)
+ * @param {string} start1 - First start time
+ * @param {number} duration1 - First duration in minutes
+ * @param {string} start2 - Second start time
+ * @param {number} duration2 - Second duration in minutes
+ * @returns {boolean} - True if slots overlap
+ */
+const doTimeSlotsOverlap = (start1, duration1, start2, duration2) => {
+  const start1Minutes = timeToMinutes(start1);
+  const end1Minutes = start1Minutes + duration1;
+  const start2Minutes = timeToMinutes(start2);
+  const end2Minutes = start2Minutes + duration2;
+
+  return start1Minutes < end2Minutes && start2Minutes < end1Minutes;
+};
+
+/**
+ * Check if two [start, end) intervals overlap
+ * @param {Date} start1 - First interval start
+ * @param {Date} end1 - First interval end
+ * @param {Date} start2 - Second interval start
+ * @param {Date} end2 - Second interval end
+ * @returns {boolean} - True if intervals overlap
+ */
+const doIntervalsOverlap = (start1, end1, start2, end2) => {
+  return start1 < end2 && start2 < end1;
+};
+
+/**
+ * Check if a value is a valid "YYYY-MM-DD" date key
+ * @param {string} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+const isValidDateKey = (value) => {
+  return typeof value === 'string' && DATE_KEY_REGEX.test(value) && !isNaN(new Date(value));
+};
+
+/**
+ * Get the "YYYY-MM-DD" calendar day of a date
+ * @param {string|Date} date - Date to convert
+ * @returns {string} - Date key
+ */
+const toDateKey = (date) => {
+  return new Date(date).toISOString().split('T')[0];
+};
+
+/**
+ * Get the start of the calendar day for a date
+ * @param {string|Date} date - Date or date key
+ * @returns {Date} - Midnight UTC of that day
+ */
+const startOfDay = (date) => {
+  return new Date(`${toDateKey(date)}T00:00:00.000Z`);
+};
+
+/**
+ * List the UTC calendar days a [start, end) interval touches
+ * @param {Date} start - Interval start
+ * @param {Date} end - Interval end (exclusive)
+ * @returns {Array<Date>} - Midnight UTC of each day, earliest first
+ */
+const listDaysTouched = (start, end) => {
+  const last = Math.max(new Date(start).getTime(), new Date(end).getTime() - 1);
+  const days = [];
+
+  for (let day = startOfDay(start); day.getTime() <= last; day = new Date(day.getTime() + MS_PER_DAY)) {
+    days.push(day);
+  }
+  return days;
+};
+
+/**
+ * Add days to a date key
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {number} days - Number of days to add
+ * @returns {string} - New date key
+ */
+const addDays = (dateKey, days) => {
+  return toDateKey(new Date(startOfDay(dateKey).getTime() + days * MS_PER_DAY));
+};
+
+/**
+ * Get the weekday (0 = Sunday) of a date key
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {number} - Day of week
+ */
+const getDayOfWeek = (dateKey) => {
+  return startOfDay(dateKey).getUTCDay();
+};
+
+/**
+ * Get a cached formatter that splits instants into wall-clock parts of a zone
+ * @param {string} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+const getZonedFormatter = (timeZone) => {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  return zonedFormatters.get(timeZone);
+};
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { year, month, day, hour, minute, second } as numbers
+ */
+const getZonedParts = (date, timeZone = CLINIC_TIMEZONE) => {
+  const parts = {};
+
+  for (const part of getZonedFormatter(timeZone).formatToParts(new Date(date))) {
+    if (part.type !== 'literal') {
+      parts[part.type] = Number(part.value);
+    }
+  }
+
+  return parts;
+};
+
+/**
+ * Get the offset of a timezone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+const getTimeZoneOffset = (date, timeZone = CLINIC_TIMEZONE) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  return wallClock - Math.floor(new Date(date).getTime() / 1000) * 1000;
+};
+
+/**
+ * Combine a calendar day and an "HH:MM" wall-clock time into a single instant
+ * Times skipped by a DST change resolve to the instant after the gap
+ * @param {string|Date} date - Calendar day
+ * @param {string} time - Time in HH:MM format
+ * @param {string} timeZone - IANA timezone the time is read in
+ * @returns {Date} - Combined instant
+ */
+const combineDateAndTime = (date, time, timeZone = CLINIC_TIMEZONE) => {
+  const wallClock = startOfDay(date).getTime() + timeToMinutes(time) * MS_PER_MINUTE;
+  const offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  const instant = wallClock - offset;
+  // The offset may differ on the other side of a DST change
+  const actualOffset = getTimeZoneOffset(new Date(instant), timeZone);
+
+  return new Date(actualOffset === offset ? instant : wallClock - actualOffset);
+};
+
+/**
+ * Get the instant at which a calendar day starts in a timezone
+ * @param {string|Date} date - Calendar day
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} - Local midnight of that day
+ */
+const startOfZonedDay = (date, timeZone = CLINIC_TIMEZONE) => {
+  return combineDateAndTime(date, '00:00', timeZone);
+};
+
+/**
+ * Get the "YYYY-MM-DD" calendar day of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - Date key
+ */
+const toZonedDateKey = (date, timeZone = CLINIC_TIMEZONE) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Get the "HH:MM" wall-clock time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - Time in HH:MM format
+ */
+const toZonedTime = (date, timeZone = CLINIC_TIMEZONE) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return minutesToTime(hour * 60 + minute);
+};
+
+/**
+ * Get today's calendar day in a timezone
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - Date key
+ */
+const getTodayKey = (timeZone = CLINIC_TIMEZONE) => {
+  return toZonedDateKey(new Date(), timeZone);
+};
+
+/**
+ * Add minutes to an instant
+ * @param {Date} date - Base instant
+ * @param {number} minutes - Minutes to add
+ * @returns {Date} - New instant
+ */
+const addMinutes = (date, minutes) => {
+  return new Date(new Date(date).getTime() + minutes * MS_PER_MINUTE);
+};
+
+module.exports = {
+  MS_PER_MINUTE,
+  MS_PER_DAY,
+  isValidTime,
+  timeToMinutes,
+  minutesToTime,
+  doTimeSlotsOverlap,
+  doIntervalsOverlap,
+  isValidDateKey,
+  toDateKey,
+  startOfDay,
+  listDaysTouched,
+  addDays,
+  getDayOfWeek,
+  getZonedParts,
+  getTimeZoneOffset,
+  combineDateAndTime,
+  startOfZonedDay,
+  toZonedDateKey,
+  toZonedTime,
+  getTodayKey,
+  addMinutes
+};
@@ -0,0 +1,110 @@
+const User = require('../models/User');
+const { parseCsvWithHeader } = require('./csvParser');
+
+const IMPORT_COLUMNS = ['name', 'email', 'role', 'phone', 'specialization'];
+const REQUIRED_COLUMNS = ['name', 'email'];
+const IMPORT_ROLES = ['patient', 'doctor'];
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Throw an error that the controller turns into a 400 response
+ * @param {string} message - Error message
+ */
+const fail = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  throw error;
+};
+
+/**
+ * Parse and validate a CSV of users to import
+ * Columns: name, email, role (patient or doctor, default patient), phone and
+ * specialization. Every row is checked against the User schema, and emails
+ * must be unique within the file and not belong to an existing user. Invalid
+ * rows are reported, not dropped, so that the caller can refuse the batch.
+ * @param {string} text - CSV text with a header row
+ * @returns {Promise<Array<Object>>} - [{ row, user, errors }], row being the line in the file
+ */
+const prepareUserImport = async (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    fail('CSV file is empty');
+  }
+
+  let parsed;
+  try {
+    parsed = parseCsvWithHeader(text);
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { headers, rows } = parsed;
+  const missing = REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+  const unknown = headers.filter(header => !IMPORT_COLUMNS.includes(header));
+
+  if (missing.length > 0) {
+    fail(`Missing column(s): ${missing.join(', ')}`);
+  }
+  if (unknown.length > 0) {
+    fail(`Unknown column(s): ${unknown.join(', ')}. Allowed: ${IMPORT_COLUMNS.join(', ')}`);
+  }
+  if (rows.length === 0) {
+    fail('CSV file has no rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    fail(`At most ${MAX_IMPORT_ROWS} users can be imported at once`);
+  }
+
+  const entries = rows.map(({ line, data }) => {
+    const role = (data.role || 'patient').toLowerCase();
+    const user = new User({
+      name: data.name,
+      email: data.email,
+      role,
+      phone: data.phone || undefined,
+      specialization: data.specialization || undefined,
+      invitePending: true
+    });
+
+    // Role is checked here since admins cannot be imported
+    const errors = IMPORT_ROLES.includes(role) ? [] : ['Role must be patient or doctor'];
+    const validationError = user.validateSync();
+    if (validationError) {
+      Object.values(validationError.errors)
+        .filter(err => err.path !== 'role')
+        .forEach(err => errors.push(err.message));
+    }
+
+    return { row: line, user, errors };
+  });
+
+  // Duplicate emails within the file
+  const seen = new Map();
+  for (const entry of entries) {
+    const email = entry.user.email;
+    if (!email) {
+      continue;
+    }
+    if (seen.has(email)) {
+      entry.errors.push(`Email also used on row ${seen.get(email)}`);
+    } else {
+      seen.set(email, entry.row);
+    }
+  }
+
+  // Emails that already have an account
+  const existing = await User.find({ email: { $in: [...seen.keys()] } }).select('email');
+  const taken = new Set(existing.map(user => user.email));
+  for (const entry of entries) {
+    if (taken.has(entry.user.email)) {
+      entry.errors.push('User with this email already exists');
+    }
+  }
+
+  return entries;
+};
+
+module.exports = {
+  IMPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  prepareUserImport
+};
@@ -0,0 +1,92 @@
+const Appointment = require('../models/Appointment');
+const { QUEUE_STATUSES } = require('./appointmentStatus');
+const { MS_PER_MINUTE, addDays, startOfZonedDay, getTodayKey } = require('./timeUtils');
+
+/**
+ * Shorten a patient name for public displays ("Jane Doe" -> "Jane D.")
+ * @param {string} name - Full name
+ * @returns {string} - First name and last initial
+ */
+const toDisplayName = (name = '') => {
+  const parts = name.trim().split(/\s+/).filter(Boolean);
+
+  if (parts.length < 2) {
+    return parts[0] || 'Patient';
+  }
+
+  return `${parts[0]} ${parts[parts.length - 1][0].toUpperCase()}.`;
+};
+
+/**
+ * Order waiting patients: urgent first, then by check-in time
+ * @param {Object} a - Appointment
+ * @param {Object} b - Appointment
+ * @returns {number} - Sort order
+ */
+const compareWaiting = (a, b) => {
+  if (a.isUrgent !== b.isUrgent) {
+    return a.isUrgent ? -1 : 1;
+  }
+  return a.checkedInAt - b.checkedInAt;
+};
+
+/**
+ * Build a doctor's waiting-room queue from today's arrived patients
+ * Patients being seen come first; the estimated wait of each waiting patient
+ * is the time left for those being seen plus the durations of everyone ahead
+ * @param {Array} appointments - Checked-in and in-progress appointments (patientId populated)
+ * @param {Date} now - Current time
+ * @returns {Object} - { inProgress, waiting, estimatedWaitMinutes } where each entry has
+ *   { appointment, displayName, position, estimatedWaitMinutes }
+ */
+const buildQueue = (appointments, now = new Date()) => {
+  const inProgress = appointments.filter(apt => apt.status === 'in_progress');
+  const waiting = appointments.filter(apt => apt.status === 'checked_in').sort(compareWaiting);
+
+  let aheadMs = inProgress.reduce((total, apt) => {
+    const endsAt = (apt.startedAt || now).getTime() + apt.duration * MS_PER_MINUTE;
+    return total + Math.max(endsAt - now.getTime(), 0);
+  }, 0);
+
+  const toEntry = (apt, position) => ({
+    appointment: apt,
+    displayName: toDisplayName(apt.patientId && apt.patientId.name),
+    position,
+    estimatedWaitMinutes: Math.ceil(aheadMs / MS_PER_MINUTE)
+  });
+
+  const waitingEntries = waiting.map((apt, index) => {
+    const entry = toEntry(apt, index + 1);
+    aheadMs += apt.duration * MS_PER_MINUTE;
+    return entry;
+  });
+
+  return {
+    inProgress: inProgress.map(apt => ({ ...toEntry(apt, 0), estimatedWaitMinutes: 0 })),
+    waiting: waitingEntries,
+    // Wait for someone checking in now
+    estimatedWaitMinutes: Math.ceil(aheadMs / MS_PER_MINUTE)
+  };
+};
+
+/**
+ * Get today's queue for a doctor
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise<Object>} - Queue as returned by buildQueue
+ */
+const getDoctorQueue = async (doctorId) => {
+  const today = getTodayKey();
+  const appointments = await Appointment.find({
+    doctorId,
+    status: { $in: QUEUE_STATUSES },
+    startsAt: { $gte: startOfZonedDay(today), $lt: startOfZonedDay(addDays(today, 1)) }
+  }).populate('patientId', 'name');
+
+  return buildQueue(appointments);
+};
+
+module.exports = {
+  toDisplayName,
+  buildQueue,
+  getDoctorQueue
+};
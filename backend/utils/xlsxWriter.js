@@ -0,0 +1,346 @@
+const zlib = require('zlib');
+const { once } = require('events');
+const { waitForDrain } = require('./streams');
+
+/**
+ * Streaming writer for single-sheet Excel (.xlsx) workbooks
+ *
+ * An .xlsx file is a ZIP archive of XML parts. The fixed parts are written
+ * up front; the worksheet is deflated row by row straight into the output,
+ * with its checksum and sizes in a trailing data descriptor, so exports of
+ * any size never sit in memory. Cells are inline strings or numbers.
+ */
+
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const CONTENT_TYPE_BASE = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+
+  return table;
+})();
+
+/**
+ * Continue a CRC-32 over more data
+ * @param {number} crc - CRC so far (0 to start)
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Updated CRC
+ */
+const updateCrc = (crc, buffer) => {
+  let c = crc ^ -1;
+
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+  }
+
+  return (c ^ -1) >>> 0;
+};
+
+/**
+ * Escape text for XML, dropping characters XML cannot contain
+ * @param {*} value - Text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (value) => {
+  return String(value)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Build the XML of a worksheet row
+ * @param {Array} values - Cell values; numbers stay numeric, empty values leave the cell blank
+ * @param {number} style - Cell style index (1 = bold header)
+ * @returns {string} - <row> element
+ */
+const buildRow = (values, style = 0) => {
+  const styleAttr = style ? ` s="${style}"` : '';
+  const cells = values.map(value => {
+    if (value === null || value === undefined || value === '') {
+      return '<c/>';
+    }
+
+    if (typeof value === 'number' && isFinite(value)) {
+      return `<c${styleAttr}><v>${value}</v></c>`;
+    }
+
+    return `<c${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  });
+
+  return `<row>${cells.join('')}</row>`;
+};
+
+/**
+ * Get the fixed parts of the workbook
+ * @param {string} sheetName - Worksheet name
+ * @returns {Array<Object>} - [{ name, content }]
+ */
+const getStaticParts = (sheetName) => [
+  {
+    name: '[Content_Types].xml',
+    content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + `<Override PartName="/xl/workbook.xml" ContentType="${CONTENT_TYPE_BASE}.sheet.main+xml"/>`
+      + `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="${CONTENT_TYPE_BASE}.worksheet+xml"/>`
+      + `<Override PartName="/xl/styles.xml" ContentType="${CONTENT_TYPE_BASE}.styles+xml"/>`
+      + '</Types>'
+  },
+  {
+    name: '_rels/.rels',
+    content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">`
+      + `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>`
+      + '</Relationships>'
+  },
+  {
+    name: 'xl/workbook.xml',
+    content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">`
+      + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+      + '</workbook>'
+  },
+  {
+    name: 'xl/_rels/workbook.xml.rels',
+    content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">`
+      + `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+      + `<Relationship Id="rId2" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>`
+      + '</Relationships>'
+  },
+  {
+    name: 'xl/styles.xml',
+    content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + `<styleSheet xmlns="${SPREADSHEET_NS}">`
+      + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>'
+      + '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+      + '<fills count="2"><fill><patternFill patternType="none"/></fill>'
+      + '<fill><patternFill patternType="gray125"/></fill></fills>'
+      + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+      + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+      + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+      + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+      + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+      + '</styleSheet>'
+  }
+];
+
+/**
+ * Get the MS-DOS time and date fields of an instant
+ * @param {Date} date - Instant
+ * @returns {Object} - { time, date }
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+class XlsxWriter {
+  /**
+   * @param {Object} output - Writable stream
+   * @param {Object} options - { sheetName }
+   */
+  constructor(output, { sheetName = 'Sheet1' } = {}) {
+    this.output = output;
+    this.sheetName = sheetName.slice(0, 31);
+    this.offset = 0;
+    this.entries = [];
+    this.modified = toDosDateTime(new Date());
+    this.sheet = null;
+  }
+
+  /**
+   * Write bytes, waiting if the output is backed up
+   * @param {Buffer} buffer - Bytes
+   */
+  async write(buffer) {
+    this.offset += buffer.length;
+
+    if (!this.output.write(buffer)) {
+      await waitForDrain(this.output);
+    }
+  }
+
+  /**
+   * Build a local file header
+   * @param {Object} entry - { name, flags, crc, compressedSize, size }
+   * @returns {Buffer} - Header
+   */
+  buildLocalHeader(entry) {
+    const name = Buffer.from(entry.name);
+    const header = Buffer.alloc(30);
+
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(entry.flags, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(this.modified.time, 10);
+    header.writeUInt16LE(this.modified.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    return Buffer.concat([header, name]);
+  }
+
+  /**
+   * Write a whole part whose content is known
+   * @param {string} name - Path in the archive
+   * @param {string} content - XML
+   */
+  async addPart(name, content) {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const entry = {
+      name,
+      flags: 0x0800,
+      crc: updateCrc(0, data),
+      compressedSize: compressed.length,
+      size: data.length,
+      offset: this.offset
+    };
+
+    this.entries.push(entry);
+    await this.write(this.buildLocalHeader(entry));
+    await this.write(compressed);
+  }
+
+  /**
+   * Write the fixed parts and open the worksheet
+   */
+  async start() {
+    for (const part of getStaticParts(this.sheetName)) {
+      await this.addPart(part.name, part.content);
+    }
+
+    // Sizes and checksum follow the data (flag bit 3)
+    const entry = { name: 'xl/worksheets/sheet1.xml', flags: 0x0808, crc: 0, compressedSize: 0, size: 0, offset: this.offset };
+    const deflate = zlib.createDeflateRaw();
+
+    this.entries.push(entry);
+    await this.write(this.buildLocalHeader(entry));
+
+    deflate.on('data', (chunk) => {
+      entry.compressedSize += chunk.length;
+      this.offset += chunk.length;
+
+      if (!this.output.write(chunk)) {
+        deflate.pause();
+        waitForDrain(this.output).then(() => deflate.resume());
+      }
+    });
+
+    this.sheet = { entry, deflate };
+    await this.writeSheet(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="${SPREADSHEET_NS}"><sheetData>`);
+  }
+
+  /**
+   * Add worksheet XML, waiting if compression is backed up
+   * @param {string} xml - XML text
+   */
+  async writeSheet(xml) {
+    const data = Buffer.from(xml);
+    const { entry, deflate } = this.sheet;
+
+    entry.crc = updateCrc(entry.crc, data);
+    entry.size += data.length;
+
+    if (!deflate.write(data)) {
+      await once(deflate, 'drain');
+    }
+  }
+
+  /**
+   * Write the header row, in bold
+   * @param {Array<string>} headers - Column headers
+   */
+  async writeHeader(headers) {
+    if (!this.sheet) {
+      await this.start();
+    }
+
+    await this.writeSheet(buildRow(headers, 1));
+  }
+
+  /**
+   * Write a data row
+   * @param {Array} values - Cell values
+   */
+  async writeRow(values) {
+    if (!this.sheet) {
+      await this.start();
+    }
+
+    await this.writeSheet(buildRow(values));
+  }
+
+  /**
+   * Close the worksheet and write the archive's central directory; the output stream is left open
+   */
+  async end() {
+    if (!this.sheet) {
+      await this.start();
+    }
+
+    const { entry, deflate } = this.sheet;
+
+    await this.writeSheet('</sheetData></worksheet>');
+    deflate.end();
+    await once(deflate, 'end');
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.write(descriptor);
+
+    const directoryOffset = this.offset;
+
+    for (const item of this.entries) {
+      const name = Buffer.from(item.name);
+      const header = Buffer.alloc(46);
+
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(item.flags, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(this.modified.time, 12);
+      header.writeUInt16LE(this.modified.date, 14);
+      header.writeUInt32LE(item.crc, 16);
+      header.writeUInt32LE(item.compressedSize, 20);
+      header.writeUInt32LE(item.size, 24);
+      header.writeUInt16LE(name.length, 28);
+      header.writeUInt32LE(item.offset, 42);
+      await this.write(Buffer.concat([header, name]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await this.write(end);
+  }
+}
+
+module.exports = XlsxWriter;
@@ -1,37 +1,79 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { formatDateForDisplay, formatDateTimeForDisplay, formatInstantTime } from '../utils/dateUtils';
+import { downloadAppointmentIcs } from '../services/calendar';
+
+// Button label and style for each status the server allows the viewer to set
+const STATUS_ACTIONS = {
+  confirmed: { label: 'Confirm', style: 'confirmBtn' },
+  checked_in: { label: 'Check In', style: 'checkInBtn' },
+  in_progress: { label: 'Start Consultation', style: 'startBtn' },
+  completed: { label: 'Mark Complete', style: 'completeBtn' },
+  cancelled: { label: 'Cancel', style: 'cancelBtn' },
+  no_show: { label: 'Mark No-Show', style: 'noShowBtn' },
+};
 
 /**
  * AppointmentCard component to display appointment details
  */
-const AppointmentCard = ({ appointment, onStatusUpdate, onCancel }) => {
+const AppointmentCard = ({ appointment, onStatusUpdate, onCancel, onReschedule }) => {
+  const [isRescheduling, setIsRescheduling] = useState(false);
+  const [rescheduleData, setRescheduleData] = useState({ date: '', time: '', reason: '' });
+
+  const canReschedule = onReschedule
+    && ['pending', 'confirmed'].includes(appointment.status)
+    && appointment.canBeCancelled;
+
+  const handleRescheduleChange = (e) => {
+    const { name, value } = e.target;
+    setRescheduleData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleRescheduleSubmit = async (e) => {
+    e.preventDefault();
+    const success = await onReschedule(appointment._id, rescheduleData);
+    if (success) {
+      setIsRescheduling(false);
+      setRescheduleData({ date: '', time: '', reason: '' });
+    }
+  };
+
+  const handleAddToCalendar = async () => {
+    try {
+      await downloadAppointmentIcs(appointment._id);
+    } catch (err) {
+      alert('Failed to download the calendar file.');
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'pending':
         return '#f39c12';
       case 'confirmed':
         return '#27ae60';
+      case 'checked_in':
+        return '#16a085';
+      case 'in_progress':
+        return '#2980b9';
       case 'cancelled':
         return '#e74c3c';
       case 'completed':
         return '#3498db';
+      case 'no_show':
+        return '#8e44ad';
       default:
         return '#95a5a6';
     }
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString();
-  };
-
-  const formatTime = (timeString) => {
-    return timeString;
-  };
+  const isActiveUrgent = appointment.isUrgent && ['pending', 'confirmed'].includes(appointment.status);
 
   return (
-    <div style={styles.card}>
+    <div style={isActiveUrgent ? { ...styles.card, ...styles.urgentCard } : styles.card}>
       <div style={styles.header}>
         <h3 style={styles.title}>
           Appointment with {appointment.doctor?.name || 'Doctor'}
+          {isActiveUrgent && <span style={styles.urgentBadge}>URGENT</span>}
         </h3>
         <span
           style={{
@@ -39,20 +81,52 @@ const AppointmentCard = ({ appointment, onStatusUpdate, onCancel }) => {
             backgroundColor: getStatusColor(appointment.status),
           }}
         >
-          {appointment.status.toUpperCase()}
+          {appointment.status.replace('_', ' ').toUpperCase()}
         </span>
       </div>
 
+      {appointment.requiresApproval && appointment.status === 'pending' && (
+        <div style={styles.approvalNote}>Awaiting admin approval</div>
+      )}
+
+      {appointment.isOverbooked && (
+        <div style={styles.approvalNote}>Squeezed in as an urgent overbook</div>
+      )}
+
       <div style={styles.details}>
         <div style={styles.detailRow}>
-          <strong>Date:</strong> {formatDate(appointment.date)}
+          <strong>Date:</strong> {formatDateForDisplay(appointment.startsAt)}
         </div>
         <div style={styles.detailRow}>
-          <strong>Time:</strong> {formatTime(appointment.time)}
+          <strong>Time:</strong> {formatInstantTime(appointment.startsAt, undefined, true)}
         </div>
         <div style={styles.detailRow}>
           <strong>Duration:</strong> {appointment.duration} minutes
         </div>
+        {appointment.groupSession && (
+          <div style={styles.detailRow}>
+            <strong>Group session:</strong> {appointment.groupSession.title}
+          </div>
+        )}
+        {appointment.checkedInAt && (
+          <div style={styles.detailRow}>
+            <strong>Checked in:</strong> {formatInstantTime(appointment.checkedInAt)}
+            {appointment.startedAt && `, seen at ${formatInstantTime(appointment.startedAt)}`}
+          </div>
+        )}
+        {appointment.type && (
+          <div style={styles.detailRow}>
+            <strong>Type:</strong> {appointment.type.name}
+            {appointment.price > 0 && ` (${appointment.price.toFixed(2)})`}
+          </div>
+        )}
+        {appointment.location && (
+          <div style={styles.detailRow}>
+            <strong>Location:</strong> {appointment.location.name}
+            {appointment.room && `, ${appointment.room.name}`}
+            <div style={styles.address}>{appointment.location.formattedAddress}</div>
+          </div>
+        )}
         {appointment.doctor?.specialization && (
           <div style={styles.detailRow}>
             <strong>Specialization:</strong> {appointment.doctor.specialization}
@@ -68,33 +142,88 @@ const AppointmentCard = ({ appointment, onStatusUpdate, onCancel }) => {
             <strong>Symptoms:</strong> {appointment.symptoms}
           </div>
         )}
+        {appointment.rescheduleHistory?.length > 0 && (
+          <div style={styles.detailRow}>
+            <strong>Reschedule history:</strong>
+            <ul style={styles.historyList}>
+              {appointment.rescheduleHistory.map((entry, index) => (
+                <li key={entry._id || index} style={styles.historyItem}>
+                  Moved from {formatDateTimeForDisplay(entry.startsAt)} on{' '}
+                  {formatDateTimeForDisplay(entry.rescheduledAt)}
+                  {entry.reason && ` (${entry.reason})`}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </div>
 
+      {isRescheduling && (
+        <form onSubmit={handleRescheduleSubmit} style={styles.rescheduleForm}>
+          <input
+            type="date"
+            name="date"
+            value={rescheduleData.date}
+            onChange={handleRescheduleChange}
+            style={styles.input}
+            min={new Date().toISOString().split('T')[0]}
+            required
+          />
+          <input
+            type="time"
+            name="time"
+            value={rescheduleData.time}
+            onChange={handleRescheduleChange}
+            style={styles.input}
+            required
+          />
+          <input
+            type="text"
+            name="reason"
+            value={rescheduleData.reason}
+            onChange={handleRescheduleChange}
+            style={styles.input}
+            placeholder="Reason (optional)"
+            maxLength="200"
+          />
+          <button type="submit" style={styles.confirmBtn}>
+            Save
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsRescheduling(false)}
+            style={styles.secondaryBtn}
+          >
+            Close
+          </button>
+        </form>
+      )}
+
       <div style={styles.actions}>
-        {appointment.status === 'pending' && (
-          <>
-            <button
-              onClick={() => onStatusUpdate(appointment._id, 'confirmed')}
-              style={styles.confirmBtn}
-            >
-              Confirm
-            </button>
-            <button
-              onClick={() => onCancel(appointment._id)}
-              style={styles.cancelBtn}
-            >
-              Cancel
-            </button>
-          </>
-        )}
-        {appointment.status === 'confirmed' && (
+        {(appointment.allowedTransitions || []).map(status => (
+          <button
+            key={status}
+            onClick={() => (
+              status === 'cancelled'
+                ? onCancel(appointment._id)
+                : onStatusUpdate(appointment._id, status)
+            )}
+            style={styles[STATUS_ACTIONS[status]?.style] || styles.secondaryBtn}
+          >
+            {STATUS_ACTIONS[status]?.label || status}
+          </button>
+        ))}
+        {canReschedule && !isRescheduling && (
           <button
-            onClick={() => onStatusUpdate(appointment._id, 'completed')}
-            style={styles.completeBtn}
+            onClick={() => setIsRescheduling(true)}
+            style={styles.secondaryBtn}
           >
-            Mark Complete
+            Reschedule
           </button>
         )}
+        <button onClick={handleAddToCalendar} style={styles.secondaryBtn}>
+          Add to calendar
+        </button>
       </div>
     </div>
   );
@@ -133,6 +262,10 @@ const styles = {
     margin: '0.5rem 0',
     color: '#555',
   },
+  address: {
+    color: '#7f8c8d',
+    fontSize: '0.875rem',
+  },
   actions: {
     display: 'flex',
     gap: '0.5rem',
@@ -145,6 +278,22 @@ const styles = {
     borderRadius: '4px',
     cursor: 'pointer',
   },
+  checkInBtn: {
+    backgroundColor: '#16a085',
+    color: 'white',
+    border: 'none',
+    padding: '0.5rem 1rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  startBtn: {
+    backgroundColor: '#2980b9',
+    color: 'white',
+    border: 'none',
+    padding: '0.5rem 1rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
   cancelBtn: {
     backgroundColor: '#e74c3c',
     color: 'white',
@@ -153,6 +302,32 @@ const styles = {
     borderRadius: '4px',
     cursor: 'pointer',
   },
+  secondaryBtn: {
+    backgroundColor: '#95a5a6',
+    color: 'white',
+    border: 'none',
+    padding: '0.5rem 1rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  historyList: {
+    margin: '0.25rem 0 0',
+    paddingLeft: '1.25rem',
+  },
+  historyItem: {
+    fontSize: '0.9rem',
+  },
+  rescheduleForm: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '0.5rem',
+    marginBottom: '1rem',
+  },
+  input: {
+    padding: '0.5rem',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+  },
   completeBtn: {
     backgroundColor: '#3498db',
     color: 'white',
@@ -161,6 +336,33 @@ const styles = {
     borderRadius: '4px',
     cursor: 'pointer',
   },
+  noShowBtn: {
+    backgroundColor: '#8e44ad',
+    color: 'white',
+    border: 'none',
+    padding: '0.5rem 1rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  approvalNote: {
+    color: '#8a6d3b',
+    background: '#fcf8e3',
+    padding: '0.5rem',
+    borderRadius: '4px',
+    marginBottom: '0.5rem',
+  },
+  urgentCard: {
+    border: '2px solid #e74c3c',
+  },
+  urgentBadge: {
+    marginLeft: '0.5rem',
+    padding: '0.1rem 0.4rem',
+    borderRadius: '4px',
+    background: '#e74c3c',
+    color: 'white',
+    fontSize: '0.7rem',
+    verticalAlign: 'middle',
+  },
 };
 
 export default AppointmentCard; 
\ No newline at end of file
@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+import { downloadFile } from '../services/download';
+import { getCurrentDate } from '../utils/dateUtils';
+
+const STATUSES = ['pending', 'confirmed', 'checked_in', 'in_progress', 'completed', 'cancelled', 'no_show'];
+
+const INITIAL_FILTERS = {
+  from: '',
+  to: '',
+  status: '',
+  doctorId: '',
+  format: 'csv',
+};
+
+/**
+ * AppointmentExport component for doctors and admins to download appointments
+ * as CSV or Excel; every matching appointment is included, not just one page
+ * @param {Object} user - Current user
+ */
+const AppointmentExport = ({ user }) => {
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
+  const [doctors, setDoctors] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (user.role === 'admin') {
+      fetchDoctors();
+    }
+    // eslint-disable-next-line
+  }, []);
+
+  const fetchDoctors = async () => {
+    try {
+      const res = await api.get('/appointments/doctors/list');
+      setDoctors(res.data.data.doctors);
+    } catch (err) {
+      setDoctors([]);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleDownload = async (e) => {
+    e.preventDefault();
+    // Leave out empty filters
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+    setLoading(true);
+    try {
+      await downloadFile('/appointments/export', `appointments-${getCurrentDate()}.${filters.format}`, params);
+    } catch (err) {
+      alert('Failed to export appointments.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={styles.title}>Export appointments</h3>
+      <form onSubmit={handleDownload} style={styles.form}>
+        <label style={styles.field}>
+          From
+          <input type="date" name="from" value={filters.from} onChange={handleChange} />
+        </label>
+        <label style={styles.field}>
+          To
+          <input type="date" name="to" value={filters.to} onChange={handleChange} min={filters.from} />
+        </label>
+        <label style={styles.field}>
+          Status
+          <select name="status" value={filters.status} onChange={handleChange}>
+            <option value="">All</option>
+            {STATUSES.map(status => (
+              <option key={status} value={status}>{status.replace('_', ' ')}</option>
+            ))}
+          </select>
+        </label>
+        {user.role === 'admin' && (
+          <label style={styles.field}>
+            Doctor
+            <select name="doctorId" value={filters.doctorId} onChange={handleChange}>
+              <option value="">All doctors</option>
+              {doctors.map(doctor => (
+                <option key={doctor._id} value={doctor._id}>{doctor.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label style={styles.field}>
+          Format
+          <select name="format" value={filters.format} onChange={handleChange}>
+            <option value="csv">CSV</option>
+            <option value="xlsx">Excel (.xlsx)</option>
+          </select>
+        </label>
+        <button type="submit" disabled={loading} style={styles.downloadBtn}>
+          {loading ? 'Preparing...' : 'Download'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const styles = {
+  panel: {
+    background: '#f4f6f8',
+    borderRadius: '8px',
+    padding: '1rem',
+    marginBottom: '2rem',
+  },
+  title: {
+    color: '#2c3e50',
+    margin: 0,
+  },
+  form: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '0.75rem',
+    alignItems: 'flex-end',
+    marginTop: '1rem',
+  },
+  field: {
+    display: 'flex',
+    flexDirection: 'column',
+    fontSize: '0.875rem',
+    color: '#2c3e50',
+  },
+  downloadBtn: {
+    backgroundColor: '#27ae60',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+};
+
+export default AppointmentExport;
@@ -1,38 +1,146 @@
 import React, { useState, useEffect } from 'react';
 import api from '../services/api';
+import { validateAppointmentDate } from '../utils/validation';
+import { addDays, getCurrentDate, getViewerTimeZone } from '../utils/dateUtils';
+
+const INITIAL_FORM_DATA = {
+  doctorId: '',
+  date: '',
+  time: '',
+  notes: '',
+  symptoms: '',
+  typeId: '',
+  duration: 30,
+  isUrgent: false,
+  repeat: 'none',
+  repeatEnd: 'count',
+  repeatCount: 4,
+  repeatUntil: '',
+};
 
 /**
  * AppointmentForm component for booking new appointments
+ * Submits the raw form data; repeat* fields describe an optional recurring series.
+ * The appointment type sets the duration; the raw duration is only used when
+ * the doctor offers no types
  */
 const AppointmentForm = ({ onSubmit, onCancel }) => {
-  const [formData, setFormData] = useState({
-    doctorId: '',
-    date: '',
-    time: '',
-    notes: '',
-    symptoms: '',
-    duration: 30,
-    isUrgent: false,
-  });
+  const [formData, setFormData] = useState(INITIAL_FORM_DATA);
 
   const [doctors, setDoctors] = useState([]);
+  const [appointmentTypes, setAppointmentTypes] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [locationId, setLocationId] = useState('');
+  const [slots, setSlots] = useState([]);
+  const [bookingPolicy, setBookingPolicy] = useState(null);
+  const [clinicTimeZone, setClinicTimeZone] = useState(null);
+  const [slotsLoading, setSlotsLoading] = useState(false);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
-  // Fetch available doctors on component mount
+  // Fetch clinic locations on component mount
   useEffect(() => {
-    fetchDoctors();
+    fetchLocations();
   }, []);
 
-  const fetchDoctors = async () => {
+  // Fetch available doctors, narrowed to the chosen location
+  useEffect(() => {
+    fetchDoctors(locationId);
+  }, [locationId]);
+
+  // Fetch the doctor's booking policy (notice, horizon, cancellation cutoff) and offered types
+  useEffect(() => {
+    if (formData.doctorId) {
+      fetchBookingPolicy(formData.doctorId);
+      fetchAppointmentTypes(formData.doctorId);
+    } else {
+      setBookingPolicy(null);
+      setAppointmentTypes([]);
+    }
+  }, [formData.doctorId]);
+
+  // Fetch bookable slots whenever the doctor, date or appointment type changes
+  useEffect(() => {
+    if (formData.doctorId && formData.date) {
+      fetchSlots(formData.doctorId, formData.date, formData.typeId);
+    } else {
+      setSlots([]);
+    }
+  }, [formData.doctorId, formData.date, formData.typeId]);
+
+  const fetchLocations = async () => {
     try {
-      const response = await api.get('/appointments/doctors/list');
-      setDoctors(response.data.data.doctors);
+      const response = await api.get('/locations');
+      setLocations(response.data.data.locations);
+    } catch (error) {
+      console.error('Error fetching locations:', error);
+    }
+  };
+
+  const fetchDoctors = async (selectedLocationId) => {
+    try {
+      const response = await api.get('/users/doctors', {
+        params: selectedLocationId ? { locationId: selectedLocationId } : {},
+      });
+      const doctorList = response.data.data.doctors;
+      setDoctors(doctorList);
+      // Drop a selected doctor who does not work at the new location
+      setFormData(prev => (
+        doctorList.some(doctor => doctor._id === prev.doctorId) ? prev : { ...prev, doctorId: '', time: '' }
+      ));
     } catch (error) {
       console.error('Error fetching doctors:', error);
     }
   };
 
+  const fetchBookingPolicy = async (doctorId) => {
+    try {
+      const response = await api.get(`/settings/doctors/${doctorId}/booking-policy`);
+      setBookingPolicy(response.data.data.bookingPolicy);
+      setClinicTimeZone(response.data.data.timezone);
+    } catch (error) {
+      console.error('Error fetching booking policy:', error);
+      setBookingPolicy(null);
+    }
+  };
+
+  const fetchAppointmentTypes = async (doctorId) => {
+    try {
+      const response = await api.get('/appointment-types', { params: { doctorId } });
+      const typeList = response.data.data.appointmentTypes;
+      setAppointmentTypes(typeList);
+      // Drop a selected type the new doctor does not offer
+      setFormData(prev => (
+        typeList.some(type => type._id === prev.typeId) ? prev : { ...prev, typeId: '' }
+      ));
+    } catch (error) {
+      console.error('Error fetching appointment types:', error);
+      setAppointmentTypes([]);
+    }
+  };
+
+  const fetchSlots = async (doctorId, date, typeId) => {
+    setSlotsLoading(true);
+    try {
+      const response = await api.get(`/appointments/doctors/${doctorId}/slots`, {
+        params: typeId ? { from: date, to: date, typeId } : { from: date, to: date },
+      });
+      const day = response.data.data.days.find(d => d.date === date);
+      const daySlots = day ? day.slots : [];
+      setSlots(daySlots);
+
+      // Drop a previously picked time that is no longer bookable
+      setFormData(prev => (
+        daySlots.includes(prev.time) ? prev : { ...prev, time: '' }
+      ));
+    } catch (error) {
+      console.error('Error fetching available slots:', error);
+      setSlots([]);
+    } finally {
+      setSlotsLoading(false);
+    }
+  };
+
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
@@ -56,12 +164,14 @@ const AppointmentForm = ({ onSubmit, onCancel }) => {
     if (!formData.date) {
       newErrors.date = 'Please select a date';
     } else {
-      const selectedDate = new Date(formData.date);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      if (selectedDate < today) {
-        newErrors.date = 'Date cannot be in the past';
+      const dateValidation = validateAppointmentDate(
+        formData.date,
+        bookingPolicy,
+        formData.time,
+        clinicTimeZone || undefined
+      );
+      if (!dateValidation.isValid) {
+        newErrors.date = dateValidation.message;
       }
     }
 
@@ -69,10 +179,24 @@ const AppointmentForm = ({ onSubmit, onCancel }) => {
       newErrors.time = 'Please select a time';
     }
 
-    if (formData.duration < 15 || formData.duration > 120) {
+    if (appointmentTypes.length > 0) {
+      if (!formData.typeId) {
+        newErrors.typeId = 'Please select an appointment type';
+      }
+    } else if (formData.duration < 15 || formData.duration > 120) {
       newErrors.duration = 'Duration must be between 15 and 120 minutes';
     }
 
+    if (formData.repeat !== 'none') {
+      if (formData.repeatEnd === 'count' && (formData.repeatCount < 2 || formData.repeatCount > 52)) {
+        newErrors.repeat = 'Number of appointments must be between 2 and 52';
+      }
+
+      if (formData.repeatEnd === 'until' && (!formData.repeatUntil || formData.repeatUntil <= formData.date)) {
+        newErrors.repeat = 'Repeat until date must be after the first appointment';
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -87,15 +211,7 @@ const AppointmentForm = ({ onSubmit, onCancel }) => {
     setLoading(true);
     try {
       await onSubmit(formData);
-      setFormData({
-        doctorId: '',
-        date: '',
-        time: '',
-        notes: '',
-        symptoms: '',
-        duration: 30,
-        isUrgent: false,
-      });
+      setFormData(INITIAL_FORM_DATA);
     } catch (error) {
       console.error('Error submitting appointment:', error);
     } finally {
@@ -107,6 +223,25 @@ const AppointmentForm = ({ onSubmit, onCancel }) => {
     <form onSubmit={handleSubmit} style={styles.form}>
       <h2 style={styles.title}>Book New Appointment</h2>
 
+      {locations.length > 0 && (
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Location</label>
+          <select
+            name="locationId"
+            value={locationId}
+            onChange={(e) => setLocationId(e.target.value)}
+            style={styles.select}
+          >
+            <option value="">All locations</option>
+            {locations.map(location => (
+              <option key={location._id} value={location._id}>
+                {location.name} - {location.formattedAddress}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
       <div style={styles.formGroup}>
         <label style={styles.label}>Doctor *</label>
         <select
@@ -133,35 +268,130 @@ const AppointmentForm = ({ onSubmit, onCancel }) => {
           value={formData.date}
           onChange={handleChange}
           style={styles.input}
-          min={new Date().toISOString().split('T')[0]}
+          min={getCurrentDate()}
+          max={bookingPolicy ? addDays(new Date(), bookingPolicy.maxDaysAhead) : undefined}
         />
         {errors.date && <span style={styles.error}>{errors.date}</span>}
+        {bookingPolicy?.minNoticeMinutes > 0 && (
+          <small style={styles.hint}>
+            Bookings need at least {bookingPolicy.minNoticeMinutes} minutes notice.
+          </small>
+        )}
       </div>
 
       <div style={styles.formGroup}>
         <label style={styles.label}>Time *</label>
-        <input
-          type="time"
+        <select
           name="time"
           value={formData.time}
           onChange={handleChange}
-          style={styles.input}
-        />
+          style={styles.select}
+          disabled={!formData.doctorId || !formData.date || slotsLoading}
+        >
+          <option value="">
+            {!formData.doctorId || !formData.date
+              ? 'Select a doctor and date first'
+              : slotsLoading
+                ? 'Loading available times...'
+                : slots.length === 0
+                  ? 'No available times on this date'
+                  : 'Select a time'}
+          </option>
+          {slots.map(slot => (
+            <option key={slot} value={slot}>
+              {slot}
+            </option>
+          ))}
+        </select>
         {errors.time && <span style={styles.error}>{errors.time}</span>}
+        {clinicTimeZone && clinicTimeZone !== getViewerTimeZone() && (
+          <small style={styles.hint}>
+            Times are in the clinic's timezone ({clinicTimeZone}).
+          </small>
+        )}
       </div>
 
+      {appointmentTypes.length > 0 ? (
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Appointment type *</label>
+          <select
+            name="typeId"
+            value={formData.typeId}
+            onChange={handleChange}
+            style={styles.select}
+          >
+            <option value="">Select an appointment type</option>
+            {appointmentTypes.map(type => (
+              <option key={type._id} value={type._id}>
+                {type.name} - {type.duration} min{type.price > 0 ? `, ${type.price.toFixed(2)}` : ''}
+              </option>
+            ))}
+          </select>
+          {errors.typeId && <span style={styles.error}>{errors.typeId}</span>}
+        </div>
+      ) : (
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Duration (minutes)</label>
+          <input
+            type="number"
+            name="duration"
+            value={formData.duration}
+            onChange={handleChange}
+            style={styles.input}
+            min="15"
+            max="120"
+          />
+          {errors.duration && <span style={styles.error}>{errors.duration}</span>}
+        </div>
+      )}
+
       <div style={styles.formGroup}>
-        <label style={styles.label}>Duration (minutes)</label>
-        <input
-          type="number"
-          name="duration"
-          value={formData.duration}
+        <label style={styles.label}>Repeat</label>
+        <select
+          name="repeat"
+          value={formData.repeat}
           onChange={handleChange}
-          style={styles.input}
-          min="15"
-          max="120"
-        />
-        {errors.duration && <span style={styles.error}>{errors.duration}</span>}
+          style={styles.select}
+        >
+          <option value="none">Does not repeat</option>
+          <option value="weekly">Every week</option>
+          <option value="biweekly">Every 2 weeks</option>
+          <option value="monthly">Every month</option>
+        </select>
+        {formData.repeat !== 'none' && (
+          <div style={styles.repeatEnd}>
+            <select
+              name="repeatEnd"
+              value={formData.repeatEnd}
+              onChange={handleChange}
+              style={styles.select}
+            >
+              <option value="count">Number of appointments</option>
+              <option value="until">Until date</option>
+            </select>
+            {formData.repeatEnd === 'count' ? (
+              <input
+                type="number"
+                name="repeatCount"
+                value={formData.repeatCount}
+                onChange={handleChange}
+                style={styles.input}
+                min="2"
+                max="52"
+              />
+            ) : (
+              <input
+                type="date"
+                name="repeatUntil"
+                value={formData.repeatUntil}
+                onChange={handleChange}
+                style={styles.input}
+                min={formData.date}
+              />
+            )}
+          </div>
+        )}
+        {errors.repeat && <span style={styles.error}>{errors.repeat}</span>}
       </div>
 
       <div style={styles.formGroup}>
@@ -268,6 +498,11 @@ const styles = {
     minHeight: '100px',
     resize: 'vertical',
   },
+  repeatEnd: {
+    display: 'flex',
+    gap: '0.5rem',
+    marginTop: '0.5rem',
+  },
   checkboxLabel: {
     display: 'flex',
     alignItems: 'center',
@@ -281,6 +516,11 @@ const styles = {
     fontSize: '0.875rem',
     marginTop: '0.25rem',
   },
+  hint: {
+    color: '#7f8c8d',
+    fontSize: '0.875rem',
+    marginTop: '0.25rem',
+  },
   buttons: {
     display: 'flex',
     gap: '1rem',
@@ -1,10 +1,21 @@
 import React, { useState, useEffect } from 'react';
-import { formatDateForDisplay, getDayName, getMonthName, getWeekDates, isToday, isPastDate } from '../utils/dateUtils';
+import { formatDateForDisplay, getDayName, getMonthName, getWeekDates, isToday, isPastDate, toDateKeyInZone } from '../utils/dateUtils';
+
+/**
+ * Get the YYYY-MM-DD key of a calendar cell (a local midnight)
+ */
+const getCellKey = (date) => {
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
 
 /**
  * Calendar component for appointment scheduling
+ * Days show how many active appointments fall on them (in the viewer's timezone), and
+ * days with scheduled group sessions show the seats still free across those sessions
  */
-const Calendar = ({ selectedDate, onDateSelect, appointments = [], disabled = false }) => {
+const Calendar = ({ selectedDate, onDateSelect, appointments = [], groupSessions = [], disabled = false }) => {
   const [currentMonth, setCurrentMonth] = useState(new Date());
   const [calendarDates, setCalendarDates] = useState([]);
 
@@ -76,15 +87,17 @@ const Calendar = ({ selectedDate, onDateSelect, appointments = [], disabled = fa
    */
   const handleDateClick = (date) => {
     if (disabled || isPastDate(date)) return;
-    onDateSelect(date.toISOString().split('T')[0]);
+    onDateSelect(getCellKey(date));
   };
 
   /**
    * Get appointment count for a date
    */
   const getAppointmentCount = (date) => {
-    const dateString = date.toISOString().split('T')[0];
-    return appointments.filter(apt => apt.date === dateString).length;
+    const dateString = getCellKey(date);
+    return appointments.filter(apt => (
+      apt.status !== 'cancelled' && toDateKeyInZone(apt.startsAt) === dateString
+    )).length;
   };
 
   /**
@@ -94,11 +107,23 @@ const Calendar = ({ selectedDate, onDateSelect, appointments = [], disabled = fa
     return getAppointmentCount(date) > 0;
   };
 
+  /**
+   * Get the remaining group session seats for a date, or null if there is no session
+   */
+  const getRemainingSeats = (date) => {
+    const dateString = getCellKey(date);
+    const daySessions = groupSessions.filter(session => (
+      session.status === 'scheduled' && String(session.date).split('T')[0] === dateString
+    ));
+    if (daySessions.length === 0) return null;
+    return daySessions.reduce((seats, session) => seats + session.seatsRemaining, 0);
+  };
+
   /**
    * Get CSS class for a date
    */
   const getDateClass = (date) => {
-    const dateString = date.toISOString().split('T')[0];
+    const dateString = getCellKey(date);
     const isSelected = selectedDate === dateString;
     const isCurrentMonth = date.getMonth() === currentMonth.getMonth();
     const isCurrentDay = isToday(date);
@@ -172,6 +197,11 @@ const Calendar = ({ selectedDate, onDateSelect, appointments = [], disabled = fa
                   {getAppointmentCount(date)}
                 </span>
               )}
+              {getRemainingSeats(date) !== null && (
+                <span className="session-indicator" title="Group session seats left">
+                  {getRemainingSeats(date) === 0 ? 'Full' : `${getRemainingSeats(date)} seats`}
+                </span>
+              )}
             </div>
           ))}
         </div>
@@ -191,6 +221,12 @@ const Calendar = ({ selectedDate, onDateSelect, appointments = [], disabled = fa
           <span className="legend-color has-appointments"></span>
           <span>Has Appointments</span>
         </div>
+        {groupSessions.length > 0 && (
+          <div className="legend-item">
+            <span className="legend-color group-session"></span>
+            <span>Group Session (seats left)</span>
+          </div>
+        )}
       </div>
     </div>
   );
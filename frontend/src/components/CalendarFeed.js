@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+import { getFeedUrls } from '../services/calendar';
+
+/**
+ * CalendarFeed component showing the user's personal calendar subscription link
+ * Anyone with the link can read the feed, so it can be regenerated, which
+ * stops every calendar subscribed with the old link from updating
+ */
+const CalendarFeed = () => {
+  const [feedPath, setFeedPath] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    fetchFeed();
+  }, []);
+
+  const fetchFeed = async () => {
+    try {
+      const res = await api.get('/calendar/feed');
+      setFeedPath(res.data.data.feedPath);
+    } catch (err) {
+      setFeedPath(null);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    if (!window.confirm('Regenerate the link? Calendars subscribed with the current link will stop updating.')) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const res = await api.post('/calendar/feed/regenerate');
+      setFeedPath(res.data.data.feedPath);
+      setCopied(false);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to regenerate the calendar link.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(getFeedUrls(feedPath).httpUrl);
+      setCopied(true);
+    } catch (err) {
+      alert('Copy failed. Select the link and copy it manually.');
+    }
+  };
+
+  if (!feedPath) {
+    return null;
+  }
+
+  const { httpUrl, webcalUrl } = getFeedUrls(feedPath);
+
+  return (
+    <div style={styles.card}>
+      <h3 style={styles.title}>Calendar subscription</h3>
+      <p style={styles.helpText}>
+        Subscribe to this link in Outlook, Apple Calendar or Thunderbird to see your upcoming
+        appointments there. Keep it private: anyone with the link can see your appointments.
+      </p>
+      <input type="text" value={httpUrl} readOnly style={styles.input} onFocus={e => e.target.select()} />
+      <div style={styles.buttons}>
+        <button onClick={handleCopy} style={styles.primaryBtn}>
+          {copied ? 'Copied' : 'Copy link'}
+        </button>
+        <a href={webcalUrl} style={styles.linkBtn}>Open in calendar app</a>
+        <button onClick={handleRegenerate} disabled={loading} style={styles.dangerBtn}>
+          {loading ? 'Regenerating...' : 'Regenerate link'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '8px',
+    padding: '2rem',
+    marginTop: '1.5rem',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+  },
+  title: {
+    marginTop: 0,
+    color: '#2c3e50',
+  },
+  helpText: {
+    fontSize: '0.875rem',
+    color: '#7f8c8d',
+  },
+  input: {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '0.75rem',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    fontSize: '0.875rem',
+    fontFamily: 'monospace',
+  },
+  buttons: {
+    display: 'flex',
+    gap: '1rem',
+    alignItems: 'center',
+    marginTop: '1rem',
+  },
+  primaryBtn: {
+    backgroundColor: '#3498db',
+    color: 'white',
+    border: 'none',
+    padding: '0.5rem 1rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  dangerBtn: {
+    backgroundColor: '#e74c3c',
+    color: 'white',
+    border: 'none',
+    padding: '0.5rem 1rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    marginLeft: 'auto',
+  },
+  linkBtn: {
+    color: '#3498db',
+  },
+};
+
+export default CalendarFeed;
@@ -0,0 +1,304 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+import { formatDateTimeForDisplay } from '../utils/dateUtils';
+
+const EMPTY_FORM = { type: 'ics', name: '', url: '', username: '', password: '' };
+
+/**
+ * CalendarSources component for doctors to connect external calendars
+ * Busy times from these calendars are synced periodically and cannot be
+ * booked; each calendar shows when it last synced and why a sync failed
+ */
+const CalendarSources = () => {
+  const [sources, setSources] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [isAdding, setIsAdding] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    fetchSources();
+  }, []);
+
+  const fetchSources = async () => {
+    try {
+      const res = await api.get('/calendar/sources');
+      setSources(res.data.data.sources);
+    } catch (err) {
+      setSources([]);
+    }
+  };
+
+  const replaceSource = (source) => {
+    setSources(prev => prev.map(s => (s._id === source._id ? source : s)));
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setBusyId('new');
+    setErrors([]);
+    try {
+      const res = await api.post('/calendar/sources', formData);
+      setSources(prev => [...prev, res.data.data.source]);
+      setFormData(EMPTY_FORM);
+      setIsAdding(false);
+    } catch (err) {
+      setErrors(err.response?.data?.errors || [err.response?.data?.message || 'Failed to connect calendar.']);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSync = async (sourceId) => {
+    setBusyId(sourceId);
+    try {
+      const res = await api.post(`/calendar/sources/${sourceId}/sync`);
+      replaceSource(res.data.data.source);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to sync calendar.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (sourceId) => {
+    if (!window.confirm('Remove this calendar? Its busy times will become bookable again.')) {
+      return;
+    }
+
+    setBusyId(sourceId);
+    try {
+      await api.delete(`/calendar/sources/${sourceId}`);
+      setSources(prev => prev.filter(s => s._id !== sourceId));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to remove calendar.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderStatus = (source) => {
+    if (source.lastSyncStatus === 'never') {
+      return <span style={styles.muted}>Not synced yet</span>;
+    }
+
+    return (
+      <>
+        <span style={source.lastSyncStatus === 'ok' ? styles.ok : styles.failed}>
+          {source.lastSyncStatus === 'ok' ? 'Synced' : 'Sync failed'}
+        </span>{' '}
+        <span style={styles.muted}>{formatDateTimeForDisplay(source.lastSyncedAt)}</span>
+        {source.lastSyncStatus === 'ok' && (
+          <span style={styles.muted}> · {source.busyBlockCount} busy time(s)</span>
+        )}
+        {source.lastError && <div style={styles.error}>{source.lastError}</div>}
+      </>
+    );
+  };
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>External calendars</h3>
+        {!isAdding && (
+          <button onClick={() => setIsAdding(true)} style={styles.primaryBtn}>Connect calendar</button>
+        )}
+      </div>
+      <p style={styles.helpText}>
+        Patients cannot book times that are busy in these calendars. They are synced every few minutes.
+      </p>
+
+      {sources.length === 0 && !isAdding && (
+        <p style={styles.muted}>No calendars connected.</p>
+      )}
+
+      {sources.map(source => (
+        <div key={source._id} style={styles.source}>
+          <div style={styles.sourceInfo}>
+            <strong>{source.name}</strong>{' '}
+            <span style={styles.muted}>({source.type === 'caldav' ? 'CalDAV' : 'ICS'})</span>
+            <div style={styles.url}>{source.url}</div>
+            <div>{renderStatus(source)}</div>
+          </div>
+          <div style={styles.buttons}>
+            <button onClick={() => handleSync(source._id)} disabled={busyId === source._id} style={styles.secondaryBtn}>
+              {busyId === source._id ? 'Syncing...' : 'Sync now'}
+            </button>
+            <button onClick={() => handleRemove(source._id)} disabled={busyId === source._id} style={styles.dangerBtn}>
+              Remove
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {isAdding && (
+        <form onSubmit={handleAdd} style={styles.form}>
+          <select name="type" value={formData.type} onChange={handleChange} style={styles.input}>
+            <option value="ics">ICS feed URL</option>
+            <option value="caldav">CalDAV calendar</option>
+          </select>
+          <input
+            type="text"
+            name="name"
+            value={formData.name}
+            onChange={handleChange}
+            placeholder="Name, e.g. Hospital rota"
+            style={styles.input}
+            required
+          />
+          <input
+            type="text"
+            name="url"
+            value={formData.url}
+            onChange={handleChange}
+            placeholder={formData.type === 'caldav' ? 'https://caldav.example.com/calendars/me/work/' : 'https:// or webcal:// link to an .ics file'}
+            style={styles.input}
+            required
+          />
+          {formData.type === 'caldav' && (
+            <>
+              <input
+                type="text"
+                name="username"
+                value={formData.username}
+                onChange={handleChange}
+                placeholder="Username"
+                style={styles.input}
+              />
+              <input
+                type="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                placeholder="Password or app password"
+                style={styles.input}
+              />
+            </>
+          )}
+          {errors.map(error => (
+            <div key={error} style={styles.error}>{error}</div>
+          ))}
+          <div style={styles.buttons}>
+            <button
+              type="button"
+              onClick={() => { setIsAdding(false); setErrors([]); setFormData(EMPTY_FORM); }}
+              style={styles.secondaryBtn}
+            >
+              Cancel
+            </button>
+            <button type="submit" disabled={busyId === 'new'} style={styles.primaryBtn}>
+              {busyId === 'new' ? 'Connecting...' : 'Connect'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '8px',
+    padding: '2rem',
+    marginTop: '1.5rem',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    margin: 0,
+    color: '#2c3e50',
+  },
+  helpText: {
+    fontSize: '0.875rem',
+    color: '#7f8c8d',
+  },
+  source: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    gap: '1rem',
+    padding: '0.75rem 0',
+    borderBottom: '1px solid #ecf0f1',
+  },
+  sourceInfo: {
+    minWidth: 0,
+    color: '#2c3e50',
+  },
+  url: {
+    fontSize: '0.8rem',
+    color: '#7f8c8d',
+    wordBreak: 'break-all',
+  },
+  muted: {
+    fontSize: '0.875rem',
+    color: '#7f8c8d',
+  },
+  ok: {
+    fontSize: '0.875rem',
+    color: '#27ae60',
+    fontWeight: 'bold',
+  },
+  failed: {
+    fontSize: '0.875rem',
+    color: '#e74c3c',
+    fontWeight: 'bold',
+  },
+  error: {
+    color: '#e74c3c',
+    fontSize: '0.875rem',
+    marginTop: '0.25rem',
+  },
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '0.75rem',
+    marginTop: '1rem',
+  },
+  input: {
+    padding: '0.75rem',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    fontSize: '1rem',
+  },
+  buttons: {
+    display: 'flex',
+    gap: '0.5rem',
+    justifyContent: 'flex-end',
+  },
+  primaryBtn: {
+    backgroundColor: '#3498db',
+    color: 'white',
+    border: 'none',
+    padding: '0.5rem 1rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  secondaryBtn: {
+    backgroundColor: '#95a5a6',
+    color: 'white',
+    border: 'none',
+    padding: '0.5rem 1rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  dangerBtn: {
+    backgroundColor: '#e74c3c',
+    color: 'white',
+    border: 'none',
+    padding: '0.5rem 1rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+};
+
+export default CalendarSources;
@@ -0,0 +1,377 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+import { formatDateForDisplay, formatInstantTime, getCurrentDate } from '../utils/dateUtils';
+
+const INITIAL_SESSION = {
+  doctorId: '',
+  title: '',
+  description: '',
+  date: '',
+  time: '',
+  duration: 60,
+  capacity: 8,
+};
+
+/**
+ * GroupSessionsPanel component listing upcoming group sessions with their remaining seats
+ * Patients can join; doctors and admins can create and cancel sessions and see the attendee
+ * list, and doctors record attendance
+ * @param {Object} user - Current user
+ * @param {Function} onAppointmentsChanged - Called after seats are booked or cancelled
+ */
+const GroupSessionsPanel = ({ user, onAppointmentsChanged }) => {
+  const [sessions, setSessions] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [newSession, setNewSession] = useState(INITIAL_SESSION);
+  const [showForm, setShowForm] = useState(false);
+  const [openSessionId, setOpenSessionId] = useState(null);
+  const [attendees, setAttendees] = useState([]);
+  const isStaff = ['doctor', 'admin'].includes(user.role);
+
+  useEffect(() => {
+    fetchSessions();
+    if (user.role === 'admin') {
+      fetchDoctors();
+    }
+    // eslint-disable-next-line
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const res = await api.get('/group-sessions');
+      setSessions(res.data.data.sessions);
+    } catch (err) {
+      setSessions([]);
+    }
+  };
+
+  const fetchDoctors = async () => {
+    try {
+      const res = await api.get('/users/doctors');
+      setDoctors(res.data.data.doctors);
+    } catch (err) {
+      setDoctors([]);
+    }
+  };
+
+  const fetchAttendees = async (sessionId) => {
+    try {
+      const res = await api.get(`/group-sessions/${sessionId}/attendees`);
+      setAttendees(res.data.data.attendees);
+    } catch (err) {
+      setAttendees([]);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setNewSession(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await api.post('/group-sessions', newSession);
+      setNewSession(INITIAL_SESSION);
+      setShowForm(false);
+      fetchSessions();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to create group session.');
+    }
+  };
+
+  const handleJoin = async (sessionId) => {
+    try {
+      await api.post(`/group-sessions/${sessionId}/join`);
+      fetchSessions();
+      if (onAppointmentsChanged) {
+        onAppointmentsChanged();
+      }
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to join group session.');
+      fetchSessions();
+    }
+  };
+
+  const handleCancel = async (sessionId) => {
+    if (!window.confirm('Cancel this session and every seat booked in it?')) return;
+    try {
+      await api.post(`/group-sessions/${sessionId}/cancel`);
+      fetchSessions();
+      if (onAppointmentsChanged) {
+        onAppointmentsChanged();
+      }
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to cancel group session.');
+    }
+  };
+
+  const toggleAttendees = (sessionId) => {
+    if (openSessionId === sessionId) {
+      setOpenSessionId(null);
+      return;
+    }
+    setOpenSessionId(sessionId);
+    setAttendees([]);
+    fetchAttendees(sessionId);
+  };
+
+  const handleAttendance = async (sessionId, appointmentId, attended) => {
+    try {
+      await api.patch(`/group-sessions/${sessionId}/attendance/${appointmentId}`, { attended });
+      fetchAttendees(sessionId);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to record attendance.');
+    }
+  };
+
+  if (!isStaff && sessions.length === 0) return null;
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>Group sessions</h3>
+        {isStaff && (
+          <button onClick={() => setShowForm(!showForm)} style={styles.addBtn}>
+            {showForm ? 'Close' : 'New session'}
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleCreate} style={styles.form}>
+          {user.role === 'admin' && (
+            <select name="doctorId" value={newSession.doctorId} onChange={handleChange} style={styles.input} required>
+              <option value="">Select a doctor</option>
+              {doctors.map(doctor => (
+                <option key={doctor._id} value={doctor._id}>{doctor.name}</option>
+              ))}
+            </select>
+          )}
+          <input
+            name="title"
+            value={newSession.title}
+            onChange={handleChange}
+            placeholder="Title, e.g. Prenatal class"
+            style={styles.input}
+            maxLength="100"
+            required
+          />
+          <input
+            name="description"
+            value={newSession.description}
+            onChange={handleChange}
+            placeholder="Description (optional)"
+            style={styles.input}
+            maxLength="500"
+          />
+          <div style={styles.row}>
+            <input type="date" name="date" value={newSession.date} onChange={handleChange} style={styles.input} min={getCurrentDate()} required />
+            <input type="time" name="time" value={newSession.time} onChange={handleChange} style={styles.input} required />
+          </div>
+          <div style={styles.row}>
+            <label style={styles.label}>
+              Minutes
+              <input type="number" name="duration" value={newSession.duration} onChange={handleChange} style={styles.input} min="15" max="120" />
+            </label>
+            <label style={styles.label}>
+              Seats
+              <input type="number" name="capacity" value={newSession.capacity} onChange={handleChange} style={styles.input} min="2" max="100" />
+            </label>
+          </div>
+          <button type="submit" style={styles.joinBtn}>Create session</button>
+        </form>
+      )}
+
+      {sessions.length === 0 && <div style={styles.muted}>No upcoming group sessions.</div>}
+
+      {sessions.map((session) => (
+        <div key={session._id} style={styles.session}>
+          <div>
+            <strong>{session.title}</strong>
+            {session.doctor && <span style={styles.muted}> with Dr. {session.doctor.name}</span>}
+          </div>
+          <div style={styles.muted}>
+            {formatDateForDisplay(session.startsAt)} at {formatInstantTime(session.startsAt, undefined, true)}
+            {' '}({session.duration} min)
+            {session.location && ` - ${session.location.name}${session.room ? `, ${session.room.name}` : ''}`}
+          </div>
+          {session.description && <div>{session.description}</div>}
+          <div style={session.status === 'cancelled' ? styles.cancelled : styles.seats}>
+            {session.status === 'cancelled'
+              ? 'Cancelled'
+              : `${session.seatsRemaining} of ${session.capacity} seats left`}
+          </div>
+
+          <div style={styles.actions}>
+            {user.role === 'patient' && (
+              session.joined ? (
+                <span style={styles.joined}>You have a seat</span>
+              ) : (
+                <button
+                  onClick={() => handleJoin(session._id)}
+                  style={styles.joinBtn}
+                  disabled={session.seatsRemaining === 0}
+                >
+                  {session.seatsRemaining === 0 ? 'Full' : 'Join'}
+                </button>
+              )
+            )}
+            {isStaff && (
+              <button onClick={() => toggleAttendees(session._id)} style={styles.linkBtn}>
+                {openSessionId === session._id ? 'Hide attendees' : `Attendees (${session.seatsTaken})`}
+              </button>
+            )}
+            {isStaff && session.status === 'scheduled' && (
+              <button onClick={() => handleCancel(session._id)} style={styles.cancelBtn}>
+                Cancel session
+              </button>
+            )}
+          </div>
+
+          {openSessionId === session._id && (
+            <ul style={styles.attendees}>
+              {attendees.length === 0 && <li style={styles.muted}>Nobody has joined yet.</li>}
+              {attendees.map(attendee => (
+                <li key={attendee.appointmentId} style={styles.attendee}>
+                  <span>
+                    {attendee.patient?.name} <span style={styles.muted}>({attendee.status.replace('_', ' ')})</span>
+                  </span>
+                  {user.role === 'doctor' && ['pending', 'confirmed'].includes(attendee.status) && (
+                    <span style={styles.actions}>
+                      <button
+                        onClick={() => handleAttendance(session._id, attendee.appointmentId, true)}
+                        style={styles.joinBtn}
+                      >
+                        Attended
+                      </button>
+                      <button
+                        onClick={() => handleAttendance(session._id, attendee.appointmentId, false)}
+                        style={styles.cancelBtn}
+                      >
+                        No-show
+                      </button>
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const styles = {
+  panel: {
+    background: '#f4f6f8',
+    borderRadius: '8px',
+    padding: '1rem',
+    marginBottom: '2rem',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    color: '#2c3e50',
+    marginTop: 0,
+  },
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '0.5rem',
+    background: 'white',
+    borderRadius: '6px',
+    padding: '0.75rem',
+    marginBottom: '0.75rem',
+  },
+  row: {
+    display: 'flex',
+    gap: '0.5rem',
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    color: '#7f8c8d',
+    fontSize: '0.9rem',
+  },
+  input: {
+    padding: '0.4rem',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+  },
+  session: {
+    background: 'white',
+    borderRadius: '6px',
+    padding: '0.75rem',
+    marginBottom: '0.75rem',
+  },
+  muted: {
+    color: '#7f8c8d',
+  },
+  seats: {
+    color: '#27ae60',
+    margin: '0.5rem 0',
+  },
+  cancelled: {
+    color: '#e74c3c',
+    margin: '0.5rem 0',
+  },
+  joined: {
+    color: '#27ae60',
+    fontWeight: 'bold',
+  },
+  actions: {
+    display: 'flex',
+    gap: '0.5rem',
+    alignItems: 'center',
+  },
+  attendees: {
+    listStyle: 'none',
+    padding: 0,
+    margin: '0.5rem 0 0',
+  },
+  attendee: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '0.25rem 0',
+    borderTop: '1px solid #ecf0f1',
+  },
+  addBtn: {
+    backgroundColor: '#3498db',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  joinBtn: {
+    backgroundColor: '#27ae60',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  cancelBtn: {
+    backgroundColor: '#e74c3c',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  linkBtn: {
+    background: 'none',
+    border: 'none',
+    color: '#3498db',
+    cursor: 'pointer',
+    padding: 0,
+  },
+};
+
+export default GroupSessionsPanel;
@@ -1,6 +1,7 @@
 import React, { useContext } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
 
 /**
  * Navbar component with navigation and user menu
@@ -31,9 +32,20 @@ const Navbar = () => {
                 Book Appointment
               </Link>
             )}
+            {['doctor', 'admin'].includes(user.role) && (
+              <Link to="/waiting-room" style={styles.link}>
+                Waiting Room
+              </Link>
+            )}
+            {user.role === 'admin' && (
+              <Link to="/admin/users" style={styles.link}>
+                Users
+              </Link>
+            )}
             <Link to="/profile" style={styles.link}>
               Profile
             </Link>
+            <NotificationBell />
             <button onClick={handleLogout} style={styles.logoutBtn}>
               Logout
             </button>
@@ -0,0 +1,181 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../services/api';
+import { useServerEvents } from '../context/RealtimeContext';
+import { formatDateTimeForDisplay } from '../utils/dateUtils';
+
+/**
+ * NotificationBell component showing the unread count and a dropdown inbox
+ * The inbox is stored on the server, so unread items survive a page reload;
+ * new items arrive over the event stream while the page is open
+ */
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, []);
+
+  useServerEvents((eventName, notification) => {
+    if (eventName !== 'notification.created') return;
+    setNotifications(prev => [notification, ...prev.filter(n => n._id !== notification._id)]);
+    setUnreadCount(prev => prev + 1);
+  });
+
+  const fetchNotifications = async () => {
+    try {
+      const res = await api.get('/notifications');
+      setNotifications(res.data.data.notifications);
+      setUnreadCount(res.data.data.unreadCount);
+    } catch (err) {
+      setNotifications([]);
+    }
+  };
+
+  const handleOpen = (notification) => {
+    setIsOpen(false);
+    if (!notification.isRead) {
+      markAsRead(notification._id);
+    }
+    if (notification.appointmentId) {
+      navigate('/dashboard');
+    }
+  };
+
+  const markAsRead = async (notificationId) => {
+    try {
+      const res = await api.patch(`/notifications/${notificationId}/read`);
+      setNotifications(prev => prev.map(n => (n._id === notificationId ? res.data.data.notification : n)));
+      setUnreadCount(res.data.data.unreadCount);
+    } catch (err) {
+      fetchNotifications();
+    }
+  };
+
+  const markAllAsRead = async () => {
+    try {
+      await api.post('/notifications/read-all');
+      setNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to mark notifications as read.');
+    }
+  };
+
+  return (
+    <div style={styles.wrapper}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        style={styles.bell}
+        aria-label={`Notifications (${unreadCount} unread)`}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span style={styles.badge}>{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div style={styles.dropdown}>
+          <div style={styles.header}>
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button onClick={markAllAsRead} style={styles.linkBtn}>Mark all as read</button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <div style={styles.empty}>You have no notifications.</div>
+          ) : (
+            notifications.map(notification => (
+              <div
+                key={notification._id}
+                onClick={() => handleOpen(notification)}
+                style={notification.isRead ? styles.item : { ...styles.item, ...styles.unread }}
+              >
+                <div>{notification.message}</div>
+                <div style={styles.time}>{formatDateTimeForDisplay(notification.createdAt)}</div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  wrapper: {
+    position: 'relative',
+  },
+  bell: {
+    position: 'relative',
+    background: 'none',
+    border: 'none',
+    fontSize: '1.25rem',
+    cursor: 'pointer',
+    padding: '0.25rem 0.5rem',
+  },
+  badge: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    backgroundColor: '#e74c3c',
+    color: 'white',
+    borderRadius: '10px',
+    fontSize: '0.7rem',
+    padding: '0 0.35rem',
+    fontWeight: 'bold',
+  },
+  dropdown: {
+    position: 'absolute',
+    right: 0,
+    top: '2.5rem',
+    width: '320px',
+    maxHeight: '400px',
+    overflowY: 'auto',
+    background: 'white',
+    color: '#2c3e50',
+    borderRadius: '6px',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.2)',
+    zIndex: 100,
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '0.75rem',
+    borderBottom: '1px solid #ecf0f1',
+  },
+  item: {
+    padding: '0.75rem',
+    borderBottom: '1px solid #ecf0f1',
+    cursor: 'pointer',
+    fontSize: '0.9rem',
+  },
+  unread: {
+    background: '#eaf2fb',
+    fontWeight: 'bold',
+  },
+  time: {
+    color: '#7f8c8d',
+    fontSize: '0.8rem',
+    fontWeight: 'normal',
+  },
+  empty: {
+    padding: '1rem',
+    color: '#7f8c8d',
+    textAlign: 'center',
+  },
+  linkBtn: {
+    background: 'none',
+    border: 'none',
+    color: '#3498db',
+    cursor: 'pointer',
+    padding: 0,
+  },
+};
+
+export default NotificationBell;
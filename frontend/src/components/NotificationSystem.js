@@ -184,4 +184,4 @@ export const withNotifications = (Component) => {
   };
 };
 
-export default NotificationSystem; 
\ No newline at end of file
+export default NotificationProvider; 
\ No newline at end of file
@@ -4,8 +4,9 @@ import { AuthContext } from '../context/AuthContext';
 
 /**
  * ProtectedRoute component to guard routes that require authentication
+ * @param {Array<string>} roles - Roles allowed to see the route; any signed-in user when omitted
  */
-const ProtectedRoute = ({ children }) => {
+const ProtectedRoute = ({ children, roles }) => {
   const { user, loading } = useContext(AuthContext);
 
   if (loading) {
@@ -16,6 +17,10 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" />;
   }
 
+  if (roles && !roles.includes(user.role)) {
+    return <Navigate to="/dashboard" />;
+  }
+
   return children;
 };
 
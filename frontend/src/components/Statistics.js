@@ -1,64 +1,70 @@
 import React, { useState, useEffect } from 'react';
-import { formatDateForDisplay, getCurrentDate } from '../utils/dateUtils';
+import api from '../services/api';
+import { formatCalendarDay } from '../utils/dateUtils';
+
+const STATUSES = ['pending', 'confirmed', 'checked_in', 'in_progress', 'completed', 'cancelled', 'no_show'];
+
+const INITIAL_FILTERS = {
+  from: '',
+  to: '',
+  interval: 'day',
+  doctorId: '',
+};
 
 /**
  * Statistics component for displaying appointment analytics
+ * Every number comes from the analytics API, so it covers all appointments
+ * in the range the user may see, not just the ones loaded on the page
+ * @param {Object} user - Current user
  */
-const Statistics = ({ appointments = [], userRole }) => {
-  const [stats, setStats] = useState({
-    total: 0,
-    pending: 0,
-    confirmed: 0,
-    completed: 0,
-    cancelled: 0,
-    today: 0,
-    thisWeek: 0,
-    thisMonth: 0,
-    upcoming: 0,
-    past: 0
-  });
-
-  // Calculate statistics when appointments change
+const Statistics = ({ user }) => {
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
+  const [summary, setSummary] = useState(null);
+  const [series, setSeries] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [error, setError] = useState('');
+
   useEffect(() => {
-    calculateStats();
-  }, [appointments]);
+    if (user.role === 'admin') {
+      fetchDoctors();
+    }
+    // eslint-disable-next-line
+  }, []);
 
-  /**
-   * Calculate all statistics
-   */
-  const calculateStats = () => {
-    const today = getCurrentDate();
-    const now = new Date();
-    const weekStart = new Date(now);
-    weekStart.setDate(now.getDate() - now.getDay());
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-
-    const newStats = {
-      total: appointments.length,
-      pending: appointments.filter(apt => apt.status === 'pending').length,
-      confirmed: appointments.filter(apt => apt.status === 'confirmed').length,
-      completed: appointments.filter(apt => apt.status === 'completed').length,
-      cancelled: appointments.filter(apt => apt.status === 'cancelled').length,
-      today: appointments.filter(apt => apt.date === today).length,
-      thisWeek: appointments.filter(apt => {
-        const aptDate = new Date(apt.date);
-        return aptDate >= weekStart && aptDate <= now;
-      }).length,
-      thisMonth: appointments.filter(apt => {
-        const aptDate = new Date(apt.date);
-        return aptDate >= monthStart && aptDate <= now;
-      }).length,
-      upcoming: appointments.filter(apt => {
-        const aptDate = new Date(apt.date);
-        return aptDate > now && apt.status !== 'cancelled';
-      }).length,
-      past: appointments.filter(apt => {
-        const aptDate = new Date(apt.date);
-        return aptDate < now;
-      }).length
-    };
-
-    setStats(newStats);
+  useEffect(() => {
+    fetchAnalytics();
+    // eslint-disable-next-line
+  }, [filters]);
+
+  const fetchDoctors = async () => {
+    try {
+      const res = await api.get('/appointments/doctors/list');
+      setDoctors(res.data.data.doctors);
+    } catch (err) {
+      setDoctors([]);
+    }
+  };
+
+  const fetchAnalytics = async () => {
+    // Leave out empty filters; the server defaults to the last 30 days
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+    try {
+      const [summaryRes, seriesRes] = await Promise.all([
+        api.get('/analytics/summary', { params }),
+        api.get('/analytics/timeseries', { params }),
+      ]);
+      setSummary(summaryRes.data.data);
+      setSeries(seriesRes.data.data.series);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load statistics.');
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
   };
 
   /**
@@ -69,6 +75,11 @@ const Statistics = ({ appointments = [], userRole }) => {
     return Math.round((value / total) * 100);
   };
 
+  /**
+   * Format a rate from the API, which is null when there is nothing to measure
+   */
+  const formatRate = (rate) => (rate === null ? '-' : `${Math.round(rate * 100)}%`);
+
   /**
    * Get status color
    */
@@ -76,161 +87,273 @@ const Statistics = ({ appointments = [], userRole }) => {
     switch (status) {
       case 'pending': return '#ffc107';
       case 'confirmed': return '#28a745';
+      case 'checked_in': return '#fd7e14';
+      case 'in_progress': return '#20c997';
       case 'completed': return '#17a2b8';
       case 'cancelled': return '#dc3545';
+      case 'no_show': return '#6f42c1';
       default: return '#6c757d';
     }
   };
 
-  /**
-   * Get recent appointments
-   */
-  const getRecentAppointments = () => {
-    return appointments
-      .filter(apt => apt.status !== 'cancelled')
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, 5);
-  };
+  const maxVolume = Math.max(1, ...series.map(point => Math.max(point.booked, point.scheduled)));
 
   return (
-    <div className="statistics">
-      <h3 className="statistics-title">Statistics Overview</h3>
-      
-      {/* Main Stats Grid */}
-      <div className="stats-grid">
-        <div className="stat-card">
-          <div className="stat-icon">📊</div>
-          <div className="stat-content">
-            <h4 className="stat-number">{stats.total}</h4>
-            <p className="stat-label">Total Appointments</p>
-          </div>
-        </div>
-
-        <div className="stat-card">
-          <div className="stat-icon">⏳</div>
-          <div className="stat-content">
-            <h4 className="stat-number">{stats.pending}</h4>
-            <p className="stat-label">Pending</p>
-            <small className="stat-percentage">
-              {getPercentage(stats.pending, stats.total)}% of total
-            </small>
-          </div>
-        </div>
-
-        <div className="stat-card">
-          <div className="stat-icon">✅</div>
-          <div className="stat-content">
-            <h4 className="stat-number">{stats.confirmed}</h4>
-            <p className="stat-label">Confirmed</p>
-            <small className="stat-percentage">
-              {getPercentage(stats.confirmed, stats.total)}% of total
-            </small>
-          </div>
-        </div>
-
-        <div className="stat-card">
-          <div className="stat-icon">🎯</div>
-          <div className="stat-content">
-            <h4 className="stat-number">{stats.completed}</h4>
-            <p className="stat-label">Completed</p>
-            <small className="stat-percentage">
-              {getPercentage(stats.completed, stats.total)}% of total
-            </small>
-          </div>
-        </div>
+    <div style={styles.panel}>
+      <h3 style={styles.title}>Statistics Overview</h3>
 
-        <div className="stat-card">
-          <div className="stat-icon">📅</div>
-          <div className="stat-content">
-            <h4 className="stat-number">{stats.today}</h4>
-            <p className="stat-label">Today</p>
-          </div>
-        </div>
+      <div style={styles.filters}>
+        <label style={styles.field}>
+          From
+          <input type="date" name="from" value={filters.from} onChange={handleChange} />
+        </label>
+        <label style={styles.field}>
+          To
+          <input type="date" name="to" value={filters.to} onChange={handleChange} min={filters.from} />
+        </label>
+        <label style={styles.field}>
+          Volume by
+          <select name="interval" value={filters.interval} onChange={handleChange}>
+            <option value="day">Day</option>
+            <option value="week">Week</option>
+          </select>
+        </label>
+        {user.role === 'admin' && (
+          <label style={styles.field}>
+            Doctor
+            <select name="doctorId" value={filters.doctorId} onChange={handleChange}>
+              <option value="">All doctors</option>
+              {doctors.map(doctor => (
+                <option key={doctor._id} value={doctor._id}>{doctor.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {error && <div style={styles.error}>{error}</div>}
 
-        <div className="stat-card">
-          <div className="stat-icon">📈</div>
-          <div className="stat-content">
-            <h4 className="stat-number">{stats.upcoming}</h4>
-            <p className="stat-label">Upcoming</p>
+      {summary && (
+        <>
+          <p style={styles.range}>
+            {formatCalendarDay(summary.from)} - {formatCalendarDay(summary.to)}
+          </p>
+
+          {/* Main Stats Grid */}
+          <div style={styles.grid}>
+            <div style={styles.card}>
+              <h4 style={styles.number}>{summary.total}</h4>
+              <p style={styles.label}>Total Appointments</p>
+            </div>
+            <div style={styles.card}>
+              <h4 style={styles.number}>{formatRate(summary.cancellationRate)}</h4>
+              <p style={styles.label}>Cancellation rate</p>
+            </div>
+            <div style={styles.card}>
+              <h4 style={styles.number}>{formatRate(summary.noShowRate)}</h4>
+              <p style={styles.label}>No-show rate</p>
+            </div>
           </div>
-        </div>
-      </div>
 
-      {/* Status Distribution Chart */}
-      <div className="stats-section">
-        <h4>Status Distribution</h4>
-        <div className="status-chart">
-          {['pending', 'confirmed', 'completed', 'cancelled'].map(status => (
-            <div key={status} className="status-bar">
-              <div className="status-info">
-                <span className="status-label">{status.charAt(0).toUpperCase() + status.slice(1)}</span>
-                <span className="status-count">{stats[status]}</span>
-              </div>
-              <div className="status-progress">
-                <div 
-                  className="status-fill"
+          {/* Status Distribution Chart */}
+          <h4 style={styles.sectionTitle}>Status Distribution</h4>
+          {STATUSES.map(status => (
+            <div key={status} style={styles.barRow}>
+              <span style={styles.barLabel}>{status.replace('_', ' ')}</span>
+              <div style={styles.barTrack}>
+                <div
                   style={{
-                    width: `${getPercentage(stats[status], stats.total)}%`,
-                    backgroundColor: getStatusColor(status)
+                    ...styles.barFill,
+                    width: `${getPercentage(summary.statusCounts[status], summary.total)}%`,
+                    backgroundColor: getStatusColor(status),
                   }}
-                ></div>
+                />
               </div>
+              <span style={styles.barValue}>{summary.statusCounts[status]}</span>
             </div>
           ))}
-        </div>
-      </div>
 
-      {/* Time-based Stats */}
-      <div className="stats-section">
-        <h4>Time-based Statistics</h4>
-        <div className="time-stats">
-          <div className="time-stat">
-            <span className="time-label">This Week:</span>
-            <span className="time-value">{stats.thisWeek}</span>
-          </div>
-          <div className="time-stat">
-            <span className="time-label">This Month:</span>
-            <span className="time-value">{stats.thisMonth}</span>
-          </div>
-          <div className="time-stat">
-            <span className="time-label">Past Appointments:</span>
-            <span className="time-value">{stats.past}</span>
-          </div>
-        </div>
-      </div>
+          {/* Doctor Utilization */}
+          {summary.utilization.length > 0 && (
+            <>
+              <h4 style={styles.sectionTitle}>Doctor utilization</h4>
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.cell}>Doctor</th>
+                    <th style={styles.cell}>Booked (h)</th>
+                    <th style={styles.cell}>Scheduled (h)</th>
+                    <th style={styles.cell}>Utilization</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.utilization.map(entry => (
+                    <tr key={entry.doctorId}>
+                      <td style={styles.cell}>{entry.name}</td>
+                      <td style={styles.cell}>{(entry.bookedMinutes / 60).toFixed(1)}</td>
+                      <td style={styles.cell}>{(entry.scheduledMinutes / 60).toFixed(1)}</td>
+                      <td style={styles.cell}>{formatRate(entry.utilization)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </>
+      )}
 
-      {/* Recent Appointments */}
-      <div className="stats-section">
-        <h4>Recent Appointments</h4>
-        <div className="recent-appointments">
-          {getRecentAppointments().length > 0 ? (
-            getRecentAppointments().map(appointment => (
-              <div key={appointment._id} className="recent-appointment">
-                <div className="recent-appointment-info">
-                  <span className="recent-date">
-                    {formatDateForDisplay(appointment.date, 'short')}
-                  </span>
-                  <span className="recent-time">{appointment.time}</span>
-                  <span className="recent-status" style={{ color: getStatusColor(appointment.status) }}>
-                    {appointment.status}
-                  </span>
-                </div>
-                <div className="recent-participants">
-                  {userRole === 'patient' ? (
-                    <span>Dr. {appointment.doctor?.name}</span>
-                  ) : (
-                    <span>{appointment.patient?.name}</span>
-                  )}
-                </div>
+      {/* Booking Volume */}
+      {series.length > 0 && (
+        <>
+          <h4 style={styles.sectionTitle}>
+            Booking volume per {filters.interval}
+            <span style={styles.legend}>
+              <span style={{ ...styles.swatch, backgroundColor: '#3498db' }} /> booked
+              <span style={{ ...styles.swatch, backgroundColor: '#95a5a6' }} /> taking place
+            </span>
+          </h4>
+          <div style={styles.chart}>
+            {series.map(point => (
+              <div
+                key={point.period}
+                style={styles.column}
+                title={`${formatCalendarDay(point.period)}: ${point.booked} booked, ${point.scheduled} taking place, ${point.cancelled} cancelled, ${point.noShow} no-shows`}
+              >
+                <div style={{ ...styles.columnBar, height: `${(point.booked / maxVolume) * 100}%`, backgroundColor: '#3498db' }} />
+                <div style={{ ...styles.columnBar, height: `${(point.scheduled / maxVolume) * 100}%`, backgroundColor: '#95a5a6' }} />
               </div>
-            ))
-          ) : (
-            <p className="no-appointments">No recent appointments</p>
-          )}
-        </div>
-      </div>
+            ))}
+          </div>
+        </>
+      )}
     </div>
   );
 };
 
-export default Statistics; 
\ No newline at end of file
+const styles = {
+  panel: {
+    background: '#f4f6f8',
+    borderRadius: '8px',
+    padding: '1rem',
+    marginBottom: '2rem',
+  },
+  title: {
+    color: '#2c3e50',
+    margin: 0,
+  },
+  filters: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '0.75rem',
+    alignItems: 'flex-end',
+    marginTop: '1rem',
+  },
+  field: {
+    display: 'flex',
+    flexDirection: 'column',
+    fontSize: '0.875rem',
+    color: '#2c3e50',
+  },
+  error: {
+    color: '#e74c3c',
+    marginTop: '0.75rem',
+  },
+  range: {
+    color: '#7f8c8d',
+    fontSize: '0.875rem',
+  },
+  grid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
+    gap: '0.75rem',
+  },
+  card: {
+    background: 'white',
+    borderRadius: '6px',
+    padding: '0.75rem',
+    textAlign: 'center',
+  },
+  number: {
+    fontSize: '1.5rem',
+    color: '#2c3e50',
+    margin: 0,
+  },
+  label: {
+    color: '#7f8c8d',
+    margin: '0.25rem 0 0',
+    fontSize: '0.875rem',
+  },
+  sectionTitle: {
+    color: '#2c3e50',
+    margin: '1.25rem 0 0.5rem',
+  },
+  barRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.5rem',
+    marginBottom: '0.25rem',
+    fontSize: '0.875rem',
+  },
+  barLabel: {
+    width: '90px',
+    textTransform: 'capitalize',
+  },
+  barTrack: {
+    flex: 1,
+    height: '10px',
+    background: '#e0e0e0',
+    borderRadius: '5px',
+    overflow: 'hidden',
+  },
+  barFill: {
+    height: '100%',
+  },
+  barValue: {
+    width: '40px',
+    textAlign: 'right',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '0.875rem',
+  },
+  cell: {
+    borderBottom: '1px solid #ddd',
+    padding: '0.4rem',
+    textAlign: 'left',
+  },
+  legend: {
+    fontWeight: 'normal',
+    fontSize: '0.75rem',
+    color: '#7f8c8d',
+    marginLeft: '1rem',
+  },
+  swatch: {
+    display: 'inline-block',
+    width: '10px',
+    height: '10px',
+    margin: '0 0.25rem 0 0.5rem',
+  },
+  chart: {
+    display: 'flex',
+    alignItems: 'flex-end',
+    gap: '2px',
+    height: '120px',
+    background: 'white',
+    borderRadius: '6px',
+    padding: '0.5rem',
+  },
+  column: {
+    flex: 1,
+    display: 'flex',
+    alignItems: 'flex-end',
+    gap: '1px',
+    height: '100%',
+  },
+  columnBar: {
+    flex: 1,
+    minHeight: '1px',
+  },
+};
+
+export default Statistics;
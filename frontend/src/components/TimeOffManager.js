@@ -0,0 +1,328 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+import { formatDateForDisplay, formatInstantTime } from '../utils/dateUtils';
+
+const INITIAL_FORM_DATA = {
+  startDate: '',
+  endDate: '',
+  startTime: '',
+  endTime: '',
+  reason: 'vacation',
+  note: '',
+  doctorId: '',
+};
+
+const REASONS = ['vacation', 'conference', 'sick', 'holiday', 'other'];
+
+/**
+ * TimeOffManager component for doctors and admins to block out time
+ * After adding a block, lists the appointments it collides with and offers
+ * to cancel or reschedule them in bulk
+ * @param {Object} user - Current user
+ * @param {Function} onAppointmentsChanged - Called after conflicts are resolved
+ */
+const TimeOffManager = ({ user, onAppointmentsChanged }) => {
+  const [blocks, setBlocks] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [formData, setFormData] = useState(INITIAL_FORM_DATA);
+  const [showForm, setShowForm] = useState(false);
+  const [conflicts, setConflicts] = useState(null);
+
+  useEffect(() => {
+    fetchBlocks();
+    if (user.role === 'admin') {
+      fetchDoctors();
+    }
+    // eslint-disable-next-line
+  }, []);
+
+  const fetchDoctors = async () => {
+    try {
+      const res = await api.get('/appointments/doctors/list');
+      setDoctors(res.data.data.doctors);
+    } catch (err) {
+      setDoctors([]);
+    }
+  };
+
+  const fetchBlocks = async () => {
+    try {
+      const res = await api.get('/time-off');
+      setBlocks(res.data.data.timeOff);
+    } catch (err) {
+      setBlocks([]);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { doctorId, startTime, endTime, ...fields } = formData;
+    // Admins leave the doctor empty for a clinic-wide closure
+    const selectedDoctorId = user.role === 'doctor' ? user._id : doctorId;
+    const payload = { ...fields, scope: selectedDoctorId ? 'doctor' : 'clinic' };
+
+    if (selectedDoctorId) {
+      payload.doctorId = selectedDoctorId;
+    }
+    if (startTime && endTime) {
+      payload.startTime = startTime;
+      payload.endTime = endTime;
+      payload.endDate = fields.startDate;
+    }
+
+    try {
+      const res = await api.post('/time-off', payload);
+      setConflicts({ timeOffId: res.data.data.timeOff._id, appointments: res.data.data.conflicts });
+      setFormData(INITIAL_FORM_DATA);
+      setShowForm(false);
+      fetchBlocks();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to add time off.');
+    }
+  };
+
+  const handleShowConflicts = async (timeOffId) => {
+    try {
+      const res = await api.get(`/time-off/${timeOffId}/conflicts`);
+      setConflicts({ timeOffId, appointments: res.data.data.conflicts });
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to load conflicting appointments.');
+    }
+  };
+
+  const handleResolve = async (action) => {
+    const verb = action === 'cancel' ? 'Cancel' : 'Reschedule';
+    if (!window.confirm(`${verb} all ${conflicts.appointments.length} conflicting appointment(s)?`)) return;
+    try {
+      const res = await api.post(`/time-off/${conflicts.timeOffId}/conflicts/resolve`, { action });
+      const failed = res.data.data.results.filter(result => result.status === 'failed');
+      alert(failed.length > 0 ? `${res.data.message}. ${failed[0].reason}` : res.data.message);
+      handleShowConflicts(conflicts.timeOffId);
+      if (onAppointmentsChanged) onAppointmentsChanged();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update appointments.');
+    }
+  };
+
+  const handleDelete = async (timeOffId) => {
+    if (!window.confirm('Remove this time off?')) return;
+    try {
+      await api.delete(`/time-off/${timeOffId}`);
+      if (conflicts?.timeOffId === timeOffId) setConflicts(null);
+      fetchBlocks();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to remove time off.');
+    }
+  };
+
+  const formatBlock = (block) => {
+    if (!block.allDay) {
+      const start = new Date(block.startsAt);
+      const end = new Date(block.endsAt);
+      return `${formatDateForDisplay(start)} ${formatInstantTime(start)}-${formatInstantTime(end, undefined, true)}`;
+    }
+    // endsAt is midnight after the last day
+    const lastDay = new Date(new Date(block.endsAt).getTime() - 1);
+    const first = formatDateForDisplay(block.startsAt);
+    const last = formatDateForDisplay(lastDay);
+    return first === last ? first : `${first} - ${last}`;
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>Time off</h3>
+        <button onClick={() => setShowForm(!showForm)} style={styles.addBtn}>
+          {showForm ? 'Close' : 'Add time off'}
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} style={styles.form}>
+          <label style={styles.field}>
+            From
+            <input type="date" name="startDate" value={formData.startDate} onChange={handleChange} required />
+          </label>
+          <label style={styles.field}>
+            To
+            <input
+              type="date"
+              name="endDate"
+              value={formData.endDate}
+              onChange={handleChange}
+              min={formData.startDate}
+              disabled={Boolean(formData.startTime)}
+            />
+          </label>
+          <label style={styles.field}>
+            Start time (optional)
+            <input type="time" name="startTime" value={formData.startTime} onChange={handleChange} />
+          </label>
+          <label style={styles.field}>
+            End time
+            <input type="time" name="endTime" value={formData.endTime} onChange={handleChange} />
+          </label>
+          <label style={styles.field}>
+            Reason
+            <select name="reason" value={formData.reason} onChange={handleChange}>
+              {REASONS.map(reason => (
+                <option key={reason} value={reason}>{reason}</option>
+              ))}
+            </select>
+          </label>
+          <label style={styles.field}>
+            Note
+            <input type="text" name="note" value={formData.note} onChange={handleChange} maxLength={200} />
+          </label>
+          {user.role === 'admin' && (
+            <label style={styles.field}>
+              Applies to
+              <select name="doctorId" value={formData.doctorId} onChange={handleChange}>
+                <option value="">Whole clinic (closure)</option>
+                {doctors.map(doctor => (
+                  <option key={doctor._id} value={doctor._id}>{doctor.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <button type="submit" style={styles.addBtn}>Save</button>
+        </form>
+      )}
+
+      {blocks.length === 0 ? (
+        <div style={styles.empty}>No upcoming time off.</div>
+      ) : (
+        blocks.map(block => (
+          <div key={block._id} style={styles.block}>
+            <span>
+              <strong>{formatBlock(block)}</strong> {block.scope === 'clinic' ? 'Clinic closed' : block.reason}
+              {block.note && ` - ${block.note}`}
+            </span>
+            {block.canManage && (
+              <span style={styles.actions}>
+                <button onClick={() => handleShowConflicts(block._id)} style={styles.linkBtn}>
+                  Conflicts
+                </button>
+                <button onClick={() => handleDelete(block._id)} style={styles.linkBtn}>
+                  Remove
+                </button>
+              </span>
+            )}
+          </div>
+        ))
+      )}
+
+      {conflicts && (
+        <div style={styles.conflicts}>
+          {conflicts.appointments.length === 0 ? (
+            <span>No appointments collide with this time off.</span>
+          ) : (
+            <>
+              <strong>{conflicts.appointments.length} appointment(s) collide with this time off:</strong>
+              <ul>
+                {conflicts.appointments.map(apt => (
+                  <li key={apt.appointmentId}>
+                    {formatDateForDisplay(apt.startsAt)} {formatInstantTime(apt.startsAt)} - {apt.patient?.name}
+                    {user.role === 'admin' && apt.doctor && ` with Dr. ${apt.doctor.name}`}
+                  </li>
+                ))}
+              </ul>
+              <div style={styles.actions}>
+                <button onClick={() => handleResolve('reschedule')} style={styles.addBtn}>
+                  Reschedule all
+                </button>
+                <button onClick={() => handleResolve('cancel')} style={styles.cancelBtn}>
+                  Cancel all
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  panel: {
+    background: '#f4f6f8',
+    borderRadius: '8px',
+    padding: '1rem',
+    marginBottom: '2rem',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    color: '#2c3e50',
+    margin: 0,
+  },
+  form: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '0.75rem',
+    alignItems: 'flex-end',
+    margin: '1rem 0',
+  },
+  field: {
+    display: 'flex',
+    flexDirection: 'column',
+    fontSize: '0.875rem',
+    color: '#2c3e50',
+  },
+  empty: {
+    color: '#7f8c8d',
+    marginTop: '0.75rem',
+  },
+  block: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    background: 'white',
+    borderRadius: '6px',
+    padding: '0.5rem 0.75rem',
+    marginTop: '0.5rem',
+  },
+  actions: {
+    display: 'flex',
+    gap: '0.5rem',
+  },
+  conflicts: {
+    color: '#8a6d3b',
+    background: '#fcf8e3',
+    padding: '0.75rem',
+    borderRadius: '4px',
+    marginTop: '1rem',
+  },
+  addBtn: {
+    backgroundColor: '#3498db',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  cancelBtn: {
+    backgroundColor: '#e74c3c',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  linkBtn: {
+    background: 'none',
+    border: 'none',
+    color: '#3498db',
+    cursor: 'pointer',
+    padding: 0,
+  },
+};
+
+export default TimeOffManager;
@@ -0,0 +1,192 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+import { formatDateForDisplay, formatInstantTime, getCurrentDate } from '../utils/dateUtils';
+
+/**
+ * TriagePanel component listing urgent bookings that still need a doctor's review
+ * Each booking can be kept in its slot, squeezed into an overbook slot at another
+ * time, or downgraded to a routine booking
+ * @param {Object} user - Current user
+ * @param {Function} onAppointmentsChanged - Called after a booking is reviewed
+ */
+const TriagePanel = ({ user, onAppointmentsChanged }) => {
+  const [appointments, setAppointments] = useState([]);
+  const [overbookSlots, setOverbookSlots] = useState(null);
+  const [squeezeId, setSqueezeId] = useState(null);
+  const [squeezeData, setSqueezeData] = useState({ date: '', time: '' });
+
+  useEffect(() => {
+    fetchQueue();
+    // eslint-disable-next-line
+  }, []);
+
+  const fetchQueue = async () => {
+    try {
+      const res = await api.get('/appointments/triage');
+      setAppointments(res.data.data.appointments);
+      setOverbookSlots(res.data.data.overbookSlots || null);
+    } catch (err) {
+      setAppointments([]);
+    }
+  };
+
+  const handleSqueezeChange = (e) => {
+    const { name, value } = e.target;
+    setSqueezeData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleReview = async (appointmentId, action, extra = {}) => {
+    try {
+      await api.post(`/appointments/${appointmentId}/triage`, { action, ...extra });
+      setSqueezeId(null);
+      setSqueezeData({ date: '', time: '' });
+      fetchQueue();
+      if (onAppointmentsChanged) {
+        onAppointmentsChanged();
+      }
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to review urgent appointment.');
+    }
+  };
+
+  const handleSqueezeSubmit = (e, appointmentId) => {
+    e.preventDefault();
+    handleReview(appointmentId, 'overbook', squeezeData);
+  };
+
+  if (appointments.length === 0) return null;
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>Urgent requests to review ({appointments.length})</h3>
+        {overbookSlots && (
+          <span style={styles.muted}>
+            Overbooks today: {overbookSlots.usedToday} of {overbookSlots.maxPerDay}
+          </span>
+        )}
+      </div>
+
+      {appointments.map((apt) => (
+        <div key={apt._id} style={styles.item}>
+          <div>
+            <strong>{apt.patient?.name || 'Patient'}</strong>
+            {user.role === 'admin' && apt.doctor && <span style={styles.muted}> for Dr. {apt.doctor.name}</span>}
+          </div>
+          <div style={styles.muted}>
+            Booked for {formatDateForDisplay(apt.startsAt)} at {formatInstantTime(apt.startsAt, undefined, true)}
+            {' '}({apt.duration} min)
+          </div>
+          {apt.symptoms && <div>{apt.symptoms}</div>}
+
+          <div style={styles.actions}>
+            <button onClick={() => handleReview(apt._id, 'keep')} style={styles.keepBtn}>
+              Keep slot
+            </button>
+            <button
+              onClick={() => setSqueezeId(squeezeId === apt._id ? null : apt._id)}
+              style={styles.squeezeBtn}
+            >
+              Squeeze in earlier
+            </button>
+            <button onClick={() => handleReview(apt._id, 'downgrade')} style={styles.downgradeBtn}>
+              Not urgent
+            </button>
+          </div>
+
+          {squeezeId === apt._id && (
+            <form onSubmit={(e) => handleSqueezeSubmit(e, apt._id)} style={styles.form}>
+              <input
+                type="date"
+                name="date"
+                value={squeezeData.date}
+                onChange={handleSqueezeChange}
+                style={styles.input}
+                min={getCurrentDate()}
+                required
+              />
+              <input
+                type="time"
+                name="time"
+                value={squeezeData.time}
+                onChange={handleSqueezeChange}
+                style={styles.input}
+                required
+              />
+              <button type="submit" style={styles.squeezeBtn}>Overbook</button>
+            </form>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const styles = {
+  panel: {
+    background: '#fdedec',
+    border: '1px solid #e74c3c',
+    borderRadius: '8px',
+    padding: '1rem',
+    marginBottom: '2rem',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    color: '#c0392b',
+    marginTop: 0,
+  },
+  item: {
+    background: 'white',
+    borderRadius: '6px',
+    padding: '0.75rem',
+    marginBottom: '0.75rem',
+  },
+  muted: {
+    color: '#7f8c8d',
+  },
+  actions: {
+    display: 'flex',
+    gap: '0.5rem',
+    marginTop: '0.5rem',
+  },
+  form: {
+    display: 'flex',
+    gap: '0.5rem',
+    marginTop: '0.5rem',
+  },
+  input: {
+    padding: '0.4rem',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+  },
+  keepBtn: {
+    backgroundColor: '#27ae60',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  squeezeBtn: {
+    backgroundColor: '#e67e22',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  downgradeBtn: {
+    backgroundColor: '#95a5a6',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+};
+
+export default TriagePanel;
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import api from '../services/api';
+
+/**
+ * UserImport component for admins to add doctors and patients from a CSV file
+ * The file is checked first; importing creates every user or none, and each
+ * new user is emailed an invite to set their password
+ */
+const UserImport = () => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setReport(null);
+    setMessage(null);
+  };
+
+  const upload = async (dryRun) => {
+    setLoading(true);
+    try {
+      const csv = await file.text();
+      const res = await api.post('/users/import', csv, {
+        params: { dryRun },
+        headers: { 'Content-Type': 'text/csv' },
+      });
+      setReport(res.data.data);
+      setMessage({ text: res.data.message, ok: res.data.data.invalid === 0 });
+    } catch (err) {
+      setReport(err.response?.data?.data || null);
+      setMessage({ text: err.response?.data?.message || 'Failed to import users.', ok: false });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canImport = report && report.dryRun && report.invalid === 0;
+  const rowsWithErrors = report ? report.rows.filter(row => row.errors.length > 0) : [];
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={styles.title}>Import users</h3>
+      <p style={styles.hint}>
+        CSV columns: name, email, role (patient or doctor), phone, specialization.
+      </p>
+      <div style={styles.actions}>
+        <input type="file" accept=".csv,text/csv" onChange={handleFileChange} />
+        <button onClick={() => upload(true)} disabled={!file || loading} style={styles.checkBtn}>
+          {loading ? 'Working...' : 'Check file'}
+        </button>
+        <button onClick={() => upload(false)} disabled={!canImport || loading} style={styles.importBtn}>
+          Import {canImport ? report.total : ''} users
+        </button>
+      </div>
+      {message && (
+        <div style={message.ok ? styles.success : styles.error}>
+          {message.text}
+          {message.ok && report && !report.dryRun && ` (${report.invitesSent} invites emailed)`}
+        </div>
+      )}
+      {rowsWithErrors.length > 0 && (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.cell}>Row</th>
+              <th style={styles.cell}>Email</th>
+              <th style={styles.cell}>Problems</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rowsWithErrors.map(row => (
+              <tr key={row.row}>
+                <td style={styles.cell}>{row.row}</td>
+                <td style={styles.cell}>{row.email || '-'}</td>
+                <td style={styles.cell}>{row.errors.join('; ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  panel: {
+    background: '#f4f6f8',
+    borderRadius: '8px',
+    padding: '1rem',
+    marginBottom: '2rem',
+  },
+  title: {
+    color: '#2c3e50',
+    margin: 0,
+  },
+  hint: {
+    color: '#7f8c8d',
+    fontSize: '0.875rem',
+  },
+  actions: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '0.75rem',
+    alignItems: 'center',
+  },
+  checkBtn: {
+    backgroundColor: '#3498db',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  importBtn: {
+    backgroundColor: '#27ae60',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  success: {
+    color: '#27ae60',
+    marginTop: '0.75rem',
+  },
+  error: {
+    color: '#e74c3c',
+    marginTop: '0.75rem',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    marginTop: '0.75rem',
+    fontSize: '0.875rem',
+  },
+  cell: {
+    borderBottom: '1px solid #ddd',
+    padding: '0.4rem',
+    textAlign: 'left',
+  },
+};
+
+export default UserImport;
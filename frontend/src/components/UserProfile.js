@@ -1,6 +1,15 @@
 import React, { useState, useContext } from 'react';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
+import CalendarFeed from './CalendarFeed';
+import CalendarSources from './CalendarSources';
+import {
+  formatDateForDisplay,
+  getBrowserTimeZone,
+  getTimeZoneOptions,
+  getViewerTimeZone,
+  setViewerTimeZone,
+} from '../utils/dateUtils';
 
 /**
  * UserProfile component for viewing and editing user profile
@@ -15,6 +24,10 @@ const UserProfile = () => {
     specialization: user?.specialization || '',
   });
   const [errors, setErrors] = useState({});
+  // Empty means "follow the browser"
+  const [timeZone, setTimeZone] = useState(
+    getViewerTimeZone() === getBrowserTimeZone() ? '' : getViewerTimeZone()
+  );
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -29,6 +42,14 @@ const UserProfile = () => {
     }
   };
 
+  /**
+   * Save the display timezone; it only affects this browser
+   */
+  const handleTimeZoneChange = (e) => {
+    setViewerTimeZone(e.target.value);
+    setTimeZone(e.target.value);
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -203,11 +224,23 @@ const UserProfile = () => {
               <strong>Role:</strong> {user.role}
             </div>
             <div style={styles.infoRow}>
-              <strong>Member since:</strong> {new Date(user.createdAt).toLocaleDateString()}
+              <strong>Member since:</strong> {formatDateForDisplay(user.createdAt)}
+            </div>
+            <div style={styles.infoRow}>
+              <strong>Display timezone:</strong>{' '}
+              <select value={timeZone} onChange={handleTimeZoneChange} style={styles.timeZoneSelect}>
+                <option value="">Browser default ({getBrowserTimeZone()})</option>
+                {getTimeZoneOptions().map(zone => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </select>
+              <div style={styles.helpText}>Appointment dates and times are shown in this timezone.</div>
             </div>
           </div>
         )}
       </div>
+      {user.role !== 'admin' && <CalendarFeed />}
+      {user.role === 'doctor' && <CalendarSources />}
     </div>
   );
 };
@@ -304,6 +337,11 @@ const styles = {
     borderBottom: '1px solid #ecf0f1',
     color: '#2c3e50',
   },
+  timeZoneSelect: {
+    padding: '0.25rem',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+  },
 };
 
 export default UserProfile; 
\ No newline at end of file
@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+import { formatCalendarDay, formatDateForDisplay, formatInstantTime } from '../utils/dateUtils';
+
+/**
+ * WaitlistPanel component listing a patient's waitlist entries and open slot offers
+ * @param {Function} onBooked - Called after an offer is accepted
+ */
+const WaitlistPanel = ({ onBooked }) => {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    fetchEntries();
+    // eslint-disable-next-line
+  }, []);
+
+  const fetchEntries = async () => {
+    try {
+      const res = await api.get('/waitlist');
+      setEntries(res.data.data.entries);
+    } catch (err) {
+      setEntries([]);
+    }
+  };
+
+  /**
+   * Run a waitlist action and refresh the list
+   */
+  const handleAction = async (entryId, action, fallbackMessage) => {
+    try {
+      await api.post(`/waitlist/${entryId}/${action}`);
+      fetchEntries();
+      if (action === 'accept' && onBooked) {
+        onBooked();
+      }
+    } catch (err) {
+      alert(err.response?.data?.message || fallbackMessage);
+      fetchEntries();
+    }
+  };
+
+  if (entries.length === 0) return null;
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={styles.title}>Waitlist</h3>
+      {entries.map((entry) => (
+        <div key={entry._id} style={styles.entry}>
+          <div>
+            <strong>Dr. {entry.doctor?.name}</strong>
+            <span style={styles.range}>
+              {formatCalendarDay(entry.fromDate)} - {formatCalendarDay(entry.toDate)}
+            </span>
+          </div>
+          {entry.status === 'offered' ? (
+            <div style={styles.offer}>
+              A slot opened up on {formatDateForDisplay(entry.offer.startsAt)} at {formatInstantTime(entry.offer.startsAt)}.
+              {' '}Reply by {formatInstantTime(entry.offer.expiresAt, undefined, true)}.
+              <div style={styles.actions}>
+                <button
+                  onClick={() => handleAction(entry._id, 'accept', 'Failed to accept offer.')}
+                  style={styles.acceptBtn}
+                >
+                  Accept
+                </button>
+                <button
+                  onClick={() => handleAction(entry._id, 'decline', 'Failed to decline offer.')}
+                  style={styles.declineBtn}
+                >
+                  Decline
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div style={styles.waiting}>Waiting for a slot to open up</div>
+          )}
+          <button
+            onClick={() => handleAction(entry._id, 'cancel', 'Failed to leave waitlist.')}
+            style={styles.leaveBtn}
+          >
+            Leave waitlist
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const styles = {
+  panel: {
+    background: '#f4f6f8',
+    borderRadius: '8px',
+    padding: '1rem',
+    marginBottom: '2rem',
+  },
+  title: {
+    color: '#2c3e50',
+    marginTop: 0,
+  },
+  entry: {
+    background: 'white',
+    borderRadius: '6px',
+    padding: '0.75rem',
+    marginBottom: '0.75rem',
+  },
+  range: {
+    color: '#7f8c8d',
+    marginLeft: '0.5rem',
+  },
+  offer: {
+    color: '#27ae60',
+    margin: '0.5rem 0',
+  },
+  waiting: {
+    color: '#7f8c8d',
+    margin: '0.5rem 0',
+  },
+  actions: {
+    display: 'flex',
+    gap: '0.5rem',
+    marginTop: '0.5rem',
+  },
+  acceptBtn: {
+    backgroundColor: '#27ae60',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  declineBtn: {
+    backgroundColor: '#95a5a6',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  leaveBtn: {
+    background: 'none',
+    border: 'none',
+    color: '#e74c3c',
+    cursor: 'pointer',
+    padding: 0,
+  },
+};
+
+export default WaitlistPanel;
@@ -0,0 +1,92 @@
+import React, { createContext, useContext, useEffect, useRef } from 'react';
+import { AuthContext } from './AuthContext';
+import { useNotifications } from '../components/NotificationSystem';
+import { APPOINTMENT_EVENTS, openEventStream } from '../services/events';
+import { formatDateForDisplay, formatInstantTime } from '../utils/dateUtils';
+
+export const RealtimeContext = createContext();
+
+/**
+ * Describe an appointment event for a toast
+ * @returns {Object} - { message, type }
+ */
+const describeEvent = (eventName, { type, appointment }) => {
+  const when = `${formatDateForDisplay(appointment.startsAt)} at ${formatInstantTime(appointment.startsAt)}`;
+
+  if (eventName === 'appointment.created') {
+    return { message: `New appointment booked for ${when}`, type: 'success' };
+  }
+  if (eventName === 'appointment.cancelled') {
+    return { message: `Appointment on ${when} was cancelled`, type: 'warning' };
+  }
+  if (type === 'rescheduled') {
+    return { message: `Appointment moved to ${when}`, type: 'info' };
+  }
+  return { message: `Appointment on ${when} is now ${appointment.status.replace('_', ' ')}`, type: 'info' };
+};
+
+/**
+ * RealtimeProvider keeps one event stream open while a user is signed in,
+ * shows a toast for each appointment change made by someone else, and passes
+ * every event on to the components subscribed through useServerEvents
+ */
+const RealtimeProvider = ({ children }) => {
+  const { user, token } = useContext(AuthContext);
+  const { addNotification } = useNotifications();
+  const listeners = useRef(new Set());
+
+  useEffect(() => {
+    if (!user || !token) return undefined;
+
+    return openEventStream((eventName, data) => {
+      if (APPOINTMENT_EVENTS.includes(eventName) && data.changedBy !== user._id) {
+        const { message, type } = describeEvent(eventName, data);
+        addNotification(message, type);
+      }
+      listeners.current.forEach(listener => listener(eventName, data));
+    });
+    // eslint-disable-next-line
+  }, [user?._id, token]);
+
+  /**
+   * Subscribe to appointment events
+   * @returns {Function} - Unsubscribes
+   */
+  const subscribe = (listener) => {
+    listeners.current.add(listener);
+    return () => listeners.current.delete(listener);
+  };
+
+  return (
+    <RealtimeContext.Provider value={{ subscribe }}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
+
+/**
+ * Call a handler with (eventName, data) for every server event while the component is mounted
+ */
+export const useServerEvents = (handler) => {
+  const { subscribe } = useContext(RealtimeContext);
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    return subscribe((eventName, data) => handlerRef.current(eventName, data));
+    // eslint-disable-next-line
+  }, []);
+};
+
+/**
+ * Call a handler with (eventName, data) for every appointment event while the component is mounted
+ */
+export const useAppointmentEvents = (handler) => {
+  useServerEvents((eventName, data) => {
+    if (APPOINTMENT_EVENTS.includes(eventName)) {
+      handler(eventName, data);
+    }
+  });
+};
+
+export default RealtimeProvider;
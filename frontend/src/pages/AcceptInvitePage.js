@@ -0,0 +1,197 @@
+import React, { useState, useContext, useEffect } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import api from '../services/api';
+
+/**
+ * AcceptInvitePage component for invited users to set their password
+ */
+const AcceptInvitePage = () => {
+  const { token } = useParams();
+  const { login } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const [invite, setInvite] = useState(null);
+  const [inviteError, setInviteError] = useState('');
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [serverError, setServerError] = useState('');
+
+  useEffect(() => {
+    const fetchInvite = async () => {
+      try {
+        const res = await api.get(`/auth/invites/${token}`);
+        setInvite(res.data.data);
+      } catch (error) {
+        setInviteError(error.response?.data?.message || 'Failed to load invite.');
+      }
+    };
+    fetchInvite();
+  }, [token]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) setErrors(prev => ({ ...prev, [name]: '' }));
+    setServerError('');
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!formData.password) newErrors.password = 'Password is required';
+    if (formData.password && formData.password.length < 6) newErrors.password = 'Password must be at least 6 characters';
+    if (formData.confirmPassword !== formData.password) newErrors.confirmPassword = 'Passwords do not match';
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+    setLoading(true);
+    try {
+      const res = await api.post(`/auth/invites/${token}/accept`, { password: formData.password });
+      login(res.data.data.user, res.data.data.token);
+      navigate('/dashboard');
+    } catch (error) {
+      setServerError(
+        error.response?.data?.message || 'Failed to accept invite. Please try again.'
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (inviteError) {
+    return (
+      <div style={styles.container}>
+        <h2 style={styles.title}>Invite</h2>
+        <div style={styles.serverError}>{inviteError}</div>
+        <div style={styles.linkRow}>
+          <span>Ask the clinic to send a new invite, or</span>
+          <Link to="/login" style={styles.link}>Login</Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (!invite) {
+    return <div style={styles.container}>Loading invite...</div>;
+  }
+
+  return (
+    <div style={styles.container}>
+      <form onSubmit={handleSubmit} style={styles.form}>
+        <h2 style={styles.title}>Welcome, {invite.name}</h2>
+        <p style={styles.intro}>
+          Choose a password for {invite.email} to finish setting up your {invite.role} account.
+        </p>
+        {serverError && <div style={styles.serverError}>{serverError}</div>}
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Password</label>
+          <input
+            type="password"
+            name="password"
+            value={formData.password}
+            onChange={handleChange}
+            style={styles.input}
+            autoComplete="new-password"
+          />
+          {errors.password && <span style={styles.error}>{errors.password}</span>}
+        </div>
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Confirm password</label>
+          <input
+            type="password"
+            name="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            style={styles.input}
+            autoComplete="new-password"
+          />
+          {errors.confirmPassword && <span style={styles.error}>{errors.confirmPassword}</span>}
+        </div>
+        <button type="submit" style={styles.button} disabled={loading}>
+          {loading ? 'Saving...' : 'Set password'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    maxWidth: '400px',
+    margin: '3rem auto',
+    padding: '2rem',
+    backgroundColor: 'white',
+    borderRadius: '8px',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+  },
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '1rem',
+  },
+  title: {
+    textAlign: 'center',
+    color: '#2c3e50',
+    marginBottom: '1rem',
+  },
+  intro: {
+    color: '#7f8c8d',
+    textAlign: 'center',
+  },
+  formGroup: {
+    display: 'flex',
+    flexDirection: 'column',
+  },
+  label: {
+    fontWeight: 'bold',
+    marginBottom: '0.5rem',
+    color: '#2c3e50',
+  },
+  input: {
+    padding: '0.75rem',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    fontSize: '1rem',
+  },
+  button: {
+    backgroundColor: '#3498db',
+    color: 'white',
+    border: 'none',
+    padding: '0.75rem 1.5rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '1rem',
+    marginTop: '1rem',
+  },
+  error: {
+    color: '#e74c3c',
+    fontSize: '0.875rem',
+    marginTop: '0.25rem',
+  },
+  serverError: {
+    color: '#e74c3c',
+    background: '#fdecea',
+    padding: '0.5rem',
+    borderRadius: '4px',
+    marginBottom: '1rem',
+    textAlign: 'center',
+  },
+  linkRow: {
+    display: 'flex',
+    justifyContent: 'center',
+    gap: '0.5rem',
+    marginTop: '1rem',
+    fontSize: '0.95rem',
+  },
+  link: {
+    color: '#3498db',
+    textDecoration: 'none',
+    fontWeight: 'bold',
+  },
+};
+
+export default AcceptInvitePage;
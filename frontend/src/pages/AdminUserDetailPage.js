@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import api from '../services/api';
+import { formatDateForDisplay, formatDateTimeForDisplay } from '../utils/dateUtils';
+
+const PAGE_SIZE = 20;
+
+/**
+ * AdminUserDetailPage component showing one user's profile and appointments
+ * Patients are listed with their doctors and doctors with their patients
+ */
+const AdminUserDetailPage = () => {
+  const { userId } = useParams();
+  const [profile, setProfile] = useState(null);
+  const [appointments, setAppointments] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      setError('');
+      try {
+        const res = await api.get(`/users/${userId}`);
+        setProfile(res.data.data.user);
+        setPage(1);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load user.');
+      }
+    };
+    fetchProfile();
+  }, [userId]);
+
+  useEffect(() => {
+    if (!profile || profile.role === 'admin') {
+      return;
+    }
+
+    const fetchAppointments = async () => {
+      const owner = profile.role === 'doctor' ? { doctorId: profile._id } : { patientId: profile._id };
+      try {
+        const res = await api.get('/appointments', { params: { ...owner, page, limit: PAGE_SIZE } });
+        setAppointments(res.data.data.appointments);
+        setPagination(res.data.data.pagination);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load appointments.');
+      }
+    };
+    fetchAppointments();
+  }, [profile, page]);
+
+  if (error) {
+    return (
+      <div style={styles.container}>
+        <Link to="/admin/users" style={styles.backLink}>&larr; All users</Link>
+        <div style={styles.error}>{error}</div>
+      </div>
+    );
+  }
+
+  if (!profile) {
+    return <div style={styles.loading}>Loading user...</div>;
+  }
+
+  return (
+    <div style={styles.container}>
+      <Link to="/admin/users" style={styles.backLink}>&larr; All users</Link>
+      <h2 style={styles.title}>{profile.name}</h2>
+      <div style={styles.details}>
+        <div><strong>Email:</strong> {profile.email}</div>
+        <div><strong>Role:</strong> {profile.role}</div>
+        <div><strong>Phone:</strong> {profile.phone || '-'}</div>
+        {profile.role === 'doctor' && (
+          <div><strong>Specialization:</strong> {profile.specialization || '-'}</div>
+        )}
+        <div>
+          <strong>Status:</strong> {profile.isActive ? 'Active' : 'Inactive'}
+          {profile.invitePending && ' (invite not yet accepted)'}
+        </div>
+        {profile.role === 'patient' && (
+          <div><strong>Missed appointments:</strong> {profile.noShowCount}</div>
+        )}
+        <div><strong>Joined:</strong> {formatDateForDisplay(profile.createdAt)}</div>
+      </div>
+
+      {profile.role !== 'admin' && (
+        <>
+          <h3 style={styles.subtitle}>Appointments</h3>
+          {appointments.length === 0 ? (
+            <div style={styles.empty}>No appointments found.</div>
+          ) : (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.cell}>When</th>
+                  <th style={styles.cell}>{profile.role === 'doctor' ? 'Patient' : 'Doctor'}</th>
+                  <th style={styles.cell}>Type</th>
+                  <th style={styles.cell}>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {appointments.map(apt => {
+                  const other = profile.role === 'doctor' ? apt.patient : apt.doctor;
+
+                  return (
+                    <tr key={apt._id}>
+                      <td style={styles.cell}>{formatDateTimeForDisplay(apt.startsAt)}</td>
+                      <td style={styles.cell}>
+                        {other ? <Link to={`/admin/users/${other._id}`} style={styles.link}>{other.name}</Link> : '-'}
+                      </td>
+                      <td style={styles.cell}>{apt.type?.name || '-'}</td>
+                      <td style={styles.cell}>{apt.status.replace('_', ' ')}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+          {pagination && pagination.totalPages > 1 && (
+            <div style={styles.pagination}>
+              <button onClick={() => setPage(page - 1)} disabled={!pagination.hasPrevPage}>
+                Previous
+              </button>
+              <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+              <button onClick={() => setPage(page + 1)} disabled={!pagination.hasNextPage}>
+                Next
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    maxWidth: '1000px',
+    margin: '2rem auto',
+    padding: '2rem',
+    background: 'white',
+    borderRadius: '8px',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+  },
+  backLink: {
+    color: '#3498db',
+    textDecoration: 'none',
+  },
+  title: {
+    color: '#2c3e50',
+    margin: '1rem 0',
+  },
+  subtitle: {
+    color: '#2c3e50',
+    marginTop: '2rem',
+  },
+  details: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
+    gap: '0.5rem',
+    color: '#2c3e50',
+  },
+  error: {
+    color: '#e74c3c',
+    marginTop: '1rem',
+  },
+  loading: {
+    textAlign: 'center',
+    color: '#888',
+    margin: '2rem 0',
+  },
+  empty: {
+    color: '#888',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '0.9rem',
+  },
+  cell: {
+    borderBottom: '1px solid #eee',
+    padding: '0.5rem',
+    textAlign: 'left',
+  },
+  link: {
+    color: '#3498db',
+    textDecoration: 'none',
+  },
+  pagination: {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '1rem',
+    marginTop: '1.5rem',
+  },
+};
+
+export default AdminUserDetailPage;
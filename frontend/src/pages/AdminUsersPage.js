@@ -0,0 +1,342 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import api from '../services/api';
+import UserImport from '../components/UserImport';
+import { formatDateForDisplay } from '../utils/dateUtils';
+
+const ROLES = ['patient', 'doctor', 'admin'];
+const PAGE_SIZE = 20;
+
+const INITIAL_FILTERS = {
+  search: '',
+  role: '',
+  status: '',
+};
+
+/**
+ * AdminUsersPage component for admins to find users, activate or deactivate
+ * them, change their role and import new ones
+ */
+const AdminUsersPage = () => {
+  const { user: currentUser } = useContext(AuthContext);
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
+  const [searchText, setSearchText] = useState('');
+  const [page, setPage] = useState(1);
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchUsers();
+    // eslint-disable-next-line
+  }, [filters, page]);
+
+  const fetchUsers = async () => {
+    // Leave out empty filters
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+    setLoading(true);
+    try {
+      const res = await api.get('/users', { params: { ...params, page, limit: PAGE_SIZE } });
+      setUsers(res.data.data.users);
+      setPagination(res.data.data.pagination);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load users.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilter('search', searchText.trim());
+  };
+
+  const replaceUser = (updated) => {
+    setUsers(prev => prev.map(u => (u._id === updated._id ? updated : u)));
+  };
+
+  const handleToggleActive = async (target) => {
+    const action = target.isActive ? 'Deactivate' : 'Activate';
+    if (!window.confirm(`${action} ${target.name}?`)) {
+      return;
+    }
+
+    setBusyId(target._id);
+    try {
+      const res = await api.patch(`/users/${target._id}/status`, { isActive: !target.isActive });
+      replaceUser(res.data.data.user);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update user status.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRoleChange = async (target, role) => {
+    if (!window.confirm(`Make ${target.name} ${role === 'admin' ? 'an' : 'a'} ${role}?`)) {
+      return;
+    }
+
+    setBusyId(target._id);
+    try {
+      const res = await api.patch(`/users/${target._id}/role`, { role });
+      replaceUser(res.data.data.user);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to change role.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleResendInvite = async (target) => {
+    setBusyId(target._id);
+    try {
+      const res = await api.post(`/users/${target._id}/invite`);
+      alert(res.data.message);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to resend invite.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <h2 style={styles.title}>Users</h2>
+      <UserImport />
+
+      <div style={styles.filters}>
+        <form onSubmit={handleSearch} style={styles.searchForm}>
+          <input
+            type="search"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            placeholder="Search name or email"
+            style={styles.searchInput}
+          />
+          <button type="submit" style={styles.searchBtn}>Search</button>
+        </form>
+        <select value={filters.role} onChange={(e) => updateFilter('role', e.target.value)}>
+          <option value="">All roles</option>
+          {ROLES.map(role => (
+            <option key={role} value={role}>{role}</option>
+          ))}
+        </select>
+        <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)}>
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="inactive">Inactive</option>
+        </select>
+      </div>
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      {loading ? (
+        <div style={styles.loading}>Loading users...</div>
+      ) : users.length === 0 ? (
+        <div style={styles.empty}>No users found.</div>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.cell}>Name</th>
+              <th style={styles.cell}>Email</th>
+              <th style={styles.cell}>Role</th>
+              <th style={styles.cell}>Status</th>
+              <th style={styles.cell}>Joined</th>
+              <th style={styles.cell}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(u => {
+              const isSelf = u._id === currentUser._id;
+              const isBusy = busyId === u._id;
+
+              return (
+                <tr key={u._id}>
+                  <td style={styles.cell}>
+                    <Link to={`/admin/users/${u._id}`} style={styles.link}>{u.name}</Link>
+                  </td>
+                  <td style={styles.cell}>{u.email}</td>
+                  <td style={styles.cell}>
+                    <select
+                      value={u.role}
+                      onChange={(e) => handleRoleChange(u, e.target.value)}
+                      disabled={isSelf || isBusy}
+                    >
+                      {ROLES.map(role => (
+                        <option key={role} value={role}>{role}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td style={styles.cell}>
+                    <span style={u.isActive ? styles.active : styles.inactive}>
+                      {u.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                    {u.invitePending && <span style={styles.invited}>Invited</span>}
+                  </td>
+                  <td style={styles.cell}>{formatDateForDisplay(u.createdAt)}</td>
+                  <td style={styles.cell}>
+                    {!isSelf && (
+                      <button
+                        onClick={() => handleToggleActive(u)}
+                        disabled={isBusy}
+                        style={u.isActive ? styles.deactivateBtn : styles.activateBtn}
+                      >
+                        {u.isActive ? 'Deactivate' : 'Activate'}
+                      </button>
+                    )}
+                    {u.invitePending && (
+                      <button onClick={() => handleResendInvite(u)} disabled={isBusy} style={styles.inviteBtn}>
+                        Resend invite
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div style={styles.pagination}>
+          <button onClick={() => setPage(page - 1)} disabled={!pagination.hasPrevPage}>
+            Previous
+          </button>
+          <span>
+            Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalUsers} users)
+          </span>
+          <button onClick={() => setPage(page + 1)} disabled={!pagination.hasNextPage}>
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    maxWidth: '1000px',
+    margin: '2rem auto',
+    padding: '2rem',
+    background: 'white',
+    borderRadius: '8px',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+  },
+  title: {
+    color: '#2c3e50',
+    marginBottom: '1.5rem',
+  },
+  filters: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '0.75rem',
+    alignItems: 'center',
+    marginBottom: '1rem',
+  },
+  searchForm: {
+    display: 'flex',
+    gap: '0.5rem',
+  },
+  searchInput: {
+    padding: '0.4rem',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    minWidth: '220px',
+  },
+  searchBtn: {
+    backgroundColor: '#3498db',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  error: {
+    color: '#e74c3c',
+    marginBottom: '1rem',
+  },
+  loading: {
+    textAlign: 'center',
+    color: '#888',
+    margin: '2rem 0',
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#888',
+    margin: '2rem 0',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '0.9rem',
+  },
+  cell: {
+    borderBottom: '1px solid #eee',
+    padding: '0.5rem',
+    textAlign: 'left',
+  },
+  link: {
+    color: '#3498db',
+    textDecoration: 'none',
+    fontWeight: 'bold',
+  },
+  active: {
+    color: '#27ae60',
+  },
+  inactive: {
+    color: '#e74c3c',
+  },
+  invited: {
+    marginLeft: '0.5rem',
+    fontSize: '0.75rem',
+    color: '#7f8c8d',
+  },
+  activateBtn: {
+    backgroundColor: '#27ae60',
+    color: 'white',
+    border: 'none',
+    padding: '0.3rem 0.6rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    marginRight: '0.5rem',
+  },
+  deactivateBtn: {
+    backgroundColor: '#e74c3c',
+    color: 'white',
+    border: 'none',
+    padding: '0.3rem 0.6rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    marginRight: '0.5rem',
+  },
+  inviteBtn: {
+    backgroundColor: '#95a5a6',
+    color: 'white',
+    border: 'none',
+    padding: '0.3rem 0.6rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  pagination: {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '1rem',
+    marginTop: '1.5rem',
+  },
+};
+
+export default AdminUsersPage;
@@ -2,6 +2,10 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import AppointmentForm from '../components/AppointmentForm';
 import api from '../services/api';
+import { addDays, formatCalendarDay } from '../utils/dateUtils';
+
+// How many days past the requested date a waitlist entry covers
+const WAITLIST_RANGE_DAYS = 7;
 
 /**
  * BookAppointmentPage component for booking new appointments
@@ -9,9 +13,36 @@ import api from '../services/api';
 const BookAppointmentPage = () => {
   const [success, setSuccess] = useState('');
   const [error, setError] = useState('');
+  const [conflicts, setConflicts] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [waitlistRequest, setWaitlistRequest] = useState(null);
   const navigate = useNavigate();
 
+  /**
+   * Book a recurring series and report occurrences that could not be booked
+   */
+  const submitSeries = async (formData) => {
+    const { repeat, repeatEnd, repeatCount, repeatUntil, date, ...appointment } = formData;
+    const recurrence = repeatEnd === 'count'
+      ? { frequency: repeat, count: parseInt(repeatCount) }
+      : { frequency: repeat, until: repeatUntil };
+
+    try {
+      const res = await api.post('/appointments/series', { ...appointment, startDate: date, recurrence });
+      const occurrences = res.data.data.occurrences;
+      const failed = occurrences.filter(occurrence => occurrence.status !== 'booked');
+
+      setSuccess(res.data.message);
+      setConflicts(failed);
+      if (failed.length === 0) {
+        setTimeout(() => navigate('/dashboard'), 1500);
+      }
+    } catch (err) {
+      setConflicts(err.response?.data?.data?.occurrences || []);
+      throw err;
+    }
+  };
+
   /**
    * Handle appointment form submission
    */
@@ -19,23 +50,70 @@ const BookAppointmentPage = () => {
     setLoading(true);
     setError('');
     setSuccess('');
+    setConflicts([]);
+    setWaitlistRequest(null);
     try {
-      await api.post('/appointments', formData);
-      setSuccess('Appointment booked successfully!');
-      setTimeout(() => navigate('/dashboard'), 1500);
+      if (formData.repeat !== 'none') {
+        await submitSeries(formData);
+      } else {
+        await api.post('/appointments', formData);
+        setSuccess('Appointment booked successfully!');
+        setTimeout(() => navigate('/dashboard'), 1500);
+      }
     } catch (err) {
       setError(
         err.response?.data?.message || 'Failed to book appointment. Please try again.'
       );
+      if (formData.doctorId && formData.date) {
+        setWaitlistRequest({ doctorId: formData.doctorId, date: formData.date });
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Join the waitlist for the doctor and dates that could not be booked
+   */
+  const handleJoinWaitlist = async () => {
+    try {
+      await api.post('/waitlist', {
+        doctorId: waitlistRequest.doctorId,
+        fromDate: waitlistRequest.date,
+        toDate: addDays(waitlistRequest.date, WAITLIST_RANGE_DAYS),
+      });
+      setError('');
+      setWaitlistRequest(null);
+      setSuccess("You're on the waitlist. We'll offer you a slot as soon as one opens up.");
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to join waitlist.');
+    }
+  };
+
   return (
     <div style={styles.container}>
       {success && <div style={styles.success}>{success}</div>}
       {error && <div style={styles.error}>{error}</div>}
+      {waitlistRequest && (
+        <div style={styles.waitlist}>
+          Can't find a free slot? Join the waitlist for the next {WAITLIST_RANGE_DAYS} days.
+          <button onClick={handleJoinWaitlist} style={styles.waitlistBtn}>
+            Join waitlist
+          </button>
+        </div>
+      )}
+      {conflicts.length > 0 && (
+        <div style={styles.conflicts}>
+          <strong>These dates could not be booked:</strong>
+          <ul>
+            {conflicts.map(conflict => (
+              <li key={conflict.date}>
+                {formatCalendarDay(conflict.date)}: {conflict.reason}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
       <AppointmentForm onSubmit={handleSubmit} onCancel={() => navigate('/dashboard')} />
     </div>
   );
@@ -65,6 +143,31 @@ const styles = {
     textAlign: 'center',
     fontWeight: 'bold',
   },
+  waitlist: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    background: '#f4f6f8',
+    padding: '0.75rem',
+    borderRadius: '4px',
+    marginBottom: '1rem',
+    color: '#2c3e50',
+  },
+  waitlistBtn: {
+    backgroundColor: '#3498db',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  conflicts: {
+    color: '#8a6d3b',
+    background: '#fcf8e3',
+    padding: '0.75rem',
+    borderRadius: '4px',
+    marginBottom: '1rem',
+  },
 };
 
 export default BookAppointmentPage; 
\ No newline at end of file
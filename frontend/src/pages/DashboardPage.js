@@ -1,16 +1,28 @@
 import React, { useContext, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../services/api';
 import AppointmentCard from '../components/AppointmentCard';
+import WaitlistPanel from '../components/WaitlistPanel';
+import TimeOffManager from '../components/TimeOffManager';
+import GroupSessionsPanel from '../components/GroupSessionsPanel';
+import TriagePanel from '../components/TriagePanel';
+import AppointmentExport from '../components/AppointmentExport';
+import Statistics from '../components/Statistics';
+import Calendar from '../components/Calendar';
+import { useAppointmentEvents } from '../context/RealtimeContext';
+import { formatCalendarDay, toDateKeyInZone } from '../utils/dateUtils';
 
 /**
  * DashboardPage component with role-based dashboard for patient, doctor, and admin
+ * The list and calendar refresh whenever the server pushes an appointment change
  */
 const DashboardPage = () => {
   const { user } = useContext(AuthContext);
   const [appointments, setAppointments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [selectedDate, setSelectedDate] = useState('');
 
   // Fetch appointments on mount
   useEffect(() => {
@@ -18,8 +30,11 @@ const DashboardPage = () => {
     // eslint-disable-next-line
   }, []);
 
-  const fetchAppointments = async () => {
-    setLoading(true);
+  // Refresh quietly when an appointment changes elsewhere
+  useAppointmentEvents(() => fetchAppointments(false));
+
+  const fetchAppointments = async (showLoading = true) => {
+    if (showLoading) setLoading(true);
     setError('');
     try {
       const res = await api.get('/appointments');
@@ -39,7 +54,7 @@ const DashboardPage = () => {
       await api.patch(`/appointments/${appointmentId}/status`, { status });
       fetchAppointments();
     } catch (err) {
-      alert('Failed to update appointment status.');
+      alert(err.response?.data?.message || 'Failed to update appointment status.');
     }
   };
 
@@ -51,10 +66,86 @@ const DashboardPage = () => {
       await api.post(`/appointments/${appointmentId}/cancel`);
       fetchAppointments();
     } catch (err) {
-      alert('Failed to cancel appointment.');
+      alert(err.response?.data?.message || 'Failed to cancel appointment.');
+    }
+  };
+
+  /**
+   * Handle appointment rescheduling
+   * @returns {boolean} - True if the appointment was moved
+   */
+  const handleReschedule = async (appointmentId, { date, time, reason }) => {
+    try {
+      await api.patch(`/appointments/${appointmentId}/reschedule`, { date, time, reason });
+      fetchAppointments();
+      return true;
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to reschedule appointment.');
+      return false;
     }
   };
 
+  /**
+   * Handle cancelling every upcoming occurrence of a series
+   */
+  const handleCancelSeries = async (seriesId) => {
+    if (!window.confirm('Cancel all upcoming appointments in this series?')) return;
+    try {
+      const res = await api.post(`/appointments/series/${seriesId}/cancel`);
+      const skipped = res.data.data.occurrences.filter(occurrence => occurrence.status === 'skipped');
+      if (skipped.length > 0) {
+        alert(`${skipped.length} appointment(s) could not be cancelled: ${skipped[0].reason}`);
+      }
+      fetchAppointments();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to cancel series.');
+    }
+  };
+
+  /**
+   * Group occurrences of the same series together, keeping list order
+   * Active urgent appointments are pulled to the top for doctors and admins
+   */
+  const groupAppointments = () => {
+    const groups = [];
+    const seriesGroups = {};
+    const isActiveUrgent = (apt) => apt.isUrgent && ['pending', 'confirmed'].includes(apt.status);
+    const visible = selectedDate
+      ? appointments.filter(apt => toDateKeyInZone(apt.startsAt) === selectedDate)
+      : appointments;
+    const ordered = user.role === 'patient'
+      ? visible
+      : [...visible.filter(isActiveUrgent), ...visible.filter(apt => !isActiveUrgent(apt))];
+
+    ordered.forEach((apt) => {
+      if (user.role !== 'patient' && isActiveUrgent(apt)) {
+        groups.push({ key: apt._id, appointments: [apt] });
+        return;
+      }
+      if (!apt.seriesId) {
+        groups.push({ key: apt._id, appointments: [apt] });
+        return;
+      }
+      if (!seriesGroups[apt.seriesId]) {
+        seriesGroups[apt.seriesId] = { key: apt.seriesId, seriesId: apt.seriesId, appointments: [] };
+        groups.push(seriesGroups[apt.seriesId]);
+      }
+      seriesGroups[apt.seriesId].appointments.push(apt);
+    });
+
+    return groups;
+  };
+
+  const renderCard = (apt) => (
+    <AppointmentCard
+      key={apt._id}
+      appointment={apt}
+      onStatusUpdate={handleStatusUpdate}
+      onCancel={handleCancel}
+      onReschedule={handleReschedule}
+    />
+  );
+
   // Role-based dashboard title
   const getDashboardTitle = () => {
     if (user.role === 'patient') return 'My Appointments';
@@ -63,28 +154,61 @@ const DashboardPage = () => {
     return 'Dashboard';
   };
 
+  const groups = groupAppointments();
+
   return (
     <div style={styles.container}>
       <h2 style={styles.title}>{getDashboardTitle()}</h2>
+      {user.role === 'patient' && <WaitlistPanel onBooked={fetchAppointments} />}
+      {['doctor', 'admin'].includes(user.role) && (
+        <TimeOffManager user={user} onAppointmentsChanged={fetchAppointments} />
+      )}
+      {['doctor', 'admin'].includes(user.role) && (
+        <TriagePanel user={user} onAppointmentsChanged={fetchAppointments} />
+      )}
+      {['doctor', 'admin'].includes(user.role) && <AppointmentExport user={user} />}
+      <GroupSessionsPanel user={user} onAppointmentsChanged={fetchAppointments} />
+      <Statistics user={user} />
+      <Calendar
+        selectedDate={selectedDate}
+        onDateSelect={(date) => setSelectedDate(date === selectedDate ? '' : date)}
+        appointments={appointments}
+      />
+      {selectedDate && (
+        <div style={styles.filterNote}>
+          Showing {formatCalendarDay(selectedDate)}
+          <button onClick={() => setSelectedDate('')} style={styles.filterClearBtn}>Show all</button>
+        </div>
+      )}
       {loading ? (
         <div style={styles.loading}>Loading appointments...</div>
       ) : error ? (
         <div style={styles.error}>{error}</div>
-      ) : appointments.length === 0 ? (
-        <div style={styles.empty}>No appointments found.</div>
+      ) : groups.length === 0 ? (
+        <div style={styles.empty}>{selectedDate ? 'No appointments on this day.' : 'No appointments found.'}</div>
       ) : (
-        appointments.map((apt) => (
-          <AppointmentCard
-            key={apt._id}
-            appointment={apt}
-            onStatusUpdate={handleStatusUpdate}
-            onCancel={handleCancel}
-          />
+        groups.map((group) => (
+          group.seriesId ? (
+            <div key={group.key} style={styles.series}>
+              <div style={styles.seriesHeader}>
+                <strong>Recurring series ({group.appointments.length} appointments)</strong>
+                <button
+                  onClick={() => handleCancelSeries(group.seriesId)}
+                  style={styles.seriesCancelBtn}
+                >
+                  Cancel series
+                </button>
+              </div>
+              {group.appointments.map(renderCard)}
+            </div>
+          ) : (
+            renderCard(group.appointments[0])
+          )
         ))
       )}
       {user.role === 'admin' && (
         <div style={styles.adminNote}>
-          <strong>Admin:</strong> User management and analytics features can be added here.
+          <strong>Admin:</strong> <Link to="/admin/users">Manage users</Link> to import, activate or change the role of doctors and patients.
         </div>
       )}
     </div>
@@ -116,6 +240,39 @@ const styles = {
     textAlign: 'center',
     margin: '2rem 0',
   },
+  series: {
+    border: '1px dashed #3498db',
+    borderRadius: '8px',
+    padding: '0.5rem 1rem',
+    margin: '1rem 0',
+  },
+  seriesHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    color: '#2c3e50',
+  },
+  seriesCancelBtn: {
+    backgroundColor: '#e74c3c',
+    color: 'white',
+    border: 'none',
+    padding: '0.4rem 0.8rem',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  filterNote: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    color: '#2c3e50',
+    margin: '1rem 0',
+  },
+  filterClearBtn: {
+    background: 'none',
+    border: 'none',
+    color: '#3498db',
+    cursor: 'pointer',
+  },
   adminNote: {
     marginTop: '2rem',
     padding: '1rem',
@@ -0,0 +1,214 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import api from '../services/api';
+import { formatInstantTime } from '../utils/dateUtils';
+
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Describe an estimated wait in minutes
+ */
+const formatWait = (minutes) => {
+  if (minutes <= 0) return 'Next';
+  if (minutes < 60) return `~${minutes} min`;
+  return `~${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+/**
+ * WaitingRoomPage component: read-only display of a doctor's queue for today
+ * Shows who is being seen and, for everyone waiting, their position and estimated wait.
+ * The doctor is taken from ?doctorId= so a screen can be bookmarked per doctor
+ */
+const WaitingRoomPage = () => {
+  const { user } = useContext(AuthContext);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [doctors, setDoctors] = useState([]);
+  const [queue, setQueue] = useState(null);
+  const [error, setError] = useState('');
+  const doctorId = user.role === 'doctor' ? user._id : searchParams.get('doctorId') || '';
+
+  useEffect(() => {
+    if (user.role !== 'doctor') {
+      fetchDoctors();
+    }
+    // eslint-disable-next-line
+  }, []);
+
+  // Refresh the queue regularly while the page is open
+  useEffect(() => {
+    if (!doctorId) {
+      setQueue(null);
+      return undefined;
+    }
+
+    fetchQueue(doctorId);
+    const timer = setInterval(() => fetchQueue(doctorId), REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [doctorId]);
+
+  const fetchDoctors = async () => {
+    try {
+      const res = await api.get('/users/doctors');
+      setDoctors(res.data.data.doctors);
+    } catch (err) {
+      setDoctors([]);
+    }
+  };
+
+  const fetchQueue = async (selectedDoctorId) => {
+    try {
+      const res = await api.get(`/appointments/doctors/${selectedDoctorId}/queue`);
+      setQueue(res.data.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the queue.');
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <h2 style={styles.title}>Waiting Room</h2>
+
+      {user.role !== 'doctor' && (
+        <select
+          value={doctorId}
+          onChange={(e) => setSearchParams(e.target.value ? { doctorId: e.target.value } : {})}
+          style={styles.select}
+        >
+          <option value="">Select a doctor</option>
+          {doctors.map(doctor => (
+            <option key={doctor._id} value={doctor._id}>
+              Dr. {doctor.name}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      {queue && (
+        <div>
+          <h3 style={styles.doctor}>Dr. {queue.doctor.name}</h3>
+
+          <div style={styles.section}>
+            <h4 style={styles.sectionTitle}>Now seeing</h4>
+            {queue.inProgress.length === 0 ? (
+              <div style={styles.muted}>-</div>
+            ) : (
+              queue.inProgress.map(entry => (
+                <div key={entry.appointmentId} style={styles.current}>
+                  {entry.displayName}
+                </div>
+              ))
+            )}
+          </div>
+
+          <div style={styles.section}>
+            <h4 style={styles.sectionTitle}>Waiting</h4>
+            {queue.waiting.length === 0 ? (
+              <div style={styles.muted}>Nobody is waiting.</div>
+            ) : (
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>#</th>
+                    <th style={styles.th}>Patient</th>
+                    <th style={styles.th}>Appointment</th>
+                    <th style={styles.th}>Estimated wait</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {queue.waiting.map(entry => (
+                    <tr key={entry.appointmentId}>
+                      <td style={styles.td}>{entry.position}</td>
+                      <td style={styles.td}>
+                        {entry.displayName}
+                        {entry.isUrgent && <span style={styles.urgent}> (priority)</span>}
+                      </td>
+                      <td style={styles.td}>{formatInstantTime(entry.startsAt)}</td>
+                      <td style={styles.td}>{formatWait(entry.estimatedWaitMinutes)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div style={styles.muted}>
+            Arriving now? Estimated wait {formatWait(queue.estimatedWaitMinutes)}. Updates every 30 seconds.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    maxWidth: '900px',
+    margin: '2rem auto',
+    padding: '0 1rem',
+  },
+  title: {
+    color: '#2c3e50',
+    marginBottom: '1rem',
+    textAlign: 'center',
+  },
+  select: {
+    width: '100%',
+    padding: '0.75rem',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    fontSize: '1rem',
+    marginBottom: '1.5rem',
+  },
+  error: {
+    color: '#e74c3c',
+    textAlign: 'center',
+    margin: '1rem 0',
+  },
+  doctor: {
+    color: '#2c3e50',
+    textAlign: 'center',
+  },
+  section: {
+    background: '#f4f6f8',
+    borderRadius: '8px',
+    padding: '1rem',
+    marginBottom: '1.5rem',
+  },
+  sectionTitle: {
+    color: '#2c3e50',
+    marginTop: 0,
+  },
+  current: {
+    fontSize: '1.5rem',
+    fontWeight: 'bold',
+    color: '#27ae60',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '1.25rem',
+  },
+  th: {
+    textAlign: 'left',
+    borderBottom: '2px solid #ddd',
+    padding: '0.5rem',
+  },
+  td: {
+    borderBottom: '1px solid #ecf0f1',
+    padding: '0.5rem',
+  },
+  urgent: {
+    color: '#e74c3c',
+    fontSize: '1rem',
+  },
+  muted: {
+    color: '#7f8c8d',
+    textAlign: 'center',
+  },
+};
+
+export default WaitingRoomPage;
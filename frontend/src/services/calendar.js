@@ -0,0 +1,25 @@
+import api from './api';
+import { downloadFile } from './download';
+
+/**
+ * Turn a feed path from the server into URLs calendar apps can subscribe to
+ * @param {string} feedPath - e.g. "/calendar/feed/abc.ics"
+ * @returns {Object} - { httpUrl, webcalUrl }; webcal:// opens Apple Calendar and Outlook directly
+ */
+export const getFeedUrls = (feedPath) => {
+  const base = new URL(api.defaults.baseURL, window.location.origin).href.replace(/\/+$/, '');
+  const httpUrl = `${base}${feedPath}`;
+
+  return {
+    httpUrl,
+    webcalUrl: httpUrl.replace(/^https?:/, 'webcal:'),
+  };
+};
+
+/**
+ * Download an appointment as an .ics file
+ * @param {string} appointmentId - Appointment ID
+ */
+export const downloadAppointmentIcs = (appointmentId) => {
+  return downloadFile(`/appointments/${appointmentId}/ics`, `appointment-${appointmentId}.ics`);
+};
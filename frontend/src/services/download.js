@@ -0,0 +1,21 @@
+import api from './api';
+
+/**
+ * Download a file from the API and save it in the browser
+ * Goes through the API client so the request carries the JWT.
+ * @param {string} path - API path, e.g. "/appointments/export"
+ * @param {string} filename - Name to save the file as
+ * @param {Object} params - Query parameters
+ */
+export const downloadFile = async (path, filename, params = {}) => {
+  const res = await api.get(path, { params, responseType: 'blob' });
+  const url = URL.createObjectURL(res.data);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,65 @@
+import api from './api';
+
+export const APPOINTMENT_EVENTS = ['appointment.created', 'appointment.updated', 'appointment.cancelled'];
+export const SERVER_EVENTS = [...APPOINTMENT_EVENTS, 'notification.created'];
+
+// Wait before reconnecting after the stream drops
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Open the server's event stream for the signed-in user
+ * EventSource cannot send headers, so each connection is opened with a
+ * short-lived, single-use ticket fetched through the authenticated API.
+ * Tickets cannot be reused, so after an error the stream is reopened here
+ * with a fresh ticket instead of letting the browser retry the old URL.
+ * @param {Function} onEvent - Called with (eventName, data) for each server event
+ * @returns {Function} - Closes the stream
+ */
+export const openEventStream = (onEvent) => {
+  let source = null;
+  let retryTimer = null;
+  let closed = false;
+
+  const scheduleReconnect = () => {
+    if (!closed) {
+      retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+    }
+  };
+
+  const connect = async () => {
+    let ticket;
+    try {
+      const res = await api.post('/events/ticket');
+      ticket = res.data.data.ticket;
+    } catch (err) {
+      scheduleReconnect();
+      return;
+    }
+    if (closed) return;
+
+    source = new EventSource(`${api.defaults.baseURL}/events/stream?ticket=${encodeURIComponent(ticket)}`);
+
+    SERVER_EVENTS.forEach((eventName) => {
+      source.addEventListener(eventName, (e) => {
+        try {
+          onEvent(eventName, JSON.parse(e.data));
+        } catch (err) {
+          console.error('Invalid event from server:', err);
+        }
+      });
+    });
+
+    source.onerror = () => {
+      source.close();
+      scheduleReconnect();
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (source) source.close();
+  };
+};
@@ -1,14 +1,107 @@
 /**
  * Date utility functions for appointment scheduling and date manipulation
+ *
+ * Appointments come from the API as UTC instants (`startsAt`). Instants are
+ * rendered in the viewer's chosen timezone; calendar days (YYYY-MM-DD keys,
+ * or midnight UTC dates) are rendered as-is.
  */
 
+const TIME_ZONE_STORAGE_KEY = 'timeZone';
+
 /**
- * Get current date in YYYY-MM-DD format
+ * Check if a value is an IANA timezone the browser knows
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean} - True if valid
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the browser's own timezone
+ * @returns {string} - IANA timezone
+ */
+export const getBrowserTimeZone = () => {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+};
+
+/**
+ * Get the timezone the viewer chose for displaying times
+ * Falls back to the browser's timezone
+ * @returns {string} - IANA timezone
+ */
+export const getViewerTimeZone = () => {
+  const saved = localStorage.getItem(TIME_ZONE_STORAGE_KEY);
+  return isValidTimeZone(saved) ? saved : getBrowserTimeZone();
+};
+
+/**
+ * Save the viewer's display timezone; an empty value follows the browser again
+ * @param {string} timeZone - IANA timezone
+ */
+export const setViewerTimeZone = (timeZone) => {
+  if (timeZone && isValidTimeZone(timeZone)) {
+    localStorage.setItem(TIME_ZONE_STORAGE_KEY, timeZone);
+  } else {
+    localStorage.removeItem(TIME_ZONE_STORAGE_KEY);
+  }
+};
+
+/**
+ * Get the timezones the viewer can choose from
+ * @returns {Array} - IANA timezone names
+ */
+export const getTimeZoneOptions = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return [...new Set(['UTC', getBrowserTimeZone()])];
+};
+
+/**
+ * Get the YYYY-MM-DD calendar day of an instant in a timezone
+ * @param {string|Date} date - Instant
+ * @param {string} timeZone - IANA timezone (default: viewer's)
+ * @returns {string} - Date key
+ */
+export const toDateKeyInZone = (date, timeZone = getViewerTimeZone()) => {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Date(date).toLocaleDateString('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+};
+
+/**
+ * Get the YYYY-MM-DDTHH:MM wall-clock time of an instant in a timezone
+ * @param {string|Date|number} date - Instant
+ * @param {string} timeZone - IANA timezone (default: viewer's)
+ * @returns {string} - Date and time key, which sorts like the instants it names
+ */
+export const toDateTimeKeyInZone = (date, timeZone = getViewerTimeZone()) => {
+  const time = new Date(date).toLocaleTimeString('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+  return `${toDateKeyInZone(date, timeZone)}T${time}`;
+};
+
+/**
+ * Get current date in YYYY-MM-DD format, in the viewer's timezone
  * @returns {string} - Current date
  */
 export const getCurrentDate = () => {
-  const today = new Date();
-  return today.toISOString().split('T')[0];
+  return toDateKeyInZone(new Date());
 };
 
 /**
@@ -83,9 +176,10 @@ export const getMonthName = (date) => {
  * Format date for display
  * @param {string|Date} date - Date to format
  * @param {string} format - Format type ('short', 'long', 'full')
+ * @param {string} timeZone - IANA timezone (default: viewer's)
  * @returns {string} - Formatted date
  */
-export const formatDateForDisplay = (date, format = 'short') => {
+export const formatDateForDisplay = (date, format = 'short', timeZone = getViewerTimeZone()) => {
   if (!date) return '';
   
   const dateObj = new Date(date);
@@ -93,12 +187,14 @@ export const formatDateForDisplay = (date, format = 'short') => {
   switch (format) {
     case 'short':
       return dateObj.toLocaleDateString('en-US', {
+        timeZone,
         month: 'short',
         day: 'numeric',
         year: 'numeric'
       });
     case 'long':
       return dateObj.toLocaleDateString('en-US', {
+        timeZone,
         weekday: 'long',
         month: 'long',
         day: 'numeric',
@@ -106,18 +202,60 @@ export const formatDateForDisplay = (date, format = 'short') => {
       });
     case 'full':
       return dateObj.toLocaleDateString('en-US', {
+        timeZone,
         weekday: 'long',
         month: 'long',
         day: 'numeric',
         year: 'numeric',
         hour: '2-digit',
-        minute: '2-digit'
+        minute: '2-digit',
+        timeZoneName: 'short'
       });
     default:
-      return dateObj.toLocaleDateString();
+      return dateObj.toLocaleDateString('en-US', { timeZone });
   }
 };
 
+/**
+ * Format a calendar day (YYYY-MM-DD or midnight UTC) for display
+ * Calendar days are not instants, so they are not shifted into the viewer's zone
+ * @param {string|Date} date - Calendar day
+ * @param {string} format - Format type ('short', 'long')
+ * @returns {string} - Formatted date
+ */
+export const formatCalendarDay = (date, format = 'short') => {
+  return formatDateForDisplay(date, format, 'UTC');
+};
+
+/**
+ * Format the clock time of an instant for display
+ * @param {string|Date} date - Instant
+ * @param {string} timeZone - IANA timezone (default: viewer's)
+ * @param {boolean} showZone - Append the zone abbreviation
+ * @returns {string} - Formatted time, e.g. "9:30 AM"
+ */
+export const formatInstantTime = (date, timeZone = getViewerTimeZone(), showZone = false) => {
+  if (!date) return '';
+
+  return new Date(date).toLocaleTimeString('en-US', {
+    timeZone,
+    hour: 'numeric',
+    minute: '2-digit',
+    ...(showZone && { timeZoneName: 'short' })
+  });
+};
+
+/**
+ * Format an instant as date and time for display
+ * @param {string|Date} date - Instant
+ * @param {string} timeZone - IANA timezone (default: viewer's)
+ * @returns {string} - Formatted date and time with zone, e.g. "Nov 2, 2026, 9:30 AM EST"
+ */
+export const formatDateTimeForDisplay = (date, timeZone = getViewerTimeZone()) => {
+  if (!date) return '';
+  return `${formatDateForDisplay(date, 'short', timeZone)}, ${formatInstantTime(date, timeZone, true)}`;
+};
+
 /**
  * Format time for display
  * @param {string} time - Time to format (HH:MM)
@@ -135,6 +273,8 @@ export const formatTimeForDisplay = (time) => {
 
 /**
  * Get available time slots for a given date
+ * Uses a fixed 08:00-20:00 window; booking uses the doctor's real schedule
+ * from GET /appointments/doctors/:doctorId/slots instead
  * @param {string} date - Date to get slots for
  * @param {Array} existingAppointments - Array of existing appointments
  * @param {number} slotDuration - Duration of each slot in minutes (default: 30)
@@ -2,6 +2,8 @@
  * Validation utilities for form validation
  */
 
+import { toDateTimeKeyInZone } from './dateUtils';
+
 /**
  * Email validation regex
  */
@@ -72,10 +74,14 @@ export const isValidPhone = (phone) => {
 
 /**
  * Validate appointment date
+ * With a time, the start is also held to the policy's minimum notice
  * @param {string} date - Date to validate
+ * @param {Object} policy - Doctor's booking policy from GET /settings/doctors/:doctorId/booking-policy
+ * @param {string} time - Optional start time in HH:MM format
+ * @param {string} timeZone - Timezone the date and time are in (default: viewer's)
  * @returns {Object} - Validation result
  */
-export const validateAppointmentDate = (date) => {
+export const validateAppointmentDate = (date, policy = null, time = null, timeZone) => {
   const selectedDate = new Date(date);
   const today = new Date();
   today.setHours(0, 0, 0, 0);
@@ -87,17 +93,32 @@ export const validateAppointmentDate = (date) => {
     };
   }
 
-  // Check if date is not more than 1 year in the future
-  const oneYearFromNow = new Date();
-  oneYearFromNow.setFullYear(oneYearFromNow.getFullYear() + 1);
+  // Check the doctor's booking horizon, or 1 year when no policy is known
+  const maxDaysAhead = policy?.maxDaysAhead || 365;
+  const lastBookableDate = new Date(today);
+  lastBookableDate.setDate(lastBookableDate.getDate() + maxDaysAhead);
 
-  if (selectedDate > oneYearFromNow) {
+  if (selectedDate > lastBookableDate) {
     return {
       isValid: false,
-      message: 'Appointment date cannot be more than 1 year in the future'
+      message: `Appointments cannot be booked more than ${maxDaysAhead} days ahead`
     };
   }
 
+  // Check the doctor's minimum notice, comparing wall-clock times in the given timezone
+  const minNoticeMinutes = policy?.minNoticeMinutes || 0;
+
+  if (time && minNoticeMinutes > 0) {
+    const earliest = toDateTimeKeyInZone(Date.now() + minNoticeMinutes * 60 * 1000, timeZone);
+
+    if (`${date}T${time}` < earliest) {
+      return {
+        isValid: false,
+        message: `Appointments must be booked at least ${minNoticeMinutes} minutes in advance`
+      };
+    }
+  }
+
   return {
     isValid: true,
     message: 'Date is valid'
@@ -254,9 +275,10 @@ export const validateLoginForm = (formData) => {
 /**
  * Validate appointment form
  * @param {Object} formData - Form data to validate
+ * @param {Object} policy - Doctor's booking policy, if loaded
  * @returns {Object} - Validation result with errors object
  */
-export const validateAppointmentForm = (formData) => {
+export const validateAppointmentForm = (formData, policy = null) => {
   const errors = {};
 
   // Doctor validation
@@ -265,7 +287,7 @@ export const validateAppointmentForm = (formData) => {
   }
 
   // Date validation
-  const dateValidation = validateAppointmentDate(formData.date);
+  const dateValidation = validateAppointmentDate(formData.date, policy, formData.time);
   if (!dateValidation.isValid) {
     errors.date = dateValidation.message;
   }
@@ -276,8 +298,8 @@ export const validateAppointmentForm = (formData) => {
     errors.time = timeValidation.message;
   }
 
-  // Duration validation
-  if (formData.duration < 15 || formData.duration > 120) {
+  // Duration validation (the appointment type sets the duration when one is picked)
+  if (!formData.typeId && (formData.duration < 15 || formData.duration > 120)) {
     errors.duration = 'Duration must be between 15 and 120 minutes';
   }
 
@@ -0,0 +1,36 @@
+import { validateAppointmentDate } from './validation';
+import { toDateTimeKeyInZone } from './dateUtils';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Split an instant into the date and time fields of the booking form
+ * @param {number} instant - Milliseconds since the epoch
+ * @returns {Array<string>} - [date, time] in the viewer's timezone
+ */
+const toFormFields = (instant) => toDateTimeKeyInZone(instant).split('T');
+
+describe('validateAppointmentDate', () => {
+  const policy = { minNoticeMinutes: 2 * 24 * 60, maxDaysAhead: 30 };
+
+  test('rejects a start inside the minimum notice', () => {
+    const [date, time] = toFormFields(Date.now() + DAY);
+
+    expect(validateAppointmentDate(date, policy, time)).toEqual({
+      isValid: false,
+      message: 'Appointments must be booked at least 2880 minutes in advance'
+    });
+  });
+
+  test('accepts a start after the minimum notice', () => {
+    const [date, time] = toFormFields(Date.now() + 3 * DAY);
+
+    expect(validateAppointmentDate(date, policy, time).isValid).toBe(true);
+  });
+
+  test('rejects a day beyond the booking horizon', () => {
+    const [date] = toFormFields(Date.now() + 40 * DAY);
+
+    expect(validateAppointmentDate(date, policy).message).toBe('Appointments cannot be booked more than 30 days ahead');
+  });
+});